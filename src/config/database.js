@@ -1,8 +1,8 @@
 const mongoose = require('mongoose');
 
-const connectDB = async () => {
+const connectDB = async (uri = process.env.MONGODB_URI) => {
   try {
-    const conn = await mongoose.connect(process.env.MONGODB_URI , {
+    const conn = await mongoose.connect(uri, {
       // Mongoose 8 options
     });
     console.log(`✅ MongoDB Connected: ${conn.connection.host}`);
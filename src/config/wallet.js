@@ -0,0 +1,156 @@
+/**
+ * Wallet business settings, read once from the environment at startup.
+ * Every value has a safe default so the service runs without extra config.
+ */
+
+const toNumber = (value, fallback) => {
+  const parsed = Number(value);
+  return value === undefined || value === '' || Number.isNaN(parsed) ? fallback : parsed;
+};
+
+module.exports = {
+  transactions: {
+    // Run each transfer in a multi-document transaction. Requires a replica
+    // set — set MONGODB_TRANSACTIONS=false for standalone deployments.
+    enabled: process.env.MONGODB_TRANSACTIONS !== 'false',
+    // Attempts for transient transaction errors and unknown commit results
+    maxRetries: toNumber(process.env.MONGODB_TRANSACTION_RETRIES, 5),
+  },
+  workers: {
+    // Background jobs run in every API process unless disabled here
+    enabled: process.env.WORKERS_ENABLED !== 'false',
+  },
+  idempotency: {
+    // How long a client's idempotency key guards against repeats; 0 keeps
+    // keys forever. Keys the service derives itself never expire.
+    keyTtlHours: toNumber(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 0),
+    // How often expired keys are released
+    expiryIntervalMs: toNumber(process.env.IDEMPOTENCY_EXPIRY_INTERVAL_MS, 10 * 60 * 1000),
+  },
+  recovery: {
+    // A 'pending' transaction older than this is assumed to be abandoned
+    pendingThresholdMs: toNumber(process.env.RECOVERY_PENDING_THRESHOLD_MS, 5 * 60 * 1000),
+    // How often the sweeper looks for abandoned transactions
+    sweepIntervalMs: toNumber(process.env.RECOVERY_SWEEP_INTERVAL_MS, 60 * 1000),
+    // A claim older than this is considered dead and can be taken over
+    claimTimeoutMs: toNumber(process.env.RECOVERY_CLAIM_TIMEOUT_MS, 60 * 60 * 1000),
+    // Maximum transactions resolved per sweep
+    batchSize: toNumber(process.env.RECOVERY_BATCH_SIZE, 100),
+  },
+  reconciliation: {
+    // How often the scheduled system-wide reconciliation runs
+    intervalMs: toNumber(process.env.RECONCILIATION_INTERVAL_MS, 60 * 60 * 1000),
+    // Accounts and transactions listed per rule and asset type; the rest are
+    // only counted, so a stored report stays well below MongoDB's 16 MB limit
+    maxListed: toNumber(process.env.RECONCILIATION_MAX_LISTED, 100),
+  },
+  checkpoints: {
+    // How often the worker looks for accounts due a balance checkpoint, and
+    // how many it checkpoints per run
+    intervalMs: toNumber(process.env.CHECKPOINT_INTERVAL_MS, 60 * 1000),
+    batchSize: toNumber(process.env.CHECKPOINT_BATCH_SIZE, 500),
+    // Time between two checkpoints of an account
+    everyMs: toNumber(process.env.CHECKPOINT_EVERY_MS, 24 * 60 * 60 * 1000),
+    // A checkpoint only covers entries older than this, so transactions still
+    // committing when it is taken are not missed. Keep it well above the
+    // longest a MongoDB transaction can run.
+    settleMs: toNumber(process.env.CHECKPOINT_SETTLE_MS, 10 * 60 * 1000),
+  },
+  repair: {
+    // Attempts to lock an account while a transfer on it finishes
+    lockRetries: toNumber(process.env.REPAIR_LOCK_RETRIES, 5),
+    // A maintenance lock older than this was left by a crashed repair
+    lockTimeoutMs: toNumber(process.env.REPAIR_LOCK_TIMEOUT_MS, 5 * 60 * 1000),
+  },
+  auth: {
+    // HS256 secret for end-user JWTs; without it only API keys are accepted
+    jwtSecret: process.env.JWT_SECRET || null,
+    // Required `iss` and `aud` claims, when set
+    jwtIssuer: process.env.JWT_ISSUER || null,
+    jwtAudience: process.env.JWT_AUDIENCE || null,
+    // How long a rotated API key keeps working next to its replacement
+    rotationGraceMs: toNumber(process.env.API_KEY_ROTATION_GRACE_MS, 24 * 60 * 60 * 1000),
+  },
+  users: {
+    // Provision unknown users on their first top-up or bonus instead of
+    // rejecting it. Off by default: a mistyped userId would become a user.
+    autoProvision: process.env.AUTO_PROVISION_USERS === 'true',
+    // How often the worker backfills wallets of new asset types, and how many users per run
+    backfillIntervalMs: toNumber(process.env.WALLET_BACKFILL_INTERVAL_MS, 10 * 1000),
+    batchSize: toNumber(process.env.WALLET_BACKFILL_BATCH_SIZE, 1000),
+    // A worker's claim on an asset type older than this can be taken over
+    claimTimeoutMs: toNumber(process.env.WALLET_BACKFILL_CLAIM_TIMEOUT_MS, 10 * 60 * 1000),
+  },
+  webhooks: {
+    // How often the worker dispatches events and sends due deliveries
+    intervalMs: toNumber(process.env.WEBHOOK_INTERVAL_MS, 2 * 1000),
+    // Events dispatched and deliveries sent per run, and how many at a time
+    batchSize: toNumber(process.env.WEBHOOK_BATCH_SIZE, 100),
+    concurrency: toNumber(process.env.WEBHOOK_CONCURRENCY, 5),
+    // Per-request timeout
+    timeoutMs: toNumber(process.env.WEBHOOK_TIMEOUT_MS, 10 * 1000),
+    // Attempts before a delivery is moved to the dead-letter list, and the
+    // backoff between them: base × 2^(attempt − 1), capped
+    maxAttempts: toNumber(process.env.WEBHOOK_MAX_ATTEMPTS, 10),
+    baseDelayMs: toNumber(process.env.WEBHOOK_RETRY_BASE_MS, 10 * 1000),
+    maxDelayMs: toNumber(process.env.WEBHOOK_RETRY_MAX_MS, 60 * 60 * 1000),
+    // A claim on a delivery older than this was left by a crashed worker
+    claimTimeoutMs: toNumber(process.env.WEBHOOK_CLAIM_TIMEOUT_MS, 5 * 60 * 1000),
+  },
+  streams: {
+    // Where live balance events come from: 'auto' (change streams on a
+    // replica set, else in-process), 'changeStream' or 'local'
+    source: process.env.STREAM_SOURCE || 'auto',
+    // Heartbeat interval, and the reconnect delay suggested to clients
+    heartbeatMs: toNumber(process.env.STREAM_HEARTBEAT_MS, 15 * 1000),
+    retryMs: toNumber(process.env.STREAM_RETRY_MS, 3 * 1000),
+    // Most ledger entries replayed on a Last-Event-ID resume
+    resumeLimit: toNumber(process.env.STREAM_RESUME_LIMIT, 500),
+    // Open streams per API instance
+    maxConnections: toNumber(process.env.STREAM_MAX_CONNECTIONS, 1000),
+  },
+  accounts: {
+    // System account that receives what is left in a wallet when it is closed
+    closureAccount: process.env.CLOSED_WALLET_SWEEP_ACCOUNT || 'SYSTEM_TREASURY',
+  },
+  holds: {
+    // How long a hold reserves funds when the request sets no TTL
+    defaultTtlMs: toNumber(process.env.HOLD_DEFAULT_TTL_MS, 15 * 60 * 1000),
+    // Longest TTL a request may ask for
+    maxTtlMs: toNumber(process.env.HOLD_MAX_TTL_MS, 7 * 24 * 60 * 60 * 1000),
+    // How often expired holds are released, and how many per run
+    sweepIntervalMs: toNumber(process.env.HOLD_SWEEP_INTERVAL_MS, 30 * 1000),
+    batchSize: toNumber(process.env.HOLD_SWEEP_BATCH_SIZE, 500),
+  },
+  bonusLots: {
+    // How often expired bonus lots are returned to the bonus pool, and how many per run
+    sweepIntervalMs: toNumber(process.env.BONUS_EXPIRY_SWEEP_INTERVAL_MS, 60 * 1000),
+    batchSize: toNumber(process.env.BONUS_EXPIRY_BATCH_SIZE, 500),
+    // Upcoming expirations listed with a balance or history
+    upcomingLimit: toNumber(process.env.BONUS_EXPIRY_UPCOMING_LIMIT, 10),
+  },
+  campaigns: {
+    // How often the worker picks up a running bonus campaign
+    intervalMs: toNumber(process.env.CAMPAIGN_INTERVAL_MS, 5 * 1000),
+    // Recipients granted per worker run, and how many at a time
+    batchSize: toNumber(process.env.CAMPAIGN_BATCH_SIZE, 500),
+    concurrency: toNumber(process.env.CAMPAIGN_CONCURRENCY, 5),
+    // A worker's claim on a campaign older than this can be taken over
+    claimTimeoutMs: toNumber(process.env.CAMPAIGN_CLAIM_TIMEOUT_MS, 10 * 60 * 1000),
+    // Largest recipient list accepted in one request
+    maxRecipients: toNumber(process.env.CAMPAIGN_MAX_RECIPIENTS, 100000),
+  },
+  adjustments: {
+    // Adjustments of this amount or more need a second operator's approval
+    approvalThreshold: toNumber(process.env.ADJUSTMENT_APPROVAL_THRESHOLD, 10000),
+    // Every manual adjustment must be classified with one of these codes
+    reasonCodes: [
+      'outage_compensation',
+      'goodwill',
+      'correction',
+      'chargeback',
+      'fraud_recovery',
+      'other',
+    ],
+  },
+};
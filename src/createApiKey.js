@@ -0,0 +1,47 @@
+/**
+ * createApiKey.js — Creates an API key from the command line, e.g. the
+ * first admin key of a new deployment (every admin endpoint needs one).
+ *
+ * Run:
+ *   node src/createApiKey.js --name ops --scope 'admin:*'
+ *   node src/createApiKey.js --name match-server --scope wallet:read --scope wallet:spend
+ *
+ * The key is printed once; only its hash is stored.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { createApiKey } = require('./utils/apiKeyService');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/wallet_service';
+
+function parseArgs(argv) {
+  const options = { scopes: [] };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--name': options.name = argv[++i]; break;
+      case '--scope': options.scopes.push(argv[++i]); break;
+      case '--expires': options.expiresAt = argv[++i]; break;
+      default: throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  await mongoose.connect(MONGODB_URI);
+  const { apiKey, key } = await createApiKey({ ...options, createdBy: 'cli' });
+
+  console.log(`🔑 Created API key "${apiKey.name}" (${apiKey.scopes.join(', ')})\n`);
+  console.log(`   ${key}\n`);
+  console.log('   Shown once — store it now.\n');
+  await mongoose.disconnect();
+}
+
+main().catch(async (err) => {
+  console.error('❌ Could not create API key:', err.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,97 @@
+const config = require('../config/wallet');
+const jwt = require('../utils/jwt');
+const { authenticateApiKey } = require('../utils/apiKeyService');
+const { USER_SCOPES, hasScope } = require('../utils/scopes');
+
+/**
+ * Identifies the caller and sets `req.auth`:
+ *   { type: 'apiKey', id, name, scopes }           a service, via "X-API-Key"
+ *   { type: 'user', userId, scopes }               an end user, via "Authorization: Bearer <JWT>"
+ *
+ * End-user tokens are HS256 JWTs signed with JWT_SECRET. `sub` is the
+ * userId and `scope` (space-separated) the permissions, capped at
+ * USER_SCOPES — a token can never grant admin access.
+ */
+const authenticate = async (req, res, next) => {
+  try {
+    const apiKey = req.headers['x-api-key'];
+    if (apiKey) {
+      const key = await authenticateApiKey(String(apiKey));
+      if (!key) return unauthorized(res, 'Invalid, expired or revoked API key');
+      req.auth = { type: 'apiKey', id: key._id, name: key.name, scopes: key.scopes };
+      return next();
+    }
+
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    if (scheme === 'Bearer' && token) {
+      if (!config.auth.jwtSecret) return unauthorized(res, 'User tokens are not accepted by this server');
+
+      let payload;
+      try {
+        payload = jwt.verify(token, {
+          secret: config.auth.jwtSecret,
+          issuer: config.auth.jwtIssuer,
+          audience: config.auth.jwtAudience,
+        });
+      } catch (err) {
+        return unauthorized(res, err.message);
+      }
+      if (!payload.sub) return unauthorized(res, 'Token has no subject');
+
+      const claimed = typeof payload.scope === 'string' ? payload.scope.split(' ') : [];
+      req.auth = {
+        type: 'user',
+        userId: String(payload.sub),
+        scopes: claimed.filter((scope) => USER_SCOPES.includes(scope)),
+      };
+      return next();
+    }
+
+    return unauthorized(res, 'Authentication required. Send an "X-API-Key" header or an "Authorization: Bearer" token.');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Requires `scope`. With `userId`, an end user may also only act on their
+ * own wallet: `userId(req)` names the wallet the request touches.
+ *
+ *   router.get('/:userId/balance/:assetCode', authorize('wallet:read', { userId: (req) => req.params.userId }), …)
+ */
+const authorize = (scope, { userId = null } = {}) => (req, res, next) => {
+  if (!req.auth) return unauthorized(res, 'Authentication required');
+  if (!hasScope(req.auth.scopes, scope)) {
+    return res.status(403).json({ success: false, error: `Missing scope: ${scope}` });
+  }
+  if (userId && req.auth.type === 'user' && userId(req) !== req.auth.userId) {
+    return res.status(403).json({ success: false, error: 'A user token may only access its own wallet' });
+  }
+  next();
+};
+
+/**
+ * Admin routes: `admin:read` to read, `admin:write` for everything else.
+ */
+const authorizeAdmin = (req, res, next) =>
+  authorize(req.method === 'GET' || req.method === 'HEAD' ? 'admin:read' : 'admin:write')(req, res, next);
+
+/**
+ * For routes that only learn whose wallet they touch after a lookup (e.g.
+ * a hold by id). True when the caller may act on `userId`.
+ */
+const canAccessUser = (req, userId) => req.auth.type !== 'user' || req.auth.userId === userId;
+
+/**
+ * Who sent the request, for scoping idempotency keys (see
+ * utils/idempotency.js): "user:<userId>" or "key:<name>". An API key is
+ * named rather than identified so a retry still matches after the key is
+ * rotated.
+ */
+const callerOf = (req) => (req.auth.type === 'user' ? `user:${req.auth.userId}` : `key:${req.auth.name}`);
+
+function unauthorized(res, error) {
+  return res.status(401).json({ success: false, error });
+}
+
+module.exports = { authenticate, authorize, authorizeAdmin, canAccessUser, callerOf };
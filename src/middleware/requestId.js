@@ -0,0 +1,18 @@
+const crypto = require('crypto');
+
+// Accept the caller's X-Request-Id only if it is a plain token
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Gives every request an ID (`req.id`), echoed in the X-Request-Id response
+ * header and written to audit records. A well-formed X-Request-Id from the
+ * caller (e.g. a gateway) is kept so logs can be joined across services.
+ */
+const requestId = (req, res, next) => {
+  const incoming = req.headers['x-request-id'];
+  req.id = typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = { requestId };
@@ -0,0 +1,35 @@
+/**
+ * migrate.js — Brings an existing database up to date with this version
+ *
+ * Run before starting a new version (safe to run again any time):
+ *   node src/migrate.js
+ *
+ * See utils/migrations.js for what each step changes.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { runMigrations } = require('./utils/migrations');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/wallet_service';
+
+async function main() {
+  await mongoose.connect(MONGODB_URI);
+  console.log('🔧 Running migrations\n');
+
+  for (const { name, description, result } of await runMigrations()) {
+    const counts = Object.entries(result)
+      .map(([key, value]) => `${key}: ${value}`)
+      .join(', ');
+    console.log(`   ${name.padEnd(24)} ${description} (${counts})`);
+  }
+
+  console.log('\n✅ Database is up to date.\n');
+  await mongoose.disconnect();
+}
+
+main().catch(async (err) => {
+  console.error('❌ Migration failed:', err.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const limitRuleSchema = require('./LimitRule');
 
 /**
  * Account represents either a user wallet or a system account (Treasury, Revenue, etc.)
@@ -6,7 +7,20 @@ const mongoose = require('mongoose');
  * IMPORTANT: `balance` is a CACHED/COMPUTED field for quick reads.
  * The authoritative balance is always derived from the Ledger entries.
  * We keep this in sync using atomic operations + optimistic locking (version key).
+ *
+ * Part of the balance may be reserved by holds (`heldBalance`); debits only
+ * spend the available balance, `balance − heldBalance`.
+ *
+ * `status` decides which balance changes a wallet accepts:
+ *   active    — debits and credits
+ *   frozen    — credits only (refunds and top-ups still land)
+ *   suspended — neither
+ *   closed    — neither; final. Closing sweeps the remaining balance to a
+ *               system account (see walletService.closeAccount)
  */
+const DEBIT_STATUSES = ['active'];
+const CREDIT_STATUSES = ['active', 'frozen'];
+
 const accountSchema = new mongoose.Schema(
   {
     userId: {
@@ -25,25 +39,103 @@ const accountSchema = new mongoose.Schema(
       ref: 'AssetType',
       required: true,
     },
-    // Cached balance — updated atomically with ledger entries
+    // Cached balance — updated atomically with ledger entries.
+    // Integer minor units of the asset (see utils/money.js).
     balance: {
       type: Number,
       required: true,
       default: 0,
-      min: [0, 'Balance cannot go negative'],
+      validate: [
+        {
+          validator: Number.isSafeInteger,
+          message: 'Balance must be a whole number of minor units',
+        },
+        {
+          validator(value) {
+            return this.allowNegativeBalance || value >= 0;
+          },
+          message: 'Balance cannot go negative',
+        },
+      ],
+    },
+    // Funds reserved by active holds. Still part of `balance` (and of the
+    // ledger) but not spendable until the hold is captured or released.
+    heldBalance: {
+      type: Number,
+      default: 0,
+      min: [0, 'Held balance cannot be negative'],
+      validate: {
+        validator: Number.isSafeInteger,
+        message: 'Held balance must be a whole number of minor units',
+      },
+    },
+    // The holds counted in heldBalance. Pushed and pulled in the same atomic
+    // update as heldBalance, so a hold can never be released twice.
+    activeHolds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Hold',
+      },
+    ],
+    // Only the issuance (equity) account may go negative: its balance is
+    // minus everything ever minted, which keeps the sum of all balances at 0.
+    allowNegativeBalance: {
+      type: Boolean,
+      default: false,
+    },
+    // Overrides of the asset type's velocity limits (see LimitRule)
+    limits: {
+      type: [limitRuleSchema],
+      default: [],
     },
     displayName: {
       type: String,
       required: true,
     },
-    isActive: {
-      type: Boolean,
-      default: true,
+    status: {
+      type: String,
+      enum: ['active', 'frozen', 'suspended', 'closed'],
+      default: 'active',
+    },
+    // Why and when the status last changed, and who changed it
+    statusReason: {
+      type: String,
+      default: null,
+    },
+    statusChangedAt: {
+      type: Date,
+      default: null,
+    },
+    statusChangedBy: {
+      type: String,
+      default: null,
     },
     metadata: {
       type: mongoose.Schema.Types.Mixed,
       default: {},
     },
+    // Transactions whose balance change has been applied to this account but
+    // which have not completed yet. Pushed in the same atomic update as the
+    // $inc and pulled on completion, so after a crash the recovery sweeper
+    // can tell exactly which legs of a pending transaction were applied.
+    pendingTransactions: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Transaction',
+      },
+    ],
+    // Set while the balance repair tool rewrites `balance` from the ledger.
+    // Debits and credits refuse to touch a locked account.
+    maintenanceLock: {
+      type: Date,
+      default: null,
+    },
+    // When the balance-checkpoints worker next checkpoints this account;
+    // null = as soon as it can
+    checkpointDueAt: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -55,5 +147,11 @@ const accountSchema = new mongoose.Schema(
 // Compound index: one account per userId per assetType
 accountSchema.index({ userId: 1, assetType: 1 }, { unique: true });
 accountSchema.index({ accountType: 1 });
+accountSchema.index({ status: 1 });
+accountSchema.index({ checkpointDueAt: 1 });
+
+// Statuses that accept a debit / a credit
+accountSchema.statics.DEBIT_STATUSES = DEBIT_STATUSES;
+accountSchema.statics.CREDIT_STATUSES = CREDIT_STATUSES;
 
 module.exports = mongoose.model('Account', accountSchema);
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+/**
+ * AdjustmentRequest is a manual adjustment at or above the approval
+ * threshold (config.adjustments.approvalThreshold), waiting for a second
+ * operator. Nothing moves until it is approved:
+ *
+ *   pending  → approved  a different authenticated caller approved it and the
+ *                        adjustment was posted (`transaction`)
+ *   pending  → rejected  any admin turned it down
+ *
+ * Both operators are authenticated identities (see callerOf in
+ * middleware/auth.js), never names sent in a request body, so the
+ * two-person rule cannot be met by one caller.
+ *
+ * The requester's idempotency key is scoped like a Transaction's, and the
+ * adjustment is posted under the same key once approved.
+ */
+const adjustmentRequestSchema = new mongoose.Schema(
+  {
+    idempotencyKey: {
+      type: String,
+      required: true,
+    },
+    // "<caller>:adjustment_request" (see utils/idempotency.js)
+    idempotencyScope: {
+      type: String,
+      required: true,
+    },
+    requestHash: {
+      type: String,
+      default: null,
+    },
+    userId: {
+      type: String,
+      required: true,
+    },
+    assetType: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AssetType',
+      required: true,
+    },
+    direction: {
+      type: String,
+      enum: ['credit', 'debit'],
+      required: true,
+    },
+    // Minor units
+    amount: {
+      type: Number,
+      required: true,
+    },
+    reasonCode: {
+      type: String,
+      required: true,
+    },
+    note: {
+      type: String,
+      default: '',
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+      default: 'pending',
+    },
+    requestedBy: {
+      type: String,
+      required: true,
+    },
+    reviewedBy: {
+      type: String,
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+    // Why a request was rejected
+    reviewNote: {
+      type: String,
+      default: null,
+    },
+    // The adjustment posted on approval
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+adjustmentRequestSchema.index({ idempotencyScope: 1, idempotencyKey: 1 }, { unique: true });
+adjustmentRequestSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AdjustmentRequest', adjustmentRequestSchema);
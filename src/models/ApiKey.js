@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+/**
+ * ApiKey authenticates a service (game server, payment webhook handler,
+ * back office) calling the wallet API.
+ *
+ * Only a SHA-256 hash of the key is stored; the key itself is shown once,
+ * when it is created or rotated. `prefix` (the first characters of the key)
+ * identifies it in listings and logs.
+ *
+ * Rotating a key issues a new one with the same scopes and lets the old key
+ * keep working until `expiresAt`, so clients can switch over without
+ * downtime. Revoking a key stops it at once.
+ */
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    prefix: {
+      type: String,
+      required: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+    },
+    // e.g. ['wallet:read', 'wallet:spend'] or ['admin:*'] (see middleware/auth.js)
+    scopes: {
+      type: [String],
+      required: true,
+      validate: {
+        validator: (scopes) => scopes.length > 0,
+        message: 'At least one scope is required',
+      },
+    },
+    status: {
+      type: String,
+      enum: ['active', 'revoked'],
+      default: 'active',
+    },
+    // null = never expires
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    // The key issued when this one was rotated
+    replacedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiKey',
+      default: null,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    createdBy: {
+      type: String,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedBy: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+apiKeySchema.index({ keyHash: 1 }, { unique: true });
+
+apiKeySchema.methods.isUsable = function (now = new Date()) {
+  return this.status === 'active' && (!this.expiresAt || this.expiresAt > now);
+};
+
+// Never expose the hash
+apiKeySchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.keyHash;
+    return ret;
+  },
+});
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
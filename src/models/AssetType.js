@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const limitRuleSchema = require('./LimitRule');
 
 /**
  * AssetType defines the currency/credits available in the system.
@@ -24,16 +25,52 @@ const assetTypeSchema = new mongoose.Schema(
       type: String,
       default: '',
     },
+    // Amounts are stored as integer minor units: with decimalPlaces = 2,
+    // 12.34 is stored as 1234. Requests with more precision are rejected.
+    // Must not change once the asset type has balances.
     decimalPlaces: {
       type: Number,
       default: 0, // Most virtual currencies are whole numbers
       min: 0,
       max: 8,
+      validate: {
+        validator: Number.isInteger,
+        message: 'decimalPlaces must be a whole number',
+      },
+    },
+    // Bonuses of this asset expire this many days after they are issued,
+    // unless the bonus request sets its own expiry. null = never.
+    bonusExpiryDays: {
+      type: Number,
+      default: null,
+      min: [1, 'bonusExpiryDays must be at least 1'],
+    },
+    // Velocity limits for every wallet of this asset (see LimitRule)
+    limits: {
+      type: [limitRuleSchema],
+      default: [],
+    },
+    // userIds (creators, partners, system accounts) that may receive a share
+    // of a split spend. Nobody else can be paid through a spend.
+    splitPayees: {
+      type: [String],
+      default: [],
     },
     isActive: {
       type: Boolean,
       default: true,
     },
+    // Gives every existing user a wallet in this asset type (see
+    // workers/walletBackfill.js). Set to pending when the asset type is
+    // created; `cursor` is the last User _id done, so a run that dies
+    // half-way resumes where it stopped.
+    walletBackfill: {
+      status: { type: String, enum: ['pending', 'completed', null], default: null },
+      cursor: { type: mongoose.Schema.Types.ObjectId, default: null },
+      walletsCreated: { type: Number, default: 0 },
+      claimedAt: { type: Date, default: null },
+      completedAt: { type: Date, default: null },
+    },
   },
   {
     timestamps: true,
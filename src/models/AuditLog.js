@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+/**
+ * AuditLog is the append-only record of administrative actions: who did
+ * what, to which resource, with the state before and after, and where the
+ * request came from. Written by utils/auditLog.js with each admin mutation;
+ * a request whose record cannot be written fails.
+ *
+ * Records are never changed or removed — every update and delete through
+ * this model is refused.
+ */
+const auditLogSchema = new mongoose.Schema(
+  {
+    // e.g. 'account.create', 'adjustment.create', 'api_key.revoke'
+    action: {
+      type: String,
+      required: true,
+    },
+    actor: {
+      // 'apiKey' or 'user' (see middleware/auth.js)
+      type: { type: String, required: true },
+      // API key id or userId
+      id: { type: String, required: true },
+      name: { type: String, default: null },
+      // Legacy: an operator name taken from the request body. Only older
+      // records have one; the actor is now the authenticated caller alone.
+      operator: { type: String, default: null },
+    },
+    resourceType: {
+      type: String,
+      required: true,
+    },
+    resourceId: {
+      type: String,
+      default: null,
+    },
+    // Amounts in major units, as the API shows them
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    requestId: {
+      type: String,
+      default: null,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ 'actor.id': 1, createdAt: -1 });
+auditLogSchema.index({ resourceType: 1, resourceId: 1, createdAt: -1 });
+auditLogSchema.index({ requestId: 1 });
+
+// ── Append-only ──────────────────────────────────────────────────────────────
+const refuse = function (next) {
+  next(new Error('Audit log records cannot be changed or deleted'));
+};
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  refuse
+);
+auditLogSchema.pre('deleteOne', { document: true, query: false }, refuse);
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) return refuse(next);
+  next();
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+/**
+ * BalanceCheckpoint is the ledger balance of one account up to a point in
+ * time: the sum of credits − debits of every LedgerEntry with
+ * createdAt < `through`. It is written by the balance-checkpoints worker and
+ * never changed afterwards.
+ *
+ * Ledger entries are immutable, so a checkpoint stays true: the balance at
+ * any later moment is the checkpoint plus the entries since `through`. That
+ * is how integrity checks and point-in-time balances avoid summing an
+ * account's whole history (see utils/balanceCheckpoints.js).
+ *
+ * `through` always lies a settle period in the past (config.checkpoints.settleMs),
+ * so entries of transactions that were still in flight when the checkpoint
+ * was taken are not missed.
+ */
+const balanceCheckpointSchema = new mongoose.Schema(
+  {
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Account',
+      required: true,
+    },
+    assetType: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AssetType',
+      required: true,
+    },
+    // Exclusive: the checkpoint covers entries created before this instant
+    through: {
+      type: Date,
+      required: true,
+    },
+    // Minor units
+    balance: {
+      type: Number,
+      required: true,
+    },
+    // Ledger entries the balance sums, from the account's first one
+    entryCount: {
+      type: Number,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Latest checkpoint of an account at or before a given time
+balanceCheckpointSchema.index({ account: 1, through: -1 }, { unique: true });
+
+module.exports = mongoose.model('BalanceCheckpoint', balanceCheckpointSchema);
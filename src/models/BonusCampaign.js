@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+/**
+ * BonusCampaign is a bulk bonus grant — e.g. a season reward for tens of
+ * thousands of players — processed in the background by the campaign worker.
+ * Each recipient is a CampaignRecipient and is paid with walletService.issueBonus
+ * out of SYSTEM_BONUS_POOL.
+ *
+ * Lifecycle:
+ *   pending   → recipients are still being stored
+ *   running   → the worker is granting bonuses
+ *   completed → every recipient succeeded or failed
+ *   stopped   → granting halted, e.g. the budget cap was reached; the
+ *               remaining recipients stay pending until the campaign is retried
+ */
+const bonusCampaignSchema = new mongoose.Schema(
+  {
+    // Client-chosen, unique. Recipient idempotency keys are derived from it,
+    // so creating the same campaign twice never pays anyone twice.
+    campaignId: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    assetType: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AssetType',
+      required: true,
+    },
+    // Recorded as the bonus reason on every transaction
+    reason: {
+      type: String,
+      default: 'campaign',
+    },
+
+    // ── Budget ───────────────────────────────────────────────────────────────
+    // Minor units. Granting stops before total spend would exceed `budget`
+    // (null = no cap). `spent` is reserved before each grant and released if
+    // the grant fails (see CampaignRecipient.reserved).
+    budget: {
+      type: Number,
+      default: null,
+      validate: {
+        validator: (value) => value === null || (Number.isSafeInteger(value) && value > 0),
+        message: 'Budget must be a positive whole number of minor units',
+      },
+    },
+    spent: {
+      type: Number,
+      default: 0,
+    },
+
+    status: {
+      type: String,
+      enum: ['pending', 'running', 'completed', 'stopped'],
+      default: 'pending',
+    },
+    stopReason: {
+      type: String,
+      default: null,
+    },
+    totalRecipients: {
+      type: Number,
+      default: 0,
+    },
+    createdBy: {
+      type: String,
+      default: null,
+    },
+
+    // Set while a worker is granting this campaign's bonuses, so only one
+    // worker processes it at a time
+    claimedAt: {
+      type: Date,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+bonusCampaignSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('BonusCampaign', bonusCampaignSchema);
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+/**
+ * BonusLot tracks one expiring bonus grant inside a user wallet, e.g. 100
+ * POINTS that must be used within 30 days.
+ *
+ * The lot is bookkeeping only — its funds are part of the account balance
+ * like any other. Every debit of the wallet — spends, transfers, exchanges,
+ * adjustments — uses up lots that expire soonest first (`remaining` goes
+ * down), so `remaining` is never more than the bonus money still in the
+ * wallet. Once `expiresAt` passes, the bonus lot sweeper moves whatever is
+ * left back to SYSTEM_BONUS_POOL as an 'expiry' transaction, never more
+ * than the wallet has available.
+ *
+ * The expiry is posted with the idempotency key
+ *   bonus-expiry:<lotId>:<expiryAttempt>
+ * so a sweep that dies mid-lot replays it, while an expiry that failed
+ * (e.g. because a concurrent debit won) is retried with a fresh key.
+ */
+const bonusLotSchema = new mongoose.Schema(
+  {
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Account',
+      required: true,
+    },
+    userId: {
+      type: String,
+      required: true,
+    },
+    assetType: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AssetType',
+      required: true,
+    },
+    // The bonus that granted the lot — one lot per bonus
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction',
+      required: true,
+    },
+    // Minor units of the asset (see utils/money.js)
+    amount: {
+      type: Number,
+      required: true,
+      min: [1, 'Amount must be positive'],
+    },
+    // Not yet spent
+    remaining: {
+      type: Number,
+      required: true,
+      min: [0, 'Remaining cannot be negative'],
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['active', 'consumed', 'expired'],
+      default: 'active',
+    },
+
+    // ── Expiry ───────────────────────────────────────────────────────────────
+    expiryAttempt: {
+      type: Number,
+      default: 0,
+    },
+    // Moved back to the bonus pool (may be less than `remaining` was)
+    expiredAmount: {
+      type: Number,
+      default: 0,
+    },
+    expiryTransaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+bonusLotSchema.index({ transaction: 1 }, { unique: true });
+// Spending order and upcoming expirations per wallet
+bonusLotSchema.index({ account: 1, status: 1, expiresAt: 1 });
+// The sweeper
+bonusLotSchema.index({ status: 1, expiresAt: 1 });
+
+bonusLotSchema.methods.idempotencyKey = function () {
+  return `bonus-expiry:${this._id}:${this.expiryAttempt}`;
+};
+
+module.exports = mongoose.model('BonusLot', bonusLotSchema);
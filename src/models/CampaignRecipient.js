@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+/**
+ * One row of a BonusCampaign: who gets how much, and what happened.
+ *
+ * The bonus is issued with the idempotency key
+ *   campaign:<campaignId>:<userId>:<attempt>
+ * so a worker that dies mid-row simply replays it, while retrying a failed
+ * row (which bumps `attempt`) gets a fresh key instead of replaying the
+ * failure.
+ */
+const campaignRecipientSchema = new mongoose.Schema(
+  {
+    campaign: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BonusCampaign',
+      required: true,
+    },
+    userId: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Minor units of the campaign's asset type
+    amount: {
+      type: Number,
+      required: true,
+      min: [1, 'Amount must be positive'],
+      validate: {
+        validator: Number.isSafeInteger,
+        message: 'Amount must be a whole number of minor units',
+      },
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'succeeded', 'failed'],
+      default: 'pending',
+    },
+    attempt: {
+      type: Number,
+      default: 1,
+    },
+    // The amount is counted in the campaign's `spent`. Set after reserving
+    // and cleared when the reservation is given back, so it is given back
+    // at most once; a grant that went through keeps it.
+    reserved: {
+      type: Boolean,
+      default: false,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction',
+      default: null,
+    },
+    processedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+campaignRecipientSchema.methods.idempotencyKey = function (campaignId) {
+  return `campaign:${campaignId}:${this.userId}:${this.attempt}`;
+};
+
+// One row per user per campaign
+campaignRecipientSchema.index({ campaign: 1, userId: 1 }, { unique: true });
+campaignRecipientSchema.index({ campaign: 1, status: 1, _id: 1 });
+
+module.exports = mongoose.model('CampaignRecipient', campaignRecipientSchema);
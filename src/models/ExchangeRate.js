@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+/**
+ * ExchangeRate is the price at which users can convert one asset type into
+ * another, e.g. 1 DIAMOND → 100 GOLD. Rates are one-directional: converting
+ * GOLD back into DIAMOND needs its own row.
+ *
+ * The user receives `amount × rate × (1 − spread)` of the target asset,
+ * rounded down to its precision. The spread (and the rounding remainder)
+ * stays with SYSTEM_TREASURY.
+ *
+ * Every exchange copies the rate and spread it used onto its Transaction,
+ * so later changes here never rewrite history.
+ */
+const exchangeRateSchema = new mongoose.Schema(
+  {
+    fromAssetType: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AssetType',
+      required: true,
+    },
+    toAssetType: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AssetType',
+      required: true,
+    },
+    // Units of toAssetType per unit of fromAssetType, in major units
+    rate: {
+      type: Number,
+      required: true,
+      validate: {
+        validator: (value) => Number.isFinite(value) && value > 0,
+        message: 'Rate must be a positive number',
+      },
+    },
+    // Fraction kept by the house, e.g. 0.02 = 2%
+    spread: {
+      type: Number,
+      default: 0,
+      min: [0, 'Spread cannot be negative'],
+      max: [0.99, 'Spread must be below 1'],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    // Who last changed the rate
+    updatedBy: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One rate per direction
+exchangeRateSchema.index({ fromAssetType: 1, toAssetType: 1 }, { unique: true });
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
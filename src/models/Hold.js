@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+/**
+ * Hold reserves funds in a user wallet without spending them — e.g. a
+ * matchmaking entry fee that is only charged once a match is found.
+ *
+ * While a hold is active its amount counts towards Account.heldBalance, so
+ * it cannot be spent elsewhere. It then ends in exactly one way:
+ *   - captured → all or part of it is spent (a 'spend' transaction to
+ *                SYSTEM_REVENUE); any remainder is released
+ *   - voided   → released on request
+ *   - expired  → released automatically once `expiresAt` passes
+ * A hold that could not reserve its funds is recorded as 'failed'.
+ *
+ * Placing a hold writes no ledger entries — the funds have not moved yet.
+ */
+const holdSchema = new mongoose.Schema(
+  {
+    // Client-provided unique key, unique per scope like a Transaction's
+    idempotencyKey: {
+      type: String,
+      required: true,
+    },
+    // `<caller>:hold` (see utils/idempotency.js). Null on holds placed
+    // before keys were scoped; their keys no longer match.
+    idempotencyScope: {
+      type: String,
+      default: null,
+    },
+    // SHA-256 of the normalized request (see utils/idempotency.js)
+    requestHash: {
+      type: String,
+      default: null,
+    },
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Account',
+      required: true,
+    },
+    userId: {
+      type: String,
+      required: true,
+    },
+    assetType: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AssetType',
+      required: true,
+    },
+    // Minor units of the asset (see utils/money.js)
+    amount: {
+      type: Number,
+      required: true,
+      min: [1, 'Amount must be positive'],
+      validate: {
+        validator: Number.isSafeInteger,
+        message: 'Amount must be a whole number of minor units',
+      },
+    },
+    status: {
+      type: String,
+      enum: ['active', 'captured', 'voided', 'expired', 'failed'],
+      default: 'active',
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // What the hold is for, carried onto the capture transaction
+    itemId: {
+      type: String,
+      default: null,
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+
+    // ── Outcome ──────────────────────────────────────────────────────────────
+    capturedAmount: {
+      type: Number,
+      default: 0,
+    },
+    captureTransaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction',
+      default: null,
+    },
+    // When the hold stopped reserving funds (captured, voided or expired)
+    releasedAt: {
+      type: Date,
+      default: null,
+    },
+    failureReason: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+holdSchema.index(
+  { idempotencyScope: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyScope: { $type: 'string' } } }
+);
+holdSchema.index({ status: 1, expiresAt: 1 });
+holdSchema.index({ account: 1, status: 1 });
+
+module.exports = mongoose.model('Hold', holdSchema);
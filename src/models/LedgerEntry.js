@@ -11,6 +11,9 @@ const mongoose = require('mongoose');
  *   - CREDIT (+) = balance increases (money coming in to account)
  *   - DEBIT  (-) = balance decreases (money going out of account)
  *
+ * Amounts are integers in the asset's minor units (see utils/money.js), so
+ * sums are exact.
+ *
  * The sum of all credits minus debits for an account = current balance.
  * Sum of ALL ledger entries across ALL accounts MUST always equal 0 (double-entry invariant).
  *
@@ -51,25 +54,42 @@ const ledgerEntrySchema = new mongoose.Schema(
     amount: {
       type: Number,
       required: true,
-      min: [0.000001, 'Amount must be positive'],
+      min: [1, 'Amount must be positive'],
+      validate: {
+        validator: Number.isSafeInteger,
+        message: 'Amount must be a whole number of minor units',
+      },
     },
     // Running balance AFTER this entry was applied (for auditability)
     balanceAfter: {
       type: Number,
       required: true,
+      validate: {
+        validator: Number.isSafeInteger,
+        message: 'Balance must be a whole number of minor units',
+      },
     },
     description: {
       type: String,
       default: '',
     },
+    // Copied from the transaction so history can be filtered without a join
+    transactionType: {
+      type: String,
+      default: null,
+    },
+    itemId: {
+      type: String,
+      default: null,
+    },
   },
   {
     timestamps: true,
   }
 );
 
-// Index for fast account history queries
-ledgerEntrySchema.index({ account: 1, createdAt: -1 });
+// Index for fast account history queries; _id breaks ties for cursor pagination
+ledgerEntrySchema.index({ account: 1, createdAt: -1, _id: -1 });
 ledgerEntrySchema.index({ transactionId: 1, entryType: 1 });
 
 module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+/**
+ * A velocity rule: how much of an asset one wallet may move in a flow,
+ * per transaction or per hour/day. Embedded in AssetType (the defaults)
+ * and Account (overrides); see utils/limitService.js.
+ *
+ *   { flow: 'spend', window: 'day', maxAmount: 5000 }   at most 5,000 spent per day
+ *   { flow: 'topup', window: 'hour', maxCount: 10 }     at most 10 top-ups per hour
+ *   { flow: 'spend', window: 'transaction', maxAmount: 1000 }
+ *
+ * Hour and day windows are fixed UTC periods. An account rule replaces the
+ * asset type's rule for the same flow and window; one with neither maximum
+ * lifts it.
+ */
+const limitRuleSchema = new mongoose.Schema(
+  {
+    flow: {
+      type: String,
+      enum: ['topup', 'spend', 'transfer'],
+      required: true,
+    },
+    window: {
+      type: String,
+      enum: ['transaction', 'hour', 'day'],
+      required: true,
+    },
+    // Minor units of the asset (see utils/money.js); null = no cap
+    maxAmount: {
+      type: Number,
+      default: null,
+      min: [0, 'maxAmount cannot be negative'],
+    },
+    // Number of transactions; null = no cap. Not used per transaction.
+    maxCount: {
+      type: Number,
+      default: null,
+      min: [0, 'maxCount cannot be negative'],
+    },
+  },
+  { _id: false }
+);
+
+module.exports = limitRuleSchema;
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+/**
+ * How much one wallet has used of a velocity rule in the current window.
+ *
+ * Usage is reserved before a transaction is posted, with one conditional
+ * update per rule, so concurrent requests can never take a wallet past its
+ * limit between them. A transaction that fails or turns out to be a replay
+ * gives its reservation back.
+ *
+ * Rows outlive their window by a day and are then removed by MongoDB.
+ */
+const limitUsageSchema = new mongoose.Schema(
+  {
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Account',
+      required: true,
+    },
+    flow: {
+      type: String,
+      required: true,
+    },
+    window: {
+      type: String,
+      enum: ['hour', 'day'],
+      required: true,
+    },
+    windowStart: {
+      type: Date,
+      required: true,
+    },
+    // Minor units reserved so far
+    amount: {
+      type: Number,
+      default: 0,
+    },
+    count: {
+      type: Number,
+      default: 0,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+limitUsageSchema.index({ account: 1, flow: 1, window: 1, windowStart: 1 }, { unique: true });
+limitUsageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LimitUsage', limitUsageSchema);
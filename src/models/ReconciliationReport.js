@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+/**
+ * ReconciliationReport stores the result of each scheduled reconciliation
+ * run, so drift can be traced back to when it first appeared.
+ * See utils/reconciliationService.js for what is checked.
+ */
+const reconciliationReportSchema = new mongoose.Schema(
+  {
+    isHealthy: {
+      type: Boolean,
+      required: true,
+    },
+    // Per-asset results, including every account and transaction that
+    // broke a rule
+    assets: {
+      type: mongoose.Schema.Types.Mixed,
+      default: [],
+    },
+    durationMs: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+reconciliationReportSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('ReconciliationReport', reconciliationReportSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+/**
+ * RecoveryLog is the audit trail of the pending-transaction sweeper.
+ *
+ * One record is written for every decision the sweeper makes about a
+ * Transaction that was left 'pending' (e.g., the process died mid-transfer):
+ *   - completed      → every balance change had been applied; the missing
+ *                      ledger entries were written and the transaction completed
+ *   - rolled_back    → only some (or none) of the balance changes had been
+ *                      applied; they were undone and the transaction marked failed
+ *   - manual_review  → the state could not be resolved automatically
+ *                      (e.g., a credited account has already spent the funds)
+ */
+const recoveryLogSchema = new mongoose.Schema(
+  {
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction',
+      required: true,
+      index: true,
+    },
+    idempotencyKey: {
+      type: String,
+      required: true,
+    },
+    decision: {
+      type: String,
+      enum: ['completed', 'rolled_back', 'manual_review'],
+      required: true,
+    },
+    reason: {
+      type: String,
+      default: '',
+    },
+    // What the sweeper found for each balance change of the transaction
+    legs: [
+      {
+        _id: false,
+        account: { type: mongoose.Schema.Types.ObjectId, ref: 'Account' },
+        entryType: { type: String, enum: ['credit', 'debit'] },
+        amount: Number,
+        applied: Boolean,
+        hadLedgerEntry: Boolean,
+      },
+    ],
+    // How long the transaction had been pending when it was picked up
+    pendingForMs: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+recoveryLogSchema.index({ createdAt: -1 });
+recoveryLogSchema.index({ decision: 1, createdAt: -1 });
+
+module.exports = mongoose.model('RecoveryLog', recoveryLogSchema);
@@ -2,11 +2,20 @@ const mongoose = require('mongoose');
 
 /**
  * Transaction is the top-level record for a financial event.
- * Each Transaction has exactly 2 LedgerEntries (one debit, one credit).
+ * It has one LedgerEntry per account it touches, as listed in `postings`:
+ *   - 2 for a simple flow (one debit, one credit)
+ *   - 3 when a fee is charged: the debit on the source covers amount + fee,
+ *     and the fee is credited to a separate fee account
+ *   - 4 for an exchange — a debit and a credit in each of its two asset types
+ *   - any number for a split spend or a general 'posting'
+ * Debits and credits always balance within each asset type.
  *
  * Idempotency: The `idempotencyKey` field ensures that retrying the same
- * request does not create duplicate transactions. The key must be unique
- * per assetType. We enforce this at the DB level with a unique index.
+ * request does not create duplicate transactions. The key is unique within
+ * its `idempotencyScope` — the caller and operation that used it (see
+ * utils/idempotency.js) — while it is active. We enforce this at the DB
+ * level with a unique index. `requestHash` lets a retry be checked against
+ * the request that first used the key.
  */
 const transactionSchema = new mongoose.Schema(
   {
@@ -18,13 +27,46 @@ const transactionSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    // `<caller>:<operation>`, e.g. 'key:game-server:spend'. Null on
+    // transactions recorded before keys were scoped.
+    idempotencyScope: {
+      type: String,
+      default: null,
+    },
+    // SHA-256 of the normalized request (null for internal flows)
+    requestHash: {
+      type: String,
+      default: null,
+    },
+    // When the key is released for reuse (null = never)
+    idempotencyExpiresAt: {
+      type: Date,
+      default: null,
+    },
+    // Cleared once the key has been released
+    idempotencyKeyActive: {
+      type: Boolean,
+      default: true,
+    },
+    // The asset `amount` and `fee` are denominated in (for an exchange, the
+    // asset the user gives up)
     assetType: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'AssetType',
       required: true,
     },
+    // Every asset type the transaction moves — just [assetType] except for
+    // an exchange. Unscoped keys are looked up per asset type.
+    assetTypes: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AssetType',
+      },
+    ],
 
     // ── Accounts involved ────────────────────────────────────────────────────
+    // For a transaction with several debits or credits, these are the first
+    // debited and credited accounts; `postings` lists all of them.
     fromAccount: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Account',
@@ -36,17 +78,40 @@ const transactionSchema = new mongoose.Schema(
       required: true,
     },
 
+    // Receives the fee leg (only set when fee > 0)
+    feeAccount: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Account',
+      default: null,
+    },
+
     // ── Money ────────────────────────────────────────────────────────────────
+    // All amounts are integers in the asset's minor units (see utils/money.js).
+    // With several debits, `amount` is their total.
     amount: {
       type: Number,
       required: true,
-      min: [0.000001, 'Amount must be positive'],
+      min: [1, 'Amount must be positive'],
+      validate: {
+        validator: Number.isSafeInteger,
+        message: 'Amount must be a whole number of minor units',
+      },
+    },
+    // Charged to fromAccount on top of `amount` and credited to feeAccount
+    fee: {
+      type: Number,
+      default: 0,
+      min: [0, 'Fee cannot be negative'],
+      validate: {
+        validator: Number.isSafeInteger,
+        message: 'Fee must be a whole number of minor units',
+      },
     },
 
     // ── Classification ───────────────────────────────────────────────────────
     type: {
       type: String,
-      enum: ['topup', 'bonus', 'spend', 'adjustment'],
+      enum: ['topup', 'bonus', 'spend', 'transfer', 'adjustment', 'reversal', 'mint', 'exchange', 'posting', 'expiry', 'closure'],
       required: true,
     },
 
@@ -68,6 +133,52 @@ const transactionSchema = new mongoose.Schema(
       default: {},
     },
 
+    // ── Postings ─────────────────────────────────────────────────────────────
+    // The balance change on each account, written with the pending record.
+    // Recovery and reconciliation check the ledger against these.
+    postings: [
+      {
+        _id: false,
+        account: { type: mongoose.Schema.Types.ObjectId, ref: 'Account', required: true },
+        assetType: { type: mongoose.Schema.Types.ObjectId, ref: 'AssetType', required: true },
+        entryType: { type: String, enum: ['debit', 'credit'], required: true },
+        amount: {
+          type: Number,
+          required: true,
+          min: [1, 'Amount must be positive'],
+          validate: {
+            validator: Number.isSafeInteger,
+            message: 'Amount must be a whole number of minor units',
+          },
+        },
+        description: { type: String, default: '' },
+        // A debit that captures a hold also releases the hold's full amount
+        // from heldBalance (see Hold)
+        hold: { type: mongoose.Schema.Types.ObjectId, ref: 'Hold', default: null },
+        heldAmount: { type: Number, default: 0 },
+      },
+    ],
+
+    // ── Exchange ─────────────────────────────────────────────────────────────
+    // Snapshot of the rate an exchange was priced at (null otherwise).
+    // fromAmount is in assetType minor units, toAmount in toAssetType's.
+    exchange: {
+      type: new mongoose.Schema(
+        {
+          rateId: { type: mongoose.Schema.Types.ObjectId, ref: 'ExchangeRate' },
+          toAssetType: { type: mongoose.Schema.Types.ObjectId, ref: 'AssetType' },
+          rate: Number,
+          spread: Number,
+          fromAmount: Number,
+          toAmount: Number,
+          // What the user would have received at zero spread, minus toAmount
+          spreadAmount: Number,
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
+
     // Populated after completion
     ledgerEntries: [
       {
@@ -80,16 +191,109 @@ const transactionSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+
+    // Set while the recovery sweeper is resolving a stuck 'pending' record,
+    // so two sweepers never work on the same transaction at once.
+    recoveryClaimedAt: {
+      type: Date,
+      default: null,
+    },
+    // 'manual_review' once the sweeper gave up on it: it is not claimed
+    // again until an operator clears this (POST /api/admin/recovery/:id/retry)
+    recoveryState: {
+      type: String,
+      enum: [null, 'manual_review'],
+      default: null,
+    },
+
+    // ── Reversals ────────────────────────────────────────────────────────────
+    // Completed transactions are never edited. A refund is a new 'reversal'
+    // transaction moving funds back, linked both ways:
+    //   original.reversals  → [reversal, ...]
+    //   reversal.reversalOf → original
+    reversalOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction',
+      default: null,
+    },
+    reversals: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Transaction',
+      },
+    ],
+    // Running total refunded across all reversals — can never exceed `amount`
+    refundedAmount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Refunded amount cannot be negative'],
+    },
+    // On a failed reversal: its refund was given back to the original.
+    // The reversal request and the recovery sweeper may both see it fail;
+    // only the one that sets this flag releases the refund.
+    refundReleased: {
+      type: Boolean,
+      default: false,
+    },
   },
   {
     timestamps: true,
   }
 );
 
-// Unique idempotency key per asset type
-transactionSchema.index({ idempotencyKey: 1, assetType: 1 }, { unique: true });
+// Single-asset transactions only list their own asset type
+transactionSchema.pre('validate', function (next) {
+  if (!this.assetTypes || this.assetTypes.length === 0) this.assetTypes = [this.assetType];
+  next();
+});
+
+/**
+ * The balance changes this transaction makes, one per account. These are
+ * the stored `postings`; records written before postings existed derive them:
+ *   - debit  fromAccount  amount + fee
+ *   - credit toAccount    amount
+ *   - credit feeAccount   fee          (only when a fee is charged)
+ * Used to check a transaction's ledger entries and to recover it after a crash.
+ */
+transactionSchema.methods.expectedLegs = function () {
+  if (this.postings && this.postings.length > 0) {
+    return this.postings.map(({ account, assetType, entryType, amount, description, hold, heldAmount }) => ({
+      account,
+      assetType,
+      entryType,
+      amount,
+      description,
+      hold,
+      heldAmount,
+    }));
+  }
+
+  const legs = [
+    { account: this.fromAccount, entryType: 'debit', amount: this.amount + (this.fee || 0) },
+    { account: this.toAccount, entryType: 'credit', amount: this.amount },
+  ];
+  if (this.fee > 0 && this.feeAccount) {
+    legs.push({ account: this.feeAccount, entryType: 'credit', amount: this.fee });
+  }
+  return legs.map((leg) => ({ ...leg, assetType: this.assetType }));
+};
+
+// Unique idempotency key per scope, while the key is active
+transactionSchema.index(
+  { idempotencyScope: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKeyActive: true } }
+);
+// Unscoped keys (see idempotencyScope), and key lookups
+transactionSchema.index({ idempotencyKey: 1, assetTypes: 1 });
+transactionSchema.index({ idempotencyKeyActive: 1, idempotencyExpiresAt: 1 });
 transactionSchema.index({ fromAccount: 1, createdAt: -1 });
 transactionSchema.index({ toAccount: 1, createdAt: -1 });
+transactionSchema.index({ 'postings.account': 1, createdAt: -1 });
 transactionSchema.index({ type: 1, status: 1 });
+transactionSchema.index({ reversalOf: 1 });
+transactionSchema.index({ status: 1, createdAt: 1 });
+// Admin listing: cursor pagination, and lookups by item
+transactionSchema.index({ createdAt: -1, _id: -1 });
+transactionSchema.index({ 'metadata.itemId': 1, createdAt: -1 });
 
 module.exports = mongoose.model('Transaction', transactionSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+/**
+ * User is a player known to the wallet service. Provisioning a user (see
+ * utils/userService.js) gives them a wallet — an Account — in every active
+ * asset type; asset types added later are backfilled by the wallet backfill
+ * worker.
+ *
+ * Wallets stay keyed by `userId` alone, so balances and history never need
+ * this document.
+ */
+const userSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    displayName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // How the user came to exist
+    source: {
+      type: String,
+      enum: ['api', 'auto', 'admin', 'seed'],
+      default: 'api',
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+/**
+ * WebhookDelivery is one event on its way to one subscription.
+ *
+ * Lifecycle:
+ *   pending   → waiting for `nextAttemptAt`; retried with exponential
+ *               backoff after each failed attempt
+ *   delivered → the endpoint answered 2xx
+ *   dead      → gave up after the maximum attempts (or the subscription was
+ *               disabled). This is the dead-letter list; replaying a
+ *               delivery puts it back to pending.
+ *
+ * One delivery per event and subscription, so an event is never queued
+ * twice for the same endpoint.
+ */
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WebhookEvent',
+      required: true,
+    },
+    eventId: {
+      type: String,
+      required: true,
+    },
+    subscription: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WebhookSubscription',
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'delivered', 'dead'],
+      default: 'pending',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Set while a worker is sending it
+    claimedAt: {
+      type: Date,
+      default: null,
+    },
+    lastStatusCode: {
+      type: Number,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    deliveredAt: {
+      type: Date,
+      default: null,
+    },
+    deadAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+webhookDeliverySchema.index({ event: 1, subscription: 1 }, { unique: true });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ subscription: 1, status: 1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
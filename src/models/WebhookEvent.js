@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+/**
+ * WebhookEvent is the transactional outbox: one row per completed
+ * Transaction, written in the same MongoDB transaction that completes it
+ * (see walletService._postTransaction), so an event is recorded if and only
+ * if the money moved.
+ *
+ * The webhook worker fans each event out to the matching subscriptions as
+ * WebhookDeliveries and then sets `dispatchedAt`.
+ *
+ * `eventId` is derived from the transaction, so recording the same
+ * completion twice (e.g. by the recovery sweeper) is refused by the unique
+ * index, and receivers can deduplicate on it.
+ */
+const webhookEventSchema = new mongoose.Schema(
+  {
+    eventId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // e.g. 'topup.completed'
+    type: {
+      type: String,
+      required: true,
+    },
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction',
+      default: null,
+    },
+    // Sent as `data`, already in major units
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    dispatchedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// The worker's queue of events not yet fanned out
+webhookEventSchema.index({ dispatchedAt: 1, _id: 1 });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+/**
+ * WebhookSubscription is an endpoint that wants to hear about wallet events,
+ * e.g. a game server that credits items when a top-up completes.
+ *
+ * `events` lists event types such as 'topup.completed' (one per Transaction
+ * type, see utils/webhookService.js); '*' matches every event. Each payload
+ * is signed with the subscription's `secret`, which is stored as-is because
+ * it is needed to sign — it is only returned when the subscription is
+ * created.
+ */
+const webhookSubscriptionSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    events: {
+      type: [String],
+      required: true,
+      validate: {
+        validator: (events) => events.length > 0,
+        message: 'At least one event type is required',
+      },
+    },
+    secret: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    status: {
+      type: String,
+      enum: ['active', 'disabled'],
+      default: 'active',
+    },
+    description: {
+      type: String,
+      default: '',
+    },
+    createdBy: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+webhookSubscriptionSchema.index({ status: 1 });
+
+webhookSubscriptionSchema.methods.wants = function (eventType) {
+  return this.events.includes('*') || this.events.includes(eventType);
+};
+
+// Never expose the secret
+webhookSubscriptionSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.secret;
+    return ret;
+  },
+});
+
+module.exports = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
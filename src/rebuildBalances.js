@@ -0,0 +1,57 @@
+/**
+ * rebuildBalances.js — Rebuilds cached Account balances from the ledger
+ *
+ * Run:
+ *   node src/rebuildBalances.js --all                 # dry run, every account
+ *   node src/rebuildBalances.js --user user_alice     # dry run, one user's wallets
+ *   node src/rebuildBalances.js --asset GOLD --apply  # rewrite every GOLD account
+ *   node src/rebuildBalances.js --account <id> --account <id> --apply
+ *
+ * Without --apply nothing is written: the before/after diff is printed only.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { rebuildBalances } = require('./utils/balanceRepairService');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/wallet_service';
+
+function parseArgs(argv) {
+  const options = { accountIds: [], dryRun: true };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--all': options.all = true; break;
+      case '--apply': options.dryRun = false; break;
+      case '--account': options.accountIds.push(argv[++i]); break;
+      case '--user': options.userId = argv[++i]; break;
+      case '--asset': options.assetCode = argv[++i]; break;
+      default: throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  await mongoose.connect(MONGODB_URI);
+  console.log(`🔧 Rebuilding balances from the ledger${options.dryRun ? ' (dry run — pass --apply to write)' : ''}\n`);
+
+  const report = await rebuildBalances(options);
+
+  for (const r of report.results) {
+    if (r.status === 'unchanged') continue;
+    console.log(
+      `   ${r.status.padEnd(12)} ${r.userId} [${r.assetCode}] ${r.before} → ${r.after} (${r.difference >= 0 ? '+' : ''}${r.difference})${r.reason ? ` — ${r.reason}` : ''}`
+    );
+  }
+
+  console.log(`\n✅ Checked ${report.checked} account(s), ${report.drifted} drifted.\n`);
+  await mongoose.disconnect();
+}
+
+main().catch(async (err) => {
+  console.error('❌ Rebuild failed:', err.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
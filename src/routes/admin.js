@@ -1,14 +1,38 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const AssetType = require('../models/AssetType');
 const Account = require('../models/Account');
 const Transaction = require('../models/Transaction');
+const ExchangeRate = require('../models/ExchangeRate');
+const RecoveryLog = require('../models/RecoveryLog');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const AuditLog = require('../models/AuditLog');
+const User = require('../models/User');
+const AdjustmentRequest = require('../models/AdjustmentRequest');
+const walletService = require('../utils/walletService');
+const withTransaction = require('../utils/withTransaction');
+const { validateIdempotencyKey } = require('../middleware/validate');
+const { callerOf } = require('../middleware/auth');
+const { sweepPendingTransactions, retryRecovery } = require('../workers/pendingTransactionSweeper');
+const { runReconciliation } = require('../utils/reconciliationService');
+const { rebuildBalances } = require('../utils/balanceRepairService');
+const { toMajorUnits } = require('../utils/money');
+const { pageQuery, toPage, parseLimit, dateRange, amountRange } = require('../utils/pagination');
+const { parseLimitRules } = require('../utils/limitService');
+const { recordAudit } = require('../utils/auditLog');
+const {
+  formatTransactionRecord,
+  formatAccount,
+  formatAssetType,
+  formatAdjustmentRequest,
+} = require('../utils/serializers');
 
 // ── GET /api/admin/asset-types ───────────────────────────────────────────────
 router.get('/asset-types', async (req, res) => {
   try {
     const assetTypes = await AssetType.find({ isActive: true });
-    res.json({ success: true, data: assetTypes });
+    res.json({ success: true, data: assetTypes.map(formatAssetType) });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
@@ -17,33 +41,251 @@ router.get('/asset-types', async (req, res) => {
 // ── POST /api/admin/asset-types ──────────────────────────────────────────────
 router.post('/asset-types', async (req, res) => {
   try {
-    const { code, name, description, decimalPlaces } = req.body;
+    const { code, name, description, decimalPlaces, bonusExpiryDays, limits, splitPayees } = req.body;
     if (!code || !name) {
       return res.status(400).json({ success: false, error: 'code and name are required' });
     }
-    const assetType = await AssetType.create({ code, name, description, decimalPlaces });
-    res.status(201).json({ success: true, data: assetType });
+    // The asset type, its issuance account (needed to mint opening balances)
+    // and the audit record are written together or not at all
+    const assetType = await withTransaction(async (session) => {
+      const [created] = await AssetType.create(
+        [
+          {
+            code,
+            name,
+            description,
+            decimalPlaces,
+            bonusExpiryDays,
+            limits: limits === undefined ? [] : parseLimitRules(limits, decimalPlaces || 0),
+            splitPayees: splitPayees === undefined ? [] : parseSplitPayees(splitPayees),
+            // Existing users get a wallet in the background (workers/walletBackfill.js)
+            walletBackfill: { status: 'pending' },
+          },
+        ],
+        { session }
+      );
+      const issuanceAccount = await walletService.ensureIssuanceAccount(created, session);
+
+      await recordAudit(req, {
+        action: 'asset_type.create',
+        resourceType: 'asset_type',
+        resourceId: created.code,
+        after: { ...formatAssetType(created), issuanceAccount: issuanceAccount._id },
+      }, { session });
+      return created;
+    });
+
+    res.status(201).json({ success: true, data: formatAssetType(assetType) });
   } catch (err) {
     if (err.code === 11000) {
       return res.status(409).json({ success: false, error: 'Asset type code already exists' });
     }
-    res.status(400).json({ success: false, error: err.message });
+    res.status(err.code === 'AUDIT_FAILED' ? 500 : 400).json({ success: false, error: err.message });
+  }
+});
+
+// ── POST /api/admin/asset-types/:assetCode/backfill-wallets ─────────────────
+/**
+ * Run the wallet backfill for an asset type again from the first user, e.g.
+ * for users added before provisioning existed. Wallets that exist are kept.
+ *
+ * POST /api/admin/asset-types/POINTS/backfill-wallets
+ */
+router.post('/asset-types/:assetCode/backfill-wallets', async (req, res) => {
+  try {
+    const assetType = await AssetType.findOneAndUpdate(
+      { code: req.params.assetCode.toUpperCase(), isActive: true },
+      {
+        walletBackfill: { status: 'pending', cursor: null, walletsCreated: 0, claimedAt: null, completedAt: null },
+      },
+      { new: true }
+    );
+    if (!assetType) {
+      return res.status(404).json({ success: false, error: `Asset type not found or inactive: ${req.params.assetCode}` });
+    }
+
+    await recordAudit(req, {
+      action: 'asset_type.backfill_wallets',
+      resourceType: 'asset_type',
+      resourceId: assetType.code,
+    });
+
+    res.status(202).json({ success: true, data: formatAssetType(assetType) });
+  } catch (err) {
+    res.status(err.code === 'AUDIT_FAILED' ? 500 : 400).json({ success: false, error: err.message });
+  }
+});
+
+// ── PUT /api/admin/asset-types/:assetCode/limits ─────────────────────────────
+/**
+ * Replace the velocity limits for every wallet of an asset type.
+ *
+ * Body:
+ *   limits - [{ flow, window, maxAmount?, maxCount? }]
+ *            flow: topup | spend | transfer, window: transaction | hour | day
+ *
+ * PUT /api/admin/asset-types/GOLD/limits
+ */
+router.put('/asset-types/:assetCode/limits', async (req, res) => {
+  try {
+    const assetType = await AssetType.findOne({ code: req.params.assetCode.toUpperCase() });
+    if (!assetType) {
+      return res.status(404).json({ success: false, error: `Asset type not found: ${req.params.assetCode}` });
+    }
+
+    const before = formatAssetType(assetType).limits;
+    assetType.limits = parseLimitRules(req.body.limits, assetType.decimalPlaces);
+    await assetType.save();
+
+    await recordAudit(req, {
+      action: 'asset_type.limits.update',
+      resourceType: 'asset_type',
+      resourceId: assetType.code,
+      before: { limits: before },
+      after: { limits: formatAssetType(assetType).limits },
+    });
+
+    res.json({ success: true, data: formatAssetType(assetType) });
+  } catch (err) {
+    res.status(err.code === 'AUDIT_FAILED' ? 500 : 400).json({ success: false, error: err.message });
+  }
+});
+
+// ── PUT /api/admin/asset-types/:assetCode/split-payees ───────────────────────
+/**
+ * Replace the accounts that may receive a share of a split spend (e.g. item
+ * creators). A spend whose splits name anyone else is refused.
+ *
+ * Body:
+ *   splitPayees - [userId]
+ *
+ * PUT /api/admin/asset-types/GOLD/split-payees
+ */
+router.put('/asset-types/:assetCode/split-payees', async (req, res) => {
+  try {
+    const assetType = await AssetType.findOne({ code: req.params.assetCode.toUpperCase() });
+    if (!assetType) {
+      return res.status(404).json({ success: false, error: `Asset type not found: ${req.params.assetCode}` });
+    }
+
+    const before = [...assetType.splitPayees];
+    assetType.splitPayees = parseSplitPayees(req.body.splitPayees);
+    await assetType.save();
+
+    await recordAudit(req, {
+      action: 'asset_type.split_payees.update',
+      resourceType: 'asset_type',
+      resourceId: assetType.code,
+      before: { splitPayees: before },
+      after: { splitPayees: assetType.splitPayees },
+    });
+
+    res.json({ success: true, data: formatAssetType(assetType) });
+  } catch (err) {
+    res.status(err.code === 'AUDIT_FAILED' ? 500 : 400).json({ success: false, error: err.message });
+  }
+});
+
+function parseSplitPayees(splitPayees) {
+  if (!Array.isArray(splitPayees) || splitPayees.some((userId) => typeof userId !== 'string' || !userId)) {
+    throw new Error('splitPayees must be an array of userIds');
+  }
+  return [...new Set(splitPayees)];
+}
+
+// ── GET /api/admin/exchange-rates ────────────────────────────────────────────
+router.get('/exchange-rates', async (req, res) => {
+  try {
+    const rates = await ExchangeRate.find()
+      .populate('fromAssetType', 'code name')
+      .populate('toAssetType', 'code name')
+      .sort({ createdAt: 1 });
+    res.json({ success: true, data: rates });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ── PUT /api/admin/exchange-rates/:fromAssetCode/:toAssetCode ────────────────
+/**
+ * Create or update the rate for one direction of exchange.
+ * Past exchanges keep the rate they were priced at.
+ *
+ * Body:
+ *   rate     - number (units of toAssetCode per unit of fromAssetCode)
+ *   spread   - number (optional, fraction kept by the house, e.g. 0.02)
+ *   isActive - boolean (optional, false stops new exchanges)
+ *
+ * The change is recorded against the authenticated caller.
+ *
+ * PUT /api/admin/exchange-rates/DIAMOND/GOLD
+ */
+router.put('/exchange-rates/:fromAssetCode/:toAssetCode', async (req, res) => {
+  try {
+    const { rate, spread, isActive } = req.body;
+    const { fromAssetCode, toAssetCode } = req.params;
+
+    const [fromAssetType, toAssetType] = await Promise.all([
+      AssetType.findOne({ code: fromAssetCode.toUpperCase() }),
+      AssetType.findOne({ code: toAssetCode.toUpperCase() }),
+    ]);
+    if (!fromAssetType) {
+      return res.status(404).json({ success: false, error: `Asset type not found: ${fromAssetCode}` });
+    }
+    if (!toAssetType) {
+      return res.status(404).json({ success: false, error: `Asset type not found: ${toAssetCode}` });
+    }
+    if (fromAssetType._id.equals(toAssetType._id)) {
+      return res.status(400).json({ success: false, error: 'Cannot exchange an asset type into itself' });
+    }
+
+    const existing = await ExchangeRate.findOne({
+      fromAssetType: fromAssetType._id,
+      toAssetType: toAssetType._id,
+    });
+    if (!existing && rate === undefined) {
+      return res.status(400).json({ success: false, error: 'rate is required' });
+    }
+
+    const before = existing ? existing.toObject() : null;
+    const exchangeRate = existing || new ExchangeRate({
+      fromAssetType: fromAssetType._id,
+      toAssetType: toAssetType._id,
+    });
+    if (rate !== undefined) exchangeRate.rate = Number(rate);
+    if (spread !== undefined) exchangeRate.spread = Number(spread);
+    if (isActive !== undefined) exchangeRate.isActive = isActive === true;
+    exchangeRate.updatedBy = callerOf(req);
+    await exchangeRate.save();
+
+    await recordAudit(req, {
+      action: existing ? 'exchange_rate.update' : 'exchange_rate.create',
+      resourceType: 'exchange_rate',
+      resourceId: `${fromAssetType.code}->${toAssetType.code}`,
+      before,
+      after: exchangeRate,
+    });
+
+    res.status(existing ? 200 : 201).json({ success: true, data: exchangeRate });
+  } catch (err) {
+    res.status(err.code === 'AUDIT_FAILED' ? 500 : 400).json({ success: false, error: err.message });
   }
 });
 
 // ── GET /api/admin/accounts ──────────────────────────────────────────────────
 router.get('/accounts', async (req, res) => {
   try {
-    const { type, userId } = req.query;
+    const { type, userId, status } = req.query;
     const filter = {};
     if (type) filter.accountType = type;
     if (userId) filter.userId = userId;
+    if (status) filter.status = status;
 
     const accounts = await Account.find(filter)
-      .populate('assetType', 'code name')
+      .populate('assetType', 'code name decimalPlaces')
       .sort({ createdAt: -1 });
 
-    res.json({ success: true, data: accounts });
+    res.json({ success: true, data: accounts.map((account) => formatAccount(account)) });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
@@ -61,23 +303,99 @@ router.post('/accounts', async (req, res) => {
       });
     }
 
+    if (userId === 'SYSTEM_ISSUANCE') {
+      return res.status(400).json({
+        success: false,
+        error: 'SYSTEM_ISSUANCE accounts are created automatically with their asset type',
+      });
+    }
+
+    const openingBalance = initialBalance === undefined ? 0 : Number(initialBalance);
+    if (Number.isNaN(openingBalance) || openingBalance < 0) {
+      return res.status(400).json({ success: false, error: 'initialBalance must be a non-negative number' });
+    }
+
     const assetType = await AssetType.findOne({ code: assetCode.toUpperCase() });
     if (!assetType) {
       return res.status(404).json({ success: false, error: `Asset type not found: ${assetCode}` });
     }
 
-    const account = await Account.create({
-      userId,
-      accountType: accountType || 'user',
-      assetType: assetType._id,
-      displayName,
-      balance: initialBalance || 0,
-      metadata: metadata || {},
+    // The account, its opening balance and the audit record commit together,
+    // so an audit failure does not leave a minted balance behind.
+    const { account, openingTransaction } = await withTransaction(async (session) => {
+      const [created] = await Account.create(
+        [
+          {
+            userId,
+            accountType: accountType || 'user',
+            assetType: assetType._id,
+            displayName,
+            metadata: metadata || {},
+          },
+        ],
+        { session }
+      );
+
+      // The opening balance is minted from SYSTEM_ISSUANCE with proper double
+      // entry rather than written onto the account directly.
+      let minted = null;
+      let current = created;
+      if (openingBalance > 0) {
+        try {
+          ({ transaction: minted } = await walletService.mintOpeningBalance({
+            accountId: created._id,
+            amount: openingBalance,
+            session,
+          }));
+        } catch (err) {
+          // Without MongoDB transactions nothing rolls the account back.
+          // Nothing was posted to it yet — remove it so the request can
+          // simply be retried.
+          if (!session) await Account.deleteOne({ _id: created._id });
+          throw err;
+        }
+        current = await Account.findById(created._id).session(session);
+      }
+
+      // Who minted what is the question compliance asks most
+      await recordAudit(
+        req,
+        {
+          action: 'account.create',
+          resourceType: 'account',
+          resourceId: current._id,
+          after: {
+            ...formatAccount(current, assetType),
+            openingBalance,
+            openingTransaction: minted ? minted._id : null,
+          },
+        },
+        { session }
+      );
+
+      return { account: current, openingTransaction: minted };
     });
 
+    // A user wallet makes its owner a known user, so later asset types are
+    // backfilled for them. Outside the transaction: a duplicate key inside
+    // one would abort it.
+    if (account.accountType === 'user') {
+      await User.updateOne(
+        { userId },
+        { $setOnInsert: { userId, displayName, source: 'admin' } },
+        { upsert: true }
+      ).catch((err) => {
+        if (err.code !== 11000) throw err;
+      });
+    }
+
     res.status(201).json({
       success: true,
-      data: { ...account.toObject(), assetType: { code: assetType.code, name: assetType.name } },
+      data: {
+        ...formatAccount(account, assetType),
+        assetType: { code: assetType.code, name: assetType.name },
+        openingTransaction: openingTransaction ? openingTransaction._id : null,
+      },
     });
   } catch (err) {
     if (err.code === 11000) {
@@ -86,36 +404,796 @@ router.post('/accounts', async (req, res) => {
         error: 'Account already exists for this userId + assetType combination',
       });
     }
-    res.status(400).json({ success: false, error: err.message });
+    let status = err.retryable ? 503 : 400;
+    if (err.code === 'AUDIT_FAILED') status = 500;
+    res.status(status).json({ success: false, error: err.message });
+  }
+});
+
+// ── PUT /api/admin/accounts/:userId/:assetCode/limits ────────────────────────
+/**
+ * Replace one wallet's overrides of its asset type's velocity limits. An
+ * override replaces the asset type's rule for the same flow and window; one
+ * with neither maxAmount nor maxCount lifts it.
+ *
+ * Body:
+ *   limits - [{ flow, window, maxAmount?, maxCount? }]
+ *
+ * PUT /api/admin/accounts/user_alice/GOLD/limits
+ */
+router.put('/accounts/:userId/:assetCode/limits', async (req, res) => {
+  try {
+    const { userId, assetCode } = req.params;
+    const assetType = await AssetType.findOne({ code: assetCode.toUpperCase() });
+    if (!assetType) {
+      return res.status(404).json({ success: false, error: `Asset type not found: ${assetCode}` });
+    }
+    const account = await Account.findOne({ userId, assetType: assetType._id });
+    if (!account) {
+      return res.status(404).json({ success: false, error: `Account not found: ${userId} (${assetType.code})` });
+    }
+
+    const before = formatAccount(account, assetType).limits;
+    account.limits = parseLimitRules(req.body.limits, assetType.decimalPlaces);
+    await account.save();
+
+    await recordAudit(req, {
+      action: 'account.limits.update',
+      resourceType: 'account',
+      resourceId: account._id,
+      before: { limits: before },
+      after: { limits: formatAccount(account, assetType).limits },
+    });
+
+    res.json({ success: true, data: formatAccount(account, assetType) });
+  } catch (err) {
+    res.status(err.code === 'AUDIT_FAILED' ? 500 : 400).json({ success: false, error: err.message });
+  }
+});
+
+// ── PUT /api/admin/accounts/:userId/:assetCode/status ────────────────────────
+/**
+ * Freeze, suspend or reactivate a user wallet. Frozen wallets still take
+ * credits; suspended wallets take nothing.
+ *
+ * Body:
+ *   status   - 'active' | 'frozen' | 'suspended'
+ *   reason   - string (required)
+ *
+ * PUT /api/admin/accounts/user_alice/GOLD/status
+ */
+router.put('/accounts/:userId/:assetCode/status', async (req, res) => {
+  try {
+    const { userId, assetCode } = req.params;
+    const { status, reason } = req.body;
+
+    const { account, previousStatus } = await walletService.setAccountStatus({
+      userId,
+      assetCode,
+      status,
+      reason,
+      operator: callerOf(req),
+    });
+
+    await recordAudit(req, {
+      action: 'account.status.update',
+      resourceType: 'account',
+      resourceId: account._id,
+      before: { status: previousStatus },
+      after: { status: account.status, reason },
+    });
+
+    res.json({ success: true, data: formatAccount(account) });
+  } catch (err) {
+    let status = 400;
+    if (err.code === 'AUDIT_FAILED') status = 500;
+    else if (err.message.includes('not found')) status = 404;
+    else if (err.message.includes('concurrently') || err.message.includes('cannot be reopened')) status = 409;
+    res.status(status).json({ success: false, error: err.message });
+  }
+});
+
+// ── POST /api/admin/accounts/:userId/:assetCode/close ────────────────────────
+/**
+ * Close a user wallet for good. What is left in it is swept to a system
+ * account as a 'closure' transaction. Holds must be captured or voided
+ * first. Closing a closed wallet again finishes a sweep that failed.
+ *
+ * Body:
+ *   reason   - string (required)
+ *   sweepTo  - string (optional, system account userId; default CLOSED_WALLET_SWEEP_ACCOUNT)
+ *
+ * POST /api/admin/accounts/user_alice/GOLD/close
+ */
+router.post('/accounts/:userId/:assetCode/close', async (req, res) => {
+  try {
+    const { userId, assetCode } = req.params;
+    const { reason, sweepTo } = req.body;
+
+    const { account, previousStatus, transaction } = await walletService.closeAccount({
+      userId,
+      assetCode,
+      reason,
+      sweepTo,
+      operator: callerOf(req),
+    });
+
+    if (previousStatus !== 'closed' || transaction) {
+      await recordAudit(req, {
+        action: 'account.close',
+        resourceType: 'account',
+        resourceId: account._id,
+        before: { status: previousStatus },
+        after: {
+          status: account.status,
+          reason,
+          sweepTransaction: transaction ? transaction._id : null,
+        },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...formatAccount(account),
+        sweepTransaction: transaction ? formatTransactionRecord(transaction, account.assetType) : null,
+      },
+    });
+  } catch (err) {
+    let status = 400;
+    if (err.code === 'AUDIT_FAILED') status = 500;
+    else if (err.message.includes('not found')) status = 404;
+    else if (
+      err.message.includes('still being processed') ||
+      err.message.includes('locked for maintenance') ||
+      err.message.includes('active holds') ||
+      err.message.includes('concurrently')
+    ) {
+      status = 409;
+    } else if (err.retryable) status = 503;
+    res.status(status).json({ success: false, error: err.message });
   }
 });
 
 // ── GET /api/admin/transactions ──────────────────────────────────────────────
+/**
+ * Transactions, newest first, one cursor page at a time. The first page (no
+ * cursor) also carries per-asset totals of the whole filtered window.
+ *
+ * Query:
+ *   cursor, limit        - pagination (limit default 20, max 100)
+ *   type, status         - string
+ *   from, to             - ISO dates (from inclusive, to exclusive)
+ *   userId               - string (transactions from or to the user's wallets)
+ *   assetCode            - string (either side of an exchange)
+ *   itemId               - string
+ *   minAmount, maxAmount - number (inclusive; requires assetCode, and then
+ *                          matches only transactions in that asset)
+ */
 router.get('/transactions', async (req, res) => {
+  let filter;
+  let limit;
+  try {
+    filter = await transactionFilter(req.query);
+    limit = parseLimit(req.query.limit, 100);
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+
+  try {
+    const { cursor } = req.query;
+    const query = pageQuery(filter, { cursor, limit });
+    const [transactions, totals] = await Promise.all([
+      Transaction.find(query.filter)
+        .populate('fromAccount', 'userId displayName')
+        .populate('toAccount', 'userId displayName')
+        .populate('assetType', 'code name decimalPlaces')
+        .populate('exchange.toAssetType', 'code name decimalPlaces')
+        .sort(query.sort)
+        .limit(query.limit),
+      cursor ? null : transactionTotals(filter),
+    ]);
+    const page = toPage(transactions, limit);
+
+    res.json({
+      success: true,
+      data: {
+        pagination: page.pagination,
+        ...(totals ? { totals } : {}),
+        transactions: page.items.map((tx) => formatTransactionRecord(tx)),
+      },
+    });
+  } catch (err) {
+    const status = err.message.startsWith('Invalid cursor') ? 400 : 500;
+    res.status(status).json({ success: false, error: err.message });
+  }
+});
+
+async function transactionFilter({ type, status, from, to, userId, assetCode, itemId, minAmount, maxAmount }) {
+  const filter = {};
+  if (type) filter.type = type;
+  if (status) filter.status = status;
+  const createdAt = dateRange(from, to);
+  if (createdAt) filter.createdAt = createdAt;
+  if (itemId) filter['metadata.itemId'] = String(itemId);
+
+  const conditions = [];
+  if (userId) {
+    const accountIds = await Account.distinct('_id', { userId });
+    // Every leg is in `postings`; older records without them only have from/to
+    conditions.push({
+      $or: [
+        { 'postings.account': { $in: accountIds } },
+        { fromAccount: { $in: accountIds } },
+        { toAccount: { $in: accountIds } },
+      ],
+    });
+  }
+
+  let assetType = null;
+  if (assetCode) {
+    assetType = await AssetType.findOne({ code: String(assetCode).toUpperCase() });
+    if (!assetType) throw new Error(`Asset type not found: ${assetCode}`);
+    // `assetTypes` holds both sides of an exchange; records older than
+    // exchanges only have `assetType`
+    conditions.push({ $or: [{ assetTypes: assetType._id }, { assetType: assetType._id }] });
+  }
+  if (minAmount !== undefined || maxAmount !== undefined) {
+    if (!assetType) throw new Error('minAmount and maxAmount require assetCode');
+    // `amount` is in the transaction's own asset, so only those can compare
+    filter.assetType = assetType._id;
+    filter.amount = amountRange(minAmount, maxAmount, assetType.decimalPlaces);
+  }
+  if (conditions.length > 0) filter.$and = conditions;
+  return filter;
+}
+
+// Count, amount and fees per asset of the transactions matching a filter
+async function transactionTotals(filter) {
+  const groups = await Transaction.aggregate([
+    { $match: filter },
+    { $group: { _id: '$assetType', count: { $sum: 1 }, amount: { $sum: '$amount' }, fee: { $sum: '$fee' } } },
+  ]);
+  const assetTypes = await AssetType.find({ _id: { $in: groups.map((g) => g._id) } });
+  return groups
+    .map((group) => {
+      const assetType = assetTypes.find((a) => a._id.equals(group._id));
+      return {
+        assetCode: assetType.code,
+        count: group.count,
+        amount: toMajorUnits(group.amount, assetType.decimalPlaces),
+        fee: toMajorUnits(group.fee, assetType.decimalPlaces),
+      };
+    })
+    .sort((a, b) => a.assetCode.localeCompare(b.assetCode));
+}
+
+// ── POST /api/admin/transactions/:id/reverse ────────────────────────────────
+/**
+ * Reverse (refund) a completed transaction, fully or partially.
+ * Posts a compensating 'reversal' transaction — the original is never edited.
+ *
+ * Body:
+ *   amount         - number (optional, defaults to the full remaining amount)
+ *   reason         - string (required)
+ *   idempotencyKey - string
+ *   metadata       - object (optional)
+ *
+ * The operator recorded on the reversal is the authenticated caller.
+ */
+router.post('/transactions/:id/reverse', validateIdempotencyKey, async (req, res) => {
   try {
-    const { type, status, page = 1, limit = 20 } = req.query;
+    const { amount, reason, idempotencyKey, metadata } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({ success: false, error: 'reason is required' });
+    }
+
+    const result = await walletService.reverseTransaction({
+      transactionId: req.params.id,
+      amount: amount === undefined ? undefined : Number(amount),
+      idempotencyKey,
+      reason,
+      operator: callerOf(req),
+      metadata,
+      caller: callerOf(req),
+    });
+
+    // Also on a replay, in case the first request could not write the record
+    if (result.transaction.status === 'completed') {
+      const { decimalPlaces } = result.assetType;
+      await recordAudit(req, {
+        action: 'transaction.reverse',
+        resourceType: 'transaction',
+        resourceId: result.original._id,
+        before: {
+          refundedAmount: toMajorUnits(result.original.refundedAmount - result.transaction.amount, decimalPlaces),
+        },
+        after: {
+          refundedAmount: toMajorUnits(result.original.refundedAmount, decimalPlaces),
+          reversal: formatTransactionRecord(result.transaction, result.assetType),
+        },
+      }, { once: { 'after.reversal._id': String(result.transaction._id) } });
+    }
+
+    res.status(result.isIdempotentReplay ? 200 : 201).json({
+      success: true,
+      isIdempotentReplay: result.isIdempotentReplay,
+      data: {
+        reversal: formatTransactionRecord(result.transaction, result.assetType),
+        original: {
+          id: result.original._id,
+          amount: toMajorUnits(result.original.amount, result.assetType.decimalPlaces),
+          refundedAmount: toMajorUnits(result.original.refundedAmount, result.assetType.decimalPlaces),
+          remainingRefundable: toMajorUnits(
+            result.original.amount - result.original.refundedAmount,
+            result.assetType.decimalPlaces
+          ),
+          reversals: result.original.reversals,
+        },
+      },
+    });
+  } catch (err) {
+    let status = 400;
+    if (err.code === 'AUDIT_FAILED') status = 500;
+    else if (err.message.includes('not found')) status = 404;
+    else if (err.message.includes('still being processed') || err.message.includes('locked for maintenance')) status = 409;
+    else if (err.retryable) status = 503;
+    else if (
+      err.message.includes('Insufficient') ||
+      err.message.includes('exceeds') ||
+      err.message.includes('already used')
+    ) {
+      status = 422;
+    }
+    res.status(status).json({ success: false, error: err.message });
+  }
+});
+
+// ── POST /api/admin/adjustments ──────────────────────────────────────────────
+/**
+ * Manually credit or debit a user wallet against SYSTEM_ADJUSTMENTS.
+ * Used for outage compensation, goodwill grants and corrections.
+ *
+ * The operator is the authenticated caller. Amounts below the approval
+ * threshold are posted at once (201); larger ones are stored as a pending
+ * request (202) for a different caller to approve at
+ * POST /api/admin/adjustments/requests/:id/approve.
+ *
+ * Body:
+ *   userId         - string
+ *   assetCode      - string
+ *   direction      - 'credit' | 'debit'
+ *   amount         - number
+ *   reasonCode     - string (e.g., "outage_compensation", "goodwill")
+ *   note           - string (optional)
+ *   idempotencyKey - string
+ *   metadata       - object (optional)
+ */
+router.post('/adjustments', validateIdempotencyKey, async (req, res) => {
+  try {
+    const { userId, assetCode, direction, amount, reasonCode, note, idempotencyKey, metadata } = req.body;
+
+    if (!userId || !assetCode || !direction || !amount || !reasonCode) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: userId, assetCode, direction, amount, reasonCode',
+      });
+    }
+
+    const result = await walletService.requestAdjustment({
+      userId,
+      assetCode,
+      direction,
+      amount: Number(amount),
+      idempotencyKey,
+      reasonCode,
+      operator: callerOf(req),
+      note,
+      metadata,
+      caller: callerOf(req),
+    });
+
+    if (result.approvalRequest) {
+      const data = formatAdjustmentRequest(result.approvalRequest, result.assetType);
+      await recordAudit(req, {
+        action: 'adjustment.request',
+        resourceType: 'adjustment_request',
+        resourceId: result.approvalRequest._id,
+        after: data,
+      }, { once: true });
+      return res.status(result.isIdempotentReplay ? 200 : 202).json({
+        success: true,
+        isIdempotentReplay: result.isIdempotentReplay,
+        data,
+      });
+    }
+
+    // Also on a replay, in case the first request could not write the record
+    if (result.transaction.status === 'completed') {
+      await recordAudit(req, {
+        action: 'adjustment.create',
+        resourceType: 'transaction',
+        resourceId: result.transaction._id,
+        after: formatTransactionRecord(result.transaction, result.assetType),
+      }, { once: true });
+    }
+
+    res.status(result.isIdempotentReplay ? 200 : 201).json({
+      success: true,
+      isIdempotentReplay: result.isIdempotentReplay,
+      data: formatTransactionRecord(result.transaction, result.assetType),
+    });
+  } catch (err) {
+    res.status(adjustmentErrorStatus(err)).json({ success: false, error: err.message });
+  }
+});
+
+// ── GET /api/admin/adjustments/requests ──────────────────────────────────────
+/**
+ * Adjustment requests, newest first. Filter: ?status=pending
+ */
+router.get('/adjustments/requests', async (req, res) => {
+  try {
+    const { status, page = 1, limit = 50 } = req.query;
     const filter = {};
-    if (type) filter.type = type;
     if (status) filter.status = status;
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    const [transactions, total] = await Promise.all([
-      Transaction.find(filter)
-        .populate('fromAccount', 'userId displayName')
-        .populate('toAccount', 'userId displayName')
-        .populate('assetType', 'code name')
+    const [requests, total] = await Promise.all([
+      AdjustmentRequest.find(filter)
+        .populate('assetType', 'code decimalPlaces')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(Math.min(parseInt(limit), 200)),
+      AdjustmentRequest.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        pagination: { page: parseInt(page), limit: parseInt(limit), total, pages: Math.ceil(total / parseInt(limit)) },
+        requests: requests.map((request) => formatAdjustmentRequest(request, request.assetType)),
+      },
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ── POST /api/admin/adjustments/requests/:id/approve ─────────────────────────
+/**
+ * Approve a pending adjustment and post it. The approver is the
+ * authenticated caller and must differ from the requester (403 otherwise).
+ */
+router.post('/adjustments/requests/:id/approve', async (req, res) => {
+  try {
+    const result = await walletService.approveAdjustment({ requestId: req.params.id, approver: callerOf(req) });
+
+    // Also on a replay, in case the first request could not write the record
+    if (result.transaction.status === 'completed') {
+      await recordAudit(req, {
+        action: 'adjustment.approve',
+        resourceType: 'adjustment_request',
+        resourceId: result.approvalRequest._id,
+        before: { status: 'pending' },
+        after: {
+          status: result.approvalRequest.status,
+          transaction: formatTransactionRecord(result.transaction, result.assetType),
+        },
+      }, { once: true });
+    }
+
+    res.status(result.isIdempotentReplay ? 200 : 201).json({
+      success: true,
+      isIdempotentReplay: result.isIdempotentReplay,
+      data: {
+        request: formatAdjustmentRequest(result.approvalRequest, result.assetType),
+        transaction: formatTransactionRecord(result.transaction, result.assetType),
+      },
+    });
+  } catch (err) {
+    res.status(adjustmentErrorStatus(err)).json({ success: false, error: err.message });
+  }
+});
+
+// ── POST /api/admin/adjustments/requests/:id/reject ──────────────────────────
+/**
+ * Turn down a pending adjustment. Nothing is posted.
+ *
+ * Body:
+ *   reason - string (optional)
+ */
+router.post('/adjustments/requests/:id/reject', async (req, res) => {
+  try {
+    const { approvalRequest, assetType } = await walletService.rejectAdjustment({
+      requestId: req.params.id,
+      operator: callerOf(req),
+      reason: (req.body && req.body.reason) || null,
+    });
+
+    await recordAudit(req, {
+      action: 'adjustment.reject',
+      resourceType: 'adjustment_request',
+      resourceId: approvalRequest._id,
+      before: { status: 'pending' },
+      after: { status: approvalRequest.status, reviewNote: approvalRequest.reviewNote },
+    });
+
+    res.json({ success: true, data: formatAdjustmentRequest(approvalRequest, assetType) });
+  } catch (err) {
+    res.status(adjustmentErrorStatus(err)).json({ success: false, error: err.message });
+  }
+});
+
+function adjustmentErrorStatus(err) {
+  if (err.code === 'AUDIT_FAILED') return 500;
+  if (err.message.includes('Approval required')) return 403;
+  if (err.message.includes('not found')) return 404;
+  if (
+    err.message.includes('still being processed') ||
+    err.message.includes('locked for maintenance') ||
+    err.message.includes('rejected') ||
+    err.message.includes('is already')
+  ) {
+    return 409;
+  }
+  if (err.retryable) return 503;
+  if (err.message.includes('Insufficient') || err.message.includes('already used')) return 422;
+  return 400;
+}
+
+// ── POST /api/admin/postings ─────────────────────────────────────────────────
+/**
+ * Post any number of debit and credit lines in one asset type as a single
+ * transaction. Debits must equal credits; each account appears once.
+ * e.g. a referral bonus for both players out of the Bonus Pool.
+ *
+ * Body:
+ *   assetCode      - string
+ *   lines          - [{ userId, entryType: 'debit' | 'credit', amount, description? }]
+ *   type           - 'posting' | 'bonus' | 'spend' (optional, default 'posting')
+ *   description    - string (optional)
+ *   idempotencyKey - string
+ *   metadata       - object (optional)
+ */
+router.post('/postings', validateIdempotencyKey, async (req, res) => {
+  try {
+    const { assetCode, lines, type, description, idempotencyKey, metadata } = req.body;
+
+    if (!assetCode || !Array.isArray(lines)) {
+      return res.status(400).json({ success: false, error: 'Missing required fields: assetCode, lines' });
+    }
+
+    const result = await walletService.postTransaction({
+      assetCode,
+      lines,
+      type,
+      description,
+      idempotencyKey,
+      metadata,
+      caller: callerOf(req),
+    });
+
+    // Also on a replay, in case the first request could not write the record
+    if (result.transaction.status === 'completed') {
+      await recordAudit(req, {
+        action: 'posting.create',
+        resourceType: 'transaction',
+        resourceId: result.transaction._id,
+        after: formatTransactionRecord(result.transaction, result.assetType),
+      }, { once: true });
+    }
+
+    res.status(result.isIdempotentReplay ? 200 : 201).json({
+      success: true,
+      isIdempotentReplay: result.isIdempotentReplay,
+      data: formatTransactionRecord(result.transaction, result.assetType),
+    });
+  } catch (err) {
+    let status = 400;
+    if (err.code === 'AUDIT_FAILED') status = 500;
+    else if (err.message.includes('not found')) status = 404;
+    else if (err.message.includes('still being processed') || err.message.includes('locked for maintenance')) status = 409;
+    else if (err.retryable) status = 503;
+    else if (err.message.includes('Insufficient') || err.message.includes('already used')) status = 422;
+    res.status(status).json({ success: false, error: err.message });
+  }
+});
+
+// ── GET /api/admin/recovery-log ──────────────────────────────────────────────
+/**
+ * What the pending-transaction sweeper decided for each stuck transaction.
+ * Filter: ?decision=rolled_back&transactionId=xxx
+ */
+router.get('/recovery-log', async (req, res) => {
+  try {
+    const { decision, transactionId, page = 1, limit = 20 } = req.query;
+    if (transactionId && !mongoose.isValidObjectId(transactionId)) {
+      return res.status(400).json({ success: false, error: `Invalid transactionId: ${transactionId}` });
+    }
+    const filter = {};
+    if (decision) filter.decision = decision;
+    if (transactionId) filter.transaction = transactionId;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [logs, total] = await Promise.all([
+      RecoveryLog.find(filter)
+        .populate('transaction', 'type status amount assetType createdAt')
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(Math.min(parseInt(limit), 100)),
-      Transaction.countDocuments(filter),
+      RecoveryLog.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        pagination: { page: parseInt(page), limit: parseInt(limit), total, pages: Math.ceil(total / parseInt(limit)) },
+        logs,
+      },
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ── POST /api/admin/recovery/run ─────────────────────────────────────────────
+/**
+ * Run the pending-transaction sweeper now instead of waiting for its interval.
+ */
+router.post('/recovery/run', async (req, res) => {
+  try {
+    const logs = await sweepPendingTransactions();
+    await recordAudit(req, {
+      action: 'recovery.run',
+      resourceType: 'transaction',
+      after: { resolved: logs.map((log) => ({ transaction: log.transaction, decision: log.decision })) },
+    });
+    res.json({ success: true, data: { resolved: logs.length, logs } });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ── POST /api/admin/recovery/:transactionId/retry ────────────────────────────
+/**
+ * Hand a transaction the sweeper parked for manual review back to it, once
+ * whatever blocked its recovery has been fixed. The next sweep retries it.
+ */
+router.post('/recovery/:transactionId/retry', async (req, res) => {
+  try {
+    const transaction = await retryRecovery(req.params.transactionId);
+    await recordAudit(req, {
+      action: 'recovery.retry',
+      resourceType: 'transaction',
+      resourceId: transaction._id,
+      before: { recoveryState: 'manual_review' },
+      after: { recoveryState: null },
+    });
+    res.json({ success: true, data: { transactionId: transaction._id, status: transaction.status } });
+  } catch (err) {
+    const status = err.message.includes('manual review') ? 404 : 500;
+    res.status(status).json({ success: false, error: err.message });
+  }
+});
+
+// ── GET /api/admin/reconciliation ────────────────────────────────────────────
+/**
+ * Reconcile the whole ledger now — every account (user and system) for every
+ * asset type. Lists each account whose cached balance differs from its ledger
+ * and each completed transaction whose ledger entries don't match its legs.
+ *
+ * GET /api/admin/reconciliation?assetCode=GOLD
+ */
+router.get('/reconciliation', async (req, res) => {
+  try {
+    const report = await runReconciliation({ assetCode: req.query.assetCode });
+    res.json({ success: true, data: report });
+  } catch (err) {
+    const status = err.message.includes('not found') ? 404 : 500;
+    res.status(status).json({ success: false, error: err.message });
+  }
+});
+
+// ── GET /api/admin/reconciliation/reports ────────────────────────────────────
+/**
+ * Results of past scheduled reconciliation runs, newest first.
+ * Filter: ?healthy=false
+ */
+router.get('/reconciliation/reports', async (req, res) => {
+  try {
+    const { healthy, limit = 20 } = req.query;
+    const filter = {};
+    if (healthy !== undefined) filter.isHealthy = healthy === 'true';
+
+    const reports = await ReconciliationReport.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(limit), 100));
+
+    res.json({ success: true, data: reports });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ── POST /api/admin/repair/balances ──────────────────────────────────────────
+/**
+ * Rebuild cached Account.balance values from the ledger.
+ * Defaults to a dry run — send "dryRun": false to write the new balances.
+ *
+ * Body (at least one selector):
+ *   accountIds - string[] (specific accounts)
+ *   userId     - string   (every wallet of a user or system account)
+ *   assetCode  - string   (every account of an asset type)
+ *   all        - boolean  (every account)
+ *   dryRun     - boolean  (default true)
+ */
+router.post('/repair/balances', async (req, res) => {
+  try {
+    const { accountIds, userId, assetCode, all, dryRun } = req.body;
+    const report = await rebuildBalances({
+      accountIds,
+      userId,
+      assetCode,
+      all: all === true,
+      dryRun: dryRun !== false,
+    });
+    if (dryRun === false) {
+      const touched = report.results.filter((r) => r.status !== 'unchanged');
+      await recordAudit(req, {
+        action: 'balance.repair',
+        resourceType: 'account',
+        before: { balances: touched.map((r) => ({ account: r.accountId, balance: r.before })) },
+        after: { balances: touched.map((r) => ({ account: r.accountId, balance: r.after, status: r.status })) },
+      });
+    }
+    res.json({ success: true, data: report });
+  } catch (err) {
+    let status = err.message.includes('not found') ? 404 : 400;
+    if (err.code === 'AUDIT_FAILED') status = 500;
+    res.status(status).json({ success: false, error: err.message });
+  }
+});
+
+// ── GET /api/admin/audit-log ─────────────────────────────────────────────────
+/**
+ * Administrative actions, newest first.
+ * Filter: ?action=account.create&actorId=xxx&resourceType=account&resourceId=xxx
+ *         &requestId=xxx&from=2024-01-01&to=2024-02-01
+ */
+router.get('/audit-log', async (req, res) => {
+  try {
+    const { action, actorId, resourceType, resourceId, requestId, from, to, page = 1, limit = 50 } = req.query;
+    const filter = {};
+    if (action) filter.action = action;
+    if (actorId) filter['actor.id'] = actorId;
+    if (resourceType) filter.resourceType = resourceType;
+    if (resourceId) filter.resourceId = resourceId;
+    if (requestId) filter.requestId = requestId;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lt = new Date(to);
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [records, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(Math.min(parseInt(limit), 200)),
+      AuditLog.countDocuments(filter),
     ]);
 
     res.json({
       success: true,
       data: {
         pagination: { page: parseInt(page), limit: parseInt(limit), total, pages: Math.ceil(total / parseInt(limit)) },
-        transactions,
+        records,
       },
     });
   } catch (err) {
@@ -128,10 +1206,10 @@ router.get('/system-balances', async (req, res) => {
   try {
     const systemAccounts = await Account.find({ accountType: 'system' }).populate(
       'assetType',
-      'code name'
+      'code name decimalPlaces'
     );
 
-    res.json({ success: true, data: systemAccounts });
+    res.json({ success: true, data: systemAccounts.map((account) => formatAccount(account)) });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
@@ -0,0 +1,103 @@
+const express = require('express');
+const router = express.Router();
+const ApiKey = require('../models/ApiKey');
+const { createApiKey, rotateApiKey, revokeApiKey } = require('../utils/apiKeyService');
+const { SCOPES } = require('../utils/scopes');
+const { recordAudit } = require('../utils/auditLog');
+const { callerOf } = require('../middleware/auth');
+
+// ── GET /api/admin/api-keys ──────────────────────────────────────────────────
+/**
+ * API keys, newest first, without their secrets. Filter: ?status=active
+ */
+router.get('/', async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    const apiKeys = await ApiKey.find(filter).sort({ createdAt: -1 });
+    res.json({ success: true, data: { scopes: SCOPES, apiKeys } });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ── POST /api/admin/api-keys ─────────────────────────────────────────────────
+/**
+ * Create an API key. The key is in the response only — it cannot be
+ * retrieved later.
+ *
+ * Body:
+ *   name      - string (what uses the key)
+ *   scopes    - string[] (e.g. ["wallet:read", "wallet:spend"], "admin:*")
+ *   expiresAt - ISO date (optional)
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+    const { apiKey, key } = await createApiKey({
+      name,
+      scopes,
+      expiresAt,
+      createdBy: callerOf(req),
+    });
+    await recordAudit(req, { action: 'api_key.create', resourceType: 'api_key', resourceId: apiKey._id, after: apiKey });
+    res.status(201).json({ success: true, data: { ...apiKey.toJSON(), key } });
+  } catch (err) {
+    res.status(err.code === 'AUDIT_FAILED' ? 500 : 400).json({ success: false, error: err.message });
+  }
+});
+
+// ── POST /api/admin/api-keys/:id/rotate ──────────────────────────────────────
+/**
+ * Issue a replacement key with the same scopes. The old key keeps working
+ * for a grace period so clients can switch over.
+ *
+ * Body:
+ *   graceMs - number (optional, default API_KEY_ROTATION_GRACE_MS)
+ */
+router.post('/:id/rotate', async (req, res) => {
+  try {
+    const { graceMs } = req.body || {};
+    const { apiKey, key, previous } = await rotateApiKey(req.params.id, {
+      graceMs,
+      operator: callerOf(req),
+    });
+    await recordAudit(req, {
+      action: 'api_key.rotate',
+      resourceType: 'api_key',
+      resourceId: previous._id,
+      after: { previous, replacement: apiKey },
+    });
+    res.status(201).json({ success: true, data: { ...apiKey.toJSON(), key, previous } });
+  } catch (err) {
+    let status = 400;
+    if (err.code === 'AUDIT_FAILED') status = 500;
+    else if (err.message.includes('not found')) status = 404;
+    else if (err.message.includes('already been rotated')) status = 409;
+    res.status(status).json({ success: false, error: err.message });
+  }
+});
+
+// ── POST /api/admin/api-keys/:id/revoke ──────────────────────────────────────
+/**
+ * Stop a key immediately.
+ */
+router.post('/:id/revoke', async (req, res) => {
+  try {
+    if (req.auth.type === 'apiKey' && String(req.auth.id) === req.params.id) {
+      return res.status(400).json({ success: false, error: 'A key cannot revoke itself' });
+    }
+    const before = await ApiKey.findById(req.params.id);
+    const apiKey = await revokeApiKey(req.params.id, { operator: callerOf(req) });
+    if (before && before.status !== 'revoked') {
+      await recordAudit(req, { action: 'api_key.revoke', resourceType: 'api_key', resourceId: apiKey._id, before, after: apiKey });
+    }
+    res.json({ success: true, data: apiKey });
+  } catch (err) {
+    let status = err.message.includes('not found') ? 404 : 400;
+    if (err.code === 'AUDIT_FAILED') status = 500;
+    res.status(status).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,160 @@
+const express = require('express');
+const router = express.Router();
+const BonusCampaign = require('../models/BonusCampaign');
+const {
+  createCampaign,
+  parseRecipientsCsv,
+  getCampaign,
+  listRecipients,
+  retryCampaign,
+} = require('../utils/bonusCampaignService');
+const { recordAudit } = require('../utils/auditLog');
+const { callerOf } = require('../middleware/auth');
+const { formatCampaign, formatRecipient } = require('../utils/serializers');
+
+// Campaigns carry recipient lists of tens of thousands of rows, as JSON or
+// as a CSV upload. Parsed here, behind authenticate and authorizeAdmin, so
+// only an admin can make the server buffer a body this large.
+router.use(express.json({ limit: '20mb' }), express.text({ type: 'text/csv', limit: '20mb' }));
+
+// ── POST /api/admin/bonus-campaigns ──────────────────────────────────────────
+/**
+ * Create a bulk bonus campaign. Recipients are granted in the background by
+ * the campaign worker; poll GET /:campaignId for progress.
+ *
+ * JSON body:
+ *   campaignId - string (unique — sending it again returns the same campaign)
+ *   name       - string (optional)
+ *   assetCode  - string
+ *   reason     - string (optional, recorded on each bonus)
+ *   budget     - number (optional, stop before total spend exceeds this)
+ *   recipients - [{ userId, amount }]
+ *
+ * Or a CSV upload (Content-Type: text/csv) of `userId,amount` lines, with the
+ * other fields in the query string:
+ *   POST /api/admin/bonus-campaigns?campaignId=season-7&assetCode=POINTS&budget=500000
+ */
+router.post('/', async (req, res) => {
+  try {
+    const isCsv = req.is('text/csv');
+    const fields = isCsv ? req.query : req.body;
+    const recipients = isCsv ? parseRecipientsCsv(req.body) : fields.recipients;
+
+    const { campaign, isIdempotentReplay } = await createCampaign({
+      campaignId: fields.campaignId,
+      name: fields.name,
+      assetCode: fields.assetCode,
+      reason: fields.reason,
+      budget: fields.budget,
+      recipients,
+      createdBy: callerOf(req),
+    });
+    await campaign.populate('assetType', 'code name decimalPlaces');
+
+    await recordAudit(req, {
+      action: 'bonus_campaign.create',
+      resourceType: 'bonus_campaign',
+      resourceId: campaign.campaignId,
+      after: formatCampaign(campaign),
+    }, { once: true });
+
+    res.status(isIdempotentReplay ? 200 : 202).json({
+      success: true,
+      isIdempotentReplay,
+      data: formatCampaign(campaign),
+    });
+  } catch (err) {
+    let status = err.message.includes('not found') ? 404 : 400;
+    if (err.code === 'AUDIT_FAILED') status = 500;
+    res.status(status).json({ success: false, error: err.message });
+  }
+});
+
+// ── GET /api/admin/bonus-campaigns ───────────────────────────────────────────
+/**
+ * Campaigns, newest first. Filter: ?status=running
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { status, limit = 20 } = req.query;
+    const filter = {};
+    if (status) filter.status = status;
+
+    const campaigns = await BonusCampaign.find(filter)
+      .populate('assetType', 'code name decimalPlaces')
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(limit), 100));
+
+    res.json({ success: true, data: campaigns.map((campaign) => formatCampaign(campaign)) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ── GET /api/admin/bonus-campaigns/:campaignId ───────────────────────────────
+/**
+ * A campaign with its progress: pending, succeeded and failed recipients.
+ */
+router.get('/:campaignId', async (req, res) => {
+  try {
+    const { campaign, progress } = await getCampaign(req.params.campaignId);
+    res.json({ success: true, data: formatCampaign(campaign, progress) });
+  } catch (err) {
+    const status = err.message.includes('not found') ? 404 : 500;
+    res.status(status).json({ success: false, error: err.message });
+  }
+});
+
+// ── GET /api/admin/bonus-campaigns/:campaignId/recipients ────────────────────
+/**
+ * Recipient rows with their outcome. Filter: ?status=failed
+ */
+router.get('/:campaignId/recipients', async (req, res) => {
+  try {
+    const { status, page = 1, limit = 50 } = req.query;
+    const { campaign, recipients, pagination } = await listRecipients(req.params.campaignId, {
+      status,
+      page: parseInt(page),
+      limit: Math.min(parseInt(limit), 500),
+    });
+
+    res.json({
+      success: true,
+      data: {
+        pagination,
+        recipients: recipients.map((recipient) => formatRecipient(recipient, campaign.assetType)),
+      },
+    });
+  } catch (err) {
+    const status = err.message.includes('not found') ? 404 : 500;
+    res.status(status).json({ success: false, error: err.message });
+  }
+});
+
+// ── POST /api/admin/bonus-campaigns/:campaignId/retry ────────────────────────
+/**
+ * Queue failed recipients again and resume a stopped or completed campaign.
+ *
+ * Body:
+ *   userIds - string[] (optional, only retry these recipients)
+ *   budget  - number (optional, raise the budget cap; null removes it)
+ */
+router.post('/:campaignId/retry', async (req, res) => {
+  try {
+    const { userIds, budget } = req.body || {};
+    const { campaign, retried } = await retryCampaign(req.params.campaignId, { userIds, budget });
+    await recordAudit(req, {
+      action: 'bonus_campaign.retry',
+      resourceType: 'bonus_campaign',
+      resourceId: campaign.campaignId,
+      after: { retried, userIds: userIds || null, campaign: formatCampaign(campaign) },
+    });
+    res.status(202).json({ success: true, data: { retried, campaign: formatCampaign(campaign) } });
+  } catch (err) {
+    let status = err.message.includes('not found') ? 404 : 400;
+    if (err.code === 'AUDIT_FAILED') status = 500;
+    res.status(status).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const { authorize } = require('../middleware/auth');
+const { provisionUser, getUser } = require('../utils/userService');
+const { formatUser } = require('../utils/serializers');
+
+// ── POST /api/users ──────────────────────────────────────────────────────────
+/**
+ * Provision a user with a wallet in every active asset type. Sending the
+ * same userId again creates only the wallets that are missing.
+ *
+ * Body:
+ *   userId      - string
+ *   displayName - string (optional, defaults to userId)
+ *   metadata    - object (optional)
+ *
+ * POST /api/users
+ */
+router.post('/', authorize('users:write'), async (req, res) => {
+  try {
+    const { userId, displayName, metadata } = req.body;
+    const { isIdempotentReplay, createdWallets } = await provisionUser({ userId, displayName, metadata });
+    const { user, wallets } = await getUser(userId.trim());
+
+    res.status(isIdempotentReplay ? 200 : 201).json({
+      success: true,
+      isIdempotentReplay,
+      data: { ...formatUser(user, wallets), createdWallets },
+    });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+// ── GET /api/users/:userId ───────────────────────────────────────────────────
+/**
+ * A user with their wallets
+ *
+ * GET /api/users/user_alice
+ */
+router.get('/:userId', authorize('wallet:read', { userId: (req) => req.params.userId }), async (req, res) => {
+  try {
+    const { user, wallets } = await getUser(req.params.userId);
+    res.json({ success: true, data: formatUser(user, wallets) });
+  } catch (err) {
+    const status = err.message.includes('not found') ? 404 : 500;
+    res.status(status).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = router;
@@ -2,18 +2,52 @@ const express = require('express');
 const router = express.Router();
 const walletService = require('../utils/walletService');
 const { validateIdempotencyKey } = require('../middleware/validate');
+const { authorize, canAccessUser, callerOf } = require('../middleware/auth');
+const { formatTransaction, formatExchange, formatHold } = require('../utils/serializers');
+const { streamBalances } = require('../utils/balanceStream');
+const { parseLimit } = require('../utils/pagination');
+const { prepareStatement, writeStatement } = require('../utils/statementService');
+const { hasScope } = require('../utils/scopes');
+
+// Scope checks; a user token may only touch its own wallet (see middleware/auth.js)
+const canReadWallet = authorize('wallet:read', { userId: (req) => req.params.userId });
+const canSpendFrom = (field) => authorize('wallet:spend', { userId: (req) => req.body[field] });
+const canReadHold = [authorize('wallet:read'), authorizeHold];
+const canSpendHold = [authorize('wallet:spend'), authorizeHold];
 
 // ── GET /api/wallets/:userId/balance/:assetCode ──────────────────────────────
 /**
- * Get current balance for a user's wallet
+ * Get current balance for a user's wallet, or its balance at a past moment
  *
  * GET /api/wallets/user_001/balance/GOLD
+ * GET /api/wallets/user_001/balance/GOLD?asOf=2024-03-31T23:59:59.999Z
+ *
+ * Query:
+ *   asOf - ISO date (optional): the balance after every entry up to and
+ *          including this moment
  */
-router.get('/:userId/balance/:assetCode', async (req, res) => {
+router.get('/:userId/balance/:assetCode', canReadWallet, async (req, res) => {
   try {
     const { userId, assetCode } = req.params;
-    const balance = await walletService.getBalance(userId, assetCode);
+    const balance = await walletService.getBalance(userId, assetCode, { asOf: req.query.asOf });
     res.json({ success: true, data: balance });
+  } catch (err) {
+    const status = err.message.includes('asOf') ? 400 : 404;
+    res.status(status).json({ success: false, error: err.message });
+  }
+});
+
+// ── GET /api/wallets/:userId/limits/:assetCode ───────────────────────────────
+/**
+ * Velocity limits on a wallet and the allowance left in the current window
+ *
+ * GET /api/wallets/user_001/limits/GOLD
+ */
+router.get('/:userId/limits/:assetCode', canReadWallet, async (req, res) => {
+  try {
+    const { userId, assetCode } = req.params;
+    const limits = await walletService.getLimits(userId, assetCode);
+    res.json({ success: true, data: limits });
   } catch (err) {
     res.status(404).json({ success: false, error: err.message });
   }
@@ -21,23 +55,78 @@ router.get('/:userId/balance/:assetCode', async (req, res) => {
 
 // ── GET /api/wallets/:userId/history/:assetCode ──────────────────────────────
 /**
- * Get transaction history / ledger for a user
+ * Get transaction history / ledger for a user, newest first
+ *
+ * Query:
+ *   cursor          - string (pagination.nextCursor of the previous page)
+ *   limit           - number (default 20, max 100)
+ *   from, to        - ISO dates (from inclusive, to exclusive)
+ *   entryType       - "credit" | "debit"
+ *   transactionType - string (e.g. "spend")
+ *   itemId          - string
+ *   minAmount, maxAmount - number (inclusive)
  *
- * GET /api/wallets/user_001/history/GOLD?page=1&limit=20
+ * GET /api/wallets/user_001/history/GOLD?transactionType=spend&limit=20
  */
-router.get('/:userId/history/:assetCode', async (req, res) => {
+router.get('/:userId/history/:assetCode', canReadWallet, async (req, res) => {
   try {
     const { userId, assetCode } = req.params;
-    const { page = 1, limit = 20 } = req.query;
+    const { cursor, limit, from, to, entryType, transactionType, itemId, minAmount, maxAmount } = req.query;
 
     const history = await walletService.getHistory(userId, assetCode, {
-      page: parseInt(page),
-      limit: Math.min(parseInt(limit), 100), // cap at 100
+      cursor,
+      limit: parseLimit(limit, 100),
+      from,
+      to,
+      entryType,
+      transactionType,
+      itemId,
+      minAmount,
+      maxAmount,
     });
 
     res.json({ success: true, data: history });
   } catch (err) {
-    res.status(404).json({ success: false, error: err.message });
+    const status = err.message.includes('not found') ? 404 : 400;
+    res.status(status).json({ success: false, error: err.message });
+  }
+});
+
+// ── GET /api/wallets/:userId/statement/:assetCode ────────────────────────────
+/**
+ * Download an account statement for a period: opening balance, every ledger
+ * line, totals per transaction type and closing balance (see
+ * utils/statementService.js). System accounts such as SYSTEM_REVENUE need
+ * admin:read as well.
+ *
+ * Query:
+ *   from   - ISO date (inclusive, optional)
+ *   to     - ISO date (exclusive, default now)
+ *   format - "csv" (default) | "ndjson"
+ *
+ * GET /api/wallets/user_001/statement/GOLD?from=2024-03-01&to=2024-04-01&format=csv
+ */
+router.get('/:userId/statement/:assetCode', canReadWallet, async (req, res) => {
+  let statement;
+  try {
+    const { userId, assetCode } = req.params;
+    const { from, to, format } = req.query;
+    statement = await prepareStatement({ userId, assetCode, from, to, format });
+  } catch (err) {
+    const status = err.message.includes('not found') ? 404 : 400;
+    return res.status(status).json({ success: false, error: err.message });
+  }
+
+  if (statement.account.accountType === 'system' && !hasScope(req.auth.scopes, 'admin:read')) {
+    return res.status(403).json({ success: false, error: 'Missing scope: admin:read' });
+  }
+
+  try {
+    await writeStatement(res, statement);
+  } catch (err) {
+    // Headers are already sent; cut the download short so it is not mistaken for a whole statement
+    console.error(`❌ Statement export failed: ${err.message}`);
+    res.destroy(err);
   }
 });
 
@@ -55,7 +144,7 @@ router.get('/:userId/history/:assetCode', async (req, res) => {
  *
  * POST /api/wallets/topup
  */
-router.post('/topup', validateIdempotencyKey, async (req, res) => {
+router.post('/topup', authorize('wallet:topup'), validateIdempotencyKey, async (req, res) => {
   try {
     const { userId, assetCode, amount, idempotencyKey, metadata } = req.body;
 
@@ -72,17 +161,17 @@ router.post('/topup', validateIdempotencyKey, async (req, res) => {
       amount: Number(amount),
       idempotencyKey,
       metadata,
+      caller: callerOf(req),
     });
 
     const statusCode = result.isIdempotentReplay ? 200 : 201;
     res.status(statusCode).json({
       success: true,
       isIdempotentReplay: result.isIdempotentReplay,
-      data: formatTransaction(result.transaction),
+      data: formatTransaction(result.transaction, result.assetType),
     });
   } catch (err) {
-    const status = err.message.includes('Insufficient') ? 422 : 400;
-    res.status(status).json({ success: false, error: err.message });
+    res.status(errorStatus(err)).json(errorBody(err));
   }
 });
 
@@ -97,13 +186,14 @@ router.post('/topup', validateIdempotencyKey, async (req, res) => {
  *   amount        - number
  *   idempotencyKey - string
  *   reason        - string (e.g., "referral_bonus", "level_complete")
+ *   expiresAt     - ISO date (optional, defaults to the asset type's bonusExpiryDays)
  *   metadata      - object (optional)
  *
  * POST /api/wallets/bonus
  */
-router.post('/bonus', validateIdempotencyKey, async (req, res) => {
+router.post('/bonus', authorize('bonus:issue'), validateIdempotencyKey, async (req, res) => {
   try {
-    const { userId, assetCode, amount, idempotencyKey, reason, metadata } = req.body;
+    const { userId, assetCode, amount, idempotencyKey, reason, expiresAt, metadata } = req.body;
 
     if (!userId || !assetCode || !amount) {
       return res.status(400).json({
@@ -118,24 +208,27 @@ router.post('/bonus', validateIdempotencyKey, async (req, res) => {
       amount: Number(amount),
       idempotencyKey,
       reason,
+      expiresAt,
       metadata,
+      caller: callerOf(req),
     });
 
     const statusCode = result.isIdempotentReplay ? 200 : 201;
     res.status(statusCode).json({
       success: true,
       isIdempotentReplay: result.isIdempotentReplay,
-      data: formatTransaction(result.transaction),
+      data: formatTransaction(result.transaction, result.assetType),
     });
   } catch (err) {
-    res.status(400).json({ success: false, error: err.message });
+    res.status(errorStatus(err)).json(errorBody(err));
   }
 });
 
 // ── POST /api/wallets/spend ──────────────────────────────────────────────────
 /**
  * Spend Credits (Purchase in-app item/service)
- * Deducts from user, credits to Revenue account
+ * Deducts from user, credits to Revenue account — or splits the price
+ * between Revenue and other accounts
  *
  * Body:
  *   userId        - string
@@ -143,13 +236,15 @@ router.post('/bonus', validateIdempotencyKey, async (req, res) => {
  *   amount        - number
  *   idempotencyKey - string
  *   itemId        - string (what they're buying)
+ *   splits        - [{ userId, percent }] (optional, API keys only; each userId must be
+ *                   one of the asset type's splitPayees; Revenue keeps the rest)
  *   metadata      - object (optional)
  *
  * POST /api/wallets/spend
  */
-router.post('/spend', validateIdempotencyKey, async (req, res) => {
+router.post('/spend', canSpendFrom('userId'), validateIdempotencyKey, async (req, res) => {
   try {
-    const { userId, assetCode, amount, idempotencyKey, itemId, metadata } = req.body;
+    const { userId, assetCode, amount, idempotencyKey, itemId, splits, metadata } = req.body;
 
     if (!userId || !assetCode || !amount || !itemId) {
       return res.status(400).json({
@@ -157,6 +252,10 @@ router.post('/spend', validateIdempotencyKey, async (req, res) => {
         error: 'Missing required fields: userId, assetCode, amount, itemId',
       });
     }
+    // Who gets a share of a price is the game's decision, not the buyer's
+    if (Array.isArray(splits) && splits.length > 0 && req.auth.type === 'user') {
+      return res.status(403).json({ success: false, error: 'Splits can only be set with a service API key' });
+    }
 
     const result = await walletService.spend({
       userId,
@@ -164,17 +263,316 @@ router.post('/spend', validateIdempotencyKey, async (req, res) => {
       amount: Number(amount),
       idempotencyKey,
       itemId,
+      splits: Array.isArray(splits) ? splits : [],
       metadata,
+      caller: callerOf(req),
     });
 
     const statusCode = result.isIdempotentReplay ? 200 : 201;
     res.status(statusCode).json({
       success: true,
       isIdempotentReplay: result.isIdempotentReplay,
-      data: formatTransaction(result.transaction),
+      data: formatTransaction(result.transaction, result.assetType),
     });
   } catch (err) {
-    const status = err.message.includes('Insufficient') ? 422 : 400;
+    res.status(errorStatus(err)).json(errorBody(err));
+  }
+});
+
+// ── POST /api/wallets/transfer ───────────────────────────────────────────────
+/**
+ * Peer-to-peer Transfer
+ * Moves credits from one user's wallet to another user's wallet.
+ * An optional fee is charged to the sender and credited to Revenue.
+ *
+ * Body:
+ *   fromUserId    - string (sender)
+ *   toUserId      - string (recipient)
+ *   assetCode     - string
+ *   amount        - number (what the recipient receives)
+ *   idempotencyKey - string
+ *   fee           - number (optional, charged to the sender on top of amount)
+ *   note          - string (optional)
+ *   metadata      - object (optional)
+ *
+ * POST /api/wallets/transfer
+ */
+router.post('/transfer', canSpendFrom('fromUserId'), validateIdempotencyKey, async (req, res) => {
+  try {
+    const { fromUserId, toUserId, assetCode, amount, idempotencyKey, fee, note, metadata } = req.body;
+
+    if (!fromUserId || !toUserId || !assetCode || !amount) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: fromUserId, toUserId, assetCode, amount',
+      });
+    }
+
+    const result = await walletService.transfer({
+      fromUserId,
+      toUserId,
+      assetCode,
+      amount: Number(amount),
+      idempotencyKey,
+      fee: fee === undefined ? 0 : Number(fee),
+      note,
+      metadata,
+      caller: callerOf(req),
+    });
+
+    const statusCode = result.isIdempotentReplay ? 200 : 201;
+    res.status(statusCode).json({
+      success: true,
+      isIdempotentReplay: result.isIdempotentReplay,
+      data: formatTransaction(result.transaction, result.assetType),
+    });
+  } catch (err) {
+    res.status(errorStatus(err)).json(errorBody(err));
+  }
+});
+
+// ── POST /api/wallets/exchange ───────────────────────────────────────────────
+/**
+ * Currency Exchange
+ * Converts one of the user's assets into another at the configured rate,
+ * less the spread. Both sides settle against SYSTEM_TREASURY.
+ *
+ * Body:
+ *   userId        - string
+ *   fromAssetCode - string (what the user gives up, e.g. "DIAMOND")
+ *   toAssetCode   - string (what the user receives, e.g. "GOLD")
+ *   amount        - number (in fromAssetCode)
+ *   idempotencyKey - string
+ *   metadata      - object (optional)
+ *
+ * POST /api/wallets/exchange
+ */
+router.post('/exchange', canSpendFrom('userId'), validateIdempotencyKey, async (req, res) => {
+  try {
+    const { userId, fromAssetCode, toAssetCode, amount, idempotencyKey, metadata } = req.body;
+
+    if (!userId || !fromAssetCode || !toAssetCode || !amount) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: userId, fromAssetCode, toAssetCode, amount',
+      });
+    }
+
+    const result = await walletService.exchange({
+      userId,
+      fromAssetCode,
+      toAssetCode,
+      amount: Number(amount),
+      idempotencyKey,
+      metadata,
+      caller: callerOf(req),
+    });
+
+    const statusCode = result.isIdempotentReplay ? 200 : 201;
+    res.status(statusCode).json({
+      success: true,
+      isIdempotentReplay: result.isIdempotentReplay,
+      data: formatExchange(result.transaction, result.fromAssetType, result.toAssetType),
+    });
+  } catch (err) {
+    res.status(errorStatus(err)).json(errorBody(err));
+  }
+});
+
+// ── POST /api/wallets/holds ──────────────────────────────────────────────────
+/**
+ * Place a Hold (Authorize)
+ * Reserves funds without spending them. The held amount stays in the
+ * balance but cannot be spent until the hold is captured, voided or expires.
+ *
+ * Body:
+ *   userId        - string
+ *   assetCode     - string
+ *   amount        - number
+ *   idempotencyKey - string
+ *   ttlSeconds    - number (optional, default 15 minutes)
+ *   itemId        - string (optional, what the funds are held for)
+ *   metadata      - object (optional)
+ *
+ * POST /api/wallets/holds
+ */
+router.post('/holds', canSpendFrom('userId'), validateIdempotencyKey, async (req, res) => {
+  try {
+    const { userId, assetCode, amount, idempotencyKey, ttlSeconds, itemId, metadata } = req.body;
+
+    if (!userId || !assetCode || !amount) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: userId, assetCode, amount',
+      });
+    }
+
+    const result = await walletService.placeHold({
+      userId,
+      assetCode,
+      amount: Number(amount),
+      idempotencyKey,
+      ttlSeconds: ttlSeconds === undefined ? undefined : Number(ttlSeconds),
+      itemId,
+      metadata,
+      caller: callerOf(req),
+    });
+
+    const statusCode = result.isIdempotentReplay ? 200 : 201;
+    res.status(statusCode).json({
+      success: true,
+      isIdempotentReplay: result.isIdempotentReplay,
+      data: formatHold(result.hold, result.assetType),
+    });
+  } catch (err) {
+    res.status(errorStatus(err)).json(errorBody(err));
+  }
+});
+
+// ── GET /api/wallets/transactions/by-key/:idempotencyKey ─────────────────────
+/**
+ * Look up what an idempotency key was used for — e.g. after a timeout, to
+ * learn whether the request went through before retrying it. Only the
+ * caller's own keys are found; admin:read may name another caller.
+ *
+ * Query:
+ *   operation - string (e.g. "spend", optional)
+ *   caller    - string (e.g. "key:game-server" or "user:user_001"; admin:read only)
+ *
+ * GET /api/wallets/transactions/by-key/order-7f3a2c?operation=spend
+ */
+router.get('/transactions/by-key/:idempotencyKey', authorize('wallet:read'), async (req, res) => {
+  try {
+    const { operation } = req.query;
+    let caller = callerOf(req);
+    if (req.query.caller && req.query.caller !== caller) {
+      if (!hasScope(req.auth.scopes, 'admin:read')) {
+        return res.status(403).json({ success: false, error: 'Missing scope: admin:read' });
+      }
+      caller = String(req.query.caller);
+    }
+
+    const transactions = await walletService.getTransactionsByKey({
+      idempotencyKey: req.params.idempotencyKey,
+      caller,
+      operation,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        idempotencyKey: req.params.idempotencyKey,
+        caller,
+        transactions: transactions.map((tx) => ({
+          ...formatTransaction(tx, tx.assetType),
+          operation: tx.idempotencyScope.slice(caller.length + 1),
+          requestHash: tx.requestHash,
+          keyActive: tx.idempotencyKeyActive,
+          keyExpiresAt: tx.idempotencyExpiresAt,
+        })),
+      },
+    });
+  } catch (err) {
+    res.status(404).json({ success: false, error: err.message });
+  }
+});
+
+// ── GET /api/wallets/holds/:holdId ───────────────────────────────────────────
+/**
+ * Get a hold and its outcome
+ *
+ * GET /api/wallets/holds/665f1c2e8b3a4d0012345678
+ */
+router.get('/holds/:holdId', canReadHold, async (req, res) => {
+  try {
+    res.json({ success: true, data: formatHold(req.hold) });
+  } catch (err) {
+    res.status(404).json({ success: false, error: err.message });
+  }
+});
+
+// ── POST /api/wallets/holds/:holdId/capture ──────────────────────────────────
+/**
+ * Capture a Hold
+ * Spends all or part of the held funds (credited to Revenue) and releases
+ * the rest. A hold can be captured once.
+ *
+ * Body:
+ *   idempotencyKey - string
+ *   amount        - number (optional, defaults to the full hold)
+ *   metadata      - object (optional)
+ *
+ * POST /api/wallets/holds/:holdId/capture
+ */
+router.post('/holds/:holdId/capture', canSpendHold, validateIdempotencyKey, async (req, res) => {
+  try {
+    const { amount, idempotencyKey, metadata } = req.body;
+
+    const result = await walletService.captureHold({
+      holdId: req.params.holdId,
+      amount: amount === undefined ? undefined : Number(amount),
+      idempotencyKey,
+      metadata,
+      caller: callerOf(req),
+    });
+
+    const statusCode = result.isIdempotentReplay ? 200 : 201;
+    res.status(statusCode).json({
+      success: true,
+      isIdempotentReplay: result.isIdempotentReplay,
+      data: {
+        transaction: formatTransaction(result.transaction, result.assetType),
+        hold: formatHold(result.hold, result.assetType),
+      },
+    });
+  } catch (err) {
+    res.status(errorStatus(err)).json(errorBody(err));
+  }
+});
+
+// ── POST /api/wallets/holds/:holdId/void ─────────────────────────────────────
+/**
+ * Void a Hold
+ * Releases the held funds. Voiding an already voided hold is a no-op.
+ *
+ * POST /api/wallets/holds/:holdId/void
+ */
+router.post('/holds/:holdId/void', canSpendHold, async (req, res) => {
+  try {
+    const result = await walletService.voidHold({ holdId: req.params.holdId });
+    res.json({
+      success: true,
+      isIdempotentReplay: result.isIdempotentReplay,
+      data: formatHold(result.hold, result.assetType),
+    });
+  } catch (err) {
+    res.status(errorStatus(err)).json(errorBody(err));
+  }
+});
+
+// ── GET /api/wallets/:userId/stream ──────────────────────────────────────────
+/**
+ * Live balance updates as Server-Sent Events:
+ *   transaction - a ledger entry on one of the user's wallets (event id = entry id)
+ *   balance     - a wallet's balance, held balance or status (sent on connect too)
+ *   heartbeat   - every STREAM_HEARTBEAT_MS
+ *   resync      - on a resume that missed more than STREAM_RESUME_LIMIT entries
+ *
+ * Reconnecting with a Last-Event-ID header (or ?lastEventId=) replays the
+ * entries that were missed; entries may repeat, so dedupe on the event id.
+ * Filter: ?assetCode=GOLD
+ *
+ * GET /api/wallets/user_001/stream
+ */
+router.get('/:userId/stream', canReadWallet, async (req, res) => {
+  try {
+    await streamBalances(req, res, {
+      userId: req.params.userId,
+      assetCode: req.query.assetCode,
+      lastEventId: req.get('Last-Event-ID') || req.query.lastEventId,
+    });
+  } catch (err) {
+    const status = err.message.includes('Too many open streams') ? 503 : 404;
     res.status(status).json({ success: false, error: err.message });
   }
 });
@@ -182,32 +580,65 @@ router.post('/spend', validateIdempotencyKey, async (req, res) => {
 // ── GET /api/wallets/:userId/verify/:assetCode ───────────────────────────────
 /**
  * Verify ledger integrity
- * Recomputes balance from all ledger entries and compares to cached balance.
- * Use this for auditing and debugging.
+ * Recomputes balance from the ledger (latest checkpoint + newer entries) and
+ * compares to cached balance. Use this for auditing and debugging.
  *
  * GET /api/wallets/user_001/verify/GOLD
+ * GET /api/wallets/user_001/verify/GOLD?full=true
+ *
+ * Query:
+ *   full - 'true' to re-sum the entries behind the checkpoint as well
  */
-router.get('/:userId/verify/:assetCode', async (req, res) => {
+router.get('/:userId/verify/:assetCode', canReadWallet, async (req, res) => {
   try {
     const { userId, assetCode } = req.params;
-    const result = await walletService.verifyLedgerIntegrity(userId, assetCode);
+    const result = await walletService.verifyLedgerIntegrity(userId, assetCode, {
+      full: req.query.full === 'true',
+    });
     res.json({ success: true, data: result });
   } catch (err) {
     res.status(404).json({ success: false, error: err.message });
   }
 });
 
-// ── Helper ───────────────────────────────────────────────────────────────────
-function formatTransaction(tx) {
-  return {
-    id: tx._id,
-    type: tx.type,
-    status: tx.status,
-    amount: tx.amount,
-    description: tx.description,
-    metadata: tx.metadata,
-    createdAt: tx.createdAt,
-  };
+// ── Helpers ──────────────────────────────────────────────────────────────────
+// Loads the hold in :holdId into req.hold; a user token must own it
+async function authorizeHold(req, res, next) {
+  try {
+    req.hold = await walletService.getHold(req.params.holdId);
+  } catch (err) {
+    return res.status(404).json({ success: false, error: err.message });
+  }
+  if (!canAccessUser(req, req.hold.userId)) {
+    return res.status(403).json({ success: false, error: 'A user token may only access its own wallet' });
+  }
+  next();
+}
+
+function errorStatus(err) {
+  // The same idempotency key is still in flight (or awaiting recovery)
+  if (err.message.includes('still being processed')) return 409;
+  if (err.message.includes('locked for maintenance')) return 409;
+  // The commit could not be confirmed — the same key may be retried
+  if (err.retryable) return 503;
+  if (err.message.includes('Hold not found')) return 404;
+  // The hold was already captured, voided or expired
+  if (err.message.includes('Hold is') || err.message.includes('no longer active')) return 409;
+  // The wallet is frozen, suspended or closed
+  if (err.message.includes('are not allowed')) return 409;
+  if (err.code === 'LIMIT_EXCEEDED') return 429;
+  // The idempotency key was already used for a different request
+  if (err.message.includes('already used')) return 422;
+  if (err.message.includes('Insufficient') || err.message.includes('exceeds')) return 422;
+  return 400;
+}
+
+// A breached velocity limit also reports what is left of it
+function errorBody(err) {
+  if (err.code === 'LIMIT_EXCEEDED') {
+    return { success: false, error: err.message, code: err.code, limit: err.limit };
+  }
+  return { success: false, error: err.message };
 }
 
 module.exports = router;
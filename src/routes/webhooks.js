@@ -0,0 +1,184 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const {
+  EVENT_TYPES,
+  createSubscription,
+  sendTestEvent,
+  replayDeadLetters,
+} = require('../utils/webhookService');
+const { recordAudit } = require('../utils/auditLog');
+const { callerOf } = require('../middleware/auth');
+
+// ── GET /api/admin/webhooks/subscriptions ────────────────────────────────────
+/**
+ * Subscriptions, newest first, without their secrets. Filter: ?status=active
+ */
+router.get('/subscriptions', async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    const subscriptions = await WebhookSubscription.find(filter).sort({ createdAt: -1 });
+    res.json({ success: true, data: { eventTypes: EVENT_TYPES, subscriptions } });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ── POST /api/admin/webhooks/subscriptions ───────────────────────────────────
+/**
+ * Register an endpoint. The signing secret is returned in this response only.
+ *
+ * Body:
+ *   url         - string (http or https)
+ *   events      - string[] (e.g. ["topup.completed", "spend.completed"], or ["*"])
+ *   description - string (optional)
+ *   secret      - string (optional, generated if omitted)
+ */
+router.post('/subscriptions', async (req, res) => {
+  try {
+    const { url, events, description, secret } = req.body;
+    const { subscription, secret: signingSecret } = await createSubscription({
+      url,
+      events,
+      description,
+      secret,
+      createdBy: callerOf(req),
+    });
+
+    await recordAudit(req, {
+      action: 'webhook_subscription.create',
+      resourceType: 'webhook_subscription',
+      resourceId: subscription._id,
+      after: subscription,
+    });
+
+    res.status(201).json({ success: true, data: { ...subscription.toJSON(), secret: signingSecret } });
+  } catch (err) {
+    res.status(err.code === 'AUDIT_FAILED' ? 500 : 400).json({ success: false, error: err.message });
+  }
+});
+
+// ── POST /api/admin/webhooks/subscriptions/:id/disable|enable ────────────────
+/**
+ * Stop or resume deliveries to an endpoint. Deliveries still queued for a
+ * disabled subscription move to the dead-letter list.
+ */
+for (const [action, status] of [['disable', 'disabled'], ['enable', 'active']]) {
+  router.post(`/subscriptions/:id/${action}`, async (req, res) => {
+    try {
+      const subscription = mongoose.isValidObjectId(req.params.id)
+        ? await WebhookSubscription.findById(req.params.id)
+        : null;
+      if (!subscription) {
+        return res.status(404).json({ success: false, error: `Subscription not found: ${req.params.id}` });
+      }
+
+      const before = subscription.status;
+      subscription.status = status;
+      await subscription.save();
+
+      if (before !== status) {
+        await recordAudit(req, {
+          action: `webhook_subscription.${action}`,
+          resourceType: 'webhook_subscription',
+          resourceId: subscription._id,
+          before: { status: before },
+          after: { status },
+        });
+      }
+
+      res.json({ success: true, data: subscription });
+    } catch (err) {
+      res.status(err.code === 'AUDIT_FAILED' ? 500 : 400).json({ success: false, error: err.message });
+    }
+  });
+}
+
+// ── POST /api/admin/webhooks/subscriptions/:id/test ──────────────────────────
+/**
+ * Queue a 'webhook.test' event for one endpoint. Follow it with
+ * GET /deliveries?subscriptionId=….
+ */
+router.post('/subscriptions/:id/test', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) throw new Error(`Subscription not found: ${req.params.id}`);
+    const { event, delivery } = await sendTestEvent(req.params.id);
+    res.status(202).json({ success: true, data: { eventId: event.eventId, deliveryId: delivery._id } });
+  } catch (err) {
+    const status = err.message.includes('not found') ? 404 : 400;
+    res.status(status).json({ success: false, error: err.message });
+  }
+});
+
+// ── GET /api/admin/webhooks/deliveries ───────────────────────────────────────
+/**
+ * Deliveries, newest first. The dead-letter list is ?status=dead.
+ * Filter: ?status=dead&subscriptionId=xxx&eventId=evt_xxx
+ */
+router.get('/deliveries', async (req, res) => {
+  try {
+    const { status, subscriptionId, eventId, page = 1, limit = 50 } = req.query;
+    const filter = {};
+    if (status) filter.status = status;
+    if (subscriptionId) filter.subscription = subscriptionId;
+    if (eventId) filter.eventId = eventId;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter)
+        .populate('event', 'eventId type createdAt')
+        .populate('subscription', 'url status')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(Math.min(parseInt(limit), 200)),
+      WebhookDelivery.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        pagination: { page: parseInt(page), limit: parseInt(limit), total, pages: Math.ceil(total / parseInt(limit)) },
+        deliveries,
+      },
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ── POST /api/admin/webhooks/deliveries/replay ───────────────────────────────
+/**
+ * Move dead deliveries back to the queue with a fresh set of attempts.
+ *
+ * Body (one of):
+ *   deliveryId     - string (replay one delivery)
+ *   subscriptionId - string (replay every dead delivery of an endpoint)
+ */
+router.post('/deliveries/replay', async (req, res) => {
+  try {
+    const { deliveryId, subscriptionId } = req.body;
+    for (const id of [deliveryId, subscriptionId]) {
+      if (id && !mongoose.isValidObjectId(id)) throw new Error(`Invalid id: ${id}`);
+    }
+    const replayed = await replayDeadLetters({ deliveryId, subscriptionId });
+
+    if (replayed > 0) {
+      await recordAudit(req, {
+        action: 'webhook_delivery.replay',
+        resourceType: deliveryId ? 'webhook_delivery' : 'webhook_subscription',
+        resourceId: deliveryId || subscriptionId,
+        after: { replayed },
+      });
+    }
+
+    res.status(202).json({ success: true, data: { replayed } });
+  } catch (err) {
+    res.status(err.code === 'AUDIT_FAILED' ? 500 : 400).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = router;
@@ -1,29 +1,74 @@
 /**
  * seed.js — Seeds the database with initial data
  *
- * Run: node src/seed.js
+ * Run: node src/seed.js            (a database with no ledger history yet)
+ *      node src/seed.js --reset    (also deletes all ledger history)
  *
  * Creates:
  *   - 3 Asset Types: Gold Coins, Diamonds, Loyalty Points
- *   - System accounts (Treasury, Bonus Pool, Revenue) for each asset type
+ *   - System accounts (Issuance, Treasury, Bonus Pool, Revenue, Adjustments) for each asset type
  *   - 2 User accounts for each asset type with initial balances
+ *   - Exchange rates between DIAMOND and GOLD
+ *   - An API key with every scope, printed once (it is stored hashed)
+ *
+ * Every initial balance is posted as a 'mint' transaction from SYSTEM_ISSUANCE
+ * with proper double entry — no balance is ever written onto an Account
+ * directly — so the ledger reconciles from the very first document.
+ *
+ * Re-seeding replaces asset types, accounts, users and exchange rates. It
+ * refuses to run over existing transactions unless --reset is given, since
+ * ledger history is never deleted by accident.
  */
 
 require('dotenv').config();
 const mongoose = require('mongoose');
 const AssetType = require('./models/AssetType');
 const Account = require('./models/Account');
+const Transaction = require('./models/Transaction');
+const LedgerEntry = require('./models/LedgerEntry');
+const BalanceCheckpoint = require('./models/BalanceCheckpoint');
+const RecoveryLog = require('./models/RecoveryLog');
+const ExchangeRate = require('./models/ExchangeRate');
+const BonusCampaign = require('./models/BonusCampaign');
+const CampaignRecipient = require('./models/CampaignRecipient');
+const Hold = require('./models/Hold');
+const BonusLot = require('./models/BonusLot');
+const AdjustmentRequest = require('./models/AdjustmentRequest');
+const LimitUsage = require('./models/LimitUsage');
+const ApiKey = require('./models/ApiKey');
+const User = require('./models/User');
+const WebhookEvent = require('./models/WebhookEvent');
+const WebhookDelivery = require('./models/WebhookDelivery');
+const { createApiKey } = require('./utils/apiKeyService');
+const jwt = require('./utils/jwt');
+const config = require('./config/wallet');
+const walletService = require('./utils/walletService');
 
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/wallet_service';
+const RESET = process.argv.includes('--reset');
 
 // ── Seed Data Definitions ─────────────────────────────────────────────────────
 
 const ASSET_TYPES = [
-  { code: 'GOLD', name: 'Gold Coins', description: 'Primary in-game currency', decimalPlaces: 0 },
+  {
+    code: 'GOLD',
+    name: 'Gold Coins',
+    description: 'Primary in-game currency',
+    decimalPlaces: 0,
+    // Velocity limits, in minor units
+    limits: [
+      { flow: 'spend', window: 'day', maxAmount: 5000 },
+      { flow: 'topup', window: 'hour', maxCount: 10 },
+    ],
+  },
   { code: 'DIAMOND', name: 'Diamonds', description: 'Premium currency for rare items', decimalPlaces: 0 },
-  { code: 'POINTS', name: 'Loyalty Points', description: 'Loyalty reward points', decimalPlaces: 0 },
+  { code: 'POINTS', name: 'Loyalty Points', description: 'Loyalty reward points', decimalPlaces: 0, bonusExpiryDays: 90 },
 ];
 
+// Issuance is the equity side of every opening balance. It is the only account
+// allowed to go negative: its balance is minus everything ever minted. Created
+// by walletService.ensureIssuanceAccount, as for asset types added later.
+
 // System accounts get very large balances to act as the source of funds
 const SYSTEM_ACCOUNTS = [
   {
@@ -44,6 +89,12 @@ const SYSTEM_ACCOUNTS = [
     accountType: 'system',
     initialBalance: 0,
   },
+  {
+    userId: 'SYSTEM_ADJUSTMENTS',
+    displayName: 'Adjustments — Counterparty for manual operator adjustments',
+    accountType: 'system',
+    initialBalance: 1_000_000,
+  },
 ];
 
 const USER_ACCOUNTS = [
@@ -62,8 +113,20 @@ const USER_ACCOUNTS = [
   },
 ];
 
+// Rates are in major units of the target per unit of the source
+const EXCHANGE_RATES = [
+  { from: 'DIAMOND', to: 'GOLD', rate: 100, spread: 0.02 },
+  { from: 'GOLD', to: 'DIAMOND', rate: 0.01, spread: 0.02 },
+];
+
 // ── Seed Function ─────────────────────────────────────────────────────────────
 
+// Zero balances need no transaction — an account with no entries is at 0
+async function mintOpeningBalance(account, amount) {
+  if (!amount) return;
+  await walletService.mintOpeningBalance({ accountId: account._id, amount });
+}
+
 async function seed() {
   console.log('🌱 Starting database seed...\n');
 
@@ -71,10 +134,36 @@ async function seed() {
   console.log('✅ Connected to MongoDB\n');
 
   // ── Step 1: Clear existing data ──────────────────────────────────────────
+  // Ledger history refers to the accounts cleared below, so it would be left
+  // pointing at accounts that no longer exist. Only --reset deletes it.
+  if (await Transaction.exists({})) {
+    if (!RESET) {
+      throw new Error(
+        'The database already holds ledger history. Re-run with --reset (npm run seed -- --reset) to delete it too.'
+      );
+    }
+    console.log('🗑️  --reset: deleting ledger history...');
+    await Transaction.deleteMany({});
+    await LedgerEntry.deleteMany({});
+    await BalanceCheckpoint.deleteMany({});
+    await RecoveryLog.deleteMany({});
+    await BonusCampaign.deleteMany({});
+    await CampaignRecipient.deleteMany({});
+    await Hold.deleteMany({});
+    await BonusLot.deleteMany({});
+    await LimitUsage.deleteMany({});
+    await AdjustmentRequest.deleteMany({});
+    // Events of the deleted transactions; subscriptions are kept
+    await WebhookEvent.deleteMany({});
+    await WebhookDelivery.deleteMany({});
+  }
+
   console.log('🗑️  Clearing existing seed data...');
   await AssetType.deleteMany({});
   await Account.deleteMany({});
-  // Don't clear Transactions/Ledger entries in case they exist from other runs
+  await User.deleteMany({});
+  await ExchangeRate.deleteMany({});
+  await ApiKey.deleteMany({ name: 'seed' });
   console.log('   Done.\n');
 
   // ── Step 2: Create Asset Types ───────────────────────────────────────────
@@ -87,49 +176,90 @@ async function seed() {
   }
   console.log('');
 
-  // ── Step 3: Create System Accounts ──────────────────────────────────────
+  // ── Step 3: Create Issuance Accounts ───────────────────────────────────
+  console.log('🏛️  Creating Issuance Accounts...');
+  for (const at of createdAssetTypes) {
+    await walletService.ensureIssuanceAccount(at);
+    console.log(`   ✓ SYSTEM_ISSUANCE [${at.code}]`);
+  }
+  console.log('');
+
+  // ── Step 4: Create System Accounts ──────────────────────────────────────
   console.log('🏦 Creating System Accounts...');
   for (const at of createdAssetTypes) {
     for (const sysAcc of SYSTEM_ACCOUNTS) {
-      await Account.create({
+      const account = await Account.create({
         userId: sysAcc.userId,
         displayName: `[${at.code}] ${sysAcc.displayName}`,
         accountType: sysAcc.accountType,
         assetType: at._id,
-        balance: sysAcc.initialBalance,
       });
+      await mintOpeningBalance(account, sysAcc.initialBalance);
       console.log(`   ✓ ${sysAcc.userId} [${at.code}] = ${sysAcc.initialBalance.toLocaleString()}`);
     }
   }
   console.log('');
 
-  // ── Step 4: Create User Accounts ────────────────────────────────────────
+  // ── Step 5: Create User Accounts ────────────────────────────────────────
   console.log('👤 Creating User Accounts...');
   for (const user of USER_ACCOUNTS) {
+    await User.create({ userId: user.userId, displayName: user.displayName, source: 'seed' });
     for (const at of createdAssetTypes) {
       const balance = user.balances[at.code] || 0;
-      await Account.create({
+      const account = await Account.create({
         userId: user.userId,
         displayName: `[${at.code}] ${user.displayName}`,
         accountType: user.accountType,
         assetType: at._id,
-        balance,
       });
+      await mintOpeningBalance(account, balance);
       console.log(`   ✓ ${user.userId} [${at.code}] = ${balance.toLocaleString()}`);
     }
   }
   console.log('');
 
+  // ── Step 6: Create Exchange Rates ───────────────────────────────────────
+  console.log('💱 Creating Exchange Rates...');
+  for (const { from, to, rate, spread } of EXCHANGE_RATES) {
+    await ExchangeRate.create({
+      fromAssetType: assetTypeMap[from]._id,
+      toAssetType: assetTypeMap[to]._id,
+      rate,
+      spread,
+    });
+    console.log(`   ✓ 1 ${from} → ${rate} ${to} (spread ${spread * 100}%)`);
+  }
+  console.log('');
+
+  // ── Step 7: Create an API key ───────────────────────────────────────────
+  console.log('🔑 Creating API Key...');
+  const { key } = await createApiKey({
+    name: 'seed',
+    scopes: ['wallet:*', 'bonus:issue', 'users:write', 'admin:*'],
+    createdBy: 'seed',
+  });
+  console.log(`   ✓ ${key}`);
+  console.log('     Shown once — send it as the "X-API-Key" header.');
+  if (config.auth.jwtSecret) {
+    const token = jwt.sign(
+      { sub: 'user_alice', scope: 'wallet:read wallet:spend', exp: Math.floor(Date.now() / 1000) + 24 * 60 * 60 },
+      config.auth.jwtSecret
+    );
+    console.log(`   ✓ user_alice token (24h): ${token}`);
+  }
+  console.log('');
+
   // ── Summary ──────────────────────────────────────────────────────────────
   const totalAccounts = await Account.countDocuments();
   console.log(`✅ Seed complete!`);
   console.log(`   Asset Types: ${createdAssetTypes.length}`);
   console.log(`   Total Accounts: ${totalAccounts}`);
+  console.log(`   Opening Balance Transactions: ${await Transaction.countDocuments({ type: 'mint' })}`);
   console.log('');
   console.log('🧪 Quick test commands:');
-  console.log('   GET  http://localhost:3000/api/wallets/user_alice/balance/GOLD');
-  console.log('   GET  http://localhost:3000/api/wallets/user_bob/balance/GOLD');
-  console.log('   GET  http://localhost:3000/api/admin/system-balances');
+  console.log(`   curl -H "X-API-Key: ${key}" http://localhost:3000/api/wallets/user_alice/balance/GOLD`);
+  console.log(`   curl -H "X-API-Key: ${key}" http://localhost:3000/api/wallets/user_bob/balance/GOLD`);
+  console.log(`   curl -H "X-API-Key: ${key}" http://localhost:3000/api/admin/system-balances`);
   console.log('');
 
   await mongoose.disconnect();
@@ -4,16 +4,21 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 const connectDB = require('./config/database');
+const { startWorkers } = require('./workers');
+const { startWalletEvents } = require('./utils/walletEvents');
+const { authenticate, authorizeAdmin } = require('./middleware/auth');
+const { requestId } = require('./middleware/requestId');
 
 const walletRoutes = require('./routes/wallet');
+const userRoutes = require('./routes/users');
 const adminRoutes = require('./routes/admin');
+const bonusCampaignRoutes = require('./routes/bonusCampaigns');
+const apiKeyRoutes = require('./routes/apiKeys');
+const webhookRoutes = require('./routes/webhooks');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// ── Connect to Database ──────────────────────────────────────────────────────
-connectDB();
-
 // ── Security Middleware ──────────────────────────────────────────────────────
 app.use(helmet());
 
@@ -28,8 +33,19 @@ const limiter = rateLimit({
 app.use(limiter);
 
 // ── General Middleware ───────────────────────────────────────────────────────
+// Behind a load balancer, set TRUST_PROXY (e.g. 1) so req.ip is the client's
+// address rather than the proxy's — it is written to the audit log
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+app.use(requestId);
 app.use(morgan('dev'));
-app.use(express.json({ limit: '1mb' }));
+// Bonus campaigns parse their own, much larger bodies once the caller is
+// authenticated (see routes/bonusCampaigns.js)
+const jsonParser = express.json({ limit: '1mb' });
+app.use((req, res, next) =>
+  (req.path.startsWith('/api/admin/bonus-campaigns') ? next() : jsonParser(req, res, next)));
 app.use(express.urlencoded({ extended: true }));
 
 // ── Health Check ─────────────────────────────────────────────────────────────
@@ -42,7 +58,14 @@ app.get('/health', (req, res) => {
 });
 
 // ── API Routes ───────────────────────────────────────────────────────────────
-app.use('/api/wallets', walletRoutes);
+// Every API route needs an API key or a user token; /health and / do not.
+// Wallet routes check their own scopes, admin routes need admin:read/write.
+app.use('/api/wallets', authenticate, walletRoutes);
+app.use('/api/users', authenticate, userRoutes);
+app.use('/api/admin', authenticate, authorizeAdmin);
+app.use('/api/admin/bonus-campaigns', bonusCampaignRoutes);
+app.use('/api/admin/api-keys', apiKeyRoutes);
+app.use('/api/admin/webhooks', webhookRoutes);
 app.use('/api/admin', adminRoutes);
 
 // ── API Reference ─────────────────────────────────────────────────────────────
@@ -55,17 +78,68 @@ app.get('/', (req, res) => {
       wallet: {
         getBalance:  'GET  /api/wallets/:userId/balance/:assetCode',
         getHistory:  'GET  /api/wallets/:userId/history/:assetCode',
+        getStatement:'GET  /api/wallets/:userId/statement/:assetCode',
+        getLimits:   'GET  /api/wallets/:userId/limits/:assetCode',
         topUp:       'POST /api/wallets/topup',
         bonus:       'POST /api/wallets/bonus',
         spend:       'POST /api/wallets/spend',
+        transfer:    'POST /api/wallets/transfer',
+        exchange:    'POST /api/wallets/exchange',
+        placeHold:   'POST /api/wallets/holds',
+        getByKey:    'GET  /api/wallets/transactions/by-key/:idempotencyKey',
+        getHold:     'GET  /api/wallets/holds/:holdId',
+        captureHold: 'POST /api/wallets/holds/:holdId/capture',
+        voidHold:    'POST /api/wallets/holds/:holdId/void',
         verifyLedger:'GET  /api/wallets/:userId/verify/:assetCode',
+        stream:      'GET  /api/wallets/:userId/stream',
+      },
+      users: {
+        provisionUser: 'POST /api/users',
+        getUser:       'GET  /api/users/:userId',
       },
       admin: {
         listAssetTypes:   'GET  /api/admin/asset-types',
         createAssetType:  'POST /api/admin/asset-types',
+        backfillWallets:  'POST /api/admin/asset-types/:assetCode/backfill-wallets',
+        setAssetLimits:   'PUT  /api/admin/asset-types/:assetCode/limits',
+        setSplitPayees:   'PUT  /api/admin/asset-types/:assetCode/split-payees',
+        listExchangeRates: 'GET  /api/admin/exchange-rates',
+        setExchangeRate:  'PUT  /api/admin/exchange-rates/:fromAssetCode/:toAssetCode',
         listAccounts:     'GET  /api/admin/accounts',
         createAccount:    'POST /api/admin/accounts',
+        setAccountLimits: 'PUT  /api/admin/accounts/:userId/:assetCode/limits',
+        setAccountStatus: 'PUT  /api/admin/accounts/:userId/:assetCode/status',
+        closeAccount:     'POST /api/admin/accounts/:userId/:assetCode/close',
         listTransactions: 'GET  /api/admin/transactions',
+        reverseTransaction: 'POST /api/admin/transactions/:id/reverse',
+        adjustBalance:    'POST /api/admin/adjustments',
+        adjustmentRequests: 'GET  /api/admin/adjustments/requests',
+        approveAdjustment: 'POST /api/admin/adjustments/requests/:id/approve',
+        rejectAdjustment: 'POST /api/admin/adjustments/requests/:id/reject',
+        postTransaction:  'POST /api/admin/postings',
+        createBonusCampaign: 'POST /api/admin/bonus-campaigns',
+        listBonusCampaigns: 'GET  /api/admin/bonus-campaigns',
+        bonusCampaign:    'GET  /api/admin/bonus-campaigns/:campaignId',
+        campaignRecipients: 'GET  /api/admin/bonus-campaigns/:campaignId/recipients',
+        retryBonusCampaign: 'POST /api/admin/bonus-campaigns/:campaignId/retry',
+        listApiKeys:      'GET  /api/admin/api-keys',
+        createApiKey:     'POST /api/admin/api-keys',
+        rotateApiKey:     'POST /api/admin/api-keys/:id/rotate',
+        revokeApiKey:     'POST /api/admin/api-keys/:id/revoke',
+        listWebhooks:     'GET  /api/admin/webhooks/subscriptions',
+        createWebhook:    'POST /api/admin/webhooks/subscriptions',
+        disableWebhook:   'POST /api/admin/webhooks/subscriptions/:id/disable',
+        enableWebhook:    'POST /api/admin/webhooks/subscriptions/:id/enable',
+        testWebhook:      'POST /api/admin/webhooks/subscriptions/:id/test',
+        webhookDeliveries: 'GET  /api/admin/webhooks/deliveries',
+        replayWebhooks:   'POST /api/admin/webhooks/deliveries/replay',
+        recoveryLog:      'GET  /api/admin/recovery-log',
+        runRecovery:      'POST /api/admin/recovery/run',
+        retryRecovery:    'POST /api/admin/recovery/:transactionId/retry',
+        reconciliation:   'GET  /api/admin/reconciliation',
+        reconciliationReports: 'GET  /api/admin/reconciliation/reports',
+        repairBalances:   'POST /api/admin/repair/balances',
+        auditLog:         'GET  /api/admin/audit-log',
         systemBalances:   'GET  /api/admin/system-balances',
       },
     },
@@ -84,12 +158,21 @@ app.use((err, req, res, next) => {
 });
 
 // ── Start Server ──────────────────────────────────────────────────────────────
-app.listen(PORT, () => {
-  console.log(`
+// Only when run directly — tests can require the app and connect it to their
+// own database (e.g., an in-memory replica set) without opening a port.
+if (require.main === module) {
+  connectDB().then(async () => {
+    await startWalletEvents();
+    startWorkers();
+  });
+
+  app.listen(PORT, () => {
+    console.log(`
 🚀 Wallet Service running on port ${PORT}
 📖 API docs: http://localhost:${PORT}/
 💊 Health:   http://localhost:${PORT}/health
-  `);
-});
+    `);
+  });
+}
 
 module.exports = app;
@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+const config = require('../config/wallet');
+const { isKnownScope } = require('./scopes');
+
+// Characters of the key kept in plain text to identify it
+const PREFIX_LENGTH = 11;
+// Don't write lastUsedAt on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Creates an API key. The key is returned only here — store it right away.
+ *
+ * @param {Object} params
+ * @param {string} params.name - What uses the key, e.g. "match-server"
+ * @param {string[]} params.scopes
+ * @param {Date|string} params.expiresAt - Optional
+ * @param {string} params.createdBy - Operator
+ * @returns {{ apiKey: Object, key: string }}
+ */
+async function createApiKey({ name, scopes, expiresAt = null, createdBy = null }) {
+  if (!name) throw new Error('name is required');
+  if (!Array.isArray(scopes) || scopes.length === 0) throw new Error('At least one scope is required');
+  const unknown = scopes.filter((scope) => !isKnownScope(scope));
+  if (unknown.length > 0) throw new Error(`Unknown scope(s): ${unknown.join(', ')}`);
+
+  let expiry = null;
+  if (expiresAt) {
+    expiry = new Date(expiresAt);
+    if (Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+      throw new Error('expiresAt must be a date in the future');
+    }
+  }
+
+  const key = `wk_${crypto.randomBytes(24).toString('base64url')}`;
+  const apiKey = await ApiKey.create({
+    name,
+    prefix: key.slice(0, PREFIX_LENGTH),
+    keyHash: hashKey(key),
+    scopes,
+    expiresAt: expiry,
+    createdBy,
+  });
+  return { apiKey, key };
+}
+
+/**
+ * Issues a replacement key with the same name and scopes. The old key keeps
+ * working for config.auth.rotationGraceMs (or `graceMs`) so clients can
+ * switch over.
+ */
+async function rotateApiKey(id, { graceMs = config.auth.rotationGraceMs, operator = null } = {}) {
+  const current = await findApiKey(id);
+  if (!current.isUsable()) throw new Error(`API key ${current.prefix} is ${current.status === 'revoked' ? 'revoked' : 'expired'}`);
+  if (current.replacedBy) throw new Error(`API key ${current.prefix} has already been rotated`);
+
+  const { apiKey, key } = await createApiKey({ name: current.name, scopes: current.scopes, createdBy: operator });
+
+  const graceEnds = new Date(Date.now() + Math.max(0, Number(graceMs) || 0));
+  const rotated = await ApiKey.findOneAndUpdate(
+    { _id: current._id, replacedBy: null },
+    {
+      replacedBy: apiKey._id,
+      expiresAt: current.expiresAt && current.expiresAt < graceEnds ? current.expiresAt : graceEnds,
+    },
+    { new: true }
+  );
+  if (!rotated) {
+    // Rotated concurrently — keep only the other replacement
+    await ApiKey.deleteOne({ _id: apiKey._id });
+    throw new Error(`API key ${current.prefix} has already been rotated`);
+  }
+
+  return { apiKey, key, previous: rotated };
+}
+
+/**
+ * Stops a key immediately. Revoking a revoked key changes nothing.
+ */
+async function revokeApiKey(id, { operator = null } = {}) {
+  const apiKey = await findApiKey(id);
+  if (apiKey.status === 'revoked') return apiKey;
+  return ApiKey.findByIdAndUpdate(
+    apiKey._id,
+    { status: 'revoked', revokedAt: new Date(), revokedBy: operator },
+    { new: true }
+  );
+}
+
+/**
+ * The usable key matching a presented key, or null.
+ */
+async function authenticateApiKey(key) {
+  const apiKey = await ApiKey.findOne({ keyHash: hashKey(key) });
+  if (!apiKey || !apiKey.isUsable()) return null;
+
+  const now = Date.now();
+  if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+    ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(now) }).catch((err) => {
+      console.error(`Failed to record use of API key ${apiKey.prefix}:`, err.message);
+    });
+  }
+  return apiKey;
+}
+
+async function findApiKey(id) {
+  const apiKey = mongoose.isValidObjectId(id) ? await ApiKey.findById(id) : null;
+  if (!apiKey) throw new Error(`API key not found: ${id}`);
+  return apiKey;
+}
+
+module.exports = {
+  createApiKey,
+  rotateApiKey,
+  revokeApiKey,
+  authenticateApiKey,
+};
@@ -0,0 +1,67 @@
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Writes the audit record of an admin action, taking the actor, request ID
+ * and source IP from the request. The actor is the authenticated caller
+ * only — nothing in the request body can change who is recorded.
+ *
+ * Pass the session when the action runs in a MongoDB transaction, so the
+ * record commits with it. Otherwise call it after the action succeeded: a
+ * failed write then fails the request (err.code 'AUDIT_FAILED', answered
+ * with 500), and for idempotent actions the client's retry writes the
+ * missing record (see `once`).
+ *
+ * @param {Object} req - Express request (after middleware/auth.js)
+ * @param {Object} entry
+ * @param {string} entry.action - e.g. 'account.create'
+ * @param {string} entry.resourceType - e.g. 'account'
+ * @param {*} entry.resourceId
+ * @param {Object} entry.before - State before the action (null when created)
+ * @param {Object} entry.after - State after the action
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session]
+ * @param {boolean|Object} [options.once] - Skip the write if this action on
+ *   this resource is already recorded (and matches these extra fields, when
+ *   an object) — for idempotent replays
+ */
+async function recordAudit(
+  req,
+  { action, resourceType, resourceId = null, before = null, after = null },
+  { session = null, once = false } = {}
+) {
+  const { auth = {} } = req;
+  const record = {
+    action,
+    actor: {
+      type: auth.type || 'anonymous',
+      id: String(auth.type === 'user' ? auth.userId : auth.id || 'unknown'),
+      name: auth.name || null,
+    },
+    resourceType,
+    resourceId: resourceId === null || resourceId === undefined ? null : String(resourceId),
+    before: toPlain(before),
+    after: toPlain(after),
+    requestId: req.id || null,
+    ip: req.ip || null,
+    userAgent: req.get('user-agent') || null,
+  };
+
+  try {
+    const recorded = once && { action, resourceId: record.resourceId, ...(once === true ? {} : once) };
+    if (recorded && (await AuditLog.exists(recorded).session(session))) return null;
+    const [created] = await AuditLog.create([record], { session });
+    return created;
+  } catch (err) {
+    console.error(`❌ AUDIT WRITE FAILED for ${action} (request ${record.requestId}): ${err.message}`, record);
+    const failed = new Error(`The audit record could not be written: ${err.message}`);
+    failed.code = 'AUDIT_FAILED';
+    throw failed;
+  }
+}
+
+// Mongoose documents and ObjectIds as plain JSON values
+function toPlain(value) {
+  return value === null || value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { recordAudit };
@@ -0,0 +1,98 @@
+const BalanceCheckpoint = require('../models/BalanceCheckpoint');
+const LedgerEntry = require('../models/LedgerEntry');
+
+/**
+ * Ledger balances from checkpoints (see models/BalanceCheckpoint.js).
+ *
+ * The balance of an account at time T is the latest checkpoint with
+ * `through` ≤ T plus the entries from `through` up to T — one indexed read
+ * and one aggregate over the entries since the checkpoint, however old the
+ * account is. Without a checkpoint the sum starts at the first entry.
+ */
+
+/**
+ * Credits − debits and the number of entries of an account, over an
+ * optional createdAt condition. Summed by MongoDB, in minor units.
+ *
+ * @returns {Promise<{ balance: number, count: number }>}
+ */
+async function sumEntries(accountId, createdAt = null) {
+  const match = { account: accountId };
+  if (createdAt && Object.keys(createdAt).length > 0) match.createdAt = createdAt;
+
+  const [row] = await LedgerEntry.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        balance: {
+          $sum: { $cond: [{ $eq: ['$entryType', 'credit'] }, '$amount', { $multiply: ['$amount', -1] }] },
+        },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+  return row ? { balance: row.balance, count: row.count } : { balance: 0, count: 0 };
+}
+
+// The latest checkpoint of an account, or the latest one covering no entry after `at`
+function latestCheckpoint(accountId, at = null) {
+  const filter = { account: accountId };
+  if (at) filter.through = { $lte: at };
+  return BalanceCheckpoint.findOne(filter).sort({ through: -1 });
+}
+
+/**
+ * The ledger balance of an account after every entry created at or before
+ * `at` (now, if omitted), and the checkpoint it started from.
+ *
+ * @returns {Promise<{ balance: number, entryCount: number, checkpoint: Object|null }>}
+ */
+async function balanceAt(accountId, at = null) {
+  const checkpoint = await latestCheckpoint(accountId, at);
+  const createdAt = {};
+  if (checkpoint) createdAt.$gte = checkpoint.through;
+  if (at) createdAt.$lte = at;
+
+  const tail = await sumEntries(accountId, createdAt);
+  return {
+    balance: (checkpoint ? checkpoint.balance : 0) + tail.balance,
+    entryCount: (checkpoint ? checkpoint.entryCount : 0) + tail.count,
+    checkpoint,
+  };
+}
+
+/**
+ * Writes a checkpoint of an account through `through` (exclusive), building
+ * on its latest checkpoint. Nothing is written when no entry was added since
+ * — the latest checkpoint still answers for that period.
+ *
+ * @param {Object} account - Needs _id and assetType
+ * @param {Date} through
+ * @returns {Promise<Object|null>} The new checkpoint
+ */
+async function writeCheckpoint(account, through) {
+  const previous = await latestCheckpoint(account._id);
+  if (previous && previous.through >= through) return null;
+
+  const createdAt = { $lt: through };
+  if (previous) createdAt.$gte = previous.through;
+  const added = await sumEntries(account._id, createdAt);
+  if (added.count === 0) return null;
+
+  try {
+    return await BalanceCheckpoint.create({
+      account: account._id,
+      assetType: account.assetType._id || account.assetType,
+      through,
+      balance: (previous ? previous.balance : 0) + added.balance,
+      entryCount: (previous ? previous.entryCount : 0) + added.count,
+    });
+  } catch (err) {
+    // Another instance checkpointed the same account through the same instant
+    if (err.code === 11000) return null;
+    throw err;
+  }
+}
+
+module.exports = { sumEntries, latestCheckpoint, balanceAt, writeCheckpoint };
@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const Account = require('../models/Account');
+const AssetType = require('../models/AssetType');
+const LedgerEntry = require('../models/LedgerEntry');
+const config = require('../config/wallet');
+const { toMajorUnits } = require('./money');
+
+/**
+ * Rebuilds cached Account.balance values from the ledger — the fix for drift
+ * found by reconciliation. The ledger is authoritative; `balance` is a cache.
+ *
+ * Each account is repaired under a maintenance lock:
+ *   1. Lock it — only when no transfer is in flight on it (no pending markers).
+ *      While locked, _atomicDebit/_atomicCredit refuse to touch it.
+ *   2. Sum its ledger entries and overwrite `balance` with the result.
+ *   3. Unlock it.
+ * So no transfer can change the balance between reading the ledger and
+ * writing the new value.
+ *
+ * In dry-run mode nothing is locked or written; the report shows what would
+ * change.
+ *
+ * @param {Object} selector - At least one of:
+ * @param {string[]} [selector.accountIds] - Specific accounts
+ * @param {string} [selector.userId] - Every wallet of a user (or system account)
+ * @param {string} [selector.assetCode] - Every account of an asset type
+ * @param {boolean} [selector.all] - Every account
+ * @param {boolean} [dryRun=true] - Report the diff without writing it
+ */
+async function rebuildBalances({ accountIds, userId, assetCode, all = false, dryRun = true } = {}) {
+  const filter = await buildFilter({ accountIds, userId, assetCode, all });
+  const accounts = await Account.find(filter).populate('assetType', 'code decimalPlaces').sort({ userId: 1 });
+
+  const results = [];
+  for (const account of accounts) {
+    results.push(dryRun ? await previewAccount(account) : await repairAccount(account));
+  }
+
+  return {
+    dryRun,
+    checked: results.length,
+    drifted: results.filter((r) => r.status !== 'unchanged').length,
+    results,
+  };
+}
+
+async function buildFilter({ accountIds, userId, assetCode, all }) {
+  if (!all && !accountIds?.length && !userId && !assetCode) {
+    throw new Error('Select accounts to rebuild: accountIds, userId, assetCode or all');
+  }
+
+  const filter = {};
+  if (accountIds?.length) {
+    const invalid = accountIds.filter((id) => !mongoose.isValidObjectId(id));
+    if (invalid.length) throw new Error(`Invalid account id(s): ${invalid.join(', ')}`);
+    filter._id = { $in: accountIds };
+  }
+  if (userId) filter.userId = userId;
+  if (assetCode) {
+    const assetType = await AssetType.findOne({ code: assetCode.toUpperCase() });
+    if (!assetType) throw new Error(`Asset type not found: ${assetCode}`);
+    filter.assetType = assetType._id;
+  }
+  return filter;
+}
+
+async function ledgerBalance(accountId) {
+  const [row] = await LedgerEntry.aggregate([
+    { $match: { account: accountId } },
+    {
+      $group: {
+        _id: null,
+        balance: {
+          $sum: { $cond: [{ $eq: ['$entryType', 'credit'] }, '$amount', { $multiply: ['$amount', -1] }] },
+        },
+      },
+    },
+  ]);
+  return row ? row.balance : 0;
+}
+
+// Balances are compared in minor units and reported in major units
+function describe(account, before, after, status, reason) {
+  const format = (minor) => toMajorUnits(minor, account.assetType.decimalPlaces);
+  return {
+    accountId: account._id,
+    userId: account.userId,
+    accountType: account.accountType,
+    assetCode: account.assetType.code,
+    before: format(before),
+    after: format(after),
+    difference: format(after - before),
+    status,
+    ...(reason ? { reason } : {}),
+  };
+}
+
+async function previewAccount(account) {
+  const computed = await ledgerBalance(account._id);
+  return describe(account, account.balance, computed, computed !== account.balance ? 'would_repair' : 'unchanged');
+}
+
+async function repairAccount(account) {
+  const lockedAt = await acquireLock(account._id);
+  if (!lockedAt) {
+    return describe(account, account.balance, account.balance, 'skipped', 'Transfer in progress or account already locked');
+  }
+
+  try {
+    // Re-read under the lock: the balance may have moved since the list query
+    const locked = await Account.findById(account._id);
+    const computed = await ledgerBalance(account._id);
+
+    if (computed === locked.balance) {
+      return describe(account, locked.balance, computed, 'unchanged');
+    }
+
+    await Account.updateOne({ _id: account._id, maintenanceLock: lockedAt }, { $set: { balance: computed } });
+    return describe(account, locked.balance, computed, 'repaired');
+  } finally {
+    await Account.updateOne({ _id: account._id, maintenanceLock: lockedAt }, { $set: { maintenanceLock: null } });
+  }
+}
+
+/**
+ * Locks an account once no transfer is in flight on it. A few short retries
+ * let in-flight transfers finish; a lock left behind by a crashed repair is
+ * taken over once it is older than the configured timeout.
+ */
+async function acquireLock(accountId) {
+  const { lockRetries, lockTimeoutMs } = config.repair;
+
+  for (let attempt = 0; attempt <= lockRetries; attempt++) {
+    const lockedAt = new Date();
+    const locked = await Account.findOneAndUpdate(
+      {
+        _id: accountId,
+        'pendingTransactions.0': { $exists: false }, // No transfer in flight
+        $or: [
+          { maintenanceLock: null },
+          { maintenanceLock: { $lt: new Date(lockedAt.getTime() - lockTimeoutMs) } },
+        ],
+      },
+      { $set: { maintenanceLock: lockedAt } },
+      { new: true }
+    );
+    if (locked) return lockedAt;
+    await new Promise((r) => setTimeout(r, 100 * (attempt + 1)));
+  }
+  return null;
+}
+
+module.exports = { rebuildBalances };
@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const Account = require('../models/Account');
+const AssetType = require('../models/AssetType');
+const LedgerEntry = require('../models/LedgerEntry');
+const config = require('../config/wallet');
+const { subscribe, formatLedgerEvent, formatBalanceEvent, lookupAssetType } = require('./walletEvents');
+
+// A resume also replays entries this many seconds older than Last-Event-ID:
+// ObjectIds from different API instances are only ordered to the second.
+const RESUME_OVERLAP_SECONDS = 2;
+
+let openStreams = 0;
+
+/**
+ * Streams a user's wallet events as Server-Sent Events (see walletEvents):
+ *
+ *   1. replays ledger entries after `lastEventId`, when resuming — or, when
+ *      more than config.streams.resumeLimit were missed, sends a `resync`
+ *      event instead: the client reloads its history from the REST API
+ *   2. sends a `balance` snapshot of each wallet
+ *   3. then pushes live `transaction` and `balance` events, with a
+ *      `heartbeat` event every config.streams.heartbeatMs
+ *
+ * Live events that arrive during steps 1–2 are held back and sent after
+ * them, without repeating an entry the replay already sent. The replay
+ * starts RESUME_OVERLAP_SECONDS before `lastEventId`, so it can repeat
+ * entries the client already has; clients dedupe on the event id.
+ *
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Object} options
+ * @param {string} options.userId
+ * @param {string} options.assetCode - Only this asset's wallet (optional)
+ * @param {string} options.lastEventId - LedgerEntry id to resume after (optional)
+ */
+async function streamBalances(req, res, { userId, assetCode, lastEventId }) {
+  if (openStreams >= config.streams.maxConnections) {
+    throw new Error('Too many open streams — please retry shortly');
+  }
+
+  const filter = { userId, accountType: 'user' };
+  if (assetCode) {
+    const assetType = await AssetType.findOne({ code: assetCode.toUpperCase(), isActive: true });
+    if (!assetType) throw new Error(`Asset type not found or inactive: ${assetCode}`);
+    filter.assetType = assetType._id;
+  }
+  const accountIds = await Account.distinct('_id', filter);
+  if (accountIds.length === 0) throw new Error(`No wallet found for user ${userId}`);
+  const wantedAsset = assetCode ? assetCode.toUpperCase() : null;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop proxies such as nginx from buffering the stream
+    'X-Accel-Buffering': 'no',
+  });
+  res.write(`retry: ${config.streams.retryMs}\n\n`);
+  openStreams += 1;
+
+  let closed = false;
+  const write = ({ event, id, data }) => {
+    if (closed) return;
+    res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Entry ids sent while catching up; null once live
+  let sentIds = new Set();
+  const held = [];
+  const deliver = (event) => {
+    if (wantedAsset && event.data.assetCode !== wantedAsset) return;
+    if (event.id && sentIds) {
+      if (sentIds.has(event.id)) return;
+      sentIds.add(event.id);
+    }
+    write(event);
+  };
+
+  const unsubscribe = subscribe(userId, (event) => (sentIds ? held.push(event) : deliver(event)));
+  const heartbeat = setInterval(() => write({ event: 'heartbeat', data: { time: new Date() } }), config.streams.heartbeatMs);
+  res.on('close', () => {
+    closed = true;
+    openStreams -= 1;
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  try {
+    // ── 1. Replay what was missed ─────────────────────────────────────────
+    if (lastEventId && mongoose.isValidObjectId(lastEventId)) {
+      const last = new mongoose.Types.ObjectId(lastEventId);
+      const since = mongoose.Types.ObjectId.createFromTime(
+        Math.floor(last.getTimestamp().getTime() / 1000) - RESUME_OVERLAP_SECONDS
+      );
+      const entries = await LedgerEntry.find({ account: { $in: accountIds }, _id: { $gt: since, $ne: last } })
+        .sort({ _id: 1 })
+        .limit(config.streams.resumeLimit + 1);
+      if (entries.length > config.streams.resumeLimit) {
+        // Too far behind to replay: a partial replay would lose entries unseen
+        write({
+          event: 'resync',
+          data: { lastEventId, error: 'Too many missed entries to replay — reload the wallet history' },
+        });
+      } else {
+        for (const entry of entries) deliver(formatLedgerEvent(entry, await lookupAssetType(entry.assetType)));
+      }
+    }
+
+    // ── 2. Current balances ───────────────────────────────────────────────
+    const accounts = await Account.find({ _id: { $in: accountIds } });
+    for (const account of accounts) deliver(formatBalanceEvent(account, await lookupAssetType(account.assetType)));
+
+    // ── 3. Go live ────────────────────────────────────────────────────────
+    for (const event of held.splice(0)) deliver(event);
+    sentIds = null;
+  } catch (err) {
+    write({ event: 'error', data: { error: err.message } });
+    res.end();
+  }
+}
+
+module.exports = { streamBalances };
@@ -0,0 +1,230 @@
+const AssetType = require('../models/AssetType');
+const BonusCampaign = require('../models/BonusCampaign');
+const CampaignRecipient = require('../models/CampaignRecipient');
+const config = require('../config/wallet');
+const { toMinorUnits } = require('./money');
+
+// Recipients written per insertMany
+const INSERT_CHUNK_SIZE = 1000;
+// Row errors listed in a rejected request
+const MAX_REPORTED_ERRORS = 20;
+
+/**
+ * Creates a bonus campaign and stores its recipients; the campaign worker
+ * then grants the bonuses in the background.
+ *
+ * Creating a campaign with a campaignId that already exists returns the
+ * existing campaign. If an earlier request died while storing recipients,
+ * the repeat stores the rest (rows already stored are skipped) and starts it.
+ *
+ * @param {Object} params
+ * @param {string} params.campaignId - Unique, chosen by the caller
+ * @param {string} params.name
+ * @param {string} params.assetCode
+ * @param {string} params.reason - Bonus reason recorded on each transaction
+ * @param {number} params.budget - Cap on total spend, major units (optional)
+ * @param {Object[]} params.recipients - { userId, amount } in major units
+ * @param {string} params.createdBy - Operator
+ * @returns {{ campaign: Object, isIdempotentReplay: boolean }}
+ */
+async function createCampaign({ campaignId, name, assetCode, reason, budget, recipients, createdBy = null }) {
+  if (!campaignId || !assetCode) throw new Error('campaignId and assetCode are required');
+  if (!Array.isArray(recipients) || recipients.length === 0) {
+    throw new Error('At least one recipient is required');
+  }
+  if (recipients.length > config.campaigns.maxRecipients) {
+    throw new Error(`Too many recipients: ${recipients.length} (maximum ${config.campaigns.maxRecipients})`);
+  }
+
+  const existing = await BonusCampaign.findOne({ campaignId });
+  if (existing && existing.status !== 'pending') {
+    return { campaign: existing, isIdempotentReplay: true };
+  }
+
+  const assetType = await AssetType.findOne({ code: assetCode.toUpperCase(), isActive: true });
+  if (!assetType) throw new Error(`Asset type not found or inactive: ${assetCode}`);
+
+  const rows = parseRecipients(recipients, assetType.decimalPlaces);
+
+  let campaign = existing;
+  if (!campaign) {
+    try {
+      campaign = await BonusCampaign.create({
+        campaignId,
+        name: name || campaignId,
+        assetType: assetType._id,
+        reason: reason || `campaign:${campaignId}`,
+        budget: budget === undefined || budget === null ? null : toMinorUnits(budget, assetType.decimalPlaces),
+        totalRecipients: rows.length,
+        createdBy,
+      });
+    } catch (err) {
+      // A concurrent request created it first
+      if (err.code !== 11000) throw err;
+      return { campaign: await BonusCampaign.findOne({ campaignId }), isIdempotentReplay: true };
+    }
+  }
+
+  for (let i = 0; i < rows.length; i += INSERT_CHUNK_SIZE) {
+    const chunk = rows.slice(i, i + INSERT_CHUNK_SIZE).map((row) => ({ ...row, campaign: campaign._id }));
+    try {
+      await CampaignRecipient.insertMany(chunk, { ordered: false });
+    } catch (err) {
+      // Rows stored by an earlier, interrupted request
+      if (err.code !== 11000) throw err;
+    }
+  }
+
+  campaign = await BonusCampaign.findOneAndUpdate(
+    { _id: campaign._id, status: 'pending' },
+    { status: 'running' },
+    { new: true }
+  ) || await BonusCampaign.findById(campaign._id);
+
+  return { campaign, isIdempotentReplay: !!existing };
+}
+
+/**
+ * Validates a recipient list and converts amounts to minor units. Every bad
+ * row is reported (up to MAX_REPORTED_ERRORS) so the whole list can be fixed
+ * in one go; nothing is stored unless every row is valid.
+ */
+function parseRecipients(recipients, decimalPlaces) {
+  const rows = [];
+  const errors = [];
+  const seen = new Set();
+
+  recipients.forEach((recipient, i) => {
+    const rowNumber = recipient.row || i + 1;
+    const userId = typeof recipient.userId === 'string' ? recipient.userId.trim() : '';
+    if (!userId) {
+      errors.push(`Row ${rowNumber}: userId is required`);
+      return;
+    }
+    if (seen.has(userId)) {
+      errors.push(`Row ${rowNumber}: duplicate recipient ${userId}`);
+      return;
+    }
+    seen.add(userId);
+
+    try {
+      const amount = toMinorUnits(recipient.amount, decimalPlaces);
+      if (amount <= 0) throw new Error('Amount must be a positive number');
+      rows.push({ userId, amount });
+    } catch (err) {
+      errors.push(`Row ${rowNumber}: ${err.message}`);
+    }
+  });
+
+  if (errors.length > 0) {
+    const more = errors.length > MAX_REPORTED_ERRORS ? ` (and ${errors.length - MAX_REPORTED_ERRORS} more)` : '';
+    throw new Error(`Invalid recipients: ${errors.slice(0, MAX_REPORTED_ERRORS).join('; ')}${more}`);
+  }
+  return rows;
+}
+
+/**
+ * Parses a CSV recipient list: one `userId,amount` per line, with an
+ * optional header row. Amounts stay text so precision is checked exactly.
+ */
+function parseRecipientsCsv(text) {
+  const lines = String(text || '').split(/\r?\n/);
+  const recipients = [];
+
+  lines.forEach((line, i) => {
+    if (!line.trim()) return;
+    const [userId = '', amount = ''] = line.split(',').map((cell) => cell.trim().replace(/^"(.*)"$/, '$1'));
+    // Header row
+    if (i === 0 && Number.isNaN(Number(amount))) return;
+    recipients.push({ row: i + 1, userId, amount });
+  });
+
+  return recipients;
+}
+
+/**
+ * A campaign with its progress: how many recipients are pending, succeeded
+ * and failed.
+ */
+async function getCampaign(campaignId) {
+  const campaign = await BonusCampaign.findOne({ campaignId }).populate('assetType', 'code name decimalPlaces');
+  if (!campaign) throw new Error(`Campaign not found: ${campaignId}`);
+
+  const counts = await CampaignRecipient.aggregate([
+    { $match: { campaign: campaign._id } },
+    { $group: { _id: '$status', count: { $sum: 1 }, amount: { $sum: '$amount' } } },
+  ]);
+
+  const progress = { pending: 0, succeeded: 0, failed: 0, grantedAmount: 0 };
+  for (const { _id: status, count, amount } of counts) {
+    progress[status] = count;
+    if (status === 'succeeded') progress.grantedAmount = amount;
+  }
+
+  return { campaign, progress };
+}
+
+/**
+ * Recipients of a campaign, optionally filtered by status.
+ */
+async function listRecipients(campaignId, { status, page = 1, limit = 50 } = {}) {
+  const campaign = await BonusCampaign.findOne({ campaignId }).populate('assetType', 'code name decimalPlaces');
+  if (!campaign) throw new Error(`Campaign not found: ${campaignId}`);
+
+  const filter = { campaign: campaign._id };
+  if (status) filter.status = status;
+
+  const [recipients, total] = await Promise.all([
+    CampaignRecipient.find(filter)
+      .sort({ _id: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    CampaignRecipient.countDocuments(filter),
+  ]);
+
+  return { campaign, recipients, pagination: { page, limit, total, pages: Math.ceil(total / limit) } };
+}
+
+/**
+ * Puts failed recipients (all of them, or just `userIds`) back in the queue
+ * and resumes a stopped or completed campaign. Each retried row gets a new
+ * attempt number and so a new idempotency key.
+ *
+ * @param {string} campaignId
+ * @param {Object} options
+ * @param {string[]} options.userIds - Only retry these recipients (optional)
+ * @param {number} options.budget - New budget cap, major units (optional)
+ * @returns {{ campaign: Object, retried: number }}
+ */
+async function retryCampaign(campaignId, { userIds, budget } = {}) {
+  const campaign = await BonusCampaign.findOne({ campaignId }).populate('assetType', 'code name decimalPlaces');
+  if (!campaign) throw new Error(`Campaign not found: ${campaignId}`);
+  if (campaign.status === 'pending') {
+    throw new Error('Campaign is still being created — repeat the create request to finish it');
+  }
+
+  const filter = { campaign: campaign._id, status: 'failed' };
+  if (Array.isArray(userIds) && userIds.length > 0) filter.userId = { $in: userIds };
+
+  const { modifiedCount } = await CampaignRecipient.updateMany(filter, {
+    $set: { status: 'pending', lastError: null },
+    $inc: { attempt: 1 },
+  });
+
+  const update = { status: 'running', stopReason: null, completedAt: null };
+  if (budget !== undefined) {
+    update.budget = budget === null ? null : toMinorUnits(budget, campaign.assetType.decimalPlaces);
+  }
+  const updated = await BonusCampaign.findByIdAndUpdate(campaign._id, update, { new: true, runValidators: true })
+    .populate('assetType', 'code name decimalPlaces');
+
+  return { campaign: updated, retried: modifiedCount };
+}
+
+module.exports = {
+  createCampaign,
+  parseRecipientsCsv,
+  getCampaign,
+  listRecipients,
+  retryCampaign,
+};
@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const config = require('../config/wallet');
+
+/**
+ * Idempotency keys are scoped to who sent them and for which operation —
+ * `<caller>:<operation>`, e.g. "key:game-server:spend" or "user:alice:transfer"
+ * (see callerOf in middleware/auth.js). Two callers can never collide on a
+ * key, and one caller may reuse a key for a different operation.
+ *
+ * Each key also stores a hash of the normalized request. A retry must send
+ * the same request: the same key with a different amount, user or item is
+ * refused instead of silently replaying the first result.
+ *
+ * Keys the service derives itself (bonus expiry, closures, campaigns, …)
+ * use the caller SYSTEM_CALLER and never expire. A client's key is released
+ * config.idempotency.keyTtlHours after it was used, if that is set (see
+ * workers/idempotencyKeyExpiry.js); it can then be used again.
+ */
+const SYSTEM_CALLER = 'system';
+
+function idempotencyScope(caller, operation) {
+  return `${caller || SYSTEM_CALLER}:${operation}`;
+}
+
+/**
+ * Scope and request hash of a client request, as passed to
+ * walletService._postTransaction.
+ *
+ * @param {string} caller - From callerOf(req); null for the service itself
+ * @param {string} operation - e.g. 'spend'
+ * @param {Object} params - The request, normalized: amounts in minor units,
+ *   asset codes upper-cased, optional fields as null
+ * @returns {{ scope: string, requestHash: string, expiresAt: Date|null }}
+ */
+function describeRequest(caller, operation, params) {
+  const hours = config.idempotency.keyTtlHours;
+  return {
+    scope: idempotencyScope(caller, operation),
+    requestHash: crypto.createHash('sha256').update(canonicalJson({ operation, params })).digest('hex'),
+    expiresAt: caller && hours > 0 ? new Date(Date.now() + hours * 60 * 60 * 1000) : null,
+  };
+}
+
+// JSON with object keys sorted, so equal requests hash equally whatever
+// order their fields came in
+function canonicalJson(value) {
+  if (value === undefined || value === null) return 'null';
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (value instanceof mongoose.Types.ObjectId) return JSON.stringify(value.toString());
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (typeof value === 'object') {
+    const keys = Object.keys(value).filter((key) => value[key] !== undefined).sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * The Transaction filter that finds an idempotency key in a scope.
+ *
+ * Keys recorded before scoping have no scope, and nothing on them says who
+ * sent them. Only the service's own keys still match them per asset type, so
+ * a derived key (bonus expiry, closure, …) is not posted twice across the
+ * upgrade. A client's unscoped key matches nothing: replaying it to another
+ * caller would hand over that caller's transaction.
+ */
+function idempotencyFilter(scope, idempotencyKey, assetTypeIds) {
+  const scoped = { idempotencyScope: scope, idempotencyKey, idempotencyKeyActive: true };
+  if (!scope.startsWith(`${SYSTEM_CALLER}:`)) return scoped;
+  return {
+    $or: [scoped, { idempotencyScope: null, idempotencyKey, assetTypes: { $in: assetTypeIds } }],
+  };
+}
+
+/**
+ * Throws if `existing` was recorded for a different request than
+ * `requestHash`. Keys recorded without a hash are not checked.
+ */
+function assertSameRequest(existing, requestHash) {
+  if (existing.requestHash && requestHash && existing.requestHash !== requestHash) {
+    throw new Error(
+      `Idempotency key ${existing.idempotencyKey} was already used with a different request`
+    );
+  }
+}
+
+module.exports = {
+  SYSTEM_CALLER,
+  idempotencyScope,
+  describeRequest,
+  idempotencyFilter,
+  assertSameRequest,
+};
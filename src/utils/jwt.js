@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+
+/**
+ * Minimal HS256 JSON Web Tokens for end-user authentication. Only HS256 is
+ * accepted — a token naming any other algorithm (including "none") is
+ * rejected before its signature is looked at.
+ */
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+function sign(payload, secret) {
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = base64url(JSON.stringify(payload));
+  const signature = crypto.createHmac('sha256', secret).update(`${header}.${body}`).digest('base64url');
+  return `${header}.${body}.${signature}`;
+}
+
+/**
+ * Verifies the signature and the time claims of a token.
+ *
+ * @param {string} token
+ * @param {Object} options
+ * @param {string} options.secret
+ * @param {string} options.issuer - Required `iss`, if set
+ * @param {string} options.audience - Required `aud`, if set
+ * @returns {Object} The payload
+ */
+function verify(token, { secret, issuer = null, audience = null }) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) throw new Error('Malformed token');
+  const [header, body, signature] = parts;
+
+  let decodedHeader;
+  let payload;
+  try {
+    decodedHeader = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (err) {
+    throw new Error('Malformed token');
+  }
+  if (decodedHeader.alg !== 'HS256') throw new Error('Unsupported token algorithm');
+
+  const expected = crypto.createHmac('sha256', secret).update(`${header}.${body}`).digest();
+  const actual = Buffer.from(signature, 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw new Error('Invalid token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof payload.exp !== 'number') throw new Error('Token has no expiry');
+  if (now >= payload.exp) throw new Error('Token has expired');
+  if (typeof payload.nbf === 'number' && now < payload.nbf) throw new Error('Token is not valid yet');
+  if (issuer && payload.iss !== issuer) throw new Error('Invalid token issuer');
+  if (audience && ![].concat(payload.aud).includes(audience)) throw new Error('Invalid token audience');
+
+  return payload;
+}
+
+module.exports = { sign, verify };
@@ -0,0 +1,183 @@
+const LimitUsage = require('../models/LimitUsage');
+const { toMinorUnits, toMajorUnits } = require('./money');
+
+const FLOWS = ['topup', 'spend', 'transfer'];
+const WINDOW_MS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Validates velocity rules from an admin request and converts maxAmount to
+ * minor units. A flow may have one rule per window.
+ *
+ * @param {Object[]} rules - { flow, window, maxAmount?, maxCount? } in major units
+ * @param {number} decimalPlaces - Of the asset the rules apply to
+ */
+function parseLimitRules(rules, decimalPlaces) {
+  if (!Array.isArray(rules)) throw new Error('limits must be an array');
+
+  const seen = new Set();
+  return rules.map((rule) => {
+    const { flow, window } = rule || {};
+    if (!FLOWS.includes(flow)) throw new Error(`Invalid limit flow: ${flow} (expected ${FLOWS.join(', ')})`);
+    if (window !== 'transaction' && !WINDOW_MS[window]) {
+      throw new Error(`Invalid limit window: ${window} (expected transaction, hour, day)`);
+    }
+    if (seen.has(`${flow}:${window}`)) throw new Error(`Duplicate limit for ${flow} per ${window}`);
+    seen.add(`${flow}:${window}`);
+
+    const maxAmount = rule.maxAmount === undefined || rule.maxAmount === null
+      ? null
+      : toMinorUnits(rule.maxAmount, decimalPlaces);
+    const maxCount = rule.maxCount === undefined || rule.maxCount === null ? null : Number(rule.maxCount);
+    if (maxAmount !== null && maxAmount < 0) throw new Error('maxAmount cannot be negative');
+    if (maxCount !== null && !(Number.isInteger(maxCount) && maxCount >= 0)) {
+      throw new Error('maxCount must be a non-negative whole number');
+    }
+    if (window === 'transaction' && maxCount !== null) {
+      throw new Error('A per-transaction limit can only set maxAmount');
+    }
+    return { flow, window, maxAmount, maxCount };
+  });
+}
+
+/**
+ * The rules that apply to one flow of an account: the asset type's, with
+ * the account's overrides for the same window in their place.
+ */
+function effectiveRules(account, assetType, flow) {
+  const rules = new Map();
+  for (const rule of [...(assetType.limits || []), ...(account.limits || [])]) {
+    if (rule.flow === flow) rules.set(rule.window, rule);
+  }
+  return [...rules.values()].filter((rule) => rule.maxAmount !== null || rule.maxCount !== null);
+}
+
+/**
+ * Reserves `amount` (and one transaction) against every rule for the flow.
+ * Each window is reserved with a single conditional update, so concurrent
+ * requests cannot overshoot a limit. On a breach nothing stays reserved and
+ * the error carries `code: 'LIMIT_EXCEEDED'` and the allowance left.
+ *
+ * @returns {Promise<Function>} Gives the whole reservation back
+ */
+async function reserveLimits({ account, assetType, flow, amount, now = new Date() }) {
+  const releases = [];
+  const release = () => Promise.all(releases.map((fn) => fn()));
+
+  try {
+    for (const rule of effectiveRules(account, assetType, flow)) {
+      if (rule.window === 'transaction') {
+        if (amount > rule.maxAmount) throw limitExceeded(rule, assetType, { remainingAmount: rule.maxAmount });
+        continue;
+      }
+
+      const key = { account: account._id, flow, window: rule.window, windowStart: windowStart(rule.window, now) };
+      await ensureUsage(key);
+
+      const filter = { ...key };
+      if (rule.maxAmount !== null) filter.amount = { $lte: rule.maxAmount - amount };
+      if (rule.maxCount !== null) filter.count = { $lte: rule.maxCount - 1 };
+
+      const reserved = await LimitUsage.findOneAndUpdate(filter, { $inc: { amount, count: 1 } });
+      if (!reserved) {
+        throw limitExceeded(rule, assetType, remainingFor(rule, await LimitUsage.findOne(key)), resetsAt(key));
+      }
+      releases.push(() => LimitUsage.updateOne(key, { $inc: { amount: -amount, count: -1 } }));
+    }
+  } catch (err) {
+    await release();
+    throw err;
+  }
+
+  return release;
+}
+
+/**
+ * Every rule on an account with what is left of it in the current window,
+ * in major units.
+ */
+async function getAllowances(account, assetType, now = new Date()) {
+  const allowances = [];
+  for (const flow of FLOWS) {
+    for (const rule of effectiveRules(account, assetType, flow)) {
+      const allowance = {
+        flow,
+        window: rule.window,
+        maxAmount: toMajorUnits(rule.maxAmount, assetType.decimalPlaces),
+        maxCount: rule.maxCount,
+      };
+      if (rule.window !== 'transaction') {
+        const key = { account: account._id, flow, window: rule.window, windowStart: windowStart(rule.window, now) };
+        const { remainingAmount, remainingCount } = remainingFor(rule, await LimitUsage.findOne(key));
+        allowance.remainingAmount = toMajorUnits(remainingAmount, assetType.decimalPlaces);
+        allowance.remainingCount = remainingCount;
+        allowance.resetsAt = resetsAt(key);
+      }
+      allowances.push(allowance);
+    }
+  }
+  return allowances;
+}
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+function windowStart(window, now) {
+  return new Date(Math.floor(now.getTime() / WINDOW_MS[window]) * WINDOW_MS[window]);
+}
+
+function resetsAt({ window, windowStart: start }) {
+  return new Date(start.getTime() + WINDOW_MS[window]);
+}
+
+// Creates the usage row for a window if this is its first transaction
+async function ensureUsage(key) {
+  try {
+    await LimitUsage.updateOne(
+      key,
+      { $setOnInsert: { amount: 0, count: 0, expiresAt: new Date(resetsAt(key).getTime() + WINDOW_MS.day) } },
+      { upsert: true }
+    );
+  } catch (err) {
+    // A concurrent request created it first
+    if (err.code !== 11000) throw err;
+  }
+}
+
+function remainingFor(rule, usage) {
+  const used = usage || { amount: 0, count: 0 };
+  return {
+    remainingAmount: rule.maxAmount === null ? null : Math.max(0, rule.maxAmount - used.amount),
+    remainingCount: rule.maxCount === null ? null : Math.max(0, rule.maxCount - used.count),
+  };
+}
+
+function limitExceeded(rule, assetType, { remainingAmount = null, remainingCount = null }, resetAt = null) {
+  const format = (amount) => `${toMajorUnits(amount, assetType.decimalPlaces)} ${assetType.code}`;
+  const cap = rule.window === 'transaction' ? 'per transaction' : `per ${rule.window}`;
+  const parts = [];
+  if (rule.maxAmount !== null) parts.push(`${format(rule.maxAmount)} ${cap} (${format(remainingAmount)} left)`);
+  if (rule.maxCount !== null) parts.push(`${rule.maxCount} transactions ${cap} (${remainingCount} left)`);
+
+  const err = new Error(
+    `Limit exceeded: ${rule.flow} is capped at ${parts.join(' and ')}${resetAt ? `; resets at ${resetAt.toISOString()}` : ''}`
+  );
+  err.code = 'LIMIT_EXCEEDED';
+  err.limit = {
+    flow: rule.flow,
+    window: rule.window,
+    maxAmount: toMajorUnits(rule.maxAmount, assetType.decimalPlaces),
+    maxCount: rule.maxCount,
+    remainingAmount: toMajorUnits(remainingAmount, assetType.decimalPlaces),
+    remainingCount,
+    resetsAt: resetAt,
+  };
+  return err;
+}
+
+module.exports = {
+  parseLimitRules,
+  reserveLimits,
+  getAllowances,
+};
@@ -0,0 +1,102 @@
+const Account = require('../models/Account');
+const Transaction = require('../models/Transaction');
+const Hold = require('../models/Hold');
+
+/**
+ * Data migrations for upgrading an existing database. Mongoose adds new
+ * fields to documents only as they are written, and never drops an index,
+ * so anything older data depends on is fixed here instead of left to schema
+ * defaults.
+ *
+ * Every migration is safe to run again: it only touches documents (or
+ * indexes) still in the old shape, and reports how many it changed. Run them
+ * all with `npm run migrate` before starting a new version.
+ */
+
+// ── Account status ───────────────────────────────────────────────────────────
+/**
+ * Accounts created before the status lifecycle have `isActive` instead of
+ * `status`. An inactive account becomes `suspended` — blocked both ways, but
+ * reversible, unlike `closed`, which would also need its balance swept.
+ *
+ * Works on the raw collection: `isActive` is no longer in the schema, so
+ * Mongoose would strip it from the filter and the update.
+ */
+async function migrateAccountStatus() {
+  const accounts = Account.collection;
+  const now = new Date();
+
+  const suspended = await accounts.updateMany(
+    { status: { $exists: false }, isActive: false },
+    {
+      $set: {
+        status: 'suspended',
+        statusReason: 'Inactive before account statuses were introduced',
+        statusChangedAt: now,
+        statusChangedBy: 'migration',
+      },
+      $unset: { isActive: '' },
+    }
+  );
+  const active = await accounts.updateMany(
+    { status: { $exists: false } },
+    { $set: { status: 'active' }, $unset: { isActive: '' } }
+  );
+  // Accounts that got a status from a later write still carry the old flag
+  await accounts.updateMany({ isActive: { $exists: true } }, { $unset: { isActive: '' } });
+
+  return { active: active.modifiedCount, suspended: suspended.modifiedCount };
+}
+
+// ── Idempotency indexes ──────────────────────────────────────────────────────
+/**
+ * Idempotency keys used to be unique per asset type; now they are unique per
+ * caller scope (see utils/idempotency.js). The old unique indexes would still
+ * refuse two callers' transactions under the same key, and the one on
+ * `assetTypes` keeps the name of its non-unique replacement, which then cannot
+ * be built. Drops them and builds the current indexes.
+ */
+const LEGACY_KEY_INDEXES = ['idempotencyKey_1_assetType_1', 'idempotencyKey_1_assetTypes_1'];
+
+async function migrateIdempotencyIndexes() {
+  let dropped = 0;
+  for (const model of [Transaction, Hold]) {
+    let indexes = [];
+    try {
+      indexes = await model.collection.indexes();
+    } catch (err) {
+      // No collection yet — nothing to drop
+      if (err.codeName !== 'NamespaceNotFound') throw err;
+    }
+    for (const index of indexes) {
+      if (!index.unique || !LEGACY_KEY_INDEXES.includes(index.name)) continue;
+      await model.collection.dropIndex(index.name);
+      dropped += 1;
+    }
+    await model.createIndexes();
+  }
+  return { dropped };
+}
+
+const MIGRATIONS = [
+  { name: 'account-status', description: 'Set account status from isActive', run: migrateAccountStatus },
+  {
+    name: 'idempotency-indexes',
+    description: 'Drop the unique per-asset idempotency key indexes',
+    run: migrateIdempotencyIndexes,
+  },
+];
+
+/**
+ * Runs every migration in order.
+ * @returns {Promise<Array<{ name: string, description: string, result: Object }>>}
+ */
+async function runMigrations() {
+  const results = [];
+  for (const { name, description, run } of MIGRATIONS) {
+    results.push({ name, description, result: await run() });
+  }
+  return results;
+}
+
+module.exports = { runMigrations, migrateAccountStatus, migrateIdempotencyIndexes };
@@ -0,0 +1,116 @@
+/**
+ * Exact amount arithmetic.
+ *
+ * Every amount is stored as an integer number of the asset's MINOR units:
+ * with decimalPlaces = 2, "12.34" is stored as 1234. Integers add and
+ * subtract exactly, so the ledger never picks up float rounding drift and
+ * balances can be compared with === instead of an epsilon.
+ *
+ * Conversion happens only at the API boundary:
+ *   request  → toMinorUnits   (rejects more precision than the asset allows)
+ *   response → toMajorUnits   (formats back to the asset's precision)
+ * and between asset types (convertMinorUnits, for exchanges).
+ */
+
+const DECIMAL_PATTERN = /^(\d+)(?:\.(\d+))?$/;
+
+// Plain decimal notation for a Number, e.g. 1e-7 → "0.0000001"
+function toPlainString(value) {
+  const str = String(value);
+  if (!/e/i.test(str)) return str;
+  return value.toLocaleString('en-US', { useGrouping: false, maximumFractionDigits: 20 });
+}
+
+/**
+ * Converts a major-unit amount (number or numeric string) to integer minor
+ * units. Works on the decimal text rather than by multiplying floats, so
+ * 0.29 with 2 decimal places is exactly 29.
+ *
+ * @param {number|string} amount - e.g. 12.34 or "12.34"
+ * @param {number} decimalPlaces - From the AssetType
+ * @returns {number} Safe integer number of minor units
+ */
+function toMinorUnits(amount, decimalPlaces) {
+  if (typeof amount === 'number' && !Number.isFinite(amount)) {
+    throw new Error('Amount must be a finite number');
+  }
+  const text = typeof amount === 'number' ? toPlainString(amount) : String(amount).trim();
+  const negative = text.startsWith('-');
+  const match = DECIMAL_PATTERN.exec(negative ? text.slice(1) : text);
+  if (!match) throw new Error(`Invalid amount: ${amount}`);
+
+  const [, whole, fraction = ''] = match;
+  const significant = fraction.replace(/0+$/, '');
+  if (significant.length > decimalPlaces) {
+    throw new Error(
+      `Amount ${amount} has more precision than the asset allows (${decimalPlaces} decimal place${decimalPlaces === 1 ? '' : 's'})`
+    );
+  }
+
+  const minor = Number(whole + significant.padEnd(decimalPlaces, '0')) * (negative ? -1 : 1);
+  if (!Number.isSafeInteger(minor)) throw new Error(`Amount out of range: ${amount}`);
+  return minor;
+}
+
+/**
+ * Converts integer minor units back to a major-unit number for responses,
+ * e.g. 1234 with 2 decimal places → 12.34.
+ */
+function toMajorUnits(minor, decimalPlaces) {
+  if (minor === null || minor === undefined) return minor;
+  return Number((minor / 10 ** decimalPlaces).toFixed(decimalPlaces));
+}
+
+// A non-negative decimal Number as an exact fraction, e.g. 1.25 → 125 / 100
+function toFraction(value) {
+  const match = DECIMAL_PATTERN.exec(toPlainString(value));
+  if (!match) throw new Error(`Invalid decimal: ${value}`);
+  const [, whole, fraction = ''] = match;
+  return { numerator: BigInt(whole + fraction), denominator: 10n ** BigInt(fraction.length) };
+}
+
+/**
+ * Converts minor units of one asset into minor units of another at `rate`
+ * (major units of the target per major unit of the source), less `spread`.
+ * Exact decimal arithmetic, rounded down to the target's precision.
+ *
+ * @param {number} amount - Source minor units
+ * @param {Object} options
+ * @param {number} options.fromDecimalPlaces
+ * @param {number} options.toDecimalPlaces
+ * @param {number} options.rate - e.g. 100 (1 DIAMOND → 100 GOLD)
+ * @param {number} [options.spread=0] - Fraction withheld, e.g. 0.02
+ * @returns {number} Target minor units
+ */
+function convertMinorUnits(amount, { fromDecimalPlaces, toDecimalPlaces, rate, spread = 0 }) {
+  const r = toFraction(rate);
+  const s = toFraction(spread);
+
+  // amount / 10^from × rate × (1 − spread) × 10^to, as one integer division
+  const numerator =
+    BigInt(amount) * r.numerator * (s.denominator - s.numerator) * 10n ** BigInt(toDecimalPlaces);
+  const denominator = r.denominator * s.denominator * 10n ** BigInt(fromDecimalPlaces);
+  const converted = numerator / denominator;
+
+  if (converted > BigInt(Number.MAX_SAFE_INTEGER)) throw new Error(`Amount out of range: ${amount}`);
+  return Number(converted);
+}
+
+/**
+ * Splits `total` minor units in proportion to `weights`, exactly: each part
+ * is rounded down and the remainder goes to the largest weight, so the parts
+ * always add up to `total`.
+ *
+ * @param {number} total - Minor units to split
+ * @param {number[]} weights - e.g. the amounts of the original legs
+ * @returns {number[]} One part per weight (some may be 0)
+ */
+function allocateMinorUnits(total, weights) {
+  const sum = weights.reduce((acc, weight) => acc + weight, 0);
+  const parts = weights.map((weight) => Number((BigInt(total) * BigInt(weight)) / BigInt(sum)));
+  const largest = weights.indexOf(Math.max(...weights));
+  parts[largest] += total - parts.reduce((acc, part) => acc + part, 0);
+  return parts;
+}
+
+module.exports = { toMinorUnits, toMajorUnits, convertMinorUnits, allocateMinorUnits };
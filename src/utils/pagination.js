@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const { toMinorUnits } = require('./money');
+
+/**
+ * Cursor pagination over (createdAt, _id), newest first.
+ *
+ * A cursor names the last item of a page. The next page continues strictly
+ * after it, so entries written between requests never shift a page the way
+ * skip/limit does, and the query walks an index instead of skipping over
+ * everything before the page.
+ */
+
+const DEFAULT_LIMIT = 20;
+
+function encodeCursor(doc) {
+  return Buffer.from(JSON.stringify([doc.createdAt.getTime(), doc._id.toString()])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [time, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!Number.isInteger(time) || !mongoose.isValidObjectId(id)) throw new Error();
+    return { createdAt: new Date(time), _id: new mongoose.Types.ObjectId(id) };
+  } catch (err) {
+    throw new Error(`Invalid cursor: ${cursor}`);
+  }
+}
+
+// Everything older than the cursor, in (createdAt desc, _id desc) order
+function afterCursor(cursor) {
+  const { createdAt, _id } = decodeCursor(cursor);
+  return { $or: [{ createdAt: { $lt: createdAt } }, { createdAt, _id: { $lt: _id } }] };
+}
+
+/**
+ * Query options of one page. Fetches one item more than `limit` to tell
+ * whether another page follows.
+ *
+ * @returns {{ filter: Object, sort: Object, limit: number }}
+ */
+function pageQuery(filter, { cursor, limit }) {
+  return {
+    filter: cursor ? { $and: [filter, afterCursor(cursor)] } : filter,
+    sort: { createdAt: -1, _id: -1 },
+    limit: limit + 1,
+  };
+}
+
+/**
+ * Splits the result of pageQuery into the page and its pagination block.
+ *
+ * @returns {{ items: Object[], pagination: { limit: number, hasMore: boolean, nextCursor: string|null } }}
+ */
+function toPage(docs, limit) {
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+  return {
+    items,
+    pagination: {
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(items[items.length - 1]) : null,
+    },
+  };
+}
+
+function parseLimit(limit, max, fallback = DEFAULT_LIMIT) {
+  if (limit === undefined || limit === null || limit === '') return fallback;
+  const parsed = parseInt(limit);
+  if (!Number.isInteger(parsed) || parsed < 1) throw new Error(`Invalid limit: ${limit}`);
+  return Math.min(parsed, max);
+}
+
+// ── Filters ──────────────────────────────────────────────────────────────────
+
+/**
+ * A createdAt condition for `from` (inclusive) and `to` (exclusive), or null.
+ */
+function dateRange(from, to) {
+  if (!from && !to) return null;
+  const range = {};
+  for (const [name, value, op] of [['from', from, '$gte'], ['to', to, '$lt']]) {
+    if (!value) continue;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) throw new Error(`Invalid ${name} date: ${value}`);
+    range[op] = date;
+  }
+  if (range.$gte && range.$lt && range.$gte >= range.$lt) throw new Error('from must be before to');
+  return range;
+}
+
+/**
+ * A minor-unit condition for `minAmount` and `maxAmount` (both inclusive,
+ * in major units), or null.
+ */
+function amountRange(minAmount, maxAmount, decimalPlaces) {
+  if (minAmount === undefined && maxAmount === undefined) return null;
+  const range = {};
+  if (minAmount !== undefined) range.$gte = toMinorUnits(minAmount, decimalPlaces);
+  if (maxAmount !== undefined) range.$lte = toMinorUnits(maxAmount, decimalPlaces);
+  if (range.$gte !== undefined && range.$lte !== undefined && range.$gte > range.$lte) {
+    throw new Error('minAmount must not be greater than maxAmount');
+  }
+  return range;
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  pageQuery,
+  toPage,
+  parseLimit,
+  dateRange,
+  amountRange,
+};
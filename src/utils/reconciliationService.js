@@ -0,0 +1,231 @@
+const mongoose = require('mongoose');
+const Account = require('../models/Account');
+const AssetType = require('../models/AssetType');
+const Transaction = require('../models/Transaction');
+const LedgerEntry = require('../models/LedgerEntry');
+const config = require('../config/wallet');
+const { toMajorUnits } = require('./money');
+
+/**
+ * System-wide ledger reconciliation.
+ *
+ * Unlike verifyLedgerIntegrity (one user wallet), this checks every account
+ * — user and system — for every asset type, against three invariants:
+ *
+ *   1. LEDGER BALANCES — the sum of all entries (credits − debits) is 0.
+ *   2. CACHED BALANCES — each Account.balance equals the sum of its entries,
+ *      and the balances of one asset type sum to 0 (SYSTEM_ISSUANCE holds
+ *      minus everything minted).
+ *   3. TRANSACTION SHAPE — each completed Transaction has exactly the ledger
+ *      entries its legs call for (Transaction.expectedLegs) with matching
+ *      amounts, and its debits equal its credits. An exchange is checked in
+ *      each of its two asset types.
+ *
+ * Every account or transaction that breaks a rule is counted, and the first
+ * config.reconciliation.maxListed of each are listed in the report. Checks
+ * compare integer minor units exactly; the report shows amounts in major
+ * units at each asset's precision.
+ *
+ * With MongoDB transactions enabled, the checks of one asset type read a
+ * single snapshot: a transfer committing while they run is either fully in
+ * it or not at all, so it cannot show up as a mismatch.
+ *
+ * @param {Object} options
+ * @param {string} [options.assetCode] - Only reconcile this asset type
+ */
+async function runReconciliation({ assetCode } = {}) {
+  const filter = assetCode ? { code: assetCode.toUpperCase() } : {};
+  const assetTypes = await AssetType.find(filter).sort({ code: 1 });
+  if (assetCode && assetTypes.length === 0) {
+    throw new Error(`Asset type not found: ${assetCode}`);
+  }
+
+  const assets = [];
+  for (const assetType of assetTypes) {
+    // Sequential, not Promise.all — a session runs one operation at a time
+    const session = config.transactions.enabled ? await mongoose.startSession({ snapshot: true }) : null;
+    let ledger;
+    let accounts;
+    let transactions;
+    try {
+      ledger = await checkLedgerTotals(assetType, session);
+      accounts = await checkAccountBalances(assetType, session);
+      transactions = await checkTransactions(assetType, session);
+    } finally {
+      if (session) await session.endSession();
+    }
+
+    assets.push({
+      assetCode: assetType.code,
+      assetTypeId: assetType._id,
+      decimalPlaces: assetType.decimalPlaces,
+      isHealthy:
+        ledger.isBalanced &&
+        accounts.balancesSumToZero &&
+        accounts.mismatchedCount === 0 &&
+        transactions.invalidCount === 0,
+      ledger,
+      accounts,
+      transactions,
+    });
+  }
+
+  return {
+    generatedAt: new Date(),
+    isHealthy: assets.every((a) => a.isHealthy),
+    assets,
+  };
+}
+
+// ── 1. Sum of all entries = 0 ────────────────────────────────────────────────
+async function checkLedgerTotals(assetType, session) {
+  const [totals] = await LedgerEntry.aggregate([
+    { $match: { assetType: assetType._id } },
+    {
+      $group: {
+        _id: null,
+        totalCredits: { $sum: { $cond: [{ $eq: ['$entryType', 'credit'] }, '$amount', 0] } },
+        totalDebits: { $sum: { $cond: [{ $eq: ['$entryType', 'debit'] }, '$amount', 0] } },
+        entryCount: { $sum: 1 },
+      },
+    },
+  ]).session(session);
+
+  const { totalCredits = 0, totalDebits = 0, entryCount = 0 } = totals || {};
+  const net = totalCredits - totalDebits;
+  const format = (minor) => toMajorUnits(minor, assetType.decimalPlaces);
+  return {
+    entryCount,
+    totalCredits: format(totalCredits),
+    totalDebits: format(totalDebits),
+    net: format(net),
+    isBalanced: net === 0,
+  };
+}
+
+// ── 2. Cached balance = ledger balance, per account ──────────────────────────
+async function checkAccountBalances(assetType, session) {
+  const accounts = await Account.find({ assetType: assetType._id }).session(session);
+  const ledgerBalances = await LedgerEntry.aggregate([
+    { $match: { assetType: assetType._id } },
+    {
+      $group: {
+        _id: '$account',
+        balance: {
+          $sum: { $cond: [{ $eq: ['$entryType', 'credit'] }, '$amount', { $multiply: ['$amount', -1] }] },
+        },
+      },
+    },
+  ]).session(session);
+
+  const format = (minor) => toMajorUnits(minor, assetType.decimalPlaces);
+  const computed = new Map(ledgerBalances.map((row) => [row._id.toString(), row.balance]));
+  const { maxListed } = config.reconciliation;
+  const mismatched = [];
+  let mismatchedCount = 0;
+  // Opening balances are minted against SYSTEM_ISSUANCE, so the cached
+  // balances of one asset type also sum to 0.
+  let totalBalance = 0;
+
+  for (const account of accounts) {
+    totalBalance += account.balance;
+    const ledgerBalance = computed.get(account._id.toString()) || 0;
+    if (ledgerBalance !== account.balance && mismatchedCount++ < maxListed) {
+      mismatched.push({
+        accountId: account._id,
+        userId: account.userId,
+        accountType: account.accountType,
+        cachedBalance: format(account.balance),
+        ledgerBalance: format(ledgerBalance),
+        difference: format(account.balance - ledgerBalance),
+        // A transfer still in flight explains a temporary difference
+        hasPendingTransactions: (account.pendingTransactions || []).length > 0,
+      });
+    }
+  }
+
+  return {
+    checked: accounts.length,
+    totalBalance: format(totalBalance),
+    balancesSumToZero: totalBalance === 0,
+    mismatchedCount,
+    mismatched,
+  };
+}
+
+// ── 3. Each completed transaction has exactly its expected entries ───────────
+async function checkTransactions(assetType, session) {
+  const { maxListed } = config.reconciliation;
+  const invalid = [];
+  let invalidCount = 0;
+  let checked = 0;
+
+  // One pass over completed transactions with their entries joined in,
+  // streamed so memory stays flat however large the ledger is.
+  const cursor = Transaction.aggregate([
+    // assetTypes, not assetType: an exchange is checked in both of its assets
+    { $match: { assetTypes: assetType._id, status: 'completed' } },
+    {
+      $lookup: {
+        from: LedgerEntry.collection.name,
+        localField: '_id',
+        foreignField: 'transactionId',
+        as: 'entries',
+      },
+    },
+    {
+      $project: {
+        type: 1, assetType: 1, amount: 1, fee: 1, fromAccount: 1, toAccount: 1, feeAccount: 1, postings: 1,
+        'entries.account': 1, 'entries.assetType': 1, 'entries.entryType': 1, 'entries.amount': 1,
+      },
+    },
+  ]).session(session).cursor();
+
+  for await (const row of cursor) {
+    checked++;
+    const entries = row.entries.filter((e) => e.assetType.equals(assetType._id));
+    const problems = findShapeProblems(Transaction.hydrate(row), entries, assetType);
+    if (problems.length > 0 && invalidCount++ < maxListed) {
+      invalid.push({ transactionId: row._id, type: row.type, problems });
+    }
+  }
+
+  return { checked, invalidCount, invalid };
+}
+
+function findShapeProblems(transaction, entries, assetType) {
+  const format = (minor) => toMajorUnits(minor, assetType.decimalPlaces);
+  const problems = [];
+  const remaining = [...entries];
+
+  const legs = transaction.expectedLegs().filter((leg) => leg.assetType.equals(assetType._id));
+  for (const leg of legs) {
+    const index = remaining.findIndex(
+      (e) => e.account.equals(leg.account) && e.entryType === leg.entryType
+    );
+    if (index === -1) {
+      problems.push(`Missing ${leg.entryType} entry of ${format(leg.amount)} on account ${leg.account}`);
+      continue;
+    }
+    const [entry] = remaining.splice(index, 1);
+    if (entry.amount !== leg.amount) {
+      problems.push(
+        `${leg.entryType} entry on account ${leg.account} is ${format(entry.amount)}, expected ${format(leg.amount)}`
+      );
+    }
+  }
+
+  for (const extra of remaining) {
+    problems.push(`Unexpected ${extra.entryType} entry of ${format(extra.amount)} on account ${extra.account}`);
+  }
+
+  const sum = (type) =>
+    entries.filter((e) => e.entryType === type).reduce((total, e) => total + e.amount, 0);
+  if (sum('debit') !== sum('credit')) {
+    problems.push(`Debits (${format(sum('debit'))}) do not equal credits (${format(sum('credit'))})`);
+  }
+
+  return problems;
+}
+
+module.exports = { runReconciliation };
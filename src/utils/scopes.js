@@ -0,0 +1,35 @@
+/**
+ * Permissions carried by API keys and end-user tokens. A scope ending in
+ * ":*" grants every scope of its namespace — `admin:*` covers both
+ * `admin:read` and `admin:write`.
+ */
+const SCOPES = {
+  'wallet:read': 'Balances, history, statements, limits and holds',
+  'wallet:topup': 'Credit purchased funds (top-up)',
+  'wallet:spend': 'Spend, transfer, exchange and holds',
+  'bonus:issue': 'Issue bonuses',
+  'users:write': 'Provision users and their wallets',
+  'admin:read': 'Read admin endpoints',
+  'admin:write': 'Change anything through admin endpoints',
+};
+
+// The most an end-user token can grant, whatever it claims
+const USER_SCOPES = ['wallet:read', 'wallet:spend'];
+
+const namespaceOf = (scope) => scope.split(':')[0];
+
+function isKnownScope(scope) {
+  if (SCOPES[scope]) return true;
+  return scope.endsWith(':*') && Object.keys(SCOPES).some((known) => namespaceOf(known) === namespaceOf(scope));
+}
+
+function hasScope(granted, required) {
+  return granted.some((scope) => scope === required || scope === `${namespaceOf(required)}:*`);
+}
+
+module.exports = {
+  SCOPES,
+  USER_SCOPES,
+  isKnownScope,
+  hasScope,
+};
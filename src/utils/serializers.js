@@ -0,0 +1,227 @@
+const { toMajorUnits } = require('./money');
+
+/**
+ * API representations of wallet documents.
+ * Amounts are stored in integer minor units and always leave the service in
+ * major units, formatted to the asset's precision (see utils/money.js).
+ */
+
+// Compact transaction shape returned by the wallet flows
+function formatTransaction(tx, assetType) {
+  return {
+    id: tx._id,
+    type: tx.type,
+    status: tx.status,
+    assetCode: assetType.code,
+    amount: toMajorUnits(tx.amount, assetType.decimalPlaces),
+    fee: toMajorUnits(tx.fee, assetType.decimalPlaces),
+    description: tx.description,
+    metadata: tx.metadata,
+    createdAt: tx.createdAt,
+  };
+}
+
+// An exchange: the compact shape plus both sides and the rate snapshot
+function formatExchange(tx, fromAssetType, toAssetType) {
+  const { exchange } = tx;
+  return {
+    ...formatTransaction(tx, fromAssetType),
+    exchange: exchange
+      ? {
+        fromAssetCode: fromAssetType.code,
+        toAssetCode: toAssetType.code,
+        fromAmount: toMajorUnits(exchange.fromAmount, fromAssetType.decimalPlaces),
+        toAmount: toMajorUnits(exchange.toAmount, toAssetType.decimalPlaces),
+        rate: exchange.rate,
+        spread: exchange.spread,
+        spreadAmount: toMajorUnits(exchange.spreadAmount, toAssetType.decimalPlaces),
+      }
+      : null,
+  };
+}
+
+// Full Transaction document, for admin endpoints
+function formatTransactionRecord(tx, assetType = tx.assetType) {
+  const { decimalPlaces } = assetType;
+  const record = tx.toObject();
+  // The other side of an exchange, when populated
+  const toAssetType = tx.exchange && tx.exchange.toAssetType && tx.exchange.toAssetType.code
+    ? tx.exchange.toAssetType
+    : null;
+  const decimalsOf = (assetTypeId) =>
+    toAssetType && toAssetType._id.equals(assetTypeId) ? toAssetType.decimalPlaces : decimalPlaces;
+
+  return {
+    ...record,
+    amount: toMajorUnits(tx.amount, decimalPlaces),
+    fee: toMajorUnits(tx.fee, decimalPlaces),
+    refundedAmount: toMajorUnits(tx.refundedAmount, decimalPlaces),
+    postings: (record.postings || []).map((posting) => ({
+      ...posting,
+      amount: toMajorUnits(posting.amount, decimalsOf(posting.assetType)),
+    })),
+    exchange: record.exchange && toAssetType
+      ? {
+        ...record.exchange,
+        fromAmount: toMajorUnits(record.exchange.fromAmount, decimalPlaces),
+        toAmount: toMajorUnits(record.exchange.toAmount, toAssetType.decimalPlaces),
+        spreadAmount: toMajorUnits(record.exchange.spreadAmount, toAssetType.decimalPlaces),
+      }
+      : record.exchange,
+    // Populated on idempotent replays; plain ids otherwise
+    ledgerEntries: (record.ledgerEntries || []).map((entry) =>
+      entry && 'amount' in entry
+        ? {
+          ...entry,
+          amount: toMajorUnits(entry.amount, decimalsOf(entry.assetType)),
+          balanceAfter: toMajorUnits(entry.balanceAfter, decimalsOf(entry.assetType)),
+        }
+        : entry
+    ),
+  };
+}
+
+// Velocity limit rules (see models/LimitRule.js)
+function formatLimitRules(rules, decimalPlaces) {
+  return (rules || []).map((rule) => ({
+    flow: rule.flow,
+    window: rule.window,
+    maxAmount: toMajorUnits(rule.maxAmount, decimalPlaces),
+    maxCount: rule.maxCount,
+  }));
+}
+
+// Full AssetType document, for admin endpoints
+function formatAssetType(assetType) {
+  return {
+    ...assetType.toObject(),
+    limits: formatLimitRules(assetType.limits, assetType.decimalPlaces),
+  };
+}
+
+// Full Account document, for admin endpoints
+function formatAccount(account, assetType = account.assetType) {
+  return {
+    ...account.toObject(),
+    balance: toMajorUnits(account.balance, assetType.decimalPlaces),
+    heldBalance: toMajorUnits(account.heldBalance || 0, assetType.decimalPlaces),
+    limits: formatLimitRules(account.limits, assetType.decimalPlaces),
+  };
+}
+
+// Hold on wallet funds
+function formatHold(hold, assetType = hold.assetType) {
+  const { decimalPlaces } = assetType;
+  return {
+    id: hold._id,
+    userId: hold.userId,
+    assetCode: assetType.code,
+    amount: toMajorUnits(hold.amount, decimalPlaces),
+    status: hold.status,
+    itemId: hold.itemId,
+    expiresAt: hold.expiresAt,
+    capturedAmount: toMajorUnits(hold.capturedAmount, decimalPlaces),
+    captureTransaction: hold.captureTransaction,
+    releasedAt: hold.releasedAt,
+    failureReason: hold.failureReason,
+    metadata: hold.metadata,
+    createdAt: hold.createdAt,
+  };
+}
+
+// Adjustment waiting for (or past) a second operator's approval
+function formatAdjustmentRequest(approvalRequest, assetType) {
+  return {
+    id: approvalRequest._id,
+    status: approvalRequest.status,
+    userId: approvalRequest.userId,
+    assetCode: assetType.code,
+    direction: approvalRequest.direction,
+    amount: toMajorUnits(approvalRequest.amount, assetType.decimalPlaces),
+    reasonCode: approvalRequest.reasonCode,
+    note: approvalRequest.note,
+    metadata: approvalRequest.metadata,
+    idempotencyKey: approvalRequest.idempotencyKey,
+    requestedBy: approvalRequest.requestedBy,
+    reviewedBy: approvalRequest.reviewedBy,
+    reviewedAt: approvalRequest.reviewedAt,
+    reviewNote: approvalRequest.reviewNote,
+    transaction: approvalRequest.transaction,
+    createdAt: approvalRequest.createdAt,
+  };
+}
+
+// User with a summary of each wallet (wallets with assetType populated)
+function formatUser(user, wallets) {
+  return {
+    userId: user.userId,
+    displayName: user.displayName,
+    source: user.source,
+    metadata: user.metadata,
+    createdAt: user.createdAt,
+    wallets: wallets.map((wallet) => ({
+      accountId: wallet._id,
+      assetCode: wallet.assetType.code,
+      balance: toMajorUnits(wallet.balance, wallet.assetType.decimalPlaces),
+      status: wallet.status,
+    })),
+  };
+}
+
+// BonusCampaign with its progress counts (see bonusCampaignService.getCampaign)
+function formatCampaign(campaign, progress = null) {
+  const { decimalPlaces } = campaign.assetType;
+  return {
+    campaignId: campaign.campaignId,
+    name: campaign.name,
+    assetCode: campaign.assetType.code,
+    reason: campaign.reason,
+    status: campaign.status,
+    stopReason: campaign.stopReason,
+    budget: toMajorUnits(campaign.budget, decimalPlaces),
+    spent: toMajorUnits(campaign.spent, decimalPlaces),
+    totalRecipients: campaign.totalRecipients,
+    ...(progress
+      ? {
+        progress: {
+          pending: progress.pending,
+          succeeded: progress.succeeded,
+          failed: progress.failed,
+          percentComplete: campaign.totalRecipients
+            ? Math.floor(((progress.succeeded + progress.failed) / campaign.totalRecipients) * 100)
+            : 0,
+          grantedAmount: toMajorUnits(progress.grantedAmount, decimalPlaces),
+        },
+      }
+      : {}),
+    createdBy: campaign.createdBy,
+    createdAt: campaign.createdAt,
+    completedAt: campaign.completedAt,
+  };
+}
+
+// CampaignRecipient row
+function formatRecipient(recipient, assetType) {
+  return {
+    userId: recipient.userId,
+    amount: toMajorUnits(recipient.amount, assetType.decimalPlaces),
+    status: recipient.status,
+    attempt: recipient.attempt,
+    lastError: recipient.lastError,
+    transaction: recipient.transaction,
+    processedAt: recipient.processedAt,
+  };
+}
+
+module.exports = {
+  formatTransaction,
+  formatExchange,
+  formatTransactionRecord,
+  formatHold,
+  formatAdjustmentRequest,
+  formatAssetType,
+  formatAccount,
+  formatUser,
+  formatCampaign,
+  formatRecipient,
+};
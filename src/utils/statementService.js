@@ -0,0 +1,211 @@
+const Account = require('../models/Account');
+const AssetType = require('../models/AssetType');
+const LedgerEntry = require('../models/LedgerEntry');
+const { toMajorUnits } = require('./money');
+const { dateRange } = require('./pagination');
+
+/**
+ * Account statements: the ledger of one account over a period, streamed as
+ * CSV or NDJSON so a statement of any length never sits in memory.
+ *
+ * A statement is a sequence of records:
+ *
+ *   opening — the balance at `from`: balanceAfter of the last entry before it
+ *   entry   — one ledger line, with its transaction's type, idempotency key
+ *             and metadata, and balanceAfter as the running balance
+ *   total   — credits, debits and lines per transaction type in the period
+ *   closing — the balance at `to`: balanceAfter of the last line, plus
+ *             `tiesOut`, whether opening + credits − debits equals it
+ *
+ * Every balance comes from LedgerEntry.balanceAfter, never from the cached
+ * Account.balance, so a statement ties out against the ledger exactly.
+ */
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+};
+
+const CSV_COLUMNS = [
+  'record',
+  'date',
+  'entryId',
+  'transactionId',
+  'transactionType',
+  'description',
+  'itemId',
+  'idempotencyKey',
+  'credit',
+  'debit',
+  'balance',
+  'count',
+  'tiesOut',
+  'metadata',
+];
+
+/**
+ * Resolves the account and period of a statement, and its opening balance.
+ * User wallets and system accounts alike are named by userId + assetCode.
+ *
+ * @param {Object} params
+ * @param {string} params.userId - e.g. "user_alice" or "SYSTEM_REVENUE"
+ * @param {string} params.assetCode
+ * @param {string} params.from - ISO date, inclusive (optional: from the first entry)
+ * @param {string} params.to - ISO date, exclusive (optional: now)
+ * @param {string} params.format - 'csv' | 'ndjson'
+ */
+async function prepareStatement({ userId, assetCode, from, to, format = 'csv' }) {
+  if (!FORMATS[format]) throw new Error(`Invalid format: ${format} (use csv or ndjson)`);
+  // Fixing `to` up front keeps entries written during the export out of it
+  const period = dateRange(from, to || new Date().toISOString()) || {};
+
+  const assetType = await AssetType.findOne({ code: String(assetCode).toUpperCase() });
+  if (!assetType) throw new Error(`Asset type not found: ${assetCode}`);
+  const account = await Account.findOne({ userId, assetType: assetType._id });
+  if (!account) throw new Error(`Account not found for ${userId} in ${assetType.code}`);
+
+  const previous = period.$gte
+    ? await LedgerEntry.findOne({ account: account._id, createdAt: { $lt: period.$gte } })
+      .sort({ createdAt: -1, _id: -1 })
+      .select('balanceAfter')
+    : null;
+
+  return {
+    account,
+    assetType,
+    format,
+    from: period.$gte || null,
+    to: period.$lt,
+    openingBalance: previous ? previous.balanceAfter : 0,
+  };
+}
+
+/**
+ * Streams a prepared statement to an HTTP response. Stops early if the
+ * client disconnects.
+ */
+async function writeStatement(res, statement) {
+  const { account, assetType, format, from, to } = statement;
+  const { contentType, extension } = FORMATS[format];
+  const day = (date) => (date ? date.toISOString().slice(0, 10) : 'start');
+  const filename = `statement-${account.userId}-${assetType.code}-${day(from)}-${day(to)}.${extension}`
+    .replace(/[^\w.-]/g, '_');
+
+  res.writeHead(200, {
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Cache-Control': 'no-store',
+  });
+
+  const serialize = format === 'csv' ? toCsvLine : (record) => `${JSON.stringify(record)}\n`;
+  if (format === 'csv') await write(res, `${CSV_COLUMNS.join(',')}\n`);
+
+  for await (const record of statementRecords(statement)) {
+    if (res.destroyed) return;
+    await write(res, serialize(record));
+  }
+  res.end();
+}
+
+async function* statementRecords({ account, assetType, from, to, openingBalance }) {
+  const money = (minor) => toMajorUnits(minor, assetType.decimalPlaces);
+  const header = { userId: account.userId, accountType: account.accountType, assetCode: assetType.code };
+  yield { record: 'opening', ...header, date: from, balance: money(openingBalance) };
+
+  const createdAt = { $lt: to };
+  if (from) createdAt.$gte = from;
+  const cursor = LedgerEntry.find({ account: account._id, createdAt })
+    .sort({ createdAt: 1, _id: 1 })
+    .populate('transactionId', 'type idempotencyKey metadata')
+    .cursor();
+
+  const totals = new Map();
+  let credits = 0;
+  let debits = 0;
+  let count = 0;
+  let closingBalance = openingBalance;
+
+  for await (const entry of cursor) {
+    const transaction = entry.transactionId || {};
+    const transactionType = entry.transactionType || transaction.type || null;
+    const isCredit = entry.entryType === 'credit';
+
+    const total = totals.get(transactionType) || { credits: 0, debits: 0, count: 0 };
+    total[isCredit ? 'credits' : 'debits'] += entry.amount;
+    total.count += 1;
+    totals.set(transactionType, total);
+    if (isCredit) credits += entry.amount;
+    else debits += entry.amount;
+    count += 1;
+    closingBalance = entry.balanceAfter;
+
+    yield {
+      record: 'entry',
+      date: entry.createdAt,
+      entryId: entry._id,
+      transactionId: transaction._id || entry.transactionId,
+      transactionType,
+      description: entry.description,
+      itemId: entry.itemId || (transaction.metadata && transaction.metadata.itemId) || null,
+      idempotencyKey: transaction.idempotencyKey || null,
+      credit: isCredit ? money(entry.amount) : null,
+      debit: isCredit ? null : money(entry.amount),
+      balance: money(entry.balanceAfter),
+      metadata: transaction.metadata || {},
+    };
+  }
+
+  const types = [...totals.keys()].sort((a, b) => String(a).localeCompare(String(b)));
+  for (const transactionType of types) {
+    const total = totals.get(transactionType);
+    yield {
+      record: 'total',
+      transactionType,
+      credit: money(total.credits),
+      debit: money(total.debits),
+      count: total.count,
+    };
+  }
+
+  yield {
+    record: 'closing',
+    date: to,
+    credit: money(credits),
+    debit: money(debits),
+    balance: money(closingBalance),
+    count,
+    tiesOut: openingBalance + credits - debits === closingBalance,
+  };
+}
+
+function toCsvLine(record) {
+  const values = {
+    ...record,
+    metadata: record.metadata && Object.keys(record.metadata).length > 0 ? JSON.stringify(record.metadata) : '',
+  };
+  return `${CSV_COLUMNS.map((column) => csvValue(values[column])).join(',')}\n`;
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // Keep spreadsheets from evaluating text such as a description as a formula
+  if (/^[=+\-@\t\r]/.test(text) && typeof value === 'string') text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Writes a chunk, waiting for the client to catch up when its buffer is full
+function write(res, chunk) {
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+module.exports = { prepareStatement, writeStatement };
@@ -0,0 +1,125 @@
+const Account = require('../models/Account');
+const AssetType = require('../models/AssetType');
+const User = require('../models/User');
+
+// userIds with this prefix name system accounts
+const SYSTEM_PREFIX = 'SYSTEM_';
+
+/**
+ * Provisions a user: stores the User and makes sure they have a wallet in
+ * every active asset type. Safe to repeat and to run concurrently — the user
+ * and each wallet are upserted on their unique keys, so a repeat only fills
+ * in wallets that are missing.
+ *
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {string} params.displayName - Defaults to the userId
+ * @param {Object} params.metadata
+ * @param {string} params.source - 'api' | 'auto' | 'admin' | 'seed'
+ * @returns {{ user: Object, wallets: Object[], isIdempotentReplay: boolean, createdWallets: number }}
+ */
+async function provisionUser({ userId, displayName, metadata = {}, source = 'api' }) {
+  const id = typeof userId === 'string' ? userId.trim() : '';
+  if (!id) throw new Error('userId is required');
+  if (id.startsWith(SYSTEM_PREFIX)) throw new Error(`userId may not start with ${SYSTEM_PREFIX}`);
+
+  const { user, created } = await upsertUser({ userId: id, displayName: displayName || id, metadata, source });
+
+  const assetTypes = await AssetType.find({ isActive: true }).sort({ code: 1 });
+  const wallets = [];
+  let createdWallets = 0;
+  for (const assetType of assetTypes) {
+    const { account, created: walletCreated } = await ensureWallet(user, assetType);
+    wallets.push(account);
+    if (walletCreated) createdWallets += 1;
+  }
+
+  return { user, wallets, isIdempotentReplay: !created, createdWallets };
+}
+
+/**
+ * A user's wallet in one asset type, created if it does not exist yet.
+ *
+ * @returns {{ account: Object, created: boolean }}
+ */
+async function ensureWallet(user, assetType) {
+  const existing = await Account.findOne({ userId: user.userId, assetType: assetType._id });
+  if (existing) return { account: existing, created: false };
+
+  try {
+    const account = await Account.create({
+      userId: user.userId,
+      accountType: 'user',
+      assetType: assetType._id,
+      displayName: `[${assetType.code}] ${user.displayName}`,
+    });
+    return { account, created: true };
+  } catch (err) {
+    // Created concurrently (by another request or the backfill worker)
+    if (err.code !== 11000) throw err;
+    return { account: await Account.findOne({ userId: user.userId, assetType: assetType._id }), created: false };
+  }
+}
+
+/**
+ * Creates the missing wallets of one asset type for a batch of users.
+ * Used by the wallet backfill worker.
+ *
+ * @returns {number} Wallets created
+ */
+async function createWallets(users, assetType) {
+  if (users.length === 0) return 0;
+  const existing = new Set(
+    await Account.distinct('userId', { assetType: assetType._id, userId: { $in: users.map((u) => u.userId) } })
+  );
+  const missing = users.filter((user) => !existing.has(user.userId));
+  if (missing.length === 0) return 0;
+
+  try {
+    const created = await Account.insertMany(
+      missing.map((user) => ({
+        userId: user.userId,
+        accountType: 'user',
+        assetType: assetType._id,
+        displayName: `[${assetType.code}] ${user.displayName}`,
+      })),
+      { ordered: false }
+    );
+    return created.length;
+  } catch (err) {
+    // Some were provisioned concurrently; the rest were inserted
+    if (err.code !== 11000) throw err;
+    return err.insertedDocs ? err.insertedDocs.length : 0;
+  }
+}
+
+async function upsertUser({ userId, displayName, metadata, source }) {
+  const existing = await User.findOne({ userId });
+  if (existing) return { user: existing, created: false };
+
+  try {
+    return { user: await User.create({ userId, displayName, metadata, source }), created: true };
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    return { user: await User.findOne({ userId }), created: false };
+  }
+}
+
+/**
+ * A user with their wallets.
+ */
+async function getUser(userId) {
+  const user = await User.findOne({ userId });
+  if (!user) throw new Error(`User not found: ${userId}`);
+  const wallets = await Account.find({ userId, accountType: 'user' })
+    .populate('assetType', 'code name decimalPlaces')
+    .sort({ createdAt: 1 });
+  return { user, wallets };
+}
+
+module.exports = {
+  provisionUser,
+  ensureWallet,
+  createWallets,
+  getUser,
+};
@@ -0,0 +1,218 @@
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const Account = require('../models/Account');
+const AssetType = require('../models/AssetType');
+const LedgerEntry = require('../models/LedgerEntry');
+const config = require('../config/wallet');
+const { toMajorUnits } = require('./money');
+
+/**
+ * Live wallet events for the balance stream (GET /api/wallets/:userId/stream).
+ *
+ * Listeners subscribe per userId and receive:
+ *   { event: 'transaction', id, data } — a ledger entry on one of the user's
+ *                                        wallets; `id` is the LedgerEntry id
+ *   { event: 'balance', data }         — a wallet's balance, held balance or
+ *                                        status changed
+ *
+ * The feed comes from one of two sources, chosen at startup:
+ *   changeStream — MongoDB change streams on Account and LedgerEntry. Every
+ *                  API instance sees every commit, whichever instance made it.
+ *   local        — walletService publishes its own commits after they
+ *                  succeed. Only changes made by this process are seen, so
+ *                  it suits a single instance on a standalone MongoDB.
+ * STREAM_SOURCE=auto (the default) uses change streams when MongoDB is a
+ * replica set or sharded cluster.
+ */
+const bus = new EventEmitter();
+// One listener per open stream
+bus.setMaxListeners(0);
+
+let source = null;
+const changeStreams = [];
+
+// Account id → { userId, assetType }; neither ever changes
+const accountCache = new Map();
+const ACCOUNT_CACHE_SIZE = 10000;
+// AssetType id → { code, decimalPlaces }
+const assetTypeCache = new Map();
+// Wait before reopening a change stream that failed
+const RESTART_DELAY_MS = 5000;
+
+function subscribe(userId, listener) {
+  bus.on(userId, listener);
+  return () => bus.off(userId, listener);
+}
+
+function publish(userId, event) {
+  bus.emit(userId, event);
+}
+
+/**
+ * Publishes a commit made by this process — a no-op unless the feed is
+ * 'local', because change streams see the same commit.
+ *
+ * @param {Object[]} ledgerEntries - Entries of the committed transaction
+ * @param {Object[]} accounts - Updated accounts (balances after the commit)
+ */
+async function publishLocal({ ledgerEntries = [], accounts = [] }) {
+  if (source !== 'local') return;
+  try {
+    for (const entry of ledgerEntries) await publishLedgerEntry(entry);
+    for (const account of accounts) await publishAccount(account);
+  } catch (err) {
+    // The money has moved; a missed event must not fail the request
+    console.error(`❌ Could not publish wallet event: ${err.message}`);
+  }
+}
+
+async function publishLedgerEntry(entry) {
+  const account = await lookupAccount(entry.account);
+  if (!account || account.accountType !== 'user') return;
+  publish(account.userId, formatLedgerEvent(entry, await lookupAssetType(entry.assetType)));
+}
+
+async function publishAccount(account) {
+  if (account.accountType !== 'user') return;
+  publish(account.userId, formatBalanceEvent(account, await lookupAssetType(account.assetType)));
+}
+
+// ── Event shapes ─────────────────────────────────────────────────────────────
+
+function formatLedgerEvent(entry, assetType) {
+  return {
+    event: 'transaction',
+    id: entry._id.toString(),
+    data: {
+      entryId: entry._id,
+      transactionId: entry.transactionId,
+      assetCode: assetType.code,
+      entryType: entry.entryType,
+      amount: toMajorUnits(entry.amount, assetType.decimalPlaces),
+      balanceAfter: toMajorUnits(entry.balanceAfter, assetType.decimalPlaces),
+      description: entry.description,
+      createdAt: entry.createdAt,
+    },
+  };
+}
+
+function formatBalanceEvent(account, assetType) {
+  const held = account.heldBalance || 0;
+  return {
+    event: 'balance',
+    data: {
+      assetCode: assetType.code,
+      balance: toMajorUnits(account.balance, assetType.decimalPlaces),
+      heldBalance: toMajorUnits(held, assetType.decimalPlaces),
+      availableBalance: toMajorUnits(account.balance - held, assetType.decimalPlaces),
+      status: account.status,
+    },
+  };
+}
+
+async function lookupAccount(accountId) {
+  const key = accountId.toString();
+  if (!accountCache.has(key)) {
+    const account = await Account.findById(accountId).select('userId accountType assetType').lean();
+    if (!account) return null;
+    if (accountCache.size >= ACCOUNT_CACHE_SIZE) accountCache.clear();
+    accountCache.set(key, account);
+  }
+  return accountCache.get(key);
+}
+
+async function lookupAssetType(assetTypeId) {
+  const key = (assetTypeId._id || assetTypeId).toString();
+  if (!assetTypeCache.has(key)) {
+    const assetType = await AssetType.findById(key).select('code decimalPlaces').lean();
+    if (!assetType) throw new Error(`Asset type not found: ${key}`);
+    assetTypeCache.set(key, assetType);
+  }
+  return assetTypeCache.get(key);
+}
+
+// ── Change streams ───────────────────────────────────────────────────────────
+
+// Opens a change stream and keeps it open: after an error it is reopened
+// from the last event it delivered.
+function watch(model, pipeline, options, onChange) {
+  let resumeAfter = null;
+  const open = () => {
+    const stream = model.watch(pipeline, { ...options, ...(resumeAfter ? { resumeAfter } : {}) });
+    changeStreams.push(stream);
+    stream.on('change', async (change) => {
+      resumeAfter = change._id;
+      try {
+        await onChange(change);
+      } catch (err) {
+        console.error(`❌ Could not publish ${model.modelName} change: ${err.message}`);
+      }
+    });
+    stream.on('error', (err) => {
+      console.error(`❌ ${model.modelName} change stream failed: ${err.message} — reopening`);
+      changeStreams.splice(changeStreams.indexOf(stream), 1);
+      stream.close().catch(() => {});
+      setTimeout(() => source === 'changeStream' && open(), RESTART_DELAY_MS).unref();
+    });
+  };
+  open();
+}
+
+function startChangeStreams() {
+  watch(
+    LedgerEntry,
+    [{ $match: { operationType: 'insert' } }],
+    {},
+    (change) => publishLedgerEntry(change.fullDocument)
+  );
+  watch(
+    Account,
+    [
+      {
+        $match: {
+          operationType: 'update',
+          $or: ['balance', 'heldBalance', 'status'].map((field) => ({
+            [`updateDescription.updatedFields.${field}`]: { $exists: true },
+          })),
+        },
+      },
+    ],
+    { fullDocument: 'updateLookup' },
+    (change) => change.fullDocument && publishAccount(change.fullDocument)
+  );
+}
+
+// Change streams need a replica set or a sharded cluster
+async function supportsChangeStreams() {
+  const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+  return Boolean(hello.setName) || hello.msg === 'isdbgrid';
+}
+
+/**
+ * Picks the feed (see above) and starts it. Call once the database is
+ * connected.
+ */
+async function startWalletEvents() {
+  const wanted = config.streams.source;
+  if (wanted === 'local') source = 'local';
+  else if (wanted === 'changeStream' || (await supportsChangeStreams().catch(() => false))) source = 'changeStream';
+  else source = 'local';
+
+  if (source === 'changeStream') startChangeStreams();
+  console.log(`📡 Wallet event stream: ${source === 'changeStream' ? 'MongoDB change streams' : 'in-process (this instance only)'}`);
+}
+
+async function stopWalletEvents() {
+  source = null;
+  await Promise.all(changeStreams.splice(0).map((stream) => stream.close().catch(() => {})));
+}
+
+module.exports = {
+  subscribe,
+  publishLocal,
+  formatLedgerEvent,
+  formatBalanceEvent,
+  lookupAssetType,
+  startWalletEvents,
+  stopWalletEvents,
+};
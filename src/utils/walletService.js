@@ -2,13 +2,40 @@ const mongoose = require('mongoose');
 const Account = require('../models/Account');
 const AssetType = require('../models/AssetType');
 const Transaction = require('../models/Transaction');
+const ExchangeRate = require('../models/ExchangeRate');
+const Hold = require('../models/Hold');
+const User = require('../models/User');
+const BonusLot = require('../models/BonusLot');
+const AdjustmentRequest = require('../models/AdjustmentRequest');
 const LedgerEntry = require('../models/LedgerEntry');
+const config = require('../config/wallet');
+const withTransaction = require('./withTransaction');
+const { isTransientError } = withTransaction;
+const { toMinorUnits, toMajorUnits, convertMinorUnits, allocateMinorUnits } = require('./money');
+const { reserveLimits, getAllowances } = require('./limitService');
+const { provisionUser } = require('./userService');
+const { recordTransactionEvent } = require('./webhookService');
+const { publishLocal } = require('./walletEvents');
+const { pageQuery, toPage, dateRange, amountRange } = require('./pagination');
+const { idempotencyScope, describeRequest, idempotencyFilter, assertSameRequest } = require('./idempotency');
+const { sumEntries, balanceAt } = require('./balanceCheckpoints');
+
+// Transaction types a general posting may be recorded as
+const POSTING_TYPES = ['posting', 'bonus', 'spend'];
+
+// Account filter: balance − heldBalance (+ funds a capture releases) >= amount
+const availableAtLeast = (amount, released = 0) => ({
+  $expr: {
+    $gte: [{ $add: [{ $subtract: ['$balance', { $ifNull: ['$heldBalance', 0] }] }, released] }, amount],
+  },
+});
 
 /**
  * WalletService handles all financial operations with:
  *
  * 1. IDEMPOTENCY — Each request carries an idempotencyKey. If the same key
- *    is seen again, we return the original result without re-processing.
+ *    is seen again, we return the original result without re-processing —
+ *    provided the request is the same (see utils/idempotency.js).
  *
  * 2. CONCURRENCY SAFETY — We use MongoDB's atomic findOneAndUpdate with
  *    conditional operators ($gte for balance checks) to prevent race conditions.
@@ -20,9 +47,22 @@ const LedgerEntry = require('../models/LedgerEntry');
  *    (MongoDB doesn't have traditional locks, but this pattern is still
  *     important for session-based multi-document transactions.)
  *
- * 4. DOUBLE-ENTRY LEDGER — Every transaction creates exactly two LedgerEntries:
- *    a debit on the source account and a credit on the destination account.
- *    This ensures the ledger always balances (sum of all entries = 0).
+ * 4. DOUBLE-ENTRY LEDGER — Every transaction creates one LedgerEntry per
+ *    account it touches, and its debits equal its credits. Most flows post
+ *    two: a debit on the source account and a credit on the destination.
+ *    If a fee is charged, a third entry credits the fee account and the debit
+ *    covers amount + fee. Split spends and general postings have any number
+ *    of lines; an exchange posts a debit and a credit in each of its two
+ *    asset types. This ensures the ledger always balances
+ *    (sum of all entries = 0, per asset type).
+ *
+ * 5. EXACT AMOUNTS — Amounts are integers in the asset's minor units (see
+ *    utils/money.js). Public methods take major units, as sent by clients,
+ *    and convert them once; everything below that is integer arithmetic.
+ *
+ * 6. ATOMICITY — Each transfer runs inside a MongoDB multi-document
+ *    transaction (see withTransaction), so the pending record, balance
+ *    updates and ledger entries commit together or not at all.
  */
 class WalletService {
   /**
@@ -34,13 +74,20 @@ class WalletService {
    * @param {ObjectId} params.fromAccountId - Source account
    * @param {ObjectId} params.toAccountId - Destination account
    * @param {ObjectId} params.assetTypeId - The currency being transferred
-   * @param {number} params.amount - How much to transfer
-   * @param {string} params.type - 'topup' | 'bonus' | 'spend' | 'adjustment'
+   * @param {number} params.amount - How much to transfer, in minor units
+   * @param {string} params.type - 'topup' | 'bonus' | 'spend' | 'transfer' | 'adjustment'
    * @param {string} params.description - Human-readable description
    * @param {Object} params.metadata - Extra data to store
+   * @param {number} [params.fee=0] - Charged to the source on top of `amount` (minor units)
+   * @param {ObjectId} [params.feeAccountId] - Receives the fee (required if fee > 0)
+   * @param {ObjectId} [params.reversalOf] - Original transaction, for reversals
+   * @param {Object} [params.request] - Scope and hash of the client request (see describeRequest)
+   * @param {ClientSession} [params.session] - Outer transaction to post in (see _postTransaction)
    */
   async _executeTransfer({
     idempotencyKey,
+    request = null,
+    session = null,
     fromAccountId,
     toAccountId,
     assetTypeId,
@@ -48,155 +95,539 @@ class WalletService {
     type,
     description = '',
     metadata = {},
+    fee = 0,
+    feeAccountId = null,
+    reversalOf = null,
   }) {
-    // ── Step 1: Idempotency check ─────────────────────────────────────────
-    // Check if we've already processed this exact request.
-    const existing = await Transaction.findOne({
-      idempotencyKey,
-      assetType: assetTypeId,
-    }).populate('ledgerEntries');
-
-    if (existing) {
-      // Already processed — return original result (idempotent response)
-      return { transaction: existing, isIdempotentReplay: true };
-    }
-
-    // ── Step 2: Validate amount ───────────────────────────────────────────
-    if (!amount || amount <= 0) {
+    // ── Step 1: Validate amount ───────────────────────────────────────────
+    // Minor units — always whole numbers (see utils/money.js)
+    if (!Number.isSafeInteger(amount) || amount <= 0) {
       throw new Error('Amount must be a positive number');
     }
+    if (!Number.isSafeInteger(fee) || fee < 0) {
+      throw new Error('Fee must be a non-negative number');
+    }
+    if (fee > 0 && !feeAccountId) {
+      throw new Error('A fee account is required when charging a fee');
+    }
 
-    // ── Step 3: Load both accounts ────────────────────────────────────────
-    const [fromAccount, toAccount] = await Promise.all([
-      Account.findById(fromAccountId),
-      Account.findById(toAccountId),
-    ]);
-
-    if (!fromAccount) throw new Error(`Source account not found: ${fromAccountId}`);
-    if (!toAccount) throw new Error(`Destination account not found: ${toAccountId}`);
-    if (!fromAccount.isActive) throw new Error('Source account is inactive');
-    if (!toAccount.isActive) throw new Error('Destination account is inactive');
-
-    // Ensure both accounts deal in the same asset type
-    if (
-      fromAccount.assetType.toString() !== assetTypeId.toString() ||
-      toAccount.assetType.toString() !== assetTypeId.toString()
-    ) {
-      throw new Error('Account asset type mismatch');
+    // The source is debited amount + fee in a single leg, so a fee can never
+    // be charged without the principal (or vice versa).
+    const legs = [
+      { role: 'Source', accountId: fromAccountId, assetTypeId, entryType: 'debit', amount: amount + fee },
+      { role: 'Destination', accountId: toAccountId, assetTypeId, entryType: 'credit', amount },
+    ];
+    if (fee > 0) {
+      legs.push({
+        role: 'Fee',
+        accountId: feeAccountId,
+        assetTypeId,
+        entryType: 'credit',
+        amount: fee,
+        description: `Fee for: ${description}`,
+      });
     }
 
-    // ── Step 4: Create a "pending" Transaction record first ───────────────
-    // We create the transaction as 'pending' BEFORE touching balances.
-    // This creates the idempotency lock immediately, preventing duplicate
-    // concurrent requests from both passing the initial idempotency check.
-    let transaction;
-    try {
-      transaction = await Transaction.create({
-        idempotencyKey,
+    return this._postTransaction({
+      idempotencyKey,
+      request,
+      session,
+      legs,
+      record: {
         assetType: assetTypeId,
         fromAccount: fromAccountId,
         toAccount: toAccountId,
+        feeAccount: fee > 0 ? feeAccountId : null,
         amount,
+        fee,
         type,
         description,
         metadata,
-        status: 'pending',
-      });
+        reversalOf,
+      },
+    });
+  }
+
+  /**
+   * Posts a set of balance changes ("legs") as one Transaction. Every public
+   * flow ends up here, via _executeTransfer or directly (exchanges).
+   *
+   * Debits and credits must balance within each asset type, and each account
+   * may appear only once — a leg is marked on its account by transaction id
+   * (see Account.pendingTransactions).
+   *
+   * @param {Object} params
+   * @param {string} params.idempotencyKey - Claimed in every asset type the legs touch
+   * @param {Object[]} params.legs - { role, accountId, assetTypeId, entryType, amount, description? }
+   *   with amounts in minor units; `role` names the account in error messages. A debit
+   *   that captures a hold also carries `holdId` and `heldAmount` (see captureHold).
+   *   Debits of user wallets use up the account's bonus lots (see BonusLot).
+   * @param {Object} params.record - Remaining Transaction fields (type, amount, description, …)
+   * @param {Object} [params.request] - { scope, requestHash, expiresAt } of a client request
+   *   (see utils/idempotency.js). Without it the key is the service's own, scoped by record.type.
+   * @param {ClientSession} [params.session] - A transaction the caller runs, e.g. to create an
+   *   account and its opening balance together. The posting joins it, and a failure is left to
+   *   the caller's rollback: nothing is recorded and nothing is published.
+   */
+  async _postTransaction({ idempotencyKey, legs, record, request = null, session: outerSession = null }) {
+    if (legs.some((leg) => !Number.isSafeInteger(leg.amount) || leg.amount <= 0)) {
+      throw new Error('Amount must be a positive number');
+    }
+    const assetTypeIds = [...new Set(legs.map((leg) => leg.assetTypeId.toString()))];
+    const accountIds = legs.map((leg) => leg.accountId.toString());
+    if (new Set(accountIds).size !== accountIds.length) {
+      throw new Error('Each account may appear only once in a transaction');
+    }
+    for (const assetTypeId of assetTypeIds) {
+      const net = legs
+        .filter((leg) => leg.assetTypeId.toString() === assetTypeId)
+        .reduce((total, leg) => total + (leg.entryType === 'credit' ? leg.amount : -leg.amount), 0);
+      if (net !== 0) throw new Error('Debits and credits must balance in every asset type');
+    }
+
+    const scope = request ? request.scope : idempotencyScope(null, record.type);
+    const requestHash = request ? request.requestHash : null;
+    const findExisting = () =>
+      Transaction.findOne(idempotencyFilter(scope, idempotencyKey, assetTypeIds)).populate('ledgerEntries');
+
+    // Set once the pending Transaction is written, so a failure after that
+    // point can be recorded against it.
+    let pendingTransaction = null;
+    // What the balance stream is told once the transaction has committed
+    let committed = null;
+
+    try {
+      // Steps 2–7 run in a single MongoDB transaction (when enabled): a crash
+      // between any two writes leaves nothing behind instead of a debited
+      // account with no matching credit or ledger lines.
+      const result = await withTransaction(async (session) => {
+        pendingTransaction = null;
+        committed = null;
+
+        // ── Step 2: Idempotency check ───────────────────────────────────
+        // Check if we've already processed this exact request.
+        const existing = await findExisting().session(session);
+
+        if (existing) {
+          // The same key for a different request is a client bug, not a retry
+          assertSameRequest(existing, requestHash);
+          // A half-finished record is not a result — the client must retry
+          // until it completes or the recovery sweeper resolves it.
+          this._assertNotPending(existing);
+          // Already processed — return original result (idempotent response)
+          return { transaction: existing, isIdempotentReplay: true };
+        }
+
+        // ── Step 3: Load all accounts ───────────────────────────────────
+        // Sequential, not Promise.all — a session runs one operation at a time.
+        const assetTypes = new Map();
+        for (const assetTypeId of assetTypeIds) {
+          const assetType = await AssetType.findById(assetTypeId).session(session);
+          if (!assetType) throw new Error(`Asset type not found: ${assetTypeId}`);
+          assetTypes.set(assetTypeId, assetType);
+        }
+
+        const accounts = [];
+        for (const leg of legs) {
+          const account = await Account.findById(leg.accountId).session(session);
+          if (!account) throw new Error(`${leg.role} account not found: ${leg.accountId}`);
+          accounts.push(account);
+        }
+        // Refuse a locked account before the pending record claims the key
+        // (a lock taken after this point is caught by _atomicDebit/_atomicCredit)
+        for (const account of accounts) {
+          if (account.maintenanceLock) await this._assertNotLocked(account, session);
+        }
+        // Each account's status must accept its leg (see Account.status)
+        legs.forEach((leg, i) => {
+          this._assertStatusAllows(accounts[i], leg.entryType, this._allowedStatuses(leg.entryType, record.type));
+        });
+
+        // Ensure every account deals in the asset type of its leg
+        if (legs.some((leg, i) => accounts[i].assetType.toString() !== leg.assetTypeId.toString())) {
+          throw new Error('Account asset type mismatch');
+        }
+
+        // ── Step 4: Create a "pending" Transaction record first ─────────
+        // We create the transaction as 'pending' BEFORE touching balances.
+        // This creates the idempotency lock immediately, preventing duplicate
+        // concurrent requests from both passing the initial idempotency check.
+        // A duplicate key error (E11000) here is handled outside the
+        // MongoDB transaction, because it aborts it.
+        const [transaction] = await Transaction.create(
+          [
+            {
+              ...record,
+              idempotencyKey,
+              idempotencyScope: scope,
+              requestHash,
+              idempotencyExpiresAt: request ? request.expiresAt : null,
+              assetTypes: assetTypeIds,
+              postings: legs.map((leg) => ({
+                account: leg.accountId,
+                assetType: leg.assetTypeId,
+                entryType: leg.entryType,
+                amount: leg.amount,
+                description: leg.description || '',
+                hold: leg.holdId || null,
+                heldAmount: leg.heldAmount || 0,
+              })),
+              status: 'pending',
+            },
+          ],
+          { session }
+        );
+        pendingTransaction = transaction;
+
+        // ── Step 5: Apply balance changes atomically ────────────────────
+        // CRITICAL: Use findOneAndUpdate with $gte condition to ensure we only
+        // deduct if there's sufficient balance. This is atomic in MongoDB —
+        // no other operation can interleave between the check and the update.
+        //
+        // DEADLOCK AVOIDANCE: We process accounts in consistent _id order.
+        // Inside a MongoDB transaction each update holds its document's write
+        // lock until commit, so a consistent order avoids circular waits.
+        const steps = legs.map((leg, i) => ({ leg, account: accounts[i] }));
+        steps.sort((a, b) => a.account._id.toString().localeCompare(b.account._id.toString()));
+
+        const balancesAfter = new Map();
+        const updatedAccounts = [];
+        for (const { leg, account } of steps) {
+          const { decimalPlaces } = assetTypes.get(leg.assetTypeId.toString());
+          const hold = leg.holdId ? { id: leg.holdId, amount: leg.heldAmount } : null;
+          const statuses = this._allowedStatuses(leg.entryType, record.type);
+          const updated = leg.entryType === 'debit'
+            ? await this._atomicDebit(account, leg.amount, transaction._id, session, decimalPlaces, hold, statuses)
+            : await this._atomicCredit(account, leg.amount, transaction._id, session, statuses);
+          balancesAfter.set(account._id.toString(), updated.balance);
+          updatedAccounts.push(updated);
+          if (leg.entryType === 'debit' && account.accountType === 'user' && this._usesBonusLots(record)) {
+            await this._consumeBonusLots(account._id, leg.amount, session);
+          }
+        }
+
+        // ── Step 6: Create double-entry ledger entries ──────────────────
+        const ledgerEntries = await LedgerEntry.insertMany(
+          legs.map((leg) => ({
+            transactionId: transaction._id,
+            account: leg.accountId,
+            assetType: leg.assetTypeId,
+            entryType: leg.entryType,
+            amount: leg.amount,
+            balanceAfter: balancesAfter.get(leg.accountId.toString()),
+            description: leg.description || record.description,
+            transactionType: record.type,
+            itemId: (record.metadata && record.metadata.itemId) || null,
+          })),
+          { session }
+        );
+
+        // ── Step 7: Mark transaction as completed ───────────────────────
+        // Clear the pending markers first: if we crash in between, the
+        // recovery sweeper sees a full set of ledger entries and completes it.
+        await Account.updateMany(
+          { _id: { $in: accounts.map((acc) => acc._id) } },
+          { $pull: { pendingTransactions: transaction._id } },
+          { session }
+        );
+        // Transactional outbox: the webhook event commits with the transfer.
+        // Without MongoDB transactions it is written before the status, so
+        // a crash leaves a pending transaction the sweeper completes.
+        await recordTransactionEvent(transaction, accounts, [...assetTypes.values()], session);
+        transaction.status = 'completed';
+        transaction.ledgerEntries = ledgerEntries.map((e) => e._id);
+        await transaction.save({ session });
+
+        committed = { ledgerEntries, accounts: updatedAccounts };
+        return { transaction, isIdempotentReplay: false };
+      }, { session: outerSession });
+      if (committed && !outerSession) await publishLocal(committed);
+      return result;
     } catch (err) {
+      if (outerSession) throw err;
+
       // Duplicate key error (E11000) = race condition on idempotency key.
       // Another concurrent request just created the same transaction.
       // Wait briefly and re-fetch.
       if (err.code === 11000) {
         await new Promise((r) => setTimeout(r, 50));
-        const raced = await Transaction.findOne({
-          idempotencyKey,
-          assetType: assetTypeId,
-        }).populate('ledgerEntries');
-        if (raced) return { transaction: raced, isIdempotentReplay: true };
+        const raced = await findExisting();
+        if (raced) {
+          assertSameRequest(raced, requestHash);
+          this._assertNotPending(raced);
+          return { transaction: raced, isIdempotentReplay: true };
+        }
         throw new Error('Transaction conflict — please retry');
       }
+
+      // A transient or commit-unknown error that outlasted the retries is not
+      // an outcome of the request: _recordFailure releases the key instead of
+      // burning it, so the client's retry runs the transfer again.
+      if (isTransientError(err)) err = this._retryableError();
+
+      // Mark the transaction as failed for audit purposes
+      if (pendingTransaction) {
+        await this._recordFailure(pendingTransaction, err).catch((recordErr) => {
+          console.error(`Failed to record failure of transaction ${pendingTransaction._id}:`, recordErr);
+        });
+        // The caller can tell whether its record failed or was left pending
+        err.transactionId = pendingTransaction._id;
+      }
       throw err;
     }
+  }
+
+  /**
+   * Records a transfer that failed after its pending Transaction was written.
+   * Without MongoDB transactions some balance changes may already have been
+   * applied, so they are undone first; if that is not possible (or ledger
+   * entries were already written) the record stays 'pending' for the
+   * recovery sweeper. With transactions everything was rolled back already,
+   * so a failed record is written in place of the pending one — the
+   * idempotency key then replays the failure, exactly as in the
+   * non-transactional path.
+   *
+   * A retryable error (see _retryableError) records nothing: the pending
+   * record is removed so the same key can be tried again.
+   */
+  async _recordFailure(pendingTransaction, err) {
+    if (await LedgerEntry.exists({ transactionId: pendingTransaction._id })) return;
+
+    const { unresolved } = await this._rollbackAppliedLegs(pendingTransaction);
+    if (unresolved.length > 0) return;
+
+    if (err.retryable) {
+      await Transaction.deleteOne({ _id: pendingTransaction._id, status: 'pending' });
+      return;
+    }
+
+    const marked = await Transaction.findByIdAndUpdate(pendingTransaction._id, {
+      status: 'failed',
+      failureReason: err.message,
+    });
+    if (marked) return;
 
+    const { _id, createdAt, updatedAt, ...fields } = pendingTransaction.toObject();
     try {
-      // ── Step 5: Debit source account atomically ───────────────────────
-      // CRITICAL: Use findOneAndUpdate with $gte condition to ensure we only
-      // deduct if there's sufficient balance. This is atomic in MongoDB —
-      // no other operation can interleave between the check and the update.
-      //
-      // DEADLOCK AVOIDANCE: We process accounts in consistent _id order.
-      // (Less relevant for MongoDB but important for SQL / future migrations.)
-      const [firstId, secondId] = [fromAccountId, toAccountId].sort();
-      const processInOrder = firstId.toString() === fromAccountId.toString();
-
-      let updatedFrom, updatedTo;
-
-      if (processInOrder) {
-        updatedFrom = await this._atomicDebit(fromAccount, amount, transaction._id);
-        updatedTo = await this._atomicCredit(toAccount, amount, transaction._id);
-      } else {
-        updatedTo = await this._atomicCredit(toAccount, amount, transaction._id);
-        updatedFrom = await this._atomicDebit(fromAccount, amount, transaction._id);
+      await Transaction.create({ ...fields, _id, status: 'failed', failureReason: err.message });
+    } catch (recordErr) {
+      // A concurrent retry already claimed the key — nothing left to record
+      if (recordErr.code !== 11000) throw recordErr;
+    }
+  }
+
+  // A failure the client should retry with the same idempotency key
+  _retryableError(message = 'The transaction could not be committed — please retry') {
+    const err = new Error(message);
+    err.retryable = true;
+    return err;
+  }
+
+  _assertNotPending(transaction) {
+    if (transaction.status === 'pending') {
+      throw new Error(
+        `Transaction ${transaction._id} is still being processed — please retry later`
+      );
+    }
+  }
+
+  /**
+   * Undoes every balance change of `transaction` that is still marked as
+   * applied (see Account.pendingTransactions). Each undo is a single
+   * conditional update that also removes the marker, so running this twice
+   * never undoes a leg twice.
+   *
+   * Returns the legs that could not be undone — a credited account that has
+   * already spent the funds cannot be debited back automatically.
+   */
+  async _rollbackAppliedLegs(transaction) {
+    const unresolved = [];
+
+    for (const leg of transaction.expectedLegs()) {
+      const isDebit = leg.entryType === 'debit';
+      const filter = { _id: leg.account, pendingTransactions: transaction._id };
+      if (!isDebit) filter.$or = [{ allowNegativeBalance: true }, availableAtLeast(leg.amount)];
+
+      const update = {
+        $inc: { balance: isDebit ? leg.amount : -leg.amount },
+        $pull: { pendingTransactions: transaction._id },
+      };
+      // Undoing a capture puts the hold back in place
+      if (isDebit && leg.hold) {
+        update.$inc.heldBalance = leg.heldAmount;
+        update.$push = { activeHolds: leg.hold };
       }
 
-      // ── Step 6: Create double-entry ledger entries ────────────────────
-      const [debitEntry, creditEntry] = await Promise.all([
-        LedgerEntry.create({
-          transactionId: transaction._id,
-          account: fromAccountId,
-          assetType: assetTypeId,
-          entryType: 'debit',
-          amount,
-          balanceAfter: updatedFrom.balance,
-          description,
-        }),
-        LedgerEntry.create({
+      const undone = await Account.findOneAndUpdate(filter, update);
+
+      if (!undone && (await Account.exists({ _id: leg.account, pendingTransactions: transaction._id }))) {
+        unresolved.push(leg);
+      }
+    }
+
+    return { unresolved };
+  }
+
+  /**
+   * Resolves a Transaction left 'pending' by a crash, using the pending
+   * markers on its accounts and the ledger entries already written:
+   *
+   *   - every ledger entry exists   → complete it
+   *   - every balance change applied → write the missing ledger entries
+   *                                   and complete it
+   *   - otherwise                   → undo the applied changes and fail it
+   *
+   * Every step is conditional on the markers/status it changes, so a
+   * recovery interrupted half-way can simply be run again.
+   *
+   * @returns {{ decision: string, reason: string, legs: Object[] }}
+   */
+  async recoverPendingTransaction(transaction) {
+    const legs = transaction.expectedLegs();
+    const [accounts, entries] = await Promise.all([
+      Account.find({ _id: { $in: legs.map((leg) => leg.account) } }),
+      LedgerEntry.find({ transactionId: transaction._id }),
+    ]);
+
+    const report = legs.map((leg) => {
+      const account = accounts.find((acc) => acc._id.equals(leg.account));
+      return {
+        ...leg,
+        applied: !!account && account.pendingTransactions.some((id) => id.equals(transaction._id)),
+        hadLedgerEntry: entries.some(
+          (e) => e.account.equals(leg.account) && e.entryType === leg.entryType
+        ),
+      };
+    });
+
+    const clearMarkers = () =>
+      Account.updateMany(
+        { _id: { $in: legs.map((leg) => leg.account) } },
+        { $pull: { pendingTransactions: transaction._id } }
+      );
+    const complete = async (ledgerEntries) => {
+      await clearMarkers();
+      const assetTypes = await AssetType.find({ _id: { $in: transaction.assetTypes } });
+      await recordTransactionEvent(transaction, accounts, assetTypes);
+      await Transaction.updateOne(
+        { _id: transaction._id, status: 'pending' },
+        { status: 'completed', ledgerEntries: ledgerEntries.map((e) => e._id), recoveryClaimedAt: null }
+      );
+    };
+
+    if (report.every((leg) => leg.hadLedgerEntry)) {
+      await complete(entries);
+      return { decision: 'completed', reason: 'All ledger entries were already written', legs: report };
+    }
+
+    if (report.every((leg) => leg.applied || leg.hadLedgerEntry)) {
+      // The exact running balance at the time is unknown; the account's
+      // balance now is the closest honest value for balanceAfter.
+      const missing = report.filter((leg) => !leg.hadLedgerEntry);
+      const written = await LedgerEntry.insertMany(
+        missing.map((leg) => ({
           transactionId: transaction._id,
-          account: toAccountId,
-          assetType: assetTypeId,
-          entryType: 'credit',
-          amount,
-          balanceAfter: updatedTo.balance,
-          description,
-        }),
-      ]);
+          account: leg.account,
+          assetType: leg.assetType,
+          entryType: leg.entryType,
+          amount: leg.amount,
+          balanceAfter: accounts.find((acc) => acc._id.equals(leg.account)).balance,
+          description: leg.description || transaction.description,
+          transactionType: transaction.type,
+          itemId: transaction.metadata?.itemId || null,
+        }))
+      );
+      await complete([...entries, ...written]);
+      return {
+        decision: 'completed',
+        reason: `All balance changes were applied; wrote ${written.length} missing ledger entr${written.length === 1 ? 'y' : 'ies'}`,
+        legs: report,
+      };
+    }
 
-      // ── Step 7: Mark transaction as completed ─────────────────────────
-      transaction.status = 'completed';
-      transaction.ledgerEntries = [debitEntry._id, creditEntry._id];
-      await transaction.save();
+    if (entries.length > 0) {
+      return {
+        decision: 'manual_review',
+        reason: 'Ledger entries exist for balance changes that were never applied',
+        legs: report,
+      };
+    }
 
-      return { transaction, isIdempotentReplay: false };
-    } catch (err) {
-      // Mark the transaction as failed for audit purposes
-      await Transaction.findByIdAndUpdate(transaction._id, {
-        status: 'failed',
-        failureReason: err.message,
-      });
-      throw err;
+    const { unresolved } = await this._rollbackAppliedLegs(transaction);
+    if (unresolved.length > 0) {
+      return {
+        decision: 'manual_review',
+        reason: `Could not undo ${unresolved.length} balance change(s) — the credited funds were already spent`,
+        legs: report,
+      };
+    }
+
+    const reason = 'Rolled back by recovery sweeper: interrupted before all balance changes were applied';
+    const failed = await Transaction.updateOne(
+      { _id: transaction._id, status: 'pending' },
+      { status: 'failed', failureReason: reason, recoveryClaimedAt: null }
+    );
+    // A reversal left pending kept its refund reserved on the original
+    if (failed.modifiedCount === 1 && transaction.reversalOf) {
+      await this._releaseRefund(transaction.reversalOf, transaction.amount, transaction._id);
     }
+    return { decision: 'rolled_back', reason, legs: report };
   }
 
   /**
    * Atomically debit (reduce balance) from an account.
-   * The $gte check ensures we never go below zero — in a single atomic op.
+   * The available-funds check (balance − heldBalance >= amount) ensures we
+   * never spend held funds or go below zero — in a single atomic op.
+   * Accounts flagged allowNegativeBalance (SYSTEM_ISSUANCE) skip the check.
+   * The same update marks the transaction as applied to this account.
+   *
+   * When capturing a hold, `hold` ({ id, amount }) releases the hold's full
+   * amount in the same update, and its funds count as available.
+   *
+   * Only an account in one of `statuses` is debited — frozen, suspended and
+   * closed wallets are refused in the same atomic update.
    */
-  async _atomicDebit(account, amount, transactionId) {
+  async _atomicDebit(
+    account,
+    amount,
+    transactionId,
+    session = null,
+    decimalPlaces = 0,
+    hold = null,
+    statuses = Account.DEBIT_STATUSES
+  ) {
+    const update = {
+      $inc: { balance: -amount },
+      $push: { pendingTransactions: transactionId },
+    };
+    if (hold) {
+      update.$inc.heldBalance = -hold.amount;
+      update.$pull = { activeHolds: hold.id };
+    }
+
     const updated = await Account.findOneAndUpdate(
       {
         _id: account._id,
-        balance: { $gte: amount }, // Only proceed if sufficient balance
-        isActive: true,
+        // Only proceed if sufficient available funds (the issuance account may go negative)
+        ...(account.allowNegativeBalance ? {} : availableAtLeast(amount, hold ? hold.amount : 0)),
+        ...(hold ? { activeHolds: hold.id } : {}),
+        status: { $in: statuses },
+        maintenanceLock: null, // Not being repaired
+        pendingTransactions: { $ne: transactionId }, // Never apply a leg twice
       },
-      {
-        $inc: { balance: -amount },
-      },
-      { new: true }
+      update,
+      { new: true, session }
     );
 
     if (!updated) {
+      await this._assertNotLocked(account, session);
+      const current = await Account.findById(account._id).session(session);
+      this._assertStatusAllows(current, 'debit', statuses);
+      if (hold && !current.activeHolds.some((id) => id.equals(hold.id))) {
+        throw new Error(`Hold ${hold.id} is no longer active`);
+      }
       throw new Error(
-        `Insufficient balance. Account ${account.userId} has ${account.balance}, needs ${amount}.`
+        `Insufficient balance. Account ${account.userId} has ${toMajorUnits(current.balance - (current.heldBalance || 0), decimalPlaces)} available, needs ${toMajorUnits(amount, decimalPlaces)}.`
       );
     }
 
@@ -205,26 +636,55 @@ class WalletService {
 
   /**
    * Atomically credit (increase balance) to an account.
+   * The same update marks the transaction as applied to this account.
+   * Frozen wallets still take credits; suspended and closed ones do not.
    */
-  async _atomicCredit(account, amount, transactionId) {
+  async _atomicCredit(account, amount, transactionId, session = null, statuses = Account.CREDIT_STATUSES) {
     const updated = await Account.findOneAndUpdate(
       {
         _id: account._id,
-        isActive: true,
+        status: { $in: statuses },
+        maintenanceLock: null,
+        pendingTransactions: { $ne: transactionId },
       },
       {
         $inc: { balance: amount },
+        $push: { pendingTransactions: transactionId },
       },
-      { new: true }
+      { new: true, session }
     );
 
     if (!updated) {
+      await this._assertNotLocked(account, session);
+      const current = await Account.findById(account._id).session(session);
+      if (current) this._assertStatusAllows(current, 'credit', statuses);
       throw new Error(`Failed to credit account ${account.userId}`);
     }
 
     return updated;
   }
 
+  // Explains a failed debit/credit caused by the balance repair tool. The
+  // lock is temporary, so the error does not use up the idempotency key.
+  async _assertNotLocked(account, session = null) {
+    const current = await Account.findById(account._id).select('maintenanceLock').session(session);
+    if (current && current.maintenanceLock) {
+      throw this._retryableError(`Account ${account.userId} is locked for maintenance — please retry shortly`);
+    }
+  }
+
+  // Account statuses a leg may touch. A closure debits the wallet it closes.
+  _allowedStatuses(entryType, transactionType) {
+    if (entryType === 'credit') return Account.CREDIT_STATUSES;
+    return transactionType === 'closure' ? ['closed'] : Account.DEBIT_STATUSES;
+  }
+
+  // Explains a debit or credit refused because of the account's status
+  _assertStatusAllows(account, entryType, statuses) {
+    if (statuses.includes(account.status)) return;
+    throw new Error(`Account ${account.userId} is ${account.status} — ${entryType}s are not allowed`);
+  }
+
   // ══════════════════════════════════════════════════════════════════════════
   // PUBLIC API METHODS
   // ══════════════════════════════════════════════════════════════════════════
@@ -238,50 +698,113 @@ class WalletService {
    * @param {number} amount
    * @param {string} idempotencyKey
    * @param {Object} metadata - e.g., { paymentReference: "pay_xxx" }
+   * @param {string} caller - Who sent the request (see callerOf in middleware/auth.js)
    */
-  async topUp({ userId, assetCode, amount, idempotencyKey, metadata = {} }) {
+  async topUp({ userId, assetCode, amount, idempotencyKey, metadata = {}, caller = null }) {
     const assetType = await this._getAssetType(assetCode);
-    const userAccount = await this._getUserAccount(userId, assetType._id);
+    const minorAmount = toMinorUnits(amount, assetType.decimalPlaces);
+    const request = describeRequest(caller, 'topup', { userId, assetCode: assetType.code, amount: minorAmount, metadata });
+    const userAccount = await this._getCreditedUserAccount(userId, assetType);
     const treasuryAccount = await this._getSystemAccount('SYSTEM_TREASURY', assetType._id);
 
-    return this._executeTransfer({
+    const limits = { flow: 'topup', account: userAccount, assetType, amount: minorAmount, idempotencyKey, request };
+    const result = await this._withLimits(limits, () => this._executeTransfer({
       idempotencyKey,
+      request,
       fromAccountId: treasuryAccount._id,
       toAccountId: userAccount._id,
       assetTypeId: assetType._id,
-      amount,
+      amount: minorAmount,
       type: 'topup',
-      description: `Top-up: ${amount} ${assetType.code} for user ${userId}`,
+      description: `Top-up: ${this._format(minorAmount, assetType)} ${assetType.code} for user ${userId}`,
       metadata,
-    });
+    }));
+    return { ...result, assetType };
   }
 
   /**
    * FLOW 2: Bonus / Incentive
    * System issues free credits to a user — e.g., referral bonus, daily reward.
    *
+   * A bonus can expire: `expiresAt` on the request, or else the asset type's
+   * bonusExpiryDays. It is then tracked as a BonusLot, and whatever is left
+   * of it at expiry goes back to SYSTEM_BONUS_POOL.
+   *
    * @param {string} userId
    * @param {string} assetCode
    * @param {number} amount
    * @param {string} idempotencyKey
    * @param {string} reason - e.g., "referral_bonus", "level_complete"
+   * @param {Date|string} expiresAt - When the bonus expires (optional)
    * @param {Object} metadata
+   * @param {string} caller
    */
-  async issueBonus({ userId, assetCode, amount, idempotencyKey, reason = 'bonus', metadata = {} }) {
+  async issueBonus({
+    userId,
+    assetCode,
+    amount,
+    idempotencyKey,
+    reason = 'bonus',
+    expiresAt,
+    metadata = {},
+    caller = null,
+  }) {
     const assetType = await this._getAssetType(assetCode);
-    const userAccount = await this._getUserAccount(userId, assetType._id);
+    const minorAmount = toMinorUnits(amount, assetType.decimalPlaces);
+    const userAccount = await this._getCreditedUserAccount(userId, assetType);
     const bonusPool = await this._getSystemAccount('SYSTEM_BONUS_POOL', assetType._id);
 
-    return this._executeTransfer({
+    let expiry = null;
+    if (expiresAt !== undefined && expiresAt !== null) {
+      expiry = new Date(expiresAt);
+      if (Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+        throw new Error('expiresAt must be a date in the future');
+      }
+    } else if (assetType.bonusExpiryDays) {
+      expiry = new Date(Date.now() + assetType.bonusExpiryDays * 24 * 60 * 60 * 1000);
+    }
+    // The requested expiry, not the computed one — a retry tomorrow is the same request
+    const request = describeRequest(caller, 'bonus', {
+      userId,
+      assetCode: assetType.code,
+      amount: minorAmount,
+      reason,
+      expiresAt: expiresAt === undefined || expiresAt === null ? null : expiry,
+      metadata,
+    });
+
+    const result = await this._executeTransfer({
       idempotencyKey,
+      request,
       fromAccountId: bonusPool._id,
       toAccountId: userAccount._id,
       assetTypeId: assetType._id,
-      amount,
+      amount: minorAmount,
       type: 'bonus',
-      description: `Bonus issued: ${amount} ${assetType.code} to user ${userId} — ${reason}`,
-      metadata: { reason, ...metadata },
+      description: `Bonus issued: ${this._format(minorAmount, assetType)} ${assetType.code} to user ${userId} — ${reason}`,
+      metadata: { reason, ...(expiry ? { expiresAt: expiry } : {}), ...metadata },
     });
+
+    // Replays record the lot too, in case the first request died before it
+    // did. The expiry always comes from the transaction, never the retry.
+    const { transaction } = result;
+    if (transaction.status === 'completed' && transaction.metadata && transaction.metadata.expiresAt) {
+      await BonusLot.updateOne(
+        { transaction: transaction._id },
+        {
+          $setOnInsert: {
+            account: userAccount._id,
+            userId,
+            assetType: assetType._id,
+            amount: transaction.amount,
+            remaining: transaction.amount,
+            expiresAt: transaction.metadata.expiresAt,
+          },
+        },
+        { upsert: true }
+      );
+    }
+    return { ...result, assetType };
   }
 
   /**
@@ -289,115 +812,1677 @@ class WalletService {
    * User spends credits to buy an in-app item/service.
    * Credits move from user account to Revenue account.
    *
+   * With `splits`, part of the price goes to other accounts instead — e.g.
+   * 10% to the item's creator or to a tax account. Only the asset type's
+   * `splitPayees` can be paid this way. Each split gets its percentage
+   * rounded down; Revenue keeps the rest. All of it posts as one transaction.
+   *
    * @param {string} userId
    * @param {string} assetCode
    * @param {number} amount
    * @param {string} idempotencyKey
    * @param {string} itemId - What they're buying
+   * @param {Object[]} splits - { userId, percent } (optional)
    * @param {Object} metadata
+   * @param {string} caller
    */
-  async spend({ userId, assetCode, amount, idempotencyKey, itemId, metadata = {} }) {
+  async spend({ userId, assetCode, amount, idempotencyKey, itemId, splits = [], metadata = {}, caller = null }) {
     const assetType = await this._getAssetType(assetCode);
+    const minorAmount = toMinorUnits(amount, assetType.decimalPlaces);
+    const request = describeRequest(caller, 'spend', {
+      userId,
+      assetCode: assetType.code,
+      amount: minorAmount,
+      itemId: itemId === undefined ? null : itemId,
+      splits: splits.map((split) => ({ userId: split.userId, percent: Number(split.percent) })),
+      metadata,
+    });
     const userAccount = await this._getUserAccount(userId, assetType._id);
     const revenueAccount = await this._getSystemAccount('SYSTEM_REVENUE', assetType._id);
+    const description = `Spend: ${this._format(minorAmount, assetType)} ${assetType.code} by user ${userId} for item ${itemId}`;
+    const limits = { flow: 'spend', account: userAccount, assetType, amount: minorAmount, idempotencyKey, request };
+
+    if (splits.length === 0) {
+      const result = await this._withLimits(limits, () => this._executeTransfer({
+        idempotencyKey,
+        request,
+        fromAccountId: userAccount._id,
+        toAccountId: revenueAccount._id,
+        assetTypeId: assetType._id,
+        amount: minorAmount,
+        type: 'spend',
+        description,
+        metadata: { ...metadata, itemId },
+      }));
+      return { ...result, assetType };
+    }
+
+    const credits = [];
+    for (const split of splits) {
+      const percent = Number(split.percent);
+      if (!split.userId || !(percent > 0 && percent <= 100)) {
+        throw new Error('Each split needs a userId and a percent between 0 and 100');
+      }
+      // Only configured payees: a split must not become a transfer to any wallet
+      if (!assetType.splitPayees.includes(split.userId)) {
+        throw new Error(`${split.userId} is not a split payee of ${assetType.code}`);
+      }
+      const account = await Account.findOne({ userId: split.userId, assetType: assetType._id });
+      if (!account) throw new Error(`Split account not found: ${split.userId}`);
+
+      // amount × percent / 100, exactly: the percentage read as a rate in hundredths
+      const share = convertMinorUnits(minorAmount, { fromDecimalPlaces: 2, toDecimalPlaces: 0, rate: percent });
+      if (share <= 0) throw new Error(`Amount is too small to give ${split.userId} a share`);
+      credits.push({
+        role: `Split (${split.userId})`,
+        accountId: account._id,
+        assetTypeId: assetType._id,
+        entryType: 'credit',
+        amount: share,
+      });
+    }
+
+    const revenueShare = minorAmount - credits.reduce((total, leg) => total + leg.amount, 0);
+    if (revenueShare < 0) throw new Error('Split percentages add up to more than 100');
+    if (revenueShare > 0) {
+      credits.unshift({
+        role: 'Revenue',
+        accountId: revenueAccount._id,
+        assetTypeId: assetType._id,
+        entryType: 'credit',
+        amount: revenueShare,
+      });
+    }
 
-    return this._executeTransfer({
+    const result = await this._withLimits(limits, () => this._postTransaction({
       idempotencyKey,
-      fromAccountId: userAccount._id,
-      toAccountId: revenueAccount._id,
-      assetTypeId: assetType._id,
-      amount,
-      type: 'spend',
-      description: `Spend: ${amount} ${assetType.code} by user ${userId} for item ${itemId}`,
-      metadata: { itemId, ...metadata },
-    });
+      request,
+      legs: [
+        { role: 'Source', accountId: userAccount._id, assetTypeId: assetType._id, entryType: 'debit', amount: minorAmount },
+        ...credits,
+      ],
+      record: {
+        assetType: assetType._id,
+        fromAccount: userAccount._id,
+        toAccount: credits[0].accountId,
+        amount: minorAmount,
+        type: 'spend',
+        description,
+        metadata: {
+          ...metadata,
+          itemId,
+          splits: splits.map((split) => ({ userId: split.userId, percent: Number(split.percent) })),
+        },
+      },
+    }));
+    return { ...result, assetType };
   }
 
   /**
-   * Get balance for a user
+   * FLOW 4: Peer-to-peer Transfer
+   * One user sends credits directly to another user's wallet.
+   * An optional fee is charged to the sender on top of the amount and
+   * credited to the Revenue account.
+   *
+   * @param {string} fromUserId - Sender
+   * @param {string} toUserId - Recipient
+   * @param {string} assetCode
+   * @param {number} amount - What the recipient receives
+   * @param {string} idempotencyKey
+   * @param {number} fee - Charged to the sender (default 0)
+   * @param {string} note - Optional message shown in the description
+   * @param {Object} metadata
+   * @param {string} caller
    */
-  async getBalance(userId, assetCode) {
+  async transfer({
+    fromUserId,
+    toUserId,
+    assetCode,
+    amount,
+    idempotencyKey,
+    fee = 0,
+    note = '',
+    metadata = {},
+    caller = null,
+  }) {
+    if (fromUserId === toUserId) {
+      throw new Error('Cannot transfer to the same wallet');
+    }
+
     const assetType = await this._getAssetType(assetCode);
-    const account = await Account.findOne({
-      userId,
+    const minorAmount = toMinorUnits(amount, assetType.decimalPlaces);
+    const minorFee = toMinorUnits(fee, assetType.decimalPlaces);
+    const request = describeRequest(caller, 'transfer', {
+      fromUserId,
+      toUserId,
+      assetCode: assetType.code,
+      amount: minorAmount,
+      fee: minorFee,
+      note,
+      metadata,
+    });
+    const senderAccount = await this._getUserAccount(fromUserId, assetType._id);
+    const recipientAccount = await Account.findOne({
+      userId: toUserId,
       assetType: assetType._id,
-    }).populate('assetType', 'code name');
+      accountType: 'user',
+    });
+    if (!recipientAccount) throw new Error(`Recipient wallet not found: ${toUserId}`);
 
-    if (!account) {
-      throw new Error(`No ${assetCode} wallet found for user ${userId}`);
-    }
+    const feeAccount = minorFee > 0
+      ? await this._getSystemAccount('SYSTEM_REVENUE', assetType._id)
+      : null;
 
-    return {
-      userId,
-      assetCode: assetType.code,
-      assetName: assetType.name,
-      balance: account.balance,
-      accountId: account._id,
+    // The limit counts everything that leaves the sender's wallet, fee included
+    const limits = {
+      flow: 'transfer',
+      account: senderAccount,
+      assetType,
+      amount: minorAmount + minorFee,
+      idempotencyKey,
+      request,
     };
+    const result = await this._withLimits(limits, () => this._executeTransfer({
+      idempotencyKey,
+      request,
+      fromAccountId: senderAccount._id,
+      toAccountId: recipientAccount._id,
+      assetTypeId: assetType._id,
+      amount: minorAmount,
+      fee: minorFee,
+      feeAccountId: feeAccount ? feeAccount._id : null,
+      type: 'transfer',
+      description: `Transfer: ${this._format(minorAmount, assetType)} ${assetType.code} from user ${fromUserId} to user ${toUserId}${note ? ` — ${note}` : ''}`,
+      metadata: { fromUserId, toUserId, ...(note ? { note } : {}), ...metadata },
+    }));
+    return { ...result, assetType };
   }
 
   /**
-   * Get transaction history for a user
+   * FLOW 5: Reversal / Refund
+   * Support reverses a completed transaction, fully or partially, by posting
+   * a compensating 'reversal' transaction that moves funds from the original
+   * destination back to the original source. History is never edited.
+   *
+   * Repeated partial refunds can never exceed the original amount: the
+   * refund is reserved on the original with a single conditional update
+   * before any balance moves, and released again if the reversal fails.
+   * A reversal left pending keeps its reservation until the recovery
+   * sweeper completes it or rolls it back (see _releaseRefund).
+   * Fees charged on the original are not refunded. A split transaction is
+   * refunded from each of its legs in proportion (see _reversalLegs).
+   *
+   * @param {string} transactionId - The transaction to reverse
+   * @param {number} amount - How much to refund (defaults to everything still refundable)
+   * @param {string} idempotencyKey
+   * @param {string} reason - Why the reversal was made
+   * @param {string} operator - Who requested it
+   * @param {Object} metadata
+   * @param {string} caller
    */
-  async getHistory(userId, assetCode, { page = 1, limit = 20 } = {}) {
-    const assetType = await this._getAssetType(assetCode);
-    const account = await this._getUserAccount(userId, assetType._id);
+  async reverseTransaction({
+    transactionId,
+    amount,
+    idempotencyKey,
+    reason,
+    operator = null,
+    metadata = {},
+    caller = null,
+  }) {
+    if (!mongoose.isValidObjectId(transactionId)) {
+      throw new Error(`Transaction not found: ${transactionId}`);
+    }
 
-    const skip = (page - 1) * limit;
+    const original = await Transaction.findById(transactionId).populate('assetType', 'code name decimalPlaces');
+    const { assetType } = original || {};
+    if (!original) throw new Error(`Transaction not found: ${transactionId}`);
 
-    const [entries, total] = await Promise.all([
-      LedgerEntry.find({ account: account._id })
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(limit)
-        .populate('transactionId', 'type description metadata status createdAt'),
-      LedgerEntry.countDocuments({ account: account._id }),
-    ]);
+    // The requested amount as sent: "everything left" stays the same request
+    // even after a partial refund changed what that is
+    const request = describeRequest(caller, 'reversal', {
+      transactionId: original._id,
+      amount: amount === undefined || amount === null ? null : toMinorUnits(amount, assetType.decimalPlaces),
+      reason,
+      operator,
+      metadata,
+    });
 
-    return {
-      userId,
-      assetCode,
-      currentBalance: account.balance,
-      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
-      entries: entries.map((e) => ({
-        id: e._id,
-        type: e.entryType,
-        amount: e.amount,
-        balanceAfter: e.balanceAfter,
-        description: e.description,
-        transaction: e.transactionId,
-        createdAt: e.createdAt,
-      })),
-    };
-  }
+    // A retry of a reversal we already processed is answered before any
+    // validation, so it still replays after the original is fully refunded.
+    const existing = await Transaction.findOne(
+      idempotencyFilter(request.scope, idempotencyKey, [original.assetType._id])
+    ).populate('ledgerEntries');
+    if (existing) {
+      assertSameRequest(existing, request.requestHash);
+      if (!existing.reversalOf || existing.reversalOf.toString() !== original._id.toString()) {
+        throw new Error('Idempotency key already used for a different transaction');
+      }
+      this._assertNotPending(existing);
+      return { transaction: existing, original, assetType, isIdempotentReplay: true };
+    }
 
-  /**
-   * Verify ledger integrity for an account.
-   * Recomputes balance from scratch from all ledger entries.
-   * Should match the cached balance on the Account document.
-   */
-  async verifyLedgerIntegrity(userId, assetCode) {
-    const assetType = await this._getAssetType(assetCode);
-    const account = await this._getUserAccount(userId, assetType._id);
+    if (original.type === 'reversal') {
+      throw new Error('Reversal transactions cannot be reversed');
+    }
+    // Its two sides are in different asset types — the user exchanges back instead
+    if (original.type === 'exchange') {
+      throw new Error('Exchange transactions cannot be reversed');
+    }
+    if (original.status !== 'completed') {
+      throw new Error(`Only completed transactions can be reversed (status: ${original.status})`);
+    }
 
-    const entries = await LedgerEntry.find({ account: account._id });
+    const remaining = original.amount - (original.refundedAmount || 0);
+    const refundAmount =
+      amount === undefined || amount === null ? remaining : toMinorUnits(amount, assetType.decimalPlaces);
+    if (!refundAmount || refundAmount <= 0) {
+      throw new Error(
+        remaining <= 0 ? 'Transaction has already been fully refunded' : 'Amount must be a positive number'
+      );
+    }
 
-    let computed = 0;
-    for (const entry of entries) {
-      if (entry.entryType === 'credit') computed += entry.amount;
-      else computed -= entry.amount;
+    // ── Reserve the refund on the original ────────────────────────────────
+    // Atomic: only succeeds if refundedAmount + refundAmount <= amount, so
+    // concurrent partial refunds cannot over-refund between them.
+    const reserved = await Transaction.findOneAndUpdate(
+      {
+        _id: original._id,
+        status: 'completed',
+        $expr: {
+          $lte: [{ $add: [{ $ifNull: ['$refundedAmount', 0] }, refundAmount] }, '$amount'],
+        },
+      },
+      { $inc: { refundedAmount: refundAmount } },
+      { new: true }
+    );
+    if (!reserved) {
+      const latest = await Transaction.findById(original._id);
+      throw new Error(
+        `Refund exceeds refundable amount. Requested ${this._format(refundAmount, assetType)}, remaining ${this._format(latest.amount - (latest.refundedAmount || 0), assetType)}.`
+      );
     }
 
-    return {
-      userId,
-      assetCode,
-      cachedBalance: account.balance,
-      computedBalance: computed,
-      isConsistent: Math.abs(computed - account.balance) < 0.000001,
-    };
-  }
+    const releaseReservation = (reversalId) => this._releaseRefund(original._id, refundAmount, reversalId);
 
-  // ── Private Helpers ──────────────────────────────────────────────────────
+    const description = `Reversal of ${original.type} ${original._id}: ${this._format(refundAmount, assetType)} ${assetType.code}${reason ? ` — ${reason}` : ''}`;
+    // Client metadata goes first: it can never overwrite who and why
+    const reversalMetadata = { ...metadata, reason, operator, originalType: original.type };
+
+    let result;
+    try {
+      result = this._hasSplitLegs(original)
+        ? await this._postTransaction({
+          idempotencyKey,
+          request,
+          legs: this._reversalLegs(original, refundAmount),
+          record: {
+            assetType: original.assetType._id,
+            fromAccount: original.toAccount,
+            toAccount: original.fromAccount,
+            amount: refundAmount,
+            type: 'reversal',
+            description,
+            metadata: reversalMetadata,
+            reversalOf: original._id,
+          },
+        })
+        : await this._executeTransfer({
+          idempotencyKey,
+          request,
+          fromAccountId: original.toAccount,
+          toAccountId: original.fromAccount,
+          assetTypeId: original.assetType._id,
+          amount: refundAmount,
+          type: 'reversal',
+          description,
+          metadata: reversalMetadata,
+          reversalOf: original._id,
+        });
+    } catch (err) {
+      // Our reversal may be left pending for the recovery sweeper, or have
+      // committed despite the error: then the refund stays reserved. When
+      // its state cannot be read, keeping it is the safe side.
+      const reversal = err.transactionId
+        ? await Transaction.findById(err.transactionId).catch(() => ({ status: 'pending' }))
+        : null;
+      if (!reversal) await releaseReservation();
+      else if (reversal.status === 'failed') await releaseReservation(reversal._id);
+      throw err;
+    }
+
+    if (result.isIdempotentReplay) {
+      // A concurrent request with the same key won the race — it made its
+      // own reservation, so ours must be given back.
+      await releaseReservation();
+      if (!result.transaction.reversalOf || !result.transaction.reversalOf.equals(original._id)) {
+        throw new Error('Idempotency key already used for a different transaction');
+      }
+      return { ...result, assetType, original: await Transaction.findById(original._id) };
+    }
+
+    const updatedOriginal = await Transaction.findByIdAndUpdate(
+      original._id,
+      { $push: { reversals: result.transaction._id } },
+      { new: true }
+    );
+
+    // Taking a bonus back also takes it out of its lot, so it cannot expire
+    // twice (the reversal's debit leaves other lots alone, see _usesBonusLots)
+    if (original.type === 'bonus') {
+      await BonusLot.updateOne({ transaction: original._id, status: 'active' }, [
+        { $set: { remaining: { $max: [0, { $subtract: ['$remaining', refundAmount] }] } } },
+        { $set: { status: { $cond: [{ $eq: ['$remaining', 0] }, 'consumed', '$status'] } } },
+      ]);
+    }
+
+    return { ...result, assetType, original: updatedOriginal };
+  }
+
+  /**
+   * FLOW 6: Manual Adjustment
+   * An operator credits or debits a user wallet against the dedicated
+   * SYSTEM_ADJUSTMENTS account — e.g., outage compensation or a goodwill grant.
+   * Every adjustment carries a reason code and the operator's identity, and
+   * amounts at or above the approval threshold need a second, different
+   * operator in `approvedBy`. Both are authenticated callers: large
+   * adjustments go through requestAdjustment and approveAdjustment, which
+   * supply `approvedBy` themselves.
+   *
+   * @param {string} userId
+   * @param {string} assetCode
+   * @param {string} direction - 'credit' (add to the wallet) | 'debit' (remove from it)
+   * @param {number} amount
+   * @param {string} idempotencyKey
+   * @param {string} reasonCode - One of config.adjustments.reasonCodes
+   * @param {string} operator - Who made the adjustment (callerOf the request)
+   * @param {string} approvedBy - Second approver (required for large amounts)
+   * @param {string} note - Free-text justification
+   * @param {Object} metadata
+   * @param {string} caller
+   */
+  async adjustBalance({
+    userId,
+    assetCode,
+    direction,
+    amount,
+    idempotencyKey,
+    reasonCode,
+    operator,
+    approvedBy = null,
+    note = '',
+    metadata = {},
+    caller = null,
+  }) {
+    this._assertAdjustment({ direction, reasonCode, operator });
+
+    const assetType = await this._getAssetType(assetCode);
+    const minorAmount = toMinorUnits(amount, assetType.decimalPlaces);
+
+    if (this._needsApproval(minorAmount, assetType)) {
+      if (!approvedBy) {
+        throw new Error(
+          `Approval required: adjustments of ${config.adjustments.approvalThreshold} or more need a second approver`
+        );
+      }
+      if (approvedBy === operator) {
+        throw new Error('Approval required: the approver must be a different operator');
+      }
+    }
+
+    const userAccount = await this._getUserAccount(userId, assetType._id);
+    const adjustmentsAccount = await this._getSystemAccount('SYSTEM_ADJUSTMENTS', assetType._id);
+
+    const [fromAccount, toAccount] = direction === 'credit'
+      ? [adjustmentsAccount, userAccount]
+      : [userAccount, adjustmentsAccount];
+
+    const result = await this._executeTransfer({
+      idempotencyKey,
+      request: describeRequest(caller, 'adjustment', {
+        userId,
+        assetCode: assetType.code,
+        direction,
+        amount: minorAmount,
+        reasonCode,
+        operator,
+        approvedBy,
+        note,
+        metadata,
+      }),
+      fromAccountId: fromAccount._id,
+      toAccountId: toAccount._id,
+      assetTypeId: assetType._id,
+      amount: minorAmount,
+      type: 'adjustment',
+      description: `Adjustment (${direction}): ${this._format(minorAmount, assetType)} ${assetType.code} for user ${userId} — ${reasonCode}`,
+      // Client metadata goes first: it can never overwrite who and why
+      metadata: {
+        ...metadata,
+        direction,
+        reasonCode,
+        operator,
+        approvedBy,
+        ...(note ? { note } : {}),
+      },
+    });
+    return { ...result, assetType };
+  }
+
+  /**
+   * Requests a manual adjustment on behalf of `operator`. Below the approval
+   * threshold it is posted at once (adjustBalance). At or above it, it is
+   * stored as a pending AdjustmentRequest that another operator must approve.
+   *
+   * Takes the parameters of adjustBalance, without `approvedBy`.
+   *
+   * @returns {Promise<Object>} The result of adjustBalance, or
+   *   { approvalRequest, assetType, isIdempotentReplay } while approval is pending
+   */
+  async requestAdjustment({
+    userId,
+    assetCode,
+    direction,
+    amount,
+    idempotencyKey,
+    reasonCode,
+    operator,
+    note = '',
+    metadata = {},
+    caller = null,
+  }) {
+    this._assertAdjustment({ direction, reasonCode, operator });
+    const assetType = await this._getAssetType(assetCode);
+    const minorAmount = toMinorUnits(amount, assetType.decimalPlaces);
+
+    if (!this._needsApproval(minorAmount, assetType)) {
+      return this.adjustBalance({
+        userId, assetCode, direction, amount, idempotencyKey, reasonCode, operator, note, metadata, caller,
+      });
+    }
+
+    const request = describeRequest(caller, 'adjustment_request', {
+      userId,
+      assetCode: assetType.code,
+      direction,
+      amount: minorAmount,
+      reasonCode,
+      note,
+      metadata,
+    });
+    const existing = await AdjustmentRequest.findOne({ idempotencyScope: request.scope, idempotencyKey });
+    if (existing) {
+      assertSameRequest(existing, request.requestHash);
+      return { approvalRequest: existing, assetType, isIdempotentReplay: true };
+    }
+
+    await this._getUserAccount(userId, assetType._id);
+    try {
+      const approvalRequest = await AdjustmentRequest.create({
+        idempotencyKey,
+        idempotencyScope: request.scope,
+        requestHash: request.requestHash,
+        userId,
+        assetType: assetType._id,
+        direction,
+        amount: minorAmount,
+        reasonCode,
+        note,
+        metadata,
+        requestedBy: operator,
+      });
+      return { approvalRequest, assetType, isIdempotentReplay: false };
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      // A concurrent request with the same key got there first
+      const raced = await AdjustmentRequest.findOne({ idempotencyScope: request.scope, idempotencyKey });
+      assertSameRequest(raced, request.requestHash);
+      return { approvalRequest: raced, assetType, isIdempotentReplay: true };
+    }
+  }
+
+  /**
+   * Approves a pending AdjustmentRequest and posts the adjustment, under the
+   * requester's idempotency key. The approver must be a different caller.
+   * Approving again — e.g. a retry after a timeout — replays the posted
+   * adjustment.
+   *
+   * @param {string} requestId
+   * @param {string} approver - callerOf the approving request
+   * @returns {Promise<Object>} The result of adjustBalance, plus `approvalRequest`
+   */
+  async approveAdjustment({ requestId, approver }) {
+    const pending = await this._getAdjustmentRequest(requestId);
+    if (pending.requestedBy === approver) {
+      throw new Error('Approval required: the approver must be a different operator');
+    }
+
+    // Claimed by the first approver; later approvals of the same request
+    // repeat that approver's adjustment, so its request hash stays the same
+    const approvalRequest =
+      (await AdjustmentRequest.findOneAndUpdate(
+        { _id: pending._id, status: 'pending' },
+        { status: 'approved', reviewedBy: approver, reviewedAt: new Date() },
+        { new: true }
+      )) || (await AdjustmentRequest.findById(pending._id));
+    if (approvalRequest.status === 'rejected') {
+      throw new Error(`Adjustment request ${requestId} was rejected`);
+    }
+
+    const assetType = await AssetType.findById(approvalRequest.assetType);
+    const result = await this.adjustBalance({
+      userId: approvalRequest.userId,
+      assetCode: assetType.code,
+      direction: approvalRequest.direction,
+      amount: toMajorUnits(approvalRequest.amount, assetType.decimalPlaces),
+      idempotencyKey: approvalRequest.idempotencyKey,
+      reasonCode: approvalRequest.reasonCode,
+      operator: approvalRequest.requestedBy,
+      approvedBy: approvalRequest.reviewedBy,
+      note: approvalRequest.note,
+      metadata: approvalRequest.metadata,
+      caller: approvalRequest.requestedBy,
+    });
+
+    if (!approvalRequest.transaction) {
+      approvalRequest.transaction = result.transaction._id;
+      await approvalRequest.save();
+    }
+    return { ...result, approvalRequest };
+  }
+
+  /**
+   * Rejects a pending AdjustmentRequest. Any admin may, the requester included.
+   */
+  async rejectAdjustment({ requestId, operator, reason = null }) {
+    const pending = await this._getAdjustmentRequest(requestId);
+    const rejected = await AdjustmentRequest.findOneAndUpdate(
+      { _id: pending._id, status: 'pending' },
+      { status: 'rejected', reviewedBy: operator, reviewedAt: new Date(), reviewNote: reason },
+      { new: true }
+    );
+    if (!rejected) {
+      throw new Error(`Adjustment request ${requestId} is already ${(await AdjustmentRequest.findById(pending._id)).status}`);
+    }
+    return { approvalRequest: rejected, assetType: await AssetType.findById(rejected.assetType) };
+  }
+
+  /**
+   * FLOW 7: Currency Exchange
+   * A user converts one asset type into another at the configured
+   * ExchangeRate, e.g. DIAMOND → GOLD. Both sides go through the
+   * SYSTEM_TREASURY account of their asset as four ledger legs in a single
+   * Transaction:
+   *
+   *   USER     [from] DEBIT  amount
+   *   TREASURY [from] CREDIT amount
+   *   TREASURY [to]   DEBIT  converted
+   *   USER     [to]   CREDIT converted
+   *
+   * The idempotency key is claimed in both asset types, and the rate and
+   * spread used are snapshotted on the transaction for auditing.
+   *
+   * @param {string} userId
+   * @param {string} fromAssetCode - What the user gives up, e.g. "DIAMOND"
+   * @param {string} toAssetCode - What the user receives, e.g. "GOLD"
+   * @param {number} amount - In fromAssetCode
+   * @param {string} idempotencyKey
+   * @param {Object} metadata
+   * @param {string} caller
+   */
+  async exchange({ userId, fromAssetCode, toAssetCode, amount, idempotencyKey, metadata = {}, caller = null }) {
+    const fromAssetType = await this._getAssetType(fromAssetCode);
+    const toAssetType = await this._getAssetType(toAssetCode);
+    if (fromAssetType._id.equals(toAssetType._id)) {
+      throw new Error('Cannot exchange an asset type into itself');
+    }
+
+    const fromAmount = toMinorUnits(amount, fromAssetType.decimalPlaces);
+    if (fromAmount <= 0) throw new Error('Amount must be a positive number');
+
+    const rate = await ExchangeRate.findOne({
+      fromAssetType: fromAssetType._id,
+      toAssetType: toAssetType._id,
+      isActive: true,
+    });
+    if (!rate) throw new Error(`Exchange rate not found: ${fromAssetType.code} → ${toAssetType.code}`);
+
+    const pricing = {
+      fromDecimalPlaces: fromAssetType.decimalPlaces,
+      toDecimalPlaces: toAssetType.decimalPlaces,
+      rate: rate.rate,
+    };
+    const toAmount = convertMinorUnits(fromAmount, { ...pricing, spread: rate.spread });
+    if (toAmount <= 0) {
+      throw new Error(`Amount is too small to exchange: ${amount} ${fromAssetType.code} buys no ${toAssetType.code}`);
+    }
+
+    const fromAccount = await this._getUserAccount(userId, fromAssetType._id);
+    const toAccount = await this._getUserAccount(userId, toAssetType._id);
+    const fromTreasury = await this._getSystemAccount('SYSTEM_TREASURY', fromAssetType._id);
+    const toTreasury = await this._getSystemAccount('SYSTEM_TREASURY', toAssetType._id);
+
+    const description = `Exchange: ${this._format(fromAmount, fromAssetType)} ${fromAssetType.code} → ${this._format(toAmount, toAssetType)} ${toAssetType.code} for user ${userId}`;
+
+    const result = await this._postTransaction({
+      idempotencyKey,
+      request: describeRequest(caller, 'exchange', {
+        userId,
+        fromAssetCode: fromAssetType.code,
+        toAssetCode: toAssetType.code,
+        amount: fromAmount,
+        metadata,
+      }),
+      legs: [
+        { role: 'Source', accountId: fromAccount._id, assetTypeId: fromAssetType._id, entryType: 'debit', amount: fromAmount },
+        { role: 'Treasury', accountId: fromTreasury._id, assetTypeId: fromAssetType._id, entryType: 'credit', amount: fromAmount },
+        { role: 'Treasury', accountId: toTreasury._id, assetTypeId: toAssetType._id, entryType: 'debit', amount: toAmount },
+        { role: 'Destination', accountId: toAccount._id, assetTypeId: toAssetType._id, entryType: 'credit', amount: toAmount },
+      ],
+      record: {
+        assetType: fromAssetType._id,
+        fromAccount: fromAccount._id,
+        toAccount: toAccount._id,
+        amount: fromAmount,
+        type: 'exchange',
+        description,
+        metadata,
+        exchange: {
+          rateId: rate._id,
+          toAssetType: toAssetType._id,
+          rate: rate.rate,
+          spread: rate.spread,
+          fromAmount,
+          toAmount,
+          spreadAmount: convertMinorUnits(fromAmount, pricing) - toAmount,
+        },
+      },
+    });
+    return { ...result, fromAssetType, toAssetType };
+  }
+
+  /**
+   * FLOW 8: General Posting
+   * Posts any number of debit and credit lines in one asset type as a single
+   * transaction — e.g. a referral bonus paid to both the referrer and the new
+   * player out of the Bonus Pool. Debits must equal credits, and each account
+   * (named by userId, system accounts included) may appear only once. Locking
+   * order and idempotency are the same as for every other flow.
+   *
+   * @param {string} assetCode
+   * @param {Object[]} lines - { userId, entryType: 'debit' | 'credit', amount, description? }
+   * @param {string} idempotencyKey
+   * @param {string} type - One of POSTING_TYPES (default 'posting')
+   * @param {string} description
+   * @param {Object} metadata
+   * @param {string} caller
+   */
+  async postTransaction({
+    assetCode,
+    lines,
+    idempotencyKey,
+    type = 'posting',
+    description = '',
+    metadata = {},
+    caller = null,
+  }) {
+    if (!POSTING_TYPES.includes(type)) {
+      throw new Error(`Invalid posting type: ${type}. Expected one of: ${POSTING_TYPES.join(', ')}`);
+    }
+    if (!Array.isArray(lines) || lines.length < 2) {
+      throw new Error('A posting needs at least two lines');
+    }
+
+    const assetType = await this._getAssetType(assetCode);
+    const legs = [];
+    for (const [i, line] of lines.entries()) {
+      if (!['debit', 'credit'].includes(line.entryType)) {
+        throw new Error(`Line ${i + 1}: entryType must be 'debit' or 'credit'`);
+      }
+      const account = await Account.findOne({ userId: line.userId, assetType: assetType._id });
+      if (!account) throw new Error(`Line ${i + 1}: account not found: ${line.userId}`);
+      legs.push({
+        role: `Line ${i + 1}`,
+        accountId: account._id,
+        assetTypeId: assetType._id,
+        entryType: line.entryType,
+        amount: toMinorUnits(line.amount, assetType.decimalPlaces),
+        description: line.description,
+      });
+    }
+
+    const total = (entryType) =>
+      legs.filter((leg) => leg.entryType === entryType).reduce((sum, leg) => sum + leg.amount, 0);
+    if (!legs.some((leg) => leg.entryType === 'debit') || !legs.some((leg) => leg.entryType === 'credit')) {
+      throw new Error('A posting needs at least one debit and one credit line');
+    }
+    if (total('debit') !== total('credit')) {
+      throw new Error(
+        `Debits (${this._format(total('debit'), assetType)}) must equal credits (${this._format(total('credit'), assetType)})`
+      );
+    }
+
+    const result = await this._postTransaction({
+      idempotencyKey,
+      request: describeRequest(caller, 'posting', {
+        assetCode: assetType.code,
+        type,
+        lines: lines.map((line, i) => ({
+          userId: line.userId,
+          entryType: line.entryType,
+          amount: legs[i].amount,
+          description: line.description || null,
+        })),
+        description,
+        metadata,
+      }),
+      legs,
+      record: {
+        assetType: assetType._id,
+        fromAccount: legs.find((leg) => leg.entryType === 'debit').accountId,
+        toAccount: legs.find((leg) => leg.entryType === 'credit').accountId,
+        amount: total('debit'),
+        type,
+        description:
+          description || `Posting: ${this._format(total('debit'), assetType)} ${assetType.code} across ${legs.length} accounts`,
+        metadata,
+      },
+    });
+    return { ...result, assetType };
+  }
+
+  /**
+   * FLOW 9: Authorize / Capture (Holds)
+   * Reserves funds in a user wallet without spending them — e.g. a
+   * matchmaking entry fee that is refunded if no match is found. The held
+   * amount stays in the balance but is no longer available to any debit.
+   * The hold is then captured (spent), voided or left to expire.
+   *
+   * Placing a hold moves no money and writes no ledger entries. The hold is
+   * recorded first (claiming the idempotency key), then its amount is added
+   * to the account's heldBalance in one conditional update.
+   *
+   * @param {string} userId
+   * @param {string} assetCode
+   * @param {number} amount
+   * @param {string} idempotencyKey
+   * @param {number} ttlSeconds - How long to hold the funds (default config.holds.defaultTtlMs)
+   * @param {string} itemId - What the funds are held for (optional)
+   * @param {Object} metadata
+   * @param {string} caller
+   */
+  async placeHold({
+    userId,
+    assetCode,
+    amount,
+    idempotencyKey,
+    ttlSeconds,
+    itemId = null,
+    metadata = {},
+    caller = null,
+  }) {
+    const assetType = await this._getAssetType(assetCode);
+    const minorAmount = toMinorUnits(amount, assetType.decimalPlaces);
+    if (minorAmount <= 0) throw new Error('Amount must be a positive number');
+
+    const ttlMs = ttlSeconds === undefined || ttlSeconds === null ? config.holds.defaultTtlMs : ttlSeconds * 1000;
+    if (!(ttlMs > 0) || ttlMs > config.holds.maxTtlMs) {
+      throw new Error(`ttlSeconds must be between 1 and ${config.holds.maxTtlMs / 1000}`);
+    }
+
+    const { scope, requestHash } = describeRequest(caller, 'hold', {
+      userId,
+      assetCode: assetType.code,
+      amount: minorAmount,
+      ttlSeconds: ttlSeconds === undefined ? null : ttlSeconds,
+      itemId,
+      metadata,
+    });
+
+    const existing = await Hold.findOne({ idempotencyScope: scope, idempotencyKey });
+    if (existing) {
+      assertSameRequest(existing, requestHash);
+      // The earlier request may have died between recording and reserving
+      if (existing.status === 'active') await this._reserveHold(existing, assetType);
+      return { hold: await Hold.findById(existing._id), assetType, isIdempotentReplay: true };
+    }
+
+    const account = await this._getUserAccount(userId, assetType._id);
+
+    let hold;
+    try {
+      hold = await Hold.create({
+        idempotencyKey,
+        idempotencyScope: scope,
+        requestHash,
+        account: account._id,
+        userId,
+        assetType: assetType._id,
+        amount: minorAmount,
+        expiresAt: new Date(Date.now() + ttlMs),
+        itemId,
+        metadata,
+      });
+    } catch (err) {
+      // A concurrent request with the same key won the race
+      if (err.code !== 11000) throw err;
+      const raced = await Hold.findOne({ idempotencyScope: scope, idempotencyKey });
+      assertSameRequest(raced, requestHash);
+      return { hold: raced, assetType, isIdempotentReplay: true };
+    }
+
+    await this._reserveHold(hold, assetType);
+    return { hold, assetType, isIdempotentReplay: false };
+  }
+
+  /**
+   * Captures an active hold: spends all of it, or part of it, as a 'spend'
+   * transaction to SYSTEM_REVENUE. The debit releases the hold's full amount
+   * from heldBalance in the same atomic update, so whatever is not captured
+   * becomes available again. A hold can be captured once.
+   *
+   * @param {string} holdId
+   * @param {number} amount - How much to capture (defaults to the full hold)
+   * @param {string} idempotencyKey
+   * @param {Object} metadata
+   * @param {string} caller
+   */
+  async captureHold({ holdId, amount, idempotencyKey, metadata = {}, caller = null }) {
+    const hold = await this._getHold(holdId);
+    const { assetType } = hold;
+    const request = describeRequest(caller, 'capture', {
+      holdId: hold._id,
+      amount: amount === undefined || amount === null ? null : toMinorUnits(amount, assetType.decimalPlaces),
+      metadata,
+    });
+
+    // A retry of a capture we already processed replays before any validation
+    const existing = await Transaction.findOne(
+      idempotencyFilter(request.scope, idempotencyKey, [assetType._id])
+    ).populate('ledgerEntries');
+    if (existing) {
+      assertSameRequest(existing, request.requestHash);
+      if (String(existing.metadata?.holdId) !== String(hold._id)) {
+        throw new Error('Idempotency key already used for a different transaction');
+      }
+      this._assertNotPending(existing);
+      return { transaction: existing, hold: await this._markCaptured(hold, existing), assetType, isIdempotentReplay: true };
+    }
+
+    if (hold.status !== 'active') throw new Error(`Hold is ${hold.status} and cannot be captured`);
+    if (hold.expiresAt <= new Date()) throw new Error('Hold is expired and cannot be captured');
+
+    const captureAmount =
+      amount === undefined || amount === null ? hold.amount : toMinorUnits(amount, assetType.decimalPlaces);
+    if (captureAmount <= 0) throw new Error('Amount must be a positive number');
+    if (captureAmount > hold.amount) {
+      throw new Error(
+        `Capture exceeds held amount. Requested ${this._format(captureAmount, assetType)}, held ${this._format(hold.amount, assetType)}.`
+      );
+    }
+
+    const revenueAccount = await this._getSystemAccount('SYSTEM_REVENUE', assetType._id);
+    const account = await Account.findById(hold.account);
+    const limits = { flow: 'spend', account, assetType, amount: captureAmount, idempotencyKey, request };
+
+    const result = await this._withLimits(limits, () => this._postTransaction({
+      idempotencyKey,
+      request,
+      legs: [
+        {
+          role: 'Source',
+          accountId: hold.account,
+          assetTypeId: assetType._id,
+          entryType: 'debit',
+          amount: captureAmount,
+          holdId: hold._id,
+          heldAmount: hold.amount,
+        },
+        { role: 'Destination', accountId: revenueAccount._id, assetTypeId: assetType._id, entryType: 'credit', amount: captureAmount },
+      ],
+      record: {
+        assetType: assetType._id,
+        fromAccount: hold.account,
+        toAccount: revenueAccount._id,
+        amount: captureAmount,
+        type: 'spend',
+        description: `Capture of hold ${hold._id}: ${this._format(captureAmount, assetType)} ${assetType.code} by user ${hold.userId}${hold.itemId ? ` for item ${hold.itemId}` : ''}`,
+        metadata: { holdId: hold._id, ...(hold.itemId ? { itemId: hold.itemId } : {}), ...metadata },
+      },
+    }));
+
+    return { ...result, hold: await this._markCaptured(hold, result.transaction), assetType };
+  }
+
+  /**
+   * Voids an active hold, making its funds available again. Voiding a hold
+   * that is already voided returns it unchanged.
+   *
+   * @param {string} holdId
+   */
+  async voidHold({ holdId }) {
+    const hold = await this._getHold(holdId);
+    if (hold.status === 'voided') return { hold, assetType: hold.assetType, isIdempotentReplay: true };
+    if (hold.status !== 'active') throw new Error(`Hold is ${hold.status} and cannot be voided`);
+
+    if (await Transaction.exists({ 'metadata.holdId': hold._id, status: 'pending' })) {
+      throw new Error(`Hold ${hold._id} is still being processed — please retry later`);
+    }
+
+    const released = await this._releaseHold(hold, 'voided');
+    if (!released) {
+      // Captured or expired in the meantime
+      const current = await this._getHold(holdId);
+      throw new Error(`Hold is ${current.status} and cannot be voided`);
+    }
+    return { hold: released, assetType: hold.assetType, isIdempotentReplay: false };
+  }
+
+  /**
+   * Releases an active hold whose TTL has passed. Called by the hold expiry
+   * sweeper; safe to run for the same hold from several processes.
+   *
+   * @returns {string} What happened: 'expired' | 'captured' | 'skipped'
+   */
+  async expireHold(hold) {
+    // A capture still in flight decides the hold's fate
+    if (await Transaction.exists({ 'metadata.holdId': hold._id, status: 'pending' })) return 'skipped';
+
+    const capture = await Transaction.findOne({ 'metadata.holdId': hold._id, status: 'completed' });
+    if (capture) {
+      await this._markCaptured(hold, capture);
+      return 'captured';
+    }
+
+    return (await this._releaseHold(hold, 'expired')) ? 'expired' : 'skipped';
+  }
+
+  async getHold(holdId) {
+    return this._getHold(holdId);
+  }
+
+  /**
+   * FLOW 10: Bonus Expiry
+   * Moves what is left of an expired bonus lot back to SYSTEM_BONUS_POOL as
+   * an 'expiry' transaction. Called by the bonus lot sweeper; safe to run
+   * for the same lot from several processes.
+   *
+   * Never takes more than the wallet has available, so funds reserved by a
+   * hold are left alone. A lot in a wallet that takes no debits (frozen,
+   * suspended) is skipped without posting anything — a refused expiry would
+   * record a failed transaction on every sweep — and expires once the
+   * wallet is active again.
+   *
+   * @returns {string} What happened: 'expired' | 'retry' | 'skipped'
+   */
+  async expireBonusLot(lot) {
+    const account = await Account.findById(lot.account);
+    if (!Account.DEBIT_STATUSES.includes(account.status)) return 'skipped';
+    const assetType = await AssetType.findById(lot.assetType);
+    const bonusPool = await this._getSystemAccount('SYSTEM_BONUS_POOL', lot.assetType);
+
+    // A replay of an expiry already posted uses that amount, not today's balance
+    const idempotencyKey = lot.idempotencyKey();
+    const keyFilter = idempotencyFilter(idempotencyScope(null, 'expiry'), idempotencyKey, [lot.assetType]);
+    const existing = await Transaction.findOne(keyFilter);
+    const amount = existing
+      ? existing.amount
+      : Math.min(lot.remaining, Math.max(0, account.balance - (account.heldBalance || 0)));
+
+    let transaction = null;
+    if (amount > 0) {
+      try {
+        ({ transaction } = await this._executeTransfer({
+          idempotencyKey,
+          fromAccountId: account._id,
+          toAccountId: bonusPool._id,
+          assetTypeId: assetType._id,
+          amount,
+          type: 'expiry',
+          description: `Bonus expired: ${this._format(amount, assetType)} ${assetType.code} from user ${lot.userId}`,
+          metadata: { bonusLotId: lot._id, bonusTransaction: lot.transaction },
+        }));
+      } catch (err) {
+        // The key is spent if the failure was recorded; the next sweep uses a new one
+        if (await Transaction.exists({ ...keyFilter, status: 'failed' })) {
+          await BonusLot.updateOne({ _id: lot._id, expiryAttempt: lot.expiryAttempt }, { $inc: { expiryAttempt: 1 } });
+        }
+        throw err;
+      }
+
+      if (transaction.status === 'failed') {
+        await BonusLot.updateOne({ _id: lot._id, expiryAttempt: lot.expiryAttempt }, { $inc: { expiryAttempt: 1 } });
+        return 'retry';
+      }
+    }
+
+    await BonusLot.updateOne(
+      { _id: lot._id, status: 'active' },
+      {
+        status: 'expired',
+        remaining: 0,
+        expiredAmount: amount,
+        expiryTransaction: transaction ? transaction._id : null,
+      }
+    );
+    return 'expired';
+  }
+
+  /**
+   * FLOW 11: Account Lifecycle
+   * Moves a user wallet between active, frozen and suspended (see
+   * Account.status). Closing is closeAccount, because it also moves money.
+   *
+   * @param {string} userId
+   * @param {string} assetCode
+   * @param {string} status - 'active' | 'frozen' | 'suspended'
+   * @param {string} reason - Why, kept on the account
+   * @param {string} operator - Who made the change
+   * @returns {{ account: Object, previousStatus: string }}
+   */
+  async setAccountStatus({ userId, assetCode, status, reason, operator = null }) {
+    if (!['active', 'frozen', 'suspended'].includes(status)) {
+      throw new Error('status must be active, frozen or suspended — close a wallet with the close endpoint');
+    }
+    if (!reason) throw new Error('A reason is required to change an account status');
+
+    const assetType = await this._getAssetType(assetCode);
+    const account = await this._getUserAccount(userId, assetType._id);
+    if (account.accountType !== 'user') throw new Error('Only user wallets can change status');
+    if (account.status === 'closed') throw new Error(`Account ${userId} is closed and cannot be reopened`);
+
+    const updated = await Account.findOneAndUpdate(
+      { _id: account._id, status: account.status },
+      { status, statusReason: reason, statusChangedAt: new Date(), statusChangedBy: operator },
+      { new: true }
+    ).populate('assetType', 'code name decimalPlaces');
+    if (!updated) throw new Error(`Account ${userId} changed status concurrently — please retry`);
+    await publishLocal({ accounts: [updated] });
+
+    return { account: updated, previousStatus: account.status };
+  }
+
+  /**
+   * Closes a user wallet for good and sweeps what is left in it to a system
+   * account — config.accounts.closureAccount unless `sweepTo` names another —
+   * as a 'closure' transaction.
+   *
+   * The wallet is marked closed first, so nothing else can move its balance;
+   * the sweep is then the one debit a closed wallet accepts. If the sweep
+   * fails, closing again finishes it. A wallet with active holds or a
+   * transaction in flight cannot be closed.
+   *
+   * @param {string} userId
+   * @param {string} assetCode
+   * @param {string} reason
+   * @param {string} sweepTo - userId of a system account (optional)
+   * @param {string} operator
+   * @returns {{ account: Object, previousStatus: string, transaction: Object|null }}
+   */
+  async closeAccount({ userId, assetCode, reason, sweepTo, operator = null }) {
+    if (!reason) throw new Error('A reason is required to close an account');
+
+    const assetType = await this._getAssetType(assetCode);
+    const account = await this._getUserAccount(userId, assetType._id);
+    if (account.accountType !== 'user') throw new Error('Only user wallets can be closed');
+    const destination = await this._getSystemAccount(sweepTo || config.accounts.closureAccount, assetType._id);
+
+    let closed = account;
+    if (account.status !== 'closed') {
+      closed = await Account.findOneAndUpdate(
+        {
+          _id: account._id,
+          status: account.status,
+          heldBalance: 0,
+          pendingTransactions: { $size: 0 },
+          maintenanceLock: null,
+        },
+        { status: 'closed', statusReason: reason, statusChangedAt: new Date(), statusChangedBy: operator },
+        { new: true }
+      );
+      if (!closed) {
+        const current = await Account.findById(account._id);
+        await this._assertNotLocked(current);
+        if (current.heldBalance > 0) {
+          throw new Error(`Account ${userId} has active holds — capture or void them before closing`);
+        }
+        if (current.pendingTransactions.length > 0) {
+          throw new Error(`Account ${userId} has a transaction still being processed — please retry shortly`);
+        }
+        throw new Error(`Account ${userId} changed status concurrently — please retry`);
+      }
+    }
+
+    // ── Sweep the remaining balance ─────────────────────────────────────────
+    // Nothing else can change a closed wallet's balance, so concurrent
+    // closes compute the same amount and key; a failed sweep spends its key
+    // and the next close uses a new one.
+    let transaction = null;
+    if (closed.balance > 0) {
+      const failedAttempts = await Transaction.countDocuments({
+        type: 'closure',
+        fromAccount: closed._id,
+        status: 'failed',
+      });
+      ({ transaction } = await this._executeTransfer({
+        idempotencyKey: `account-closure:${closed._id}:${failedAttempts}`,
+        fromAccountId: closed._id,
+        toAccountId: destination._id,
+        assetTypeId: assetType._id,
+        amount: closed.balance,
+        type: 'closure',
+        description: `Account closed: ${this._format(closed.balance, assetType)} ${assetType.code} from user ${userId} to ${destination.userId}`,
+        metadata: { reason, operator },
+      }));
+      if (transaction.status === 'failed') {
+        throw new Error(`Closing sweep failed: ${transaction.failureReason} — close the account again to retry`);
+      }
+    }
+
+    // The balance the lots tracked has left the wallet
+    await BonusLot.updateMany({ account: closed._id, status: 'active' }, { status: 'consumed', remaining: 0 });
+
+    const updated = await Account.findById(closed._id).populate('assetType', 'code name decimalPlaces');
+    if (account.status !== 'closed') await publishLocal({ accounts: [updated] });
+    return { account: updated, previousStatus: account.status, transaction };
+  }
+
+  /**
+   * The SYSTEM_ISSUANCE account of an asset type, created if it is missing.
+   * New asset types get theirs together with the asset type; one created
+   * before issuance accounts existed gets it here, on its first mint.
+   *
+   * @param {AssetType} assetType
+   * @param {ClientSession} [session]
+   */
+  async ensureIssuanceAccount(assetType, session = null) {
+    const filter = { userId: 'SYSTEM_ISSUANCE', assetType: assetType._id };
+    try {
+      return await Account.findOneAndUpdate(
+        filter,
+        {
+          $setOnInsert: {
+            accountType: 'system',
+            displayName: `[${assetType.code}] Issuance — Equity counterparty for minted opening balances`,
+            allowNegativeBalance: true,
+          },
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true, session }
+      );
+    } catch (err) {
+      // Two concurrent upserts: the other one created it
+      if (err.code !== 11000) throw err;
+      return Account.findOne(filter).session(session);
+    }
+  }
+
+  /**
+   * Opening Balance (Mint)
+   * Posts an account's initial balance as a 'mint' transaction from the
+   * SYSTEM_ISSUANCE account of its asset type, instead of writing the balance
+   * directly. Issuance goes negative by everything ever minted, so the sum of
+   * all ledger entries — and of all balances — stays 0 from the very first
+   * document.
+   *
+   * @param {ObjectId} accountId - The account receiving its opening balance
+   * @param {number} amount
+   * @param {string} idempotencyKey - Defaults to one key per account
+   * @param {Object} metadata
+   * @param {ClientSession} session - Mint inside the caller's transaction, e.g. the
+   *   one creating the account
+   */
+  async mintOpeningBalance({ accountId, amount, idempotencyKey, metadata = {}, session = null }) {
+    const account = await Account.findById(accountId)
+      .populate('assetType', 'code name decimalPlaces')
+      .session(session);
+    if (!account) throw new Error(`Account not found: ${accountId}`);
+
+    const { assetType } = account;
+    const minorAmount = toMinorUnits(amount, assetType.decimalPlaces);
+    const issuance = await this.ensureIssuanceAccount(assetType, session);
+
+    const result = await this._executeTransfer({
+      idempotencyKey: idempotencyKey || `genesis:${account._id}`,
+      session,
+      fromAccountId: issuance._id,
+      toAccountId: account._id,
+      assetTypeId: assetType._id,
+      amount: minorAmount,
+      type: 'mint',
+      description: `Opening balance: ${this._format(minorAmount, assetType)} ${assetType.code} for ${account.userId}`,
+      metadata,
+    });
+    return { ...result, assetType };
+  }
+
+  /**
+   * Get balance for a user — now, or as of a past moment (`asOf`, any date
+   * string) from the ledger and its checkpoints
+   */
+  async getBalance(userId, assetCode, { asOf } = {}) {
+    const at = asOf ? this._parseAsOf(asOf) : null;
+    const assetType = await this._getAssetType(assetCode);
+    const account = await Account.findOne({
+      userId,
+      assetType: assetType._id,
+    }).populate('assetType', 'code name');
+
+    if (!account) {
+      throw new Error(`No ${assetCode} wallet found for user ${userId}`);
+    }
+
+    if (at) return this._historicalBalance(account, assetType, at);
+
+    return {
+      userId,
+      assetCode: assetType.code,
+      assetName: assetType.name,
+      balance: this._format(account.balance, assetType),
+      // Reserved by active holds — included in balance, but not spendable
+      heldBalance: this._format(account.heldBalance || 0, assetType),
+      availableBalance: this._format(account.balance - (account.heldBalance || 0), assetType),
+      decimalPlaces: assetType.decimalPlaces,
+      accountId: account._id,
+      status: account.status,
+      upcomingExpirations: await this._upcomingExpirations(account, assetType),
+    };
+  }
+
+  /**
+   * Velocity limits on a user's wallet, with the allowance left in the
+   * current window of each
+   */
+  async getLimits(userId, assetCode) {
+    const assetType = await this._getAssetType(assetCode);
+    const account = await this._getUserAccount(userId, assetType._id);
+    return {
+      userId,
+      assetCode: assetType.code,
+      limits: await getAllowances(account, assetType),
+    };
+  }
+
+  /**
+   * Get transaction history for a user, newest first, one cursor page at a
+   * time (see utils/pagination.js).
+   *
+   * Filters: from/to (createdAt), entryType, transactionType, itemId and
+   * minAmount/maxAmount (major units). The first page (no cursor) also
+   * carries the totals of the whole filtered window; later pages do not
+   * repeat them.
+   */
+  async getHistory(userId, assetCode, {
+    cursor, limit = 20, from, to, entryType, transactionType, itemId, minAmount, maxAmount,
+  } = {}) {
+    const assetType = await this._getAssetType(assetCode);
+    const account = await this._getUserAccount(userId, assetType._id);
+
+    const filter = { account: account._id };
+    const createdAt = dateRange(from, to);
+    if (createdAt) filter.createdAt = createdAt;
+    if (entryType) {
+      if (!['credit', 'debit'].includes(entryType)) throw new Error(`Invalid entryType: ${entryType}`);
+      filter.entryType = entryType;
+    }
+    if (transactionType) {
+      if (!Transaction.schema.path('type').enumValues.includes(transactionType)) {
+        throw new Error(`Invalid transactionType: ${transactionType}`);
+      }
+      filter.transactionType = transactionType;
+    }
+    if (itemId) filter.itemId = String(itemId);
+    const amount = amountRange(minAmount, maxAmount, assetType.decimalPlaces);
+    if (amount) filter.amount = amount;
+
+    const query = pageQuery(filter, { cursor, limit });
+    const [entries, totals] = await Promise.all([
+      LedgerEntry.find(query.filter)
+        .sort(query.sort)
+        .limit(query.limit)
+        .populate('transactionId', 'type description metadata status createdAt'),
+      cursor ? null : this._historyTotals(filter, assetType),
+    ]);
+    const page = toPage(entries, limit);
+
+    return {
+      userId,
+      assetCode,
+      currentBalance: this._format(account.balance, assetType),
+      upcomingExpirations: await this._upcomingExpirations(account, assetType),
+      pagination: page.pagination,
+      ...(totals ? { totals } : {}),
+      entries: page.items.map((e) => ({
+        id: e._id,
+        type: e.entryType,
+        transactionType: e.transactionType,
+        itemId: e.itemId,
+        amount: this._format(e.amount, assetType),
+        balanceAfter: this._format(e.balanceAfter, assetType),
+        description: e.description,
+        transaction: e.transactionId,
+        createdAt: e.createdAt,
+      })),
+    };
+  }
+
+  /**
+   * Transactions recorded under an idempotency key by one caller, newest
+   * first — one per operation the caller used the key for, plus any made
+   * after the key was released. Keys recorded before scoping are not found.
+   *
+   * @param {string} idempotencyKey
+   * @param {string} caller - Whose keys to search (see callerOf in middleware/auth.js)
+   * @param {string} operation - Only this operation, e.g. 'spend' (optional)
+   */
+  async getTransactionsByKey({ idempotencyKey, caller, operation }) {
+    const escaped = caller.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const transactions = await Transaction.find({
+      idempotencyKey,
+      idempotencyScope: operation ? idempotencyScope(caller, operation) : { $regex: `^${escaped}:` },
+    })
+      .populate('assetType', 'code name decimalPlaces')
+      .sort({ createdAt: -1 })
+      .limit(50);
+    if (transactions.length === 0) throw new Error(`Idempotency key not found: ${idempotencyKey}`);
+    return transactions;
+  }
+
+  /**
+   * Verify ledger integrity for an account.
+   * Recomputes the balance from the ledger — the latest balance checkpoint
+   * plus the entries written since — and compares it to the cached balance
+   * on the Account document. `full` also re-sums the entries behind the
+   * checkpoint, checking the checkpoint itself.
+   */
+  async verifyLedgerIntegrity(userId, assetCode, { full = false } = {}) {
+    const assetType = await this._getAssetType(assetCode);
+    const account = await this._getUserAccount(userId, assetType._id);
+
+    // From the latest checkpoint, only entries written since are summed
+    const { balance: computed, entryCount, checkpoint } = await balanceAt(account._id);
+
+    const result = {
+      userId,
+      assetCode,
+      cachedBalance: this._format(account.balance, assetType),
+      computedBalance: this._format(computed, assetType),
+      // Integer minor units — an exact comparison, no epsilon needed
+      isConsistent: computed === account.balance,
+      entryCount,
+      checkpoint: checkpoint
+        ? {
+          through: checkpoint.through,
+          balance: this._format(checkpoint.balance, assetType),
+          entryCount: checkpoint.entryCount,
+        }
+        : null,
+    };
+
+    // A full check also re-sums the entries the checkpoint stands for
+    if (full && checkpoint) {
+      const covered = await sumEntries(account._id, { $lt: checkpoint.through });
+      result.checkpoint.isConsistent =
+        covered.balance === checkpoint.balance && covered.count === checkpoint.entryCount;
+      result.isConsistent = result.isConsistent && result.checkpoint.isConsistent;
+    }
+
+    return result;
+  }
+
+  // ── Private Helpers ──────────────────────────────────────────────────────
+
+  // Count and sums of the entries matching a history filter, in one pass
+  // over the account's index range
+  async _historyTotals(filter, assetType) {
+    const groups = await LedgerEntry.aggregate([
+      { $match: filter },
+      { $group: { _id: '$entryType', count: { $sum: 1 }, amount: { $sum: '$amount' } } },
+    ]);
+    const sum = (entryType) => groups.find((g) => g._id === entryType) || { count: 0, amount: 0 };
+    const credits = sum('credit');
+    const debits = sum('debit');
+    return {
+      count: credits.count + debits.count,
+      credits: this._format(credits.amount, assetType),
+      debits: this._format(debits.amount, assetType),
+      net: this._format(credits.amount - debits.amount, assetType),
+    };
+  }
+
+  // Direction, reason code and operator of a manual adjustment
+  _assertAdjustment({ direction, reasonCode, operator }) {
+    if (!['credit', 'debit'].includes(direction)) {
+      throw new Error("Adjustment direction must be 'credit' or 'debit'");
+    }
+    if (!config.adjustments.reasonCodes.includes(reasonCode)) {
+      throw new Error(
+        `Invalid reason code: ${reasonCode}. Expected one of: ${config.adjustments.reasonCodes.join(', ')}`
+      );
+    }
+    if (!operator) {
+      throw new Error('Operator identity is required for adjustments');
+    }
+  }
+
+  // The threshold is configured in major units, like the request amount
+  _needsApproval(minorAmount, assetType) {
+    return toMajorUnits(minorAmount, assetType.decimalPlaces) >= config.adjustments.approvalThreshold;
+  }
+
+  async _getAdjustmentRequest(requestId) {
+    const approvalRequest = mongoose.isValidObjectId(requestId)
+      ? await AdjustmentRequest.findById(requestId)
+      : null;
+    if (!approvalRequest) throw new Error(`Adjustment request not found: ${requestId}`);
+    return approvalRequest;
+  }
+
+  // The `asOf` of a point-in-time balance
+  _parseAsOf(asOf) {
+    const at = new Date(asOf);
+    if (Number.isNaN(at.getTime())) throw new Error(`Invalid asOf date: ${asOf}`);
+    if (at > new Date()) throw new Error('asOf must not be in the future');
+    return at;
+  }
+
+  // A wallet's balance after every entry created at or before `at`. Holds
+  // are not part of the ledger, so there is no held balance for the past.
+  async _historicalBalance(account, assetType, at) {
+    const { balance, entryCount, checkpoint } = await balanceAt(account._id, at);
+    return {
+      userId: account.userId,
+      assetCode: assetType.code,
+      assetName: assetType.name,
+      asOf: at,
+      balance: this._format(balance, assetType),
+      decimalPlaces: assetType.decimalPlaces,
+      accountId: account._id,
+      entryCount,
+      checkpointThrough: checkpoint ? checkpoint.through : null,
+      // Until the settle period has passed, transactions still committing
+      // may add entries dated at or before `at`
+      settled: at.getTime() <= Date.now() - config.checkpoints.settleMs,
+    };
+  }
+
+  // More than one debit or (besides a fee) more than one credit
+  _hasSplitLegs(transaction) {
+    return transaction.postings.length > (transaction.fee > 0 ? 3 : 2);
+  }
+
+  // Refunds `refundAmount` of a split transaction: every original leg is
+  // reversed in proportion to its share, so e.g. a split spend is paid back
+  // by Revenue and the creator alike.
+  _reversalLegs(original, refundAmount) {
+    const legs = [];
+    for (const entryType of ['credit', 'debit']) {
+      const postings = original.postings.filter((posting) => posting.entryType === entryType);
+      const parts = allocateMinorUnits(refundAmount, postings.map((posting) => posting.amount));
+      postings.forEach((posting, i) => {
+        if (parts[i] === 0) return;
+        legs.push({
+          role: 'Refund',
+          accountId: posting.account,
+          assetTypeId: posting.assetType,
+          entryType: entryType === 'credit' ? 'debit' : 'credit',
+          amount: parts[i],
+        });
+      });
+    }
+    return legs;
+  }
+
+  // Gives a reserved refund back to the original. With `reversalId` only
+  // once per failed reversal (see Transaction.refundReleased); without it
+  // the reversal record is gone and nobody else can release it.
+  async _releaseRefund(originalId, amount, reversalId = null) {
+    if (reversalId) {
+      const claimed = await Transaction.updateOne(
+        { _id: reversalId, status: 'failed', refundReleased: { $ne: true } },
+        { refundReleased: true }
+      );
+      if (claimed.modifiedCount === 0) return;
+    }
+    await Transaction.updateOne({ _id: originalId }, { $inc: { refundedAmount: -amount } });
+  }
+
+  async _getHold(holdId) {
+    const hold = mongoose.isValidObjectId(holdId)
+      ? await Hold.findById(holdId).populate('assetType', 'code name decimalPlaces')
+      : null;
+    if (!hold) throw new Error(`Hold not found: ${holdId}`);
+    return hold;
+  }
+
+  // Runs `post` within the account's velocity limits for `flow` (see
+  // limitService). A retry of a transaction we already have replays without
+  // touching the limits, and a reservation is given back unless `post`
+  // completes a new transaction.
+  async _withLimits({ flow, account, assetType, amount, idempotencyKey, request }, post) {
+    if (await Transaction.exists(idempotencyFilter(request.scope, idempotencyKey, [assetType._id]))) return post();
+
+    const release = await reserveLimits({ account, assetType, flow, amount });
+    let result;
+    try {
+      result = await post();
+    } catch (err) {
+      await release();
+      throw err;
+    }
+    if (result.isIdempotentReplay || result.transaction.status !== 'completed') await release();
+    return result;
+  }
+
+  // Whether the user-wallet debits of a transaction use up bonus lots. An
+  // expiry, and the reversal of a bonus, settle their own lot instead.
+  _usesBonusLots(record) {
+    if (record.type === 'expiry') return false;
+    return !(record.type === 'reversal' && record.metadata && record.metadata.originalType === 'bonus');
+  }
+
+  // Uses up `amount` of an account's bonus lots, soonest expiry first. Lots
+  // only track where spent funds came from; there may be fewer than `amount`.
+  async _consumeBonusLots(accountId, amount, session = null) {
+    let left = amount;
+    while (left > 0) {
+      const lot = await BonusLot.findOne({ account: accountId, status: 'active', remaining: { $gt: 0 } })
+        .sort({ expiresAt: 1, _id: 1 })
+        .session(session);
+      if (!lot) break;
+
+      const take = Math.min(left, lot.remaining);
+      const { modifiedCount } = await BonusLot.updateOne(
+        { _id: lot._id, status: 'active', remaining: lot.remaining },
+        { $inc: { remaining: -take }, ...(take === lot.remaining ? { status: 'consumed' } : {}) },
+        { session }
+      );
+      // Changed by a concurrent spend — look again
+      if (modifiedCount === 1) left -= take;
+    }
+  }
+
+  // Bonus amounts about to expire in a wallet, soonest first
+  async _upcomingExpirations(account, assetType) {
+    const lots = await BonusLot.find({ account: account._id, status: 'active', remaining: { $gt: 0 } })
+      .sort({ expiresAt: 1 })
+      .limit(config.bonusLots.upcomingLimit);
+    return lots.map((lot) => ({ amount: this._format(lot.remaining, assetType), expiresAt: lot.expiresAt }));
+  }
+
+  // Adds an active hold to its account's heldBalance, unless it already is.
+  // If the funds are not available the hold is marked failed.
+  async _reserveHold(hold, assetType) {
+    const reserved = await Account.findOneAndUpdate(
+      {
+        _id: hold.account,
+        ...availableAtLeast(hold.amount),
+        status: { $in: Account.DEBIT_STATUSES },
+        maintenanceLock: null,
+        activeHolds: { $ne: hold._id },
+      },
+      { $inc: { heldBalance: hold.amount }, $push: { activeHolds: hold._id } },
+      { new: true }
+    );
+    if (reserved) {
+      await publishLocal({ accounts: [reserved] });
+      return;
+    }
+
+    const current = await Account.findById(hold.account);
+    if (current.activeHolds.some((id) => id.equals(hold._id))) return;
+
+    // Left active, so a retry with the same key reserves it
+    if (current.maintenanceLock) {
+      throw new Error(`Account ${hold.userId} is locked for maintenance — please retry shortly`);
+    }
+
+    let reason;
+    if (!Account.DEBIT_STATUSES.includes(current.status)) {
+      reason = `Account ${hold.userId} is ${current.status} — debits are not allowed`;
+    }
+    else {
+      reason = `Insufficient balance. Account ${hold.userId} has ${this._format(current.balance - (current.heldBalance || 0), assetType)} available, needs ${this._format(hold.amount, assetType)}.`;
+    }
+    await Hold.updateOne({ _id: hold._id, status: 'active' }, { status: 'failed', failureReason: reason });
+    throw new Error(reason);
+  }
+
+  // Returns the hold's funds to the available balance and closes it as
+  // `status`. The account update is conditional on the hold's marker, so
+  // releasing twice (or after a capture) changes nothing.
+  async _releaseHold(hold, status) {
+    const released = await Account.findOneAndUpdate(
+      { _id: hold.account, activeHolds: hold._id },
+      { $inc: { heldBalance: -hold.amount }, $pull: { activeHolds: hold._id } },
+      { new: true }
+    );
+    if (released) await publishLocal({ accounts: [released] });
+    return Hold.findOneAndUpdate(
+      { _id: hold._id, status: 'active' },
+      { status, releasedAt: new Date() },
+      { new: true }
+    ).populate('assetType', 'code name decimalPlaces');
+  }
+
+  // Records a completed capture on its hold. The capture transaction is the
+  // source of truth, so this wins even over a concurrent void or expiry.
+  async _markCaptured(hold, transaction) {
+    if (transaction.status !== 'completed') return hold;
+    return Hold.findOneAndUpdate(
+      { _id: hold._id },
+      {
+        status: 'captured',
+        capturedAmount: transaction.amount,
+        captureTransaction: transaction._id,
+        releasedAt: hold.releasedAt || transaction.updatedAt || new Date(),
+      },
+      { new: true }
+    ).populate('assetType', 'code name decimalPlaces');
+  }
+
+  // Minor units → major units at the asset's precision, for responses and descriptions
+  _format(minorAmount, assetType) {
+    return toMajorUnits(minorAmount, assetType.decimalPlaces);
+  }
 
   async _getAssetType(code) {
     const assetType = await AssetType.findOne({ code: code.toUpperCase(), isActive: true });
@@ -408,10 +2493,21 @@ class WalletService {
   async _getUserAccount(userId, assetTypeId) {
     const account = await Account.findOne({ userId, assetType: assetTypeId });
     if (!account) throw new Error(`Wallet not found for user: ${userId}`);
-    if (!account.isActive) throw new Error(`Wallet is inactive for user: ${userId}`);
     return account;
   }
 
+  // The wallet a top-up or bonus pays into. A missing wallet is created for
+  // a provisioned user (the backfill may not have reached them yet), and for
+  // an unknown one too when config.users.autoProvision is on.
+  async _getCreditedUserAccount(userId, assetType) {
+    const account = await Account.findOne({ userId, assetType: assetType._id });
+    if (account) return account;
+    if (config.users.autoProvision || (await User.exists({ userId }))) {
+      await provisionUser({ userId, source: 'auto' });
+    }
+    return this._getUserAccount(userId, assetType._id);
+  }
+
   async _getSystemAccount(userId, assetTypeId) {
     const account = await Account.findOne({
       userId,
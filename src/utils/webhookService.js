@@ -0,0 +1,316 @@
+const crypto = require('crypto');
+const Transaction = require('../models/Transaction');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookEvent = require('../models/WebhookEvent');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const config = require('../config/wallet');
+const { toMajorUnits } = require('./money');
+
+// One event type per Transaction type, e.g. 'topup.completed'
+const EVENT_TYPES = [
+  ...Transaction.schema.path('type').enumValues.map((type) => `${type}.completed`),
+  'webhook.test',
+];
+
+// ── Outbox ───────────────────────────────────────────────────────────────────
+
+/**
+ * Writes the outbox event of a completed transaction. Pass the session of
+ * the MongoDB transaction that completes it, so the event and the money
+ * movement commit together.
+ *
+ * @param {Object} transaction
+ * @param {Object[]} accounts - Every account in transaction.postings
+ * @param {Object[]} assetTypes - Every asset type in transaction.assetTypes
+ * @param {ClientSession} session
+ */
+async function recordTransactionEvent(transaction, accounts, assetTypes, session = null) {
+  const event = buildTransactionEvent(transaction, accounts, assetTypes);
+  try {
+    await WebhookEvent.create([event], { session });
+  } catch (err) {
+    // Already recorded — only possible outside a MongoDB transaction
+    if (err.code !== 11000 || session) throw err;
+  }
+}
+
+function buildTransactionEvent(transaction, accounts, assetTypes) {
+  const accountById = new Map(accounts.map((account) => [account._id.toString(), account]));
+  const assetById = new Map(assetTypes.map((assetType) => [assetType._id.toString(), assetType]));
+  const assetType = assetById.get(transaction.assetType.toString());
+
+  return {
+    eventId: `evt_${transaction._id}`,
+    type: `${transaction.type}.completed`,
+    transaction: transaction._id,
+    payload: {
+      transactionId: transaction._id,
+      type: transaction.type,
+      idempotencyKey: transaction.idempotencyKey,
+      assetCode: assetType.code,
+      amount: toMajorUnits(transaction.amount, assetType.decimalPlaces),
+      fee: toMajorUnits(transaction.fee || 0, assetType.decimalPlaces),
+      description: transaction.description,
+      metadata: transaction.metadata,
+      reversalOf: transaction.reversalOf || null,
+      postings: transaction.postings.map((posting) => {
+        const account = accountById.get(posting.account.toString());
+        const postingAsset = assetById.get(posting.assetType.toString());
+        return {
+          userId: account ? account.userId : null,
+          accountType: account ? account.accountType : null,
+          assetCode: postingAsset.code,
+          entryType: posting.entryType,
+          amount: toMajorUnits(posting.amount, postingAsset.decimalPlaces),
+        };
+      }),
+      completedAt: new Date(),
+    },
+  };
+}
+
+// ── Subscriptions ────────────────────────────────────────────────────────────
+
+/**
+ * Registers an endpoint. The signing secret is generated unless given, and
+ * is returned only here.
+ *
+ * @returns {{ subscription: Object, secret: string }}
+ */
+async function createSubscription({ url, events, description = '', secret, createdBy = null }) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    throw new Error(`Invalid url: ${url}`);
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error('url must be http or https');
+  if (!Array.isArray(events) || events.length === 0) throw new Error('events must be a non-empty array');
+  const unknown = events.filter((event) => event !== '*' && !EVENT_TYPES.includes(event));
+  if (unknown.length > 0) throw new Error(`Unknown event type(s): ${unknown.join(', ')}`);
+
+  const signingSecret = secret || `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+  const subscription = await WebhookSubscription.create({
+    url: parsed.toString(),
+    events: [...new Set(events)],
+    secret: signingSecret,
+    description,
+    createdBy,
+  });
+  return { subscription, secret: signingSecret };
+}
+
+/**
+ * Queues a 'webhook.test' event for one subscription, to check an endpoint
+ * (and its signature verification) without moving money.
+ */
+async function sendTestEvent(subscriptionId) {
+  const subscription = await WebhookSubscription.findById(subscriptionId);
+  if (!subscription) throw new Error(`Subscription not found: ${subscriptionId}`);
+
+  const event = await WebhookEvent.create({
+    eventId: `evt_test_${crypto.randomBytes(12).toString('hex')}`,
+    type: 'webhook.test',
+    payload: { message: 'Test event from the wallet service', subscriptionId: subscription._id },
+    dispatchedAt: new Date(),
+  });
+  const delivery = await WebhookDelivery.create({
+    event: event._id,
+    eventId: event.eventId,
+    subscription: subscription._id,
+  });
+  return { event, delivery };
+}
+
+// ── Dispatch ─────────────────────────────────────────────────────────────────
+
+/**
+ * Fans out events that have not been dispatched yet: one WebhookDelivery per
+ * matching active subscription. Deliveries that already exist are skipped,
+ * so a dispatch interrupted half-way is simply repeated.
+ *
+ * @returns {number} Events dispatched
+ */
+async function dispatchEvents(limit = config.webhooks.batchSize) {
+  const events = await WebhookEvent.find({ dispatchedAt: null }).sort({ _id: 1 }).limit(limit);
+  if (events.length === 0) return 0;
+
+  const subscriptions = await WebhookSubscription.find({ status: 'active' });
+  for (const event of events) {
+    const deliveries = subscriptions
+      .filter((subscription) => subscription.wants(event.type))
+      .map((subscription) => ({ event: event._id, eventId: event.eventId, subscription: subscription._id }));
+    if (deliveries.length > 0) {
+      try {
+        await WebhookDelivery.insertMany(deliveries, { ordered: false });
+      } catch (err) {
+        // Queued by an earlier, interrupted dispatch
+        if (err.code !== 11000) throw err;
+      }
+    }
+    await WebhookEvent.updateOne({ _id: event._id }, { dispatchedAt: new Date() });
+  }
+  return events.length;
+}
+
+// ── Delivery ─────────────────────────────────────────────────────────────────
+
+/**
+ * Signature of a payload: HMAC-SHA256 over `<timestamp>.<body>` with the
+ * subscription secret, sent as `X-Webhook-Signature: t=<timestamp>,v1=<hex>`.
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Checks an `X-Webhook-Signature` header, for receivers. Signatures older
+ * than `toleranceSeconds` are refused so a captured request cannot be
+ * replayed later.
+ */
+function verifySignature(secret, header, body, { toleranceSeconds = 300, now = Date.now() } = {}) {
+  const parts = Object.fromEntries(
+    String(header || '').split(',').map((part) => part.trim().split('=', 2))
+  );
+  const timestamp = Number(parts.t);
+  if (!parts.v1 || !Number.isInteger(timestamp)) return false;
+  if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body), 'hex');
+  const given = Buffer.from(parts.v1, 'hex');
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+// Wait before the attempt after `attempts` failures: base × 2^(attempts − 1), capped
+function backoffMs(attempts) {
+  const { baseDelayMs, maxDelayMs } = config.webhooks;
+  return Math.min(baseDelayMs * 2 ** (attempts - 1), maxDelayMs);
+}
+
+/**
+ * Claims the next due delivery. The claim is an atomic update, so several
+ * API instances can deliver at once without sending the same delivery
+ * twice at the same time.
+ */
+function claimDueDelivery() {
+  const now = Date.now();
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      status: 'pending',
+      nextAttemptAt: { $lte: new Date(now) },
+      $or: [{ claimedAt: null }, { claimedAt: { $lt: new Date(now - config.webhooks.claimTimeoutMs) } }],
+    },
+    { claimedAt: new Date(now) },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+}
+
+/**
+ * Sends one claimed delivery and records the outcome: delivered on a 2xx,
+ * otherwise another attempt after a backoff — or the dead-letter list once
+ * config.webhooks.maxAttempts is reached.
+ *
+ * @returns {string} 'delivered' | 'retry' | 'dead'
+ */
+async function attemptDelivery(delivery) {
+  const [event, subscription] = await Promise.all([
+    WebhookEvent.findById(delivery.event),
+    WebhookSubscription.findById(delivery.subscription).select('+secret'),
+  ]);
+
+  if (!event || !subscription || subscription.status !== 'active') {
+    await WebhookDelivery.updateOne(
+      { _id: delivery._id },
+      { status: 'dead', deadAt: new Date(), claimedAt: null, lastError: 'Subscription is disabled or was removed' }
+    );
+    return 'dead';
+  }
+
+  const body = JSON.stringify({ id: event.eventId, type: event.type, createdAt: event.createdAt, data: event.payload });
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  let statusCode = null;
+  let error = null;
+  try {
+    const response = await fetch(subscription.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'wallet-service-webhooks/1.0',
+        'X-Webhook-Id': event.eventId,
+        'X-Webhook-Event': event.type,
+        'X-Webhook-Signature': `t=${timestamp},v1=${signPayload(subscription.secret, timestamp, body)}`,
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(config.webhooks.timeoutMs),
+    });
+    statusCode = response.status;
+    if (!response.ok) error = `HTTP ${response.status}`;
+    // Free the connection; the body is not used
+    await response.arrayBuffer().catch(() => {});
+  } catch (err) {
+    error = err.name === 'TimeoutError' ? `Timed out after ${config.webhooks.timeoutMs}ms` : err.message;
+  }
+
+  const attempts = delivery.attempts + 1;
+  if (!error) {
+    await WebhookDelivery.updateOne(
+      { _id: delivery._id },
+      { status: 'delivered', attempts, lastStatusCode: statusCode, lastError: null, deliveredAt: new Date(), claimedAt: null }
+    );
+    return 'delivered';
+  }
+
+  const dead = attempts >= config.webhooks.maxAttempts;
+  await WebhookDelivery.updateOne(
+    { _id: delivery._id },
+    {
+      attempts,
+      lastStatusCode: statusCode,
+      lastError: error,
+      claimedAt: null,
+      ...(dead
+        ? { status: 'dead', deadAt: new Date() }
+        : { nextAttemptAt: new Date(Date.now() + backoffMs(attempts)) }),
+    }
+  );
+  return dead ? 'dead' : 'retry';
+}
+
+// ── Dead letters ─────────────────────────────────────────────────────────────
+
+/**
+ * Puts dead deliveries back in the queue with a fresh set of attempts:
+ * one by id, or every dead delivery of a subscription.
+ *
+ * @returns {number} Deliveries replayed
+ */
+async function replayDeadLetters({ deliveryId, subscriptionId } = {}) {
+  const filter = { status: 'dead' };
+  if (deliveryId) filter._id = deliveryId;
+  else if (subscriptionId) filter.subscription = subscriptionId;
+  else throw new Error('deliveryId or subscriptionId is required');
+
+  const { modifiedCount } = await WebhookDelivery.updateMany(filter, {
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: new Date(),
+    claimedAt: null,
+    deadAt: null,
+  });
+  return modifiedCount;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  recordTransactionEvent,
+  createSubscription,
+  sendTestEvent,
+  dispatchEvents,
+  signPayload,
+  verifySignature,
+  claimDueDelivery,
+  attemptDelivery,
+  replayDeadLetters,
+};
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const config = require('../config/wallet');
+
+/**
+ * Runs `work(session)` inside a MongoDB multi-document transaction, so either
+ * every write it makes commits or none of them do.
+ *
+ * Retries follow the MongoDB driver guidance:
+ *   - TransientTransactionError (write conflicts, primary step-down, ...)
+ *     → abort and re-run the whole unit of work.
+ *   - UnknownTransactionCommitResult (commit outcome unknown)
+ *     → retry the commit only; commits are idempotent on the server.
+ *
+ * `work` MUST pass the session to every read and write, and must not run
+ * operations in parallel — a session can only execute one at a time.
+ *
+ * When transactions are disabled (standalone MongoDB without a replica set),
+ * `work` is called once with a null session and each write commits on its own.
+ *
+ * Given the `session` of a transaction the caller already runs, `work` joins
+ * it: it commits, aborts and retries with the caller's.
+ *
+ * @param {(session: ClientSession|null) => Promise<*>} work
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session] - An outer transaction to join
+ */
+async function withTransaction(work, { session: outer = null } = {}) {
+  if (!config.transactions.enabled || outer) {
+    return work(outer);
+  }
+
+  const { maxRetries } = config.transactions;
+  const session = await mongoose.startSession();
+
+  try {
+    for (let attempt = 1; ; attempt++) {
+      session.startTransaction({
+        readConcern: { level: 'snapshot' },
+        writeConcern: { w: 'majority' },
+      });
+
+      try {
+        const result = await work(session);
+        await commitWithRetry(session, maxRetries);
+        return result;
+      } catch (err) {
+        if (session.inTransaction()) {
+          await session.abortTransaction().catch(() => {});
+        }
+        if (hasErrorLabel(err, 'TransientTransactionError') && attempt < maxRetries) {
+          await backoff(attempt);
+          continue;
+        }
+        throw err;
+      }
+    }
+  } finally {
+    await session.endSession();
+  }
+}
+
+async function commitWithRetry(session, maxRetries) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await session.commitTransaction();
+      return;
+    } catch (err) {
+      if (hasErrorLabel(err, 'UnknownTransactionCommitResult') && attempt < maxRetries) {
+        continue;
+      }
+      throw err;
+    }
+  }
+}
+
+/**
+ * Whether `err` is a transient or commit-unknown error that outlasted the
+ * retries above. It says nothing about the unit of work itself: running it
+ * again later may well succeed.
+ */
+function isTransientError(err) {
+  return hasErrorLabel(err, 'TransientTransactionError') || hasErrorLabel(err, 'UnknownTransactionCommitResult');
+}
+
+function hasErrorLabel(err, label) {
+  return typeof err?.hasErrorLabel === 'function' && err.hasErrorLabel(label);
+}
+
+// Short jittered delay so competing writers don't collide again immediately
+function backoff(attempt) {
+  const delay = 10 * 2 ** attempt + Math.floor(Math.random() * 10);
+  return new Promise((r) => setTimeout(r, delay));
+}
+
+module.exports = withTransaction;
+module.exports.isTransientError = isTransientError;
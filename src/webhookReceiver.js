@@ -0,0 +1,78 @@
+/**
+ * webhookReceiver.js — A local endpoint for trying out webhooks. It checks
+ * each request's signature, skips event IDs it has already seen and prints
+ * the event.
+ *
+ * Run:
+ *   node src/webhookReceiver.js --secret whsec_... [--port 4000] [--fail 3]
+ *
+ * Then register http://localhost:4000/ with POST /api/admin/webhooks/subscriptions
+ * and send it a test event. `--fail N` answers the first N requests with a
+ * 500, to watch the retries.
+ */
+
+require('dotenv').config();
+const http = require('http');
+const { verifySignature } = require('./utils/webhookService');
+
+function parseArgs(argv) {
+  const options = { port: 4000, secret: process.env.WEBHOOK_SECRET, fail: 0 };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--port': options.port = Number(argv[++i]); break;
+      case '--secret': options.secret = argv[++i]; break;
+      case '--fail': options.fail = Number(argv[++i]); break;
+      default: throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+  if (!options.secret) throw new Error('--secret (or WEBHOOK_SECRET) is required');
+  return options;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const seen = new Set();
+  let failuresLeft = options.fail;
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('utf8');
+      const eventId = req.headers['x-webhook-id'];
+
+      if (!verifySignature(options.secret, req.headers['x-webhook-signature'], body)) {
+        console.log(`❌ ${eventId}: bad signature`);
+        res.writeHead(401).end();
+        return;
+      }
+      if (failuresLeft > 0) {
+        failuresLeft -= 1;
+        console.log(`💥 ${eventId}: answering 500 (${failuresLeft} failure(s) left)`);
+        res.writeHead(500).end();
+        return;
+      }
+      if (seen.has(eventId)) {
+        console.log(`↩️  ${eventId}: duplicate, ignored`);
+        res.writeHead(200).end();
+        return;
+      }
+
+      seen.add(eventId);
+      console.log(`✅ ${eventId} ${req.headers['x-webhook-event']}`);
+      console.log(JSON.stringify(JSON.parse(body).data, null, 2));
+      res.writeHead(200).end();
+    });
+  });
+
+  server.listen(options.port, () => {
+    console.log(`👂 Webhook receiver listening on http://localhost:${options.port}/`);
+  });
+}
+
+try {
+  main();
+} catch (err) {
+  console.error('❌ Could not start webhook receiver:', err.message);
+  process.exit(1);
+}
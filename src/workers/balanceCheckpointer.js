@@ -0,0 +1,46 @@
+const Account = require('../models/Account');
+const config = require('../config/wallet');
+const { writeCheckpoint } = require('../utils/balanceCheckpoints');
+
+/**
+ * Writes balance checkpoints (see models/BalanceCheckpoint.js) for accounts
+ * whose `checkpointDueAt` has passed — every config.checkpoints.everyMs per
+ * account. Each checkpoint covers the ledger up to settleMs ago.
+ *
+ * Accounts are claimed one at a time by moving `checkpointDueAt` forward in
+ * a conditional update, so several API instances can run the worker at once
+ * without checkpointing the same account twice.
+ *
+ * @returns {Promise<Object>} How many checkpoints were written, how many
+ *   accounts had no new entries, and how many failed
+ */
+async function writeBalanceCheckpoints() {
+  const { batchSize, everyMs, settleMs } = config.checkpoints;
+  const now = new Date();
+  const through = new Date(now.getTime() - settleMs);
+  const summary = { written: 0, unchanged: 0, failed: 0 };
+
+  for (let claimed = 0; claimed < batchSize; claimed += 1) {
+    const account = await Account.findOneAndUpdate(
+      { $or: [{ checkpointDueAt: null }, { checkpointDueAt: { $lte: now } }] },
+      { checkpointDueAt: new Date(now.getTime() + everyMs) },
+      { new: true, projection: { assetType: 1 } }
+    );
+    if (!account) break;
+
+    try {
+      summary[(await writeCheckpoint(account, through)) ? 'written' : 'unchanged'] += 1;
+    } catch (err) {
+      summary.failed += 1;
+      // Retried on a later run instead of waiting a full period
+      const retryAt = new Date(now.getTime() + config.checkpoints.intervalMs);
+      await Account.updateOne({ _id: account._id }, { checkpointDueAt: retryAt }).catch(() => {});
+      console.error(`❌ Could not checkpoint account ${account._id}: ${err.message}`);
+    }
+  }
+
+  if (summary.written > 0) console.log(`📌 Wrote ${summary.written} balance checkpoint(s)`);
+  return summary;
+}
+
+module.exports = { writeBalanceCheckpoints };
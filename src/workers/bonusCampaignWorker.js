@@ -0,0 +1,171 @@
+const BonusCampaign = require('../models/BonusCampaign');
+const CampaignRecipient = require('../models/CampaignRecipient');
+const Transaction = require('../models/Transaction');
+const walletService = require('../utils/walletService');
+const config = require('../config/wallet');
+const { toMajorUnits } = require('../utils/money');
+
+/**
+ * Grants the next batch of bonuses for one running BonusCampaign.
+ *
+ * The campaign is claimed with an atomic update first, so several API
+ * instances can run this worker without granting the same campaign twice.
+ * Each recipient is paid through walletService.issueBonus with a key derived
+ * from the campaign (see CampaignRecipient), so a run that dies half-way is
+ * simply repeated.
+ *
+ * Before each grant the amount is reserved against the campaign budget with
+ * a single conditional update; once the next grant would exceed the cap —
+ * or the bonus pool runs dry — the campaign is stopped and the remaining
+ * recipients stay pending. The reservation is recorded on the recipient
+ * row, and given back only once the grant is known not to have happened.
+ * A grant left pending keeps it, and so does its replay on a later run.
+ *
+ * @returns {Promise<Object|null>} What this run did, or null if no campaign was waiting
+ */
+async function processBonusCampaigns() {
+  const { claimTimeoutMs, batchSize, concurrency } = config.campaigns;
+  const now = Date.now();
+
+  const campaign = await BonusCampaign.findOneAndUpdate(
+    {
+      status: 'running',
+      $or: [{ claimedAt: null }, { claimedAt: { $lt: new Date(now - claimTimeoutMs) } }],
+    },
+    { claimedAt: new Date(now) },
+    { new: true, sort: { createdAt: 1 } }
+  ).populate('assetType', 'code decimalPlaces');
+  if (!campaign) return null;
+
+  const summary = { campaignId: campaign.campaignId, succeeded: 0, failed: 0, deferred: 0, stopped: null };
+
+  try {
+    const recipients = await CampaignRecipient.find({ campaign: campaign._id, status: 'pending' })
+      .sort({ _id: 1 })
+      .limit(batchSize);
+
+    for (let i = 0; i < recipients.length && !summary.stopped; i += concurrency) {
+      const outcomes = await Promise.all(
+        recipients.slice(i, i + concurrency).map((recipient) => grantBonus(campaign, recipient))
+      );
+      for (const outcome of outcomes) {
+        if (outcome.stop) summary.stopped = outcome.stop;
+        else summary[outcome.status] += 1;
+      }
+    }
+
+    if (summary.stopped) {
+      await BonusCampaign.updateOne(
+        { _id: campaign._id, status: 'running' },
+        { status: 'stopped', stopReason: summary.stopped }
+      );
+      console.warn(`⛔ Bonus campaign ${campaign.campaignId} stopped: ${summary.stopped}`);
+    } else if (!(await CampaignRecipient.exists({ campaign: campaign._id, status: 'pending' }))) {
+      await BonusCampaign.updateOne(
+        { _id: campaign._id, status: 'running' },
+        { status: 'completed', completedAt: new Date() }
+      );
+      console.log(`🎁 Bonus campaign ${campaign.campaignId} completed`);
+    }
+  } finally {
+    await BonusCampaign.updateOne({ _id: campaign._id }, { claimedAt: null });
+  }
+
+  return summary;
+}
+
+/**
+ * Grants one recipient's bonus and records the outcome on the row.
+ * Returns { status: 'succeeded' | 'failed' | 'deferred' } or { stop: reason }.
+ */
+async function grantBonus(campaign, recipient) {
+  const { assetType } = campaign;
+
+  // ── Reserve the amount against the budget ─────────────────────────────────
+  // A row still reserved from an earlier run (its grant was in flight) is
+  // already counted. The flag is set after the $inc: a crash in between
+  // counts the row twice, which can only stop the campaign early.
+  if (!recipient.reserved) {
+    const reserved = await BonusCampaign.findOneAndUpdate(
+      {
+        _id: campaign._id,
+        status: 'running',
+        $expr: {
+          $or: [
+            { $eq: [{ $ifNull: ['$budget', null] }, null] },
+            { $lte: [{ $add: ['$spent', recipient.amount] }, '$budget'] },
+          ],
+        },
+      },
+      { $inc: { spent: recipient.amount } }
+    );
+    if (!reserved) {
+      const current = await BonusCampaign.findById(campaign._id);
+      if (current.status !== 'running') return { stop: current.stopReason || `Campaign is ${current.status}` };
+      return {
+        stop: `Budget cap reached: granting ${toMajorUnits(recipient.amount, assetType.decimalPlaces)} ${assetType.code} to ${recipient.userId} would exceed ${toMajorUnits(current.budget, assetType.decimalPlaces)}`,
+      };
+    }
+    await CampaignRecipient.updateOne({ _id: recipient._id }, { reserved: true });
+  }
+  const releaseReservation = async () => {
+    const cleared = await CampaignRecipient.updateOne({ _id: recipient._id, reserved: true }, { reserved: false });
+    if (cleared.modifiedCount === 1) {
+      await BonusCampaign.updateOne({ _id: campaign._id }, { $inc: { spent: -recipient.amount } });
+    }
+  };
+
+  // ── Grant it ───────────────────────────────────────────────────────────────
+  let result;
+  try {
+    result = await walletService.issueBonus({
+      userId: recipient.userId,
+      assetCode: assetType.code,
+      amount: toMajorUnits(recipient.amount, assetType.decimalPlaces),
+      idempotencyKey: recipient.idempotencyKey(campaign.campaignId),
+      reason: campaign.reason,
+      metadata: { campaignId: campaign.campaignId },
+    });
+  } catch (err) {
+    // The same grant is still in flight — try again on a later run, which
+    // replays it. Its reservation stays until it is known to have failed.
+    if (err.message.includes('still being processed') || (await leftPending(err))) {
+      return { status: 'deferred' };
+    }
+    await releaseReservation();
+    // Locked for maintenance, or a commit that did not go through
+    if (err.retryable) return { status: 'deferred' };
+    // Every later recipient would fail the same way
+    if (err.message.includes('Insufficient balance')) {
+      return { stop: `Bonus pool exhausted: ${err.message}` };
+    }
+    await markRecipient(recipient, { status: 'failed', lastError: err.message });
+    return { status: 'failed' };
+  }
+
+  const { transaction } = result;
+
+  // Only a replay can return a failed transaction
+  if (transaction.status === 'failed') {
+    await releaseReservation();
+    await markRecipient(recipient, { status: 'failed', lastError: transaction.failureReason, transaction: transaction._id });
+    return { status: 'failed' };
+  }
+
+  await markRecipient(recipient, { status: 'succeeded', lastError: null, transaction: transaction._id });
+  return { status: 'succeeded' };
+}
+
+// Whether the grant's own record is left pending (or committed despite the
+// error), so the grant may still go through. Unreadable counts as pending.
+async function leftPending(err) {
+  if (!err.transactionId) return false;
+  const transaction = await Transaction.findById(err.transactionId).catch(() => ({ status: 'pending' }));
+  return !!transaction && transaction.status !== 'failed';
+}
+
+function markRecipient(recipient, update) {
+  return CampaignRecipient.updateOne({ _id: recipient._id }, { ...update, processedAt: new Date() });
+}
+
+module.exports = { processBonusCampaigns };
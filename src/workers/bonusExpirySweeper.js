@@ -0,0 +1,38 @@
+const Account = require('../models/Account');
+const BonusLot = require('../models/BonusLot');
+const walletService = require('../utils/walletService');
+const config = require('../config/wallet');
+
+/**
+ * Returns expired bonus lots to SYSTEM_BONUS_POOL via
+ * walletService.expireBonusLot, soonest expiry first. A lot whose expiry
+ * could not be posted stays active and is picked up by the next sweep.
+ *
+ * Each expiry is posted under an idempotency key derived from the lot, so
+ * several API instances can run the sweeper at the same time. Lots in
+ * wallets that take no debits (frozen, suspended) wait until the wallet is
+ * active again; one frozen after this query is skipped by expireBonusLot.
+ *
+ * @returns {Promise<Object>} How many lots were expired, left for a retry or skipped
+ */
+async function sweepExpiredBonusLots() {
+  const blocked = await Account.distinct('_id', { status: { $nin: Account.DEBIT_STATUSES } });
+  const lots = await BonusLot.find({ status: 'active', expiresAt: { $lte: new Date() }, account: { $nin: blocked } })
+    .sort({ expiresAt: 1 })
+    .limit(config.bonusLots.batchSize);
+
+  const summary = { expired: 0, retry: 0, skipped: 0 };
+  for (const lot of lots) {
+    try {
+      summary[await walletService.expireBonusLot(lot)] += 1;
+    } catch (err) {
+      summary.retry += 1;
+      console.error(`❌ Could not expire bonus lot ${lot._id}: ${err.message}`);
+    }
+  }
+
+  if (summary.expired > 0) console.log(`⌛ Expired ${summary.expired} bonus lot(s)`);
+  return summary;
+}
+
+module.exports = { sweepExpiredBonusLots };
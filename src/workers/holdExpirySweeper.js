@@ -0,0 +1,35 @@
+const Hold = require('../models/Hold');
+const walletService = require('../utils/walletService');
+const config = require('../config/wallet');
+
+/**
+ * Releases active holds whose `expiresAt` has passed, via
+ * walletService.expireHold. A hold whose capture is still in flight is left
+ * for a later sweep; one that was captured just before expiry is recorded
+ * as captured instead.
+ *
+ * Releasing is conditional on the hold's marker on its account, so several
+ * API instances can run the sweeper at the same time.
+ *
+ * @returns {Promise<Object>} How many holds were expired, captured or skipped
+ */
+async function sweepExpiredHolds() {
+  const holds = await Hold.find({ status: 'active', expiresAt: { $lte: new Date() } })
+    .sort({ expiresAt: 1 })
+    .limit(config.holds.batchSize);
+
+  const summary = { expired: 0, captured: 0, skipped: 0 };
+  for (const hold of holds) {
+    try {
+      summary[await walletService.expireHold(hold)] += 1;
+    } catch (err) {
+      summary.skipped += 1;
+      console.error(`❌ Could not expire hold ${hold._id}: ${err.message}`);
+    }
+  }
+
+  if (summary.expired > 0) console.log(`⌛ Expired ${summary.expired} hold(s)`);
+  return summary;
+}
+
+module.exports = { sweepExpiredHolds };
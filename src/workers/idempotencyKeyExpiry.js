@@ -0,0 +1,27 @@
+const Transaction = require('../models/Transaction');
+
+/**
+ * Releases client idempotency keys whose `idempotencyExpiresAt` has passed
+ * (see config.idempotency.keyTtlHours): the transaction keeps its key for
+ * the record, but leaves the unique index, so the caller may use the key
+ * again. Pending transactions keep theirs until they are resolved.
+ *
+ * A single conditional update, so several API instances can run it at once.
+ *
+ * @returns {Promise<Object>} How many keys were released
+ */
+async function releaseExpiredKeys() {
+  const { modifiedCount } = await Transaction.updateMany(
+    {
+      idempotencyKeyActive: true,
+      idempotencyExpiresAt: { $lte: new Date() },
+      status: { $ne: 'pending' },
+    },
+    { idempotencyKeyActive: false }
+  );
+
+  if (modifiedCount > 0) console.log(`🔑 Released ${modifiedCount} expired idempotency key(s)`);
+  return { released: modifiedCount };
+}
+
+module.exports = { releaseExpiredKeys };
@@ -0,0 +1,96 @@
+const config = require('../config/wallet');
+const { sweepPendingTransactions } = require('./pendingTransactionSweeper');
+const { reconcileLedger } = require('./reconciliationJob');
+const { processBonusCampaigns } = require('./bonusCampaignWorker');
+const { sweepExpiredHolds } = require('./holdExpirySweeper');
+const { sweepExpiredBonusLots } = require('./bonusExpirySweeper');
+const { backfillWallets } = require('./walletBackfill');
+const { processWebhooks } = require('./webhookDispatcher');
+const { releaseExpiredKeys } = require('./idempotencyKeyExpiry');
+const { writeBalanceCheckpoints } = require('./balanceCheckpointer');
+
+/**
+ * Background jobs run on a fixed interval inside the API process.
+ * Every job must be safe to run on several instances at once.
+ */
+const WORKERS = [
+  {
+    name: 'pending-transaction-sweeper',
+    intervalMs: config.recovery.sweepIntervalMs,
+    run: sweepPendingTransactions,
+  },
+  {
+    name: 'ledger-reconciliation',
+    intervalMs: config.reconciliation.intervalMs,
+    run: reconcileLedger,
+  },
+  {
+    name: 'bonus-campaigns',
+    intervalMs: config.campaigns.intervalMs,
+    run: processBonusCampaigns,
+  },
+  {
+    name: 'hold-expiry',
+    intervalMs: config.holds.sweepIntervalMs,
+    run: sweepExpiredHolds,
+  },
+  {
+    name: 'bonus-expiry',
+    intervalMs: config.bonusLots.sweepIntervalMs,
+    run: sweepExpiredBonusLots,
+  },
+  {
+    name: 'wallet-backfill',
+    intervalMs: config.users.backfillIntervalMs,
+    run: backfillWallets,
+  },
+  {
+    name: 'webhooks',
+    intervalMs: config.webhooks.intervalMs,
+    run: processWebhooks,
+  },
+  {
+    name: 'idempotency-key-expiry',
+    intervalMs: config.idempotency.expiryIntervalMs,
+    run: releaseExpiredKeys,
+  },
+  {
+    name: 'balance-checkpoints',
+    intervalMs: config.checkpoints.intervalMs,
+    run: writeBalanceCheckpoints,
+  },
+];
+
+const timers = [];
+
+function startWorkers() {
+  if (!config.workers.enabled) {
+    console.log('⏸️  Background workers disabled (WORKERS_ENABLED=false)');
+    return;
+  }
+
+  for (const worker of WORKERS) {
+    let running = false;
+    const timer = setInterval(async () => {
+      // Never overlap two runs of the same job in one process
+      if (running) return;
+      running = true;
+      try {
+        await worker.run();
+      } catch (err) {
+        console.error(`❌ Worker ${worker.name} failed: ${err.message}`);
+      } finally {
+        running = false;
+      }
+    }, worker.intervalMs);
+    // Don't keep the process alive just for background jobs
+    timer.unref();
+    timers.push(timer);
+  }
+}
+
+function stopWorkers() {
+  while (timers.length > 0) clearInterval(timers.pop());
+}
+
+module.exports = { startWorkers, stopWorkers };
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+const RecoveryLog = require('../models/RecoveryLog');
+const walletService = require('../utils/walletService');
+const config = require('../config/wallet');
+
+/**
+ * Finds transactions left 'pending' longer than the configured threshold —
+ * e.g., because the process died mid-transfer — and resolves each one via
+ * walletService.recoverPendingTransaction. Every decision is written to
+ * RecoveryLog.
+ *
+ * Each transaction is claimed with an atomic update before it is touched,
+ * so several API instances can run the sweeper at the same time. One that
+ * needs manual review is parked (`recoveryState`) and left alone until an
+ * operator hands it back with retryRecovery.
+ *
+ * @returns {Promise<Object[]>} The RecoveryLog records written by this sweep
+ */
+async function sweepPendingTransactions() {
+  const { pendingThresholdMs, claimTimeoutMs, batchSize } = config.recovery;
+  const logs = [];
+
+  for (let i = 0; i < batchSize; i++) {
+    const now = Date.now();
+    const transaction = await Transaction.findOneAndUpdate(
+      {
+        status: 'pending',
+        recoveryState: null,
+        createdAt: { $lt: new Date(now - pendingThresholdMs) },
+        $or: [
+          { recoveryClaimedAt: null },
+          { recoveryClaimedAt: { $lt: new Date(now - claimTimeoutMs) } },
+        ],
+      },
+      { recoveryClaimedAt: new Date(now) },
+      { new: true, sort: { createdAt: 1 } }
+    );
+    if (!transaction) break;
+
+    let outcome;
+    try {
+      outcome = await walletService.recoverPendingTransaction(transaction);
+    } catch (err) {
+      outcome = { decision: 'manual_review', reason: `Recovery failed: ${err.message}`, legs: [] };
+    }
+
+    if (outcome.decision === 'manual_review') {
+      await Transaction.updateOne({ _id: transaction._id, status: 'pending' }, { recoveryState: 'manual_review' });
+    }
+
+    const log = await RecoveryLog.create({
+      transaction: transaction._id,
+      idempotencyKey: transaction.idempotencyKey,
+      decision: outcome.decision,
+      reason: outcome.reason,
+      legs: outcome.legs,
+      pendingForMs: now - transaction.createdAt.getTime(),
+    });
+    logs.push(log);
+
+    console.log(`🧹 Recovered transaction ${transaction._id}: ${outcome.decision} — ${outcome.reason}`);
+  }
+
+  return logs;
+}
+
+/**
+ * Hands a transaction parked for manual review back to the sweeper, e.g.
+ * once the funds its rollback needs are back. The next sweep retries it.
+ *
+ * @returns {Promise<Transaction>} The released transaction
+ */
+async function retryRecovery(transactionId) {
+  const notFound = new Error(`No transaction awaiting manual review: ${transactionId}`);
+  if (!mongoose.isValidObjectId(transactionId)) throw notFound;
+
+  const transaction = await Transaction.findOneAndUpdate(
+    { _id: transactionId, status: 'pending', recoveryState: 'manual_review' },
+    { recoveryState: null, recoveryClaimedAt: null },
+    { new: true }
+  );
+  if (!transaction) throw notFound;
+  return transaction;
+}
+
+module.exports = { sweepPendingTransactions, retryRecovery };
@@ -0,0 +1,26 @@
+const ReconciliationReport = require('../models/ReconciliationReport');
+const { runReconciliation } = require('../utils/reconciliationService');
+
+/**
+ * Scheduled reconciliation: runs the full system-wide check and stores the
+ * result as a ReconciliationReport, warning loudly when something is off.
+ */
+async function reconcileLedger() {
+  const startedAt = Date.now();
+  const report = await runReconciliation();
+
+  const saved = await ReconciliationReport.create({
+    isHealthy: report.isHealthy,
+    assets: report.assets,
+    durationMs: Date.now() - startedAt,
+  });
+
+  if (!report.isHealthy) {
+    const unhealthy = report.assets.filter((a) => !a.isHealthy).map((a) => a.assetCode);
+    console.warn(`⚠️  Ledger reconciliation found problems in: ${unhealthy.join(', ')} (report ${saved._id})`);
+  }
+
+  return saved;
+}
+
+module.exports = { reconcileLedger };
@@ -0,0 +1,65 @@
+const AssetType = require('../models/AssetType');
+const User = require('../models/User');
+const config = require('../config/wallet');
+const { createWallets } = require('../utils/userService');
+
+/**
+ * Creates the wallets of a new asset type for users provisioned before it
+ * existed, one batch of users per run.
+ *
+ * The asset type is claimed with an atomic update first, so several API
+ * instances can run this worker at once. Progress is stored as a cursor on
+ * the asset type after every batch, and wallets that already exist are
+ * skipped, so a run that dies half-way is simply repeated.
+ *
+ * @returns {Promise<Object|null>} What this run did, or null if no asset type was waiting
+ */
+async function backfillWallets() {
+  const { batchSize, claimTimeoutMs } = config.users;
+  const now = Date.now();
+
+  const assetType = await AssetType.findOneAndUpdate(
+    {
+      isActive: true,
+      'walletBackfill.status': 'pending',
+      $or: [
+        { 'walletBackfill.claimedAt': null },
+        { 'walletBackfill.claimedAt': { $lt: new Date(now - claimTimeoutMs) } },
+      ],
+    },
+    { 'walletBackfill.claimedAt': new Date(now) },
+    { new: true, sort: { createdAt: 1 } }
+  );
+  if (!assetType) return null;
+
+  const summary = { assetCode: assetType.code, users: 0, walletsCreated: 0, completed: false };
+
+  try {
+    const { cursor } = assetType.walletBackfill;
+    const users = await User.find(cursor ? { _id: { $gt: cursor } } : {})
+      .sort({ _id: 1 })
+      .limit(batchSize);
+
+    summary.users = users.length;
+    summary.walletsCreated = await createWallets(users, assetType);
+    summary.completed = users.length < batchSize;
+
+    const update = {
+      $inc: { 'walletBackfill.walletsCreated': summary.walletsCreated },
+      $set: {},
+    };
+    if (users.length > 0) update.$set['walletBackfill.cursor'] = users[users.length - 1]._id;
+    if (summary.completed) {
+      update.$set['walletBackfill.status'] = 'completed';
+      update.$set['walletBackfill.completedAt'] = new Date();
+    }
+    await AssetType.updateOne({ _id: assetType._id }, update);
+  } finally {
+    await AssetType.updateOne({ _id: assetType._id }, { 'walletBackfill.claimedAt': null });
+  }
+
+  if (summary.completed) console.log(`👛 Wallet backfill for ${assetType.code} completed`);
+  return summary;
+}
+
+module.exports = { backfillWallets };
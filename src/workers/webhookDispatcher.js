@@ -0,0 +1,39 @@
+const config = require('../config/wallet');
+const { dispatchEvents, claimDueDelivery, attemptDelivery } = require('../utils/webhookService');
+
+/**
+ * Sends wallet events to webhook subscribers. Each run first fans new
+ * outbox events out into deliveries, then sends up to a batch of due
+ * deliveries, a few at a time. Failed deliveries are retried with
+ * exponential backoff on later runs and end up on the dead-letter list
+ * (see WebhookDelivery).
+ *
+ * Deliveries are claimed atomically, so several API instances can run the
+ * worker at once.
+ *
+ * @returns {Promise<Object>} Events dispatched and delivery outcomes
+ */
+async function processWebhooks() {
+  const { batchSize, concurrency } = config.webhooks;
+  const summary = { dispatched: await dispatchEvents(batchSize), delivered: 0, retry: 0, dead: 0 };
+
+  let claimed = 0;
+  while (claimed < batchSize) {
+    const deliveries = [];
+    while (deliveries.length < concurrency && claimed < batchSize) {
+      const delivery = await claimDueDelivery();
+      if (!delivery) break;
+      deliveries.push(delivery);
+      claimed += 1;
+    }
+    if (deliveries.length === 0) break;
+
+    const outcomes = await Promise.all(deliveries.map((delivery) => attemptDelivery(delivery)));
+    for (const outcome of outcomes) summary[outcome] += 1;
+  }
+
+  if (summary.dead > 0) console.warn(`☠️  ${summary.dead} webhook deliver${summary.dead === 1 ? 'y' : 'ies'} moved to the dead-letter list`);
+  return summary;
+}
+
+module.exports = { processWebhooks };
@@ -0,0 +1,96 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('./helpers/db');
+const app = require('../src/server');
+const walletService = require('../src/utils/walletService');
+const { createApiKey } = require('../src/utils/apiKeyService');
+const AssetType = require('../src/models/AssetType');
+const Account = require('../src/models/Account');
+const ExchangeRate = require('../src/models/ExchangeRate');
+
+let server;
+let baseUrl;
+let key;
+let spend;
+let exchange;
+
+before(async () => {
+  await db.connect();
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await db.disconnect();
+});
+
+// alice pays for an item with a 10% creator split, then exchanges GOLD for DIAMOND
+beforeEach(async () => {
+  await db.reset();
+  ({ key } = await createApiKey({ name: 'test', scopes: ['admin:read'] }));
+
+  const gold = await AssetType.create({ code: 'GOLD', name: 'Gold Coins', decimalPlaces: 0, splitPayees: ['creator'] });
+  const diamond = await AssetType.create({ code: 'DIAMOND', name: 'Diamonds', decimalPlaces: 0 });
+  await ExchangeRate.create({ fromAssetType: gold._id, toAssetType: diamond._id, rate: 0.1 });
+
+  const wallet = async (userId, assetType, balance = 0, accountType = 'user') => {
+    const account = await Account.create({ userId, accountType, assetType: assetType._id, displayName: userId });
+    if (balance > 0) await walletService.mintOpeningBalance({ accountId: account._id, amount: balance });
+  };
+  await wallet('alice', gold, 1000);
+  await wallet('alice', diamond);
+  await wallet('creator', gold);
+  await wallet('SYSTEM_REVENUE', gold, 0, 'system');
+  await wallet('SYSTEM_TREASURY', gold, 0, 'system');
+  await wallet('SYSTEM_TREASURY', diamond, 500, 'system');
+
+  ({ transaction: spend } = await walletService.spend({
+    userId: 'alice',
+    assetCode: 'GOLD',
+    amount: 100,
+    itemId: 'sword',
+    splits: [{ userId: 'creator', percent: 10 }],
+    idempotencyKey: 'spend-1',
+  }));
+  ({ transaction: exchange } = await walletService.exchange({
+    userId: 'alice',
+    fromAssetCode: 'GOLD',
+    toAssetCode: 'DIAMOND',
+    amount: 100,
+    idempotencyKey: 'exchange-1',
+  }));
+});
+
+async function listTransactions(query) {
+  const res = await fetch(`${baseUrl}/api/admin/transactions?${new URLSearchParams(query)}`, {
+    headers: { 'X-API-Key': key },
+  });
+  const body = await res.json();
+  assert.equal(res.status, 200, body.error);
+  return body.data.transactions.map((tx) => String(tx._id));
+}
+
+// ── GET /api/admin/transactions ──────────────────────────────────────────────
+
+test('the userId filter matches a user who is only a split payee', async () => {
+  assert.deepEqual(await listTransactions({ userId: 'creator' }), [String(spend._id)]);
+});
+
+test('the assetCode filter matches either side of an exchange', async () => {
+  assert.deepEqual(await listTransactions({ type: 'exchange', assetCode: 'GOLD' }), [String(exchange._id)]);
+  assert.deepEqual(await listTransactions({ type: 'exchange', assetCode: 'DIAMOND' }), [String(exchange._id)]);
+  assert.deepEqual(await listTransactions({ userId: 'alice', assetCode: 'DIAMOND', type: 'exchange' }), [
+    String(exchange._id),
+  ]);
+  assert.deepEqual(await listTransactions({ type: 'spend', assetCode: 'DIAMOND' }), []);
+});
+
+test('amount filters only match transactions in the given asset', async () => {
+  // The exchange's amount is 100 GOLD; in DIAMOND only the 500 mint qualifies
+  const diamonds = await listTransactions({ assetCode: 'DIAMOND', minAmount: 50 });
+  assert.equal(diamonds.length, 1);
+  assert.ok(!diamonds.includes(String(exchange._id)));
+  assert.ok((await listTransactions({ assetCode: 'GOLD', minAmount: 100, maxAmount: 100 })).includes(String(exchange._id)));
+});
@@ -0,0 +1,49 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('./helpers/db');
+const ApiKey = require('../src/models/ApiKey');
+const { createApiKey, rotateApiKey, revokeApiKey, authenticateApiKey } = require('../src/utils/apiKeyService');
+
+before(() => db.connect());
+after(() => db.disconnect());
+beforeEach(() => db.reset());
+
+test('a created key authenticates, and only its hash is stored', async () => {
+  const { apiKey, key } = await createApiKey({ name: 'game-server', scopes: ['wallet:read', 'wallet:spend'] });
+
+  assert.equal(String((await authenticateApiKey(key))._id), String(apiKey._id));
+  assert.equal(await authenticateApiKey(`${key}x`), null);
+  const stored = await ApiKey.findById(apiKey._id).lean();
+  assert.ok(!JSON.stringify(stored).includes(key));
+  assert.equal(stored.prefix, key.slice(0, stored.prefix.length));
+});
+
+test('unknown scopes and past expiry dates are refused', async () => {
+  await assert.rejects(createApiKey({ name: 'x', scopes: ['wallet:read', 'root:*'] }), /Unknown scope\(s\): root:\*/);
+  await assert.rejects(createApiKey({ name: 'x', scopes: [] }), /At least one scope/);
+  await assert.rejects(createApiKey({ name: 'x', scopes: ['admin:*'], expiresAt: '2000-01-01' }), /in the future/);
+});
+
+test('a revoked or expired key no longer authenticates', async () => {
+  const revoked = await createApiKey({ name: 'old', scopes: ['wallet:read'] });
+  await revokeApiKey(revoked.apiKey._id, { operator: 'key:ops' });
+  assert.equal(await authenticateApiKey(revoked.key), null);
+
+  const expiring = await createApiKey({ name: 'short', scopes: ['wallet:read'], expiresAt: new Date(Date.now() + 60 * 1000) });
+  await ApiKey.updateOne({ _id: expiring.apiKey._id }, { expiresAt: new Date(Date.now() - 1000) });
+  assert.equal(await authenticateApiKey(expiring.key), null);
+});
+
+test('a rotated key works until its grace period ends, and rotates once', async () => {
+  const { apiKey, key } = await createApiKey({ name: 'game-server', scopes: ['wallet:spend'] });
+  const rotated = await rotateApiKey(apiKey._id, { graceMs: 60 * 1000, operator: 'key:ops' });
+
+  assert.deepEqual([...rotated.apiKey.scopes], ['wallet:spend']);
+  assert.ok(await authenticateApiKey(rotated.key));
+  assert.ok(await authenticateApiKey(key));
+  await assert.rejects(rotateApiKey(apiKey._id), /already been rotated/);
+
+  await ApiKey.updateOne({ _id: apiKey._id }, { expiresAt: new Date(Date.now() - 1000) });
+  assert.equal(await authenticateApiKey(key), null);
+  assert.ok(await authenticateApiKey(rotated.key));
+});
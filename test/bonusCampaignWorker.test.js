@@ -0,0 +1,87 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const db = require('./helpers/db');
+const walletService = require('../src/utils/walletService');
+const AssetType = require('../src/models/AssetType');
+const Account = require('../src/models/Account');
+const Transaction = require('../src/models/Transaction');
+const BonusCampaign = require('../src/models/BonusCampaign');
+const CampaignRecipient = require('../src/models/CampaignRecipient');
+const { createCampaign } = require('../src/utils/bonusCampaignService');
+const { processBonusCampaigns } = require('../src/workers/bonusCampaignWorker');
+
+let gold;
+let campaign;
+
+before(() => db.connect());
+after(() => db.disconnect());
+
+beforeEach(async () => {
+  await db.reset();
+  gold = await AssetType.create({ code: 'GOLD', name: 'Gold Coins', decimalPlaces: 0 });
+  const pool = await Account.create({
+    userId: 'SYSTEM_BONUS_POOL',
+    accountType: 'system',
+    assetType: gold._id,
+    displayName: 'Bonus pool',
+  });
+  await walletService.mintOpeningBalance({ accountId: pool._id, amount: 1000 });
+  await Account.create({ userId: 'alice', accountType: 'user', assetType: gold._id, displayName: 'alice' });
+
+  ({ campaign } = await createCampaign({
+    campaignId: 'season-7',
+    assetCode: 'GOLD',
+    budget: 100,
+    recipients: [{ userId: 'alice', amount: 40 }],
+  }));
+});
+
+// The grant of an earlier run, still pending (e.g. its process died)
+function pendingGrant() {
+  return Transaction.create({
+    idempotencyKey: 'campaign:season-7:alice:1',
+    idempotencyScope: 'system:bonus',
+    assetType: gold._id,
+    assetTypes: [gold._id],
+    fromAccount: new mongoose.Types.ObjectId(),
+    toAccount: new mongoose.Types.ObjectId(),
+    amount: 40,
+    type: 'bonus',
+    status: 'pending',
+  });
+}
+
+const spent = async () => (await BonusCampaign.findById(campaign._id)).spent;
+const recipient = () => CampaignRecipient.findOne({ campaign: campaign._id, userId: 'alice' });
+
+test('a grant left pending keeps its reservation, and its replay does not release it', async () => {
+  const grant = await pendingGrant();
+
+  const first = await processBonusCampaigns();
+  assert.equal(first.deferred, 1);
+  assert.equal(await spent(), 40);
+  assert.equal((await recipient()).reserved, true);
+
+  // The recovery sweeper completes it; the next run replays it
+  await Transaction.updateOne({ _id: grant._id }, { status: 'completed' });
+  const second = await processBonusCampaigns();
+
+  assert.equal(second.succeeded, 1);
+  assert.equal(await spent(), 40);
+  assert.equal((await recipient()).status, 'succeeded');
+});
+
+test('a grant that failed after a deferred run gives its reservation back once', async () => {
+  const grant = await pendingGrant();
+  await processBonusCampaigns();
+
+  await Transaction.updateOne({ _id: grant._id }, { status: 'failed', failureReason: 'Rolled back' });
+  const summary = await processBonusCampaigns();
+
+  assert.equal(summary.failed, 1);
+  assert.equal(await spent(), 0);
+  const row = await recipient();
+  assert.equal(row.status, 'failed');
+  assert.equal(row.reserved, false);
+});
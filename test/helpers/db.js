@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+/**
+ * Database for the tests: MONGODB_TEST_URI when set, otherwise a throwaway
+ * single-node replica set in memory. Either way it must be a replica set —
+ * transfers run in MongoDB transactions (see utils/withTransaction.js).
+ *
+ * The database is dropped before each test, so never point
+ * MONGODB_TEST_URI at data you want to keep.
+ */
+let replSet = null;
+
+async function connect() {
+  let uri = process.env.MONGODB_TEST_URI;
+  if (!uri) {
+    try {
+      replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+    } catch (err) {
+      throw new Error(
+        `No MongoDB for the tests (${err.message}). Set MONGODB_TEST_URI, or MONGOMS_SYSTEM_BINARY to a local mongod — see README, Tests`
+      );
+    }
+    uri = replSet.getUri();
+  }
+  await mongoose.connect(uri);
+}
+
+async function reset() {
+  await mongoose.connection.dropDatabase();
+  // Collections and their unique indexes must exist before the first
+  // transaction writes to them
+  for (const model of Object.values(mongoose.models)) {
+    await model.createCollection();
+    await model.createIndexes();
+  }
+}
+
+async function disconnect() {
+  await mongoose.disconnect();
+  if (replSet) await replSet.stop();
+}
+
+module.exports = { connect, reset, disconnect };
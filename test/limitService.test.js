@@ -0,0 +1,74 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const db = require('./helpers/db');
+const LimitUsage = require('../src/models/LimitUsage');
+const { reserveLimits, getAllowances } = require('../src/utils/limitService');
+
+const hourly = { code: 'GOLD', decimalPlaces: 0, limits: [{ flow: 'spend', window: 'hour', maxAmount: 100, maxCount: 3 }] };
+let account;
+
+before(() => db.connect());
+after(() => db.disconnect());
+
+beforeEach(async () => {
+  await db.reset();
+  account = { _id: new mongoose.Types.ObjectId(), limits: [] };
+});
+
+// Far enough ahead that the usage rows outlive the test (see LimitUsage.expiresAt)
+const at = (time) => new Date(`2099-06-01T${time}Z`);
+const spend = (amount, time, assetType = hourly) => reserveLimits({ account, assetType, flow: 'spend', amount, now: at(time) });
+
+// ── Windows ──────────────────────────────────────────────────────────────────
+
+test('an hourly limit counts within the clock hour and resets on the hour', async () => {
+  await spend(80, '10:00:00');
+
+  await assert.rejects(spend(30, '10:59:59'), (err) => {
+    assert.equal(err.code, 'LIMIT_EXCEEDED');
+    assert.equal(err.limit.remainingAmount, 20);
+    assert.equal(err.limit.resetsAt.toISOString(), '2099-06-01T11:00:00.000Z');
+    return true;
+  });
+  await spend(20, '10:59:59');
+  await spend(100, '11:00:00');
+});
+
+test('a daily limit spans the UTC day', async () => {
+  const daily = { ...hourly, limits: [{ flow: 'spend', window: 'day', maxAmount: 100, maxCount: null }] };
+  await spend(60, '00:00:00', daily);
+  await spend(40, '23:59:59', daily);
+  await assert.rejects(spend(1, '12:00:00', daily), /Limit exceeded: spend is capped at 100 GOLD per day \(0 GOLD left\)/);
+});
+
+test('maxCount caps the number of transactions in a window', async () => {
+  for (let i = 0; i < 3; i++) await spend(1, '10:15:00');
+  await assert.rejects(spend(1, '10:15:00'), /3 transactions per hour \(0 left\)/);
+});
+
+test('a released reservation is given back, and a refused one keeps nothing', async () => {
+  const release = await spend(90, '10:00:00');
+  await assert.rejects(spend(20, '10:00:00'));
+  await release();
+  await spend(100, '10:00:00');
+
+  const usage = await LimitUsage.findOne({ account: account._id });
+  assert.equal(usage.amount, 100);
+  assert.equal(usage.count, 1);
+});
+
+test('concurrent reservations cannot overshoot the limit', async () => {
+  const results = await Promise.allSettled([1, 2, 3, 4, 5].map(() => spend(30, '10:00:00')));
+  assert.equal(results.filter((r) => r.status === 'fulfilled').length, 3);
+  assert.equal((await LimitUsage.findOne({ account: account._id })).amount, 90);
+});
+
+test('getAllowances reports what is left in the current window', async () => {
+  await spend(30, '10:20:00');
+  const [allowance] = await getAllowances(account, hourly, at('10:40:00'));
+  assert.deepEqual(
+    { remainingAmount: allowance.remainingAmount, remainingCount: allowance.remainingCount, resetsAt: allowance.resetsAt.toISOString() },
+    { remainingAmount: 70, remainingCount: 2, resetsAt: '2099-06-01T11:00:00.000Z' }
+  );
+});
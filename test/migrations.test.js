@@ -0,0 +1,108 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('./helpers/db');
+const AssetType = require('../src/models/AssetType');
+const Account = require('../src/models/Account');
+const Transaction = require('../src/models/Transaction');
+const Hold = require('../src/models/Hold');
+const walletService = require('../src/utils/walletService');
+const { migrateAccountStatus, migrateIdempotencyIndexes } = require('../src/utils/migrations');
+
+let gold;
+
+before(() => db.connect());
+after(() => db.disconnect());
+
+beforeEach(async () => {
+  await db.reset();
+  gold = await AssetType.create({ code: 'GOLD', name: 'Gold Coins', decimalPlaces: 0 });
+});
+
+// An account as the version before statuses stored it
+async function insertLegacyAccount(userId, isActive) {
+  await Account.collection.insertOne({
+    userId,
+    accountType: 'user',
+    assetType: gold._id,
+    displayName: userId,
+    balance: 0,
+    isActive,
+  });
+  return Account.collection.findOne({ userId });
+}
+
+// ── Account status ───────────────────────────────────────────────────────────
+
+test('accounts get their status from isActive', async () => {
+  await insertLegacyAccount('alice', true);
+  await insertLegacyAccount('bob', false);
+
+  assert.deepEqual(await migrateAccountStatus(), { active: 1, suspended: 1 });
+
+  const alice = await Account.collection.findOne({ userId: 'alice' });
+  const bob = await Account.collection.findOne({ userId: 'bob' });
+  assert.equal(alice.status, 'active');
+  assert.equal(bob.status, 'suspended');
+  assert.equal(bob.statusChangedBy, 'migration');
+  assert.equal('isActive' in alice, false);
+  assert.equal('isActive' in bob, false);
+});
+
+test('the status migration leaves migrated accounts alone when run again', async () => {
+  await insertLegacyAccount('alice', false);
+  await migrateAccountStatus();
+  await Account.updateOne({ userId: 'alice' }, { status: 'active' });
+
+  assert.deepEqual(await migrateAccountStatus(), { active: 0, suspended: 0 });
+  assert.equal((await Account.findOne({ userId: 'alice' })).status, 'active');
+});
+
+// ── Idempotency indexes ──────────────────────────────────────────────────────
+
+// The unique indexes of the versions that scoped keys per asset type
+async function createLegacyKeyIndexes() {
+  await Transaction.collection.dropIndex('idempotencyKey_1_assetTypes_1');
+  await Transaction.collection.createIndex({ idempotencyKey: 1, assetType: 1 }, { unique: true });
+  await Transaction.collection.createIndex({ idempotencyKey: 1, assetTypes: 1 }, { unique: true });
+  await Hold.collection.createIndex({ idempotencyKey: 1, assetType: 1 }, { unique: true });
+}
+
+const indexNamed = async (model, name) => (await model.collection.indexes()).find((index) => index.name === name);
+
+test('the unique per-asset idempotency indexes are dropped', async () => {
+  await createLegacyKeyIndexes();
+
+  assert.deepEqual(await migrateIdempotencyIndexes(), { dropped: 3 });
+
+  assert.equal(await indexNamed(Transaction, 'idempotencyKey_1_assetType_1'), undefined);
+  assert.equal(await indexNamed(Hold, 'idempotencyKey_1_assetType_1'), undefined);
+  // Rebuilt as the schema's plain lookup index
+  const lookup = await indexNamed(Transaction, 'idempotencyKey_1_assetTypes_1');
+  assert.ok(lookup);
+  assert.ok(!lookup.unique);
+
+  assert.deepEqual(await migrateIdempotencyIndexes(), { dropped: 0 });
+});
+
+test('two callers can use the same key once the old indexes are dropped', async () => {
+  await createLegacyKeyIndexes();
+  const treasury = await Account.create({
+    userId: 'SYSTEM_TREASURY',
+    accountType: 'system',
+    assetType: gold._id,
+    displayName: 'Treasury',
+  });
+  await walletService.mintOpeningBalance({ accountId: treasury._id, amount: 100 });
+  await Account.create({ userId: 'alice', accountType: 'user', assetType: gold._id, displayName: 'alice' });
+  const topUp = (caller) =>
+    walletService.topUp({ userId: 'alice', assetCode: 'GOLD', amount: 10, idempotencyKey: 'order-1', caller });
+
+  await topUp('key:shop');
+  // The old index still sees the key as taken
+  await assert.rejects(topUp('key:support'), /Transaction conflict/);
+
+  await migrateIdempotencyIndexes();
+  const { isIdempotentReplay } = await topUp('key:support');
+  assert.equal(isIdempotentReplay, false);
+  assert.equal(await Transaction.countDocuments({ idempotencyKey: 'order-1' }), 2);
+});
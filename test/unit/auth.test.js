@@ -0,0 +1,104 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Read by config/wallet.js when the app loads
+process.env.JWT_SECRET = 'test-secret';
+const app = require('../../src/server');
+const jwt = require('../../src/utils/jwt');
+
+// Every request here is refused before a route touches MongoDB
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => new Promise((resolve) => server.close(resolve)));
+
+const userToken = (sub, scope, exp = Math.floor(Date.now() / 1000) + 60 * 60) =>
+  jwt.sign({ sub, scope, exp }, process.env.JWT_SECRET);
+
+async function request(method, path, { token, body, contentType = 'application/json' } = {}) {
+  const headers = {};
+  if (token) headers.Authorization = `Bearer ${token}`;
+  if (body !== undefined) headers['Content-Type'] = contentType;
+  const res = await fetch(`${baseUrl}${path}`, { method, headers, body });
+  return { status: res.status, body: await res.json() };
+}
+
+// ── Authentication ───────────────────────────────────────────────────────────
+
+test('requests without credentials are refused with 401', async () => {
+  for (const [method, path] of [
+    ['GET', '/api/wallets/alice/balance/GOLD'],
+    ['POST', '/api/users'],
+    ['GET', '/api/admin/transactions'],
+  ]) {
+    const res = await request(method, path);
+    assert.equal(res.status, 401, path);
+    assert.match(res.body.error, /Authentication required/);
+  }
+});
+
+test('a token that is expired or signed with another secret is refused with 401', async () => {
+  const expired = await request('GET', '/api/wallets/alice/balance/GOLD', {
+    token: userToken('alice', 'wallet:read', Math.floor(Date.now() / 1000) - 1),
+  });
+  assert.equal(expired.status, 401);
+  assert.match(expired.body.error, /expired/);
+
+  const forged = jwt.sign({ sub: 'alice', scope: 'wallet:read', exp: Math.floor(Date.now() / 1000) + 60 }, 'other');
+  const res = await request('GET', '/api/wallets/alice/balance/GOLD', { token: forged });
+  assert.equal(res.status, 401);
+  assert.match(res.body.error, /Invalid token signature/);
+});
+
+test('unauthenticated bonus campaign uploads are refused before the body is parsed', async () => {
+  // Parsed first, malformed JSON would be a 400 and a 5 MB body a 413
+  const malformed = await request('POST', '/api/admin/bonus-campaigns', { body: '{"recipients": [' });
+  assert.equal(malformed.status, 401);
+
+  const large = await request('POST', '/api/admin/bonus-campaigns', {
+    body: `userId,amount\n${'user_0000001,100\n'.repeat(300000)}`,
+    contentType: 'text/csv',
+  });
+  assert.equal(large.status, 401);
+});
+
+// ── Authorization ────────────────────────────────────────────────────────────
+
+test('a user token is limited to its own wallet', async () => {
+  const token = userToken('alice', 'wallet:read wallet:spend');
+  const res = await request('GET', '/api/wallets/bob/balance/GOLD', { token });
+  assert.equal(res.status, 403);
+  assert.match(res.body.error, /only access its own wallet/);
+
+  const spend = await request('POST', '/api/wallets/spend', {
+    token,
+    body: JSON.stringify({ userId: 'bob', assetCode: 'GOLD', amount: 1, itemId: 'sword', idempotencyKey: 'k-1' }),
+  });
+  assert.equal(spend.status, 403);
+});
+
+test('a user token never reaches admin routes, whatever scopes it claims', async () => {
+  const token = userToken('alice', 'wallet:read admin:* admin:write wallet:topup');
+  for (const [method, path] of [
+    ['GET', '/api/admin/transactions'],
+    ['POST', '/api/admin/api-keys'],
+    ['POST', '/api/admin/bonus-campaigns'],
+  ]) {
+    const res = await request(method, path, { token, body: method === 'POST' ? '{}' : undefined });
+    assert.equal(res.status, 403, path);
+    assert.match(res.body.error, /Missing scope: admin:/);
+  }
+
+  const topup = await request('POST', '/api/wallets/topup', {
+    token,
+    body: JSON.stringify({ userId: 'alice', assetCode: 'GOLD', amount: 1000, idempotencyKey: 'k-2' }),
+  });
+  assert.equal(topup.status, 403);
+  assert.match(topup.body.error, /Missing scope: wallet:topup/);
+});
@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const {
+  idempotencyScope,
+  describeRequest,
+  idempotencyFilter,
+  assertSameRequest,
+} = require('../../src/utils/idempotency');
+
+const hashOf = (params, operation = 'spend') => describeRequest('key:shop', operation, params).requestHash;
+
+// ── Request hashes ───────────────────────────────────────────────────────────
+
+test('the request hash does not depend on the order of fields', () => {
+  const a = { userId: 'alice', amount: 100, metadata: { source: 'store', campaign: { id: 7, tier: 'gold' } } };
+  const b = { metadata: { campaign: { tier: 'gold', id: 7 }, source: 'store' }, amount: 100, userId: 'alice' };
+  assert.equal(hashOf(a), hashOf(b));
+});
+
+test('the request hash changes with any value, the operation or array order', () => {
+  const base = { userId: 'alice', amount: 100, splits: [{ userId: 'bob', percent: 10 }, { userId: 'carol', percent: 5 }] };
+  assert.notEqual(hashOf(base), hashOf({ ...base, amount: 101 }));
+  assert.notEqual(hashOf(base), hashOf({ ...base, amount: '100' }));
+  assert.notEqual(hashOf(base), hashOf(base, 'transfer'));
+  assert.notEqual(hashOf(base), hashOf({ ...base, splits: [...base.splits].reverse() }));
+});
+
+test('undefined fields are left out, while null is a value', () => {
+  assert.equal(hashOf({ userId: 'alice', itemId: undefined }), hashOf({ userId: 'alice' }));
+  assert.notEqual(hashOf({ userId: 'alice', itemId: null }), hashOf({ userId: 'alice' }));
+  // In an array, undefined hashes like null, as in JSON.stringify
+  assert.equal(hashOf({ tags: [undefined] }), hashOf({ tags: [null] }));
+});
+
+test('dates and ObjectIds hash like their string forms', () => {
+  const id = new mongoose.Types.ObjectId();
+  const at = new Date('2026-01-01T00:00:00Z');
+  assert.equal(hashOf({ holdId: id, at }), hashOf({ holdId: id.toString(), at: at.toISOString() }));
+  assert.notEqual(hashOf({ holdId: id }), hashOf({ holdId: new mongoose.Types.ObjectId() }));
+});
+
+// ── Scopes ───────────────────────────────────────────────────────────────────
+
+test('requests are scoped by caller and operation, the service by its own caller', () => {
+  assert.equal(describeRequest('key:shop', 'spend', {}).scope, 'key:shop:spend');
+  assert.equal(idempotencyScope(null, 'bonus-expiry'), 'system:bonus-expiry');
+});
+
+test('only the service\'s own keys also match records from before scoping', () => {
+  const assetTypeIds = [new mongoose.Types.ObjectId()];
+  assert.deepEqual(idempotencyFilter('key:shop:spend', 'order-1', assetTypeIds), {
+    idempotencyScope: 'key:shop:spend',
+    idempotencyKey: 'order-1',
+    idempotencyKeyActive: true,
+  });
+
+  const { $or } = idempotencyFilter('system:bonus-expiry', 'expire-1', assetTypeIds);
+  assert.equal($or.length, 2);
+  assert.deepEqual($or[1], { idempotencyScope: null, idempotencyKey: 'expire-1', assetTypes: { $in: assetTypeIds } });
+});
+
+test('assertSameRequest refuses a key reused for a different request', () => {
+  const existing = { idempotencyKey: 'order-1', requestHash: hashOf({ amount: 100 }) };
+  assert.doesNotThrow(() => assertSameRequest(existing, hashOf({ amount: 100 })));
+  assert.throws(() => assertSameRequest(existing, hashOf({ amount: 200 })), /already used with a different request/);
+  // Records from before request hashes are not checked
+  assert.doesNotThrow(() => assertSameRequest({ idempotencyKey: 'order-1', requestHash: null }, hashOf({ amount: 200 })));
+});
@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const jwt = require('../../src/utils/jwt');
+
+const secret = 'test-secret';
+const inAnHour = () => Math.floor(Date.now() / 1000) + 60 * 60;
+
+// A token with any header, signed with `secret`
+function forge(header, payload, key = secret) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode(header)}.${encode(payload)}`;
+  return `${unsigned}.${crypto.createHmac('sha256', key).update(unsigned).digest('base64url')}`;
+}
+
+test('verify returns the payload of a token signed with the secret', () => {
+  const token = jwt.sign({ sub: 'alice', scope: 'wallet:read', exp: inAnHour() }, secret);
+  assert.equal(jwt.verify(token, { secret }).sub, 'alice');
+});
+
+test('verify refuses another secret and a tampered payload', () => {
+  const token = jwt.sign({ sub: 'alice', exp: inAnHour() }, secret);
+  assert.throws(() => jwt.verify(token, { secret: 'other' }), /Invalid token signature/);
+
+  const [header, , signature] = token.split('.');
+  const body = Buffer.from(JSON.stringify({ sub: 'bob', exp: inAnHour() })).toString('base64url');
+  assert.throws(() => jwt.verify(`${header}.${body}.${signature}`, { secret }), /Invalid token signature/);
+  assert.throws(() => jwt.verify(`${header}.${token.split('.')[1]}.`, { secret }), /Invalid token signature/);
+});
+
+test('verify refuses every algorithm but HS256, "none" included', () => {
+  const payload = { sub: 'alice', exp: inAnHour() };
+  assert.throws(() => jwt.verify(forge({ alg: 'none' }, payload), { secret }), /Unsupported token algorithm/);
+  assert.throws(() => jwt.verify(forge({ alg: 'HS512' }, payload), { secret }), /Unsupported token algorithm/);
+  assert.throws(() => jwt.verify(forge({ alg: 'RS256' }, payload), { secret }), /Unsupported token algorithm/);
+});
+
+test('verify refuses malformed tokens', () => {
+  for (const token of ['', 'abc', 'a.b', 'a.b.c.d', '!!.??.sig', undefined]) {
+    assert.throws(() => jwt.verify(token, { secret }), /Malformed token/, String(token));
+  }
+});
+
+test('verify checks exp and nbf', () => {
+  const now = Math.floor(Date.now() / 1000);
+  assert.throws(() => jwt.verify(jwt.sign({ sub: 'alice' }, secret), { secret }), /Token has no expiry/);
+  assert.throws(() => jwt.verify(jwt.sign({ sub: 'alice', exp: now }, secret), { secret }), /Token has expired/);
+  assert.throws(
+    () => jwt.verify(jwt.sign({ sub: 'alice', exp: inAnHour(), nbf: now + 60 }, secret), { secret }),
+    /Token is not valid yet/
+  );
+  assert.equal(jwt.verify(jwt.sign({ sub: 'alice', exp: inAnHour(), nbf: now }, secret), { secret }).sub, 'alice');
+});
+
+test('verify checks the issuer and audience when they are required', () => {
+  const token = jwt.sign({ sub: 'alice', exp: inAnHour(), iss: 'auth.example', aud: ['game', 'wallet'] }, secret);
+  assert.equal(jwt.verify(token, { secret, issuer: 'auth.example', audience: 'wallet' }).sub, 'alice');
+  assert.throws(() => jwt.verify(token, { secret, issuer: 'evil.example' }), /Invalid token issuer/);
+  assert.throws(() => jwt.verify(token, { secret, audience: 'admin' }), /Invalid token audience/);
+
+  const single = jwt.sign({ sub: 'alice', exp: inAnHour(), aud: 'wallet' }, secret);
+  assert.equal(jwt.verify(single, { secret, audience: 'wallet' }).sub, 'alice');
+});
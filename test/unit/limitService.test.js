@@ -0,0 +1,96 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { parseLimitRules, reserveLimits } = require('../../src/utils/limitService');
+
+const gold = { code: 'GOLD', decimalPlaces: 0, limits: [] };
+const usd = { code: 'USD', decimalPlaces: 2, limits: [] };
+
+// ── parseLimitRules ──────────────────────────────────────────────────────────
+
+test('parseLimitRules converts maxAmount to minor units', () => {
+  assert.deepEqual(
+    parseLimitRules(
+      [
+        { flow: 'spend', window: 'day', maxAmount: '250.50', maxCount: 20 },
+        { flow: 'topup', window: 'transaction', maxAmount: 100 },
+        { flow: 'transfer', window: 'hour', maxCount: 5 },
+      ],
+      2
+    ),
+    [
+      { flow: 'spend', window: 'day', maxAmount: 25050, maxCount: 20 },
+      { flow: 'topup', window: 'transaction', maxAmount: 10000, maxCount: null },
+      { flow: 'transfer', window: 'hour', maxAmount: null, maxCount: 5 },
+    ]
+  );
+});
+
+test('parseLimitRules refuses unknown flows and windows', () => {
+  assert.throws(() => parseLimitRules({}, 0), /limits must be an array/);
+  assert.throws(() => parseLimitRules([{ flow: 'bonus', window: 'day', maxAmount: 1 }], 0), /Invalid limit flow: bonus/);
+  assert.throws(() => parseLimitRules([{ flow: 'spend', window: 'week', maxAmount: 1 }], 0), /Invalid limit window: week/);
+  assert.throws(() => parseLimitRules([null], 0), /Invalid limit flow/);
+});
+
+test('parseLimitRules allows one rule per flow and window', () => {
+  assert.throws(
+    () => parseLimitRules([
+      { flow: 'spend', window: 'day', maxAmount: 1 },
+      { flow: 'spend', window: 'day', maxCount: 2 },
+    ], 0),
+    /Duplicate limit for spend per day/
+  );
+  assert.equal(parseLimitRules([
+    { flow: 'spend', window: 'day', maxAmount: 1 },
+    { flow: 'spend', window: 'hour', maxAmount: 1 },
+  ], 0).length, 2);
+});
+
+test('parseLimitRules refuses negative, fractional and misplaced limits', () => {
+  assert.throws(() => parseLimitRules([{ flow: 'spend', window: 'day', maxAmount: -5 }], 0), /cannot be negative/);
+  assert.throws(() => parseLimitRules([{ flow: 'spend', window: 'day', maxAmount: 1.5 }], 0), /more precision/);
+  assert.throws(() => parseLimitRules([{ flow: 'spend', window: 'day', maxCount: 1.5 }], 0), /non-negative whole number/);
+  assert.throws(() => parseLimitRules([{ flow: 'spend', window: 'day', maxCount: -1 }], 0), /non-negative whole number/);
+  assert.throws(
+    () => parseLimitRules([{ flow: 'spend', window: 'transaction', maxCount: 3 }], 0),
+    /per-transaction limit can only set maxAmount/
+  );
+});
+
+// ── Per-transaction limits ───────────────────────────────────────────────────
+// Checked without a usage row, so these need no database
+
+const account = (limits = []) => ({ _id: new mongoose.Types.ObjectId(), limits });
+
+test('a per-transaction limit refuses a larger amount with LIMIT_EXCEEDED', async () => {
+  const assetType = { ...usd, limits: [{ flow: 'spend', window: 'transaction', maxAmount: 5000, maxCount: null }] };
+
+  const release = await reserveLimits({ account: account(), assetType, flow: 'spend', amount: 5000 });
+  await release();
+
+  await assert.rejects(
+    reserveLimits({ account: account(), assetType, flow: 'spend', amount: 5001 }),
+    (err) => {
+      assert.equal(err.code, 'LIMIT_EXCEEDED');
+      assert.match(err.message, /spend is capped at 50 USD per transaction/);
+      assert.deepEqual(
+        { window: err.limit.window, maxAmount: err.limit.maxAmount, remainingAmount: err.limit.remainingAmount, resetsAt: err.limit.resetsAt },
+        { window: 'transaction', maxAmount: 50, remainingAmount: 50, resetsAt: null }
+      );
+      return true;
+    }
+  );
+});
+
+test('an account rule replaces the asset rule for the same flow and window', async () => {
+  const assetType = { ...gold, limits: [{ flow: 'spend', window: 'transaction', maxAmount: 10, maxCount: null }] };
+  const raised = account([{ flow: 'spend', window: 'transaction', maxAmount: 100, maxCount: null }]);
+  const lifted = account([{ flow: 'spend', window: 'transaction', maxAmount: null, maxCount: null }]);
+
+  await (await reserveLimits({ account: raised, assetType, flow: 'spend', amount: 100 }))();
+  await (await reserveLimits({ account: lifted, assetType, flow: 'spend', amount: 1000000 }))();
+  await assert.rejects(reserveLimits({ account: account(), assetType, flow: 'spend', amount: 11 }), /Limit exceeded/);
+  // Other flows are not limited by it
+  await (await reserveLimits({ account: account(), assetType, flow: 'topup', amount: 1000 }))();
+});
@@ -0,0 +1,95 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { toMinorUnits, toMajorUnits, convertMinorUnits, allocateMinorUnits } = require('../../src/utils/money');
+
+// ── toMinorUnits ─────────────────────────────────────────────────────────────
+
+test('toMinorUnits converts on the decimal text, without float drift', () => {
+  assert.equal(toMinorUnits(0.29, 2), 29);
+  assert.equal(toMinorUnits('12.34', 2), 1234);
+  assert.equal(toMinorUnits(1.1, 8), 110000000);
+  assert.equal(toMinorUnits(' 5 ', 0), 5);
+  assert.equal(toMinorUnits(1e-7, 7), 1);
+  assert.equal(toMinorUnits('-1.5', 2), -150);
+});
+
+test('toMinorUnits accepts trailing zeros beyond the precision', () => {
+  assert.equal(toMinorUnits('3.1000', 1), 31);
+  assert.equal(toMinorUnits('7.00', 0), 7);
+});
+
+test('toMinorUnits refuses more precision than the asset allows', () => {
+  assert.throws(() => toMinorUnits(0.001, 2), /more precision than the asset allows \(2 decimal places\)/);
+  assert.throws(() => toMinorUnits('1.5', 0), /\(0 decimal places\)/);
+  assert.throws(() => toMinorUnits('1.25', 1), /\(1 decimal place\)/);
+});
+
+test('toMinorUnits refuses what is not a plain decimal', () => {
+  for (const amount of ['abc', '1,5', '1.', '.5', '', '0x10', '1e3']) {
+    assert.throws(() => toMinorUnits(amount, 2), /Invalid amount/, amount);
+  }
+  assert.throws(() => toMinorUnits(Infinity, 2), /finite number/);
+  assert.throws(() => toMinorUnits(NaN, 2), /finite number/);
+});
+
+test('toMinorUnits refuses amounts beyond a safe integer', () => {
+  assert.throws(() => toMinorUnits('9007199254740992', 0), /out of range/);
+  assert.throws(() => toMinorUnits('90071992547409.92', 2), /out of range/);
+});
+
+// ── toMajorUnits ─────────────────────────────────────────────────────────────
+
+test('toMajorUnits formats back to the asset precision', () => {
+  assert.equal(toMajorUnits(1234, 2), 12.34);
+  assert.equal(toMajorUnits(30, 2), 0.3);
+  assert.equal(toMajorUnits(-150, 2), -1.5);
+  assert.equal(toMajorUnits(5, 0), 5);
+  assert.equal(toMajorUnits(null, 2), null);
+  assert.equal(toMajorUnits(undefined, 2), undefined);
+});
+
+test('minor units round-trip for every precision', () => {
+  for (let decimalPlaces = 0; decimalPlaces <= 8; decimalPlaces++) {
+    for (const minor of [0, 1, 7, 99, 12345, 100000001]) {
+      assert.equal(toMinorUnits(toMajorUnits(minor, decimalPlaces), decimalPlaces), minor);
+    }
+  }
+});
+
+// ── convertMinorUnits ────────────────────────────────────────────────────────
+
+test('convertMinorUnits applies the rate and the spread exactly', () => {
+  // 5 DIAMOND × 100 × (1 − 0.02) = 490 GOLD
+  assert.equal(convertMinorUnits(5, { fromDecimalPlaces: 0, toDecimalPlaces: 0, rate: 100, spread: 0.02 }), 490);
+  // 1.00 USD → 0.92 EUR
+  assert.equal(convertMinorUnits(100, { fromDecimalPlaces: 2, toDecimalPlaces: 2, rate: 0.92 }), 92);
+  // 0.1 × 3 is 0.30000000000000004 in floats
+  assert.equal(convertMinorUnits(1, { fromDecimalPlaces: 1, toDecimalPlaces: 2, rate: 3 }), 30);
+});
+
+test('convertMinorUnits rounds down to the target precision', () => {
+  // 1 POINT at 0.333 GOLD is 0.333 → 0 whole GOLD
+  assert.equal(convertMinorUnits(1, { fromDecimalPlaces: 0, toDecimalPlaces: 0, rate: 0.333 }), 0);
+  assert.equal(convertMinorUnits(10, { fromDecimalPlaces: 0, toDecimalPlaces: 2, rate: 0.333 }), 333);
+  assert.equal(convertMinorUnits(199, { fromDecimalPlaces: 2, toDecimalPlaces: 0, rate: 1 }), 1);
+});
+
+test('convertMinorUnits refuses a result beyond a safe integer', () => {
+  assert.throws(
+    () => convertMinorUnits(Number.MAX_SAFE_INTEGER, { fromDecimalPlaces: 0, toDecimalPlaces: 0, rate: 2 }),
+    /out of range/
+  );
+});
+
+// ── allocateMinorUnits ───────────────────────────────────────────────────────
+
+test('allocateMinorUnits splits in proportion and always adds up', () => {
+  assert.deepEqual(allocateMinorUnits(100, [70, 30]), [70, 30]);
+  assert.deepEqual(allocateMinorUnits(10, [1, 1, 1]), [4, 3, 3]);
+  assert.deepEqual(allocateMinorUnits(1, [50, 30, 20]), [1, 0, 0]);
+  for (const [total, weights] of [[999, [333, 333, 334]], [7, [5, 2]], [12345, [1, 2, 3, 4]]]) {
+    const parts = allocateMinorUnits(total, weights);
+    assert.equal(parts.reduce((sum, part) => sum + part, 0), total);
+    assert.ok(parts.every((part) => Number.isSafeInteger(part) && part >= 0));
+  }
+});
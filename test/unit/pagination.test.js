@@ -0,0 +1,88 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const {
+  encodeCursor,
+  decodeCursor,
+  pageQuery,
+  toPage,
+  parseLimit,
+  dateRange,
+  amountRange,
+} = require('../../src/utils/pagination');
+
+// Newest first, as a page query sorts them
+const docs = [3, 2, 1, 0].map((minute) => ({
+  _id: new mongoose.Types.ObjectId(),
+  createdAt: new Date(Date.UTC(2026, 0, 1, 0, minute)),
+}));
+
+// ── Cursors ──────────────────────────────────────────────────────────────────
+
+test('a cursor decodes to the createdAt and _id it was made from', () => {
+  const decoded = decodeCursor(encodeCursor(docs[0]));
+  assert.equal(decoded.createdAt.getTime(), docs[0].createdAt.getTime());
+  assert.ok(decoded._id.equals(docs[0]._id));
+});
+
+test('a malformed cursor is refused', () => {
+  for (const cursor of ['', 'not-base64!', Buffer.from('[1,"x"]').toString('base64url'), Buffer.from('{}').toString('base64url')]) {
+    assert.throws(() => decodeCursor(cursor), /Invalid cursor/);
+  }
+});
+
+test('pageQuery continues strictly after the cursor and fetches one extra item', () => {
+  const first = pageQuery({ type: 'spend' }, { limit: 2 });
+  assert.deepEqual(first.filter, { type: 'spend' });
+  assert.deepEqual(first.sort, { createdAt: -1, _id: -1 });
+  assert.equal(first.limit, 3);
+
+  const next = pageQuery({ type: 'spend' }, { cursor: encodeCursor(docs[1]), limit: 2 });
+  const [filter, after] = next.filter.$and;
+  assert.deepEqual(filter, { type: 'spend' });
+  // Older, or as old with a smaller _id (ties on createdAt)
+  assert.deepEqual(after.$or[0], { createdAt: { $lt: docs[1].createdAt } });
+  assert.deepEqual(after.$or[1].createdAt, docs[1].createdAt);
+  assert.ok(after.$or[1]._id.$lt.equals(docs[1]._id));
+});
+
+test('toPage trims the extra item and points the next cursor at the last one kept', () => {
+  const page = toPage(docs.slice(0, 3), 2);
+  assert.deepEqual(page.items, docs.slice(0, 2));
+  assert.equal(page.pagination.hasMore, true);
+  assert.ok(decodeCursor(page.pagination.nextCursor)._id.equals(docs[1]._id));
+
+  const last = toPage(docs.slice(2), 2);
+  assert.deepEqual(last.items, docs.slice(2));
+  assert.deepEqual(last.pagination, { limit: 2, hasMore: false, nextCursor: null });
+});
+
+test('parseLimit defaults, caps and refuses bad limits', () => {
+  assert.equal(parseLimit(undefined, 100), 20);
+  assert.equal(parseLimit('', 100, 50), 50);
+  assert.equal(parseLimit('10', 100), 10);
+  assert.equal(parseLimit('500', 100), 100);
+  for (const limit of ['0', '-1', 'ten']) {
+    assert.throws(() => parseLimit(limit, 100), /Invalid limit/);
+  }
+});
+
+// ── Filters ──────────────────────────────────────────────────────────────────
+
+test('dateRange is inclusive of from and exclusive of to', () => {
+  assert.equal(dateRange(), null);
+  assert.deepEqual(dateRange('2026-01-01', '2026-02-01'), {
+    $gte: new Date('2026-01-01'),
+    $lt: new Date('2026-02-01'),
+  });
+  assert.deepEqual(dateRange(undefined, '2026-02-01'), { $lt: new Date('2026-02-01') });
+  assert.throws(() => dateRange('yesterday'), /Invalid from date/);
+  assert.throws(() => dateRange('2026-02-01', '2026-01-01'), /from must be before to/);
+});
+
+test('amountRange converts major units to minor units', () => {
+  assert.equal(amountRange(undefined, undefined, 2), null);
+  assert.deepEqual(amountRange('1.5', 10, 2), { $gte: 150, $lte: 1000 });
+  assert.deepEqual(amountRange(undefined, 5, 0), { $lte: 5 });
+  assert.throws(() => amountRange(10, 5, 0), /minAmount must not be greater than maxAmount/);
+});
@@ -0,0 +1,26 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { USER_SCOPES, isKnownScope, hasScope } = require('../../src/utils/scopes');
+
+test('hasScope matches a scope exactly or through its namespace wildcard', () => {
+  assert.equal(hasScope(['wallet:read'], 'wallet:read'), true);
+  assert.equal(hasScope(['admin:*'], 'admin:write'), true);
+  assert.equal(hasScope(['wallet:read'], 'wallet:spend'), false);
+  assert.equal(hasScope(['wallet:*'], 'admin:read'), false);
+  assert.equal(hasScope(['admin:read'], 'admin:write'), false);
+  assert.equal(hasScope([], 'wallet:read'), false);
+});
+
+test('isKnownScope accepts listed scopes and wildcards of known namespaces only', () => {
+  assert.equal(isKnownScope('wallet:topup'), true);
+  assert.equal(isKnownScope('admin:*'), true);
+  assert.equal(isKnownScope('admin:delete'), false);
+  assert.equal(isKnownScope('root:*'), false);
+  assert.equal(isKnownScope('*'), false);
+});
+
+test('end-user tokens can never carry admin, top-up or bonus scopes', () => {
+  for (const scope of ['admin:read', 'admin:write', 'wallet:topup', 'bonus:issue', 'users:write']) {
+    assert.equal(hasScope(USER_SCOPES, scope), false, scope);
+  }
+});
@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { signPayload, verifySignature } = require('../../src/utils/webhookService');
+
+const secret = 'whsec_test';
+const body = JSON.stringify({ id: 'evt_1', type: 'topup.completed', data: { amount: '100' } });
+const now = Date.UTC(2026, 0, 1, 12);
+const timestamp = now / 1000;
+
+// The header attemptDelivery sends
+const header = (t = timestamp, key = secret, payload = body) => `t=${t},v1=${signPayload(key, t, payload)}`;
+
+test('signPayload is an HMAC-SHA256 over the timestamp and the body', () => {
+  assert.match(signPayload(secret, timestamp, body), /^[0-9a-f]{64}$/);
+  assert.equal(signPayload(secret, timestamp, body), signPayload(secret, timestamp, body));
+  assert.notEqual(signPayload(secret, timestamp, body), signPayload(secret, timestamp + 1, body));
+  assert.notEqual(signPayload(secret, timestamp, body), signPayload('whsec_other', timestamp, body));
+});
+
+test('verifySignature accepts the header of a delivery', () => {
+  assert.equal(verifySignature(secret, header(), body, { now }), true);
+  // Order and spacing of the parts do not matter
+  assert.equal(verifySignature(secret, ` v1=${signPayload(secret, timestamp, body)} , t=${timestamp}`, body, { now }), true);
+});
+
+test('verifySignature refuses a wrong signature', () => {
+  assert.equal(verifySignature('whsec_other', header(), body, { now }), false);
+  assert.equal(verifySignature(secret, header(timestamp, 'whsec_other'), body, { now }), false);
+  assert.equal(verifySignature(secret, header(), body.replace('100', '900'), { now }), false);
+  // Signed for another timestamp than it claims
+  assert.equal(verifySignature(secret, `t=${timestamp},v1=${signPayload(secret, timestamp - 1, body)}`, body, { now }), false);
+  // Truncated or not hex
+  assert.equal(verifySignature(secret, header().slice(0, -2), body, { now }), false);
+  assert.equal(verifySignature(secret, `t=${timestamp},v1=not-hex`, body, { now }), false);
+});
+
+test('verifySignature refuses a malformed or missing header', () => {
+  assert.equal(verifySignature(secret, undefined, body, { now }), false);
+  assert.equal(verifySignature(secret, '', body, { now }), false);
+  assert.equal(verifySignature(secret, `v1=${signPayload(secret, timestamp, body)}`, body, { now }), false);
+  assert.equal(verifySignature(secret, `t=soon,v1=${signPayload(secret, timestamp, body)}`, body, { now }), false);
+  assert.equal(verifySignature(secret, `t=${timestamp}`, body, { now }), false);
+});
+
+test('verifySignature refuses a signature outside the tolerance', () => {
+  assert.equal(verifySignature(secret, header(timestamp - 300), body, { now }), true);
+  assert.equal(verifySignature(secret, header(timestamp - 301), body, { now }), false);
+  assert.equal(verifySignature(secret, header(timestamp + 301), body, { now }), false);
+  assert.equal(verifySignature(secret, header(timestamp - 3600), body, { now, toleranceSeconds: 3600 }), true);
+});
@@ -0,0 +1,234 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('./helpers/db');
+const walletService = require('../src/utils/walletService');
+const AssetType = require('../src/models/AssetType');
+const Account = require('../src/models/Account');
+const Transaction = require('../src/models/Transaction');
+const LedgerEntry = require('../src/models/LedgerEntry');
+const BonusLot = require('../src/models/BonusLot');
+const { sweepExpiredBonusLots } = require('../src/workers/bonusExpirySweeper');
+const withTransaction = require('../src/utils/withTransaction');
+
+let gold;
+
+before(() => db.connect());
+after(() => db.disconnect());
+
+beforeEach(async () => {
+  await db.reset();
+  gold = await AssetType.create({ code: 'GOLD', name: 'Gold Coins', decimalPlaces: 0 });
+  await Account.create({
+    userId: 'SYSTEM_ISSUANCE',
+    accountType: 'system',
+    assetType: gold._id,
+    displayName: 'Issuance',
+    allowNegativeBalance: true,
+  });
+});
+
+// A wallet holding `balance` GOLD, minted like the seed does
+async function createWallet(userId, balance = 0, accountType = 'user') {
+  const account = await Account.create({ userId, accountType, assetType: gold._id, displayName: userId });
+  if (balance > 0) await walletService.mintOpeningBalance({ accountId: account._id, amount: balance });
+  return account;
+}
+
+const balanceOf = async (account) => (await Account.findById(account._id)).balance;
+
+// ── Atomicity ────────────────────────────────────────────────────────────────
+
+test('a posting whose second debit fails leaves the first one unapplied', async () => {
+  // Created in this order, so alice's leg is applied before bob's fails
+  const alice = await createWallet('alice', 100);
+  const bob = await createWallet('bob', 10);
+  const carol = await createWallet('carol');
+
+  await assert.rejects(
+    walletService.postTransaction({
+      assetCode: 'GOLD',
+      idempotencyKey: 'posting-1',
+      lines: [
+        { userId: 'alice', entryType: 'debit', amount: 50 },
+        { userId: 'bob', entryType: 'debit', amount: 20 },
+        { userId: 'carol', entryType: 'credit', amount: 70 },
+      ],
+    }),
+    /Insufficient balance/
+  );
+
+  assert.equal(await balanceOf(alice), 100);
+  assert.equal(await balanceOf(bob), 10);
+  assert.equal(await balanceOf(carol), 0);
+  assert.equal(await LedgerEntry.countDocuments({ transactionType: 'posting' }), 0);
+  assert.equal((await Account.findById(alice._id)).pendingTransactions.length, 0);
+
+  const failed = await Transaction.findOne({ idempotencyKey: 'posting-1' });
+  assert.equal(failed.status, 'failed');
+});
+
+test('an opening balance minted in the transaction creating its account rolls back with it', async () => {
+  // As POST /api/admin/accounts does, with the audit record failing last
+  await assert.rejects(
+    withTransaction(async (session) => {
+      const [account] = await Account.create(
+        [{ userId: 'alice', accountType: 'user', assetType: gold._id, displayName: 'alice' }],
+        { session }
+      );
+      await walletService.mintOpeningBalance({ accountId: account._id, amount: 500, session });
+      throw new Error('Audit log unavailable');
+    }),
+    /Audit log unavailable/
+  );
+
+  assert.equal(await Account.countDocuments({ userId: 'alice' }), 0);
+  assert.equal(await Transaction.countDocuments({ type: 'mint' }), 0);
+  assert.equal(await LedgerEntry.countDocuments(), 0);
+  assert.equal((await Account.findOne({ userId: 'SYSTEM_ISSUANCE' })).balance, 0);
+});
+
+// ── Amounts ──────────────────────────────────────────────────────────────────
+
+test('amounts in a two-decimal asset add up exactly and keep to its precision', async () => {
+  const usd = await AssetType.create({ code: 'USD', name: 'Dollars', decimalPlaces: 2 });
+  const treasury = await Account.create({
+    userId: 'SYSTEM_TREASURY',
+    accountType: 'system',
+    assetType: usd._id,
+    displayName: 'Treasury',
+  });
+  await walletService.mintOpeningBalance({ accountId: treasury._id, amount: 100 });
+  const alice = await Account.create({ userId: 'alice', accountType: 'user', assetType: usd._id, displayName: 'alice' });
+
+  const topUp = (amount, idempotencyKey) => walletService.topUp({ userId: 'alice', assetCode: 'USD', amount, idempotencyKey });
+  await topUp(0.1, 'topup-1');
+  await topUp('0.2', 'topup-2');
+  await assert.rejects(topUp(0.001, 'topup-3'), /more precision than the asset allows/);
+
+  // 0.1 + 0.2 is exactly 30 cents, not 0.30000000000000004
+  assert.equal(await balanceOf(alice), 30);
+  assert.equal(await balanceOf(treasury), 9970);
+  assert.equal(await Transaction.countDocuments({ idempotencyKey: 'topup-3' }), 0);
+});
+
+// ── Reversals ────────────────────────────────────────────────────────────────
+
+test('a reversal rolled back by the recovery sweeper gives its refund back once', async () => {
+  const alice = await createWallet('alice', 100);
+  const bob = await createWallet('bob');
+  const { transaction: original } = await walletService.transfer({
+    fromUserId: 'alice',
+    toUserId: 'bob',
+    assetCode: 'GOLD',
+    amount: 50,
+    idempotencyKey: 'transfer-1',
+  });
+
+  // A reversal that reserved 20 and died before moving any balance
+  await Transaction.updateOne({ _id: original._id }, { refundedAmount: 20 });
+  const pending = await Transaction.create({
+    idempotencyKey: 'refund-1',
+    idempotencyScope: 'key:support:reversal',
+    assetType: gold._id,
+    assetTypes: [gold._id],
+    fromAccount: bob._id,
+    toAccount: alice._id,
+    amount: 20,
+    type: 'reversal',
+    reversalOf: original._id,
+    status: 'pending',
+    postings: [
+      { account: bob._id, assetType: gold._id, entryType: 'debit', amount: 20 },
+      { account: alice._id, assetType: gold._id, entryType: 'credit', amount: 20 },
+    ],
+  });
+
+  const outcome = await walletService.recoverPendingTransaction(pending);
+  await walletService.recoverPendingTransaction(await Transaction.findById(pending._id));
+
+  assert.equal(outcome.decision, 'rolled_back');
+  assert.equal((await Transaction.findById(original._id)).refundedAmount, 0);
+  assert.equal(await balanceOf(alice), 50);
+  assert.equal(await balanceOf(bob), 50);
+});
+
+// ── Bonus expiry ─────────────────────────────────────────────────────────────
+
+test('a transfer uses up bonus money first, so expiry only takes what is left of it', async () => {
+  await createWallet('SYSTEM_BONUS_POOL', 1000, 'system');
+  const alice = await createWallet('alice', 100);
+  const bob = await createWallet('bob');
+
+  await walletService.issueBonus({
+    userId: 'alice',
+    assetCode: 'GOLD',
+    amount: 50,
+    idempotencyKey: 'bonus-1',
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  });
+  await walletService.transfer({
+    fromUserId: 'alice',
+    toUserId: 'bob',
+    assetCode: 'GOLD',
+    amount: 30,
+    idempotencyKey: 'transfer-1',
+  });
+
+  const lot = await BonusLot.findOne({ account: alice._id });
+  assert.equal(lot.remaining, 20);
+
+  await BonusLot.updateOne({ _id: lot._id }, { expiresAt: new Date(Date.now() - 1000) });
+  const summary = await sweepExpiredBonusLots();
+
+  assert.equal(summary.expired, 1);
+  // 150 − 30 transferred − the 20 bonus left; the purchased 100 is untouched
+  assert.equal(await balanceOf(alice), 100);
+  assert.equal(await balanceOf(bob), 30);
+  assert.equal((await BonusLot.findById(lot._id)).expiredAmount, 20);
+});
+
+test('an expired lot in a frozen wallet is skipped without recording a failed expiry', async () => {
+  await createWallet('SYSTEM_BONUS_POOL', 1000, 'system');
+  const alice = await createWallet('alice');
+  await walletService.issueBonus({
+    userId: 'alice',
+    assetCode: 'GOLD',
+    amount: 50,
+    idempotencyKey: 'bonus-1',
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  });
+  const lot = await BonusLot.findOneAndUpdate(
+    { account: alice._id },
+    { expiresAt: new Date(Date.now() - 1000) },
+    { new: true }
+  );
+  await walletService.setAccountStatus({ userId: 'alice', assetCode: 'GOLD', status: 'frozen', reason: 'chargeback' });
+
+  // Frozen after the sweeper picked the lot up
+  assert.equal(await walletService.expireBonusLot(lot), 'skipped');
+  assert.equal((await sweepExpiredBonusLots()).retry, 0);
+
+  assert.equal(await Transaction.countDocuments({ type: 'expiry' }), 0);
+  const unchanged = await BonusLot.findById(lot._id);
+  assert.equal(unchanged.status, 'active');
+  assert.equal(unchanged.expiryAttempt, lot.expiryAttempt);
+  assert.equal(await balanceOf(alice), 50);
+});
+
+// ── Idempotency ──────────────────────────────────────────────────────────────
+
+test('two callers can place holds with the same key', async () => {
+  await createWallet('alice', 100);
+  const hold = (caller) =>
+    walletService.placeHold({ userId: 'alice', assetCode: 'GOLD', amount: 10, idempotencyKey: 'hold-1', caller });
+
+  const first = await hold('key:game-server');
+  const second = await hold('key:matchmaker');
+  const replay = await hold('key:game-server');
+
+  assert.equal(second.isIdempotentReplay, false);
+  assert.notEqual(String(second.hold._id), String(first.hold._id));
+  assert.equal(replay.isIdempotentReplay, true);
+  assert.equal(String(replay.hold._id), String(first.hold._id));
+  assert.equal((await Account.findOne({ userId: 'alice' })).heldBalance, 20);
+});
@@ -0,0 +1,69 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const db = require('./helpers/db');
+const WebhookDelivery = require('../src/models/WebhookDelivery');
+const webhookService = require('../src/utils/webhookService');
+
+// A receiver that checks signatures with `receiverSecret`, like src/webhookReceiver.js
+let server;
+let url;
+let receiverSecret;
+let received;
+
+before(async () => {
+  await db.connect();
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      const valid = webhookService.verifySignature(receiverSecret, req.headers['x-webhook-signature'], body);
+      received.push({ valid, event: req.headers['x-webhook-event'], body: JSON.parse(body) });
+      res.writeHead(valid ? 200 : 401).end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${server.address().port}/hooks`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await db.disconnect();
+});
+
+beforeEach(async () => {
+  await db.reset();
+  received = [];
+});
+
+async function deliverTestEvent(secret) {
+  const { subscription } = await webhookService.createSubscription({ url, events: ['*'], secret });
+  const { delivery } = await webhookService.sendTestEvent(subscription._id);
+  const claimed = await webhookService.claimDueDelivery();
+  assert.equal(String(claimed._id), String(delivery._id));
+  return { outcome: await webhookService.attemptDelivery(claimed), deliveryId: delivery._id };
+}
+
+test('a delivery is signed with its subscription secret', async () => {
+  receiverSecret = 'whsec_shared';
+  const { outcome, deliveryId } = await deliverTestEvent('whsec_shared');
+
+  assert.equal(outcome, 'delivered');
+  assert.equal(received.length, 1);
+  assert.equal(received[0].valid, true);
+  assert.equal(received[0].event, 'webhook.test');
+  assert.equal((await WebhookDelivery.findById(deliveryId)).status, 'delivered');
+});
+
+test('a delivery the receiver cannot verify is retried later', async () => {
+  receiverSecret = 'whsec_rotated';
+  const { outcome, deliveryId } = await deliverTestEvent('whsec_shared');
+
+  assert.equal(outcome, 'retry');
+  assert.equal(received[0].valid, false);
+  const delivery = await WebhookDelivery.findById(deliveryId);
+  assert.equal(delivery.status, 'pending');
+  assert.equal(delivery.attempts, 1);
+  assert.equal(delivery.lastError, 'HTTP 401');
+  assert.ok(delivery.nextAttemptAt > new Date());
+});